@@ -3,8 +3,22 @@
  * SPDX-License-Identifier: MIT
  *
  * Netlify Function for Webhook Handler
+ *
+ * Verifies ClickUp webhook signatures and normalizes events using the
+ * same receiver as the HTTP server's /webhook endpoint.
  */
 
+// Import using dynamic import for ES modules
+let handleNetlifyWebhook;
+
+async function loadReceiver() {
+  if (!handleNetlifyWebhook) {
+    const webhookModule = await import('../../build/webhooks/endpoint.js');
+    handleNetlifyWebhook = webhookModule.handleNetlifyWebhook;
+  }
+  return handleNetlifyWebhook;
+}
+
 exports.handler = async (event, context) => {
   try {
     // Handle CORS preflight requests
@@ -13,39 +27,33 @@ exports.handler = async (event, context) => {
         statusCode: 200,
         headers: {
           'Access-Control-Allow-Origin': '*',
-          'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
-          'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+          'Access-Control-Allow-Methods': 'POST, OPTIONS',
+          'Access-Control-Allow-Headers': 'Content-Type, X-Signature',
           'Access-Control-Max-Age': '86400'
         },
         body: ''
       };
     }
 
-    const body = event.body ? JSON.parse(event.body) : null;
-    
-    // Basic webhook processing
-    const response = {
-      received: true,
-      timestamp: new Date().toISOString(),
-      method: event.httpMethod,
-      headers: event.headers,
-      body: body
-    };
-
-    console.log('Webhook received:', response);
+    if (event.httpMethod !== 'POST') {
+      return {
+        statusCode: 405,
+        headers: {
+          'Content-Type': 'application/json',
+          'Allow': 'POST, OPTIONS'
+        },
+        body: JSON.stringify({
+          error: 'Method not allowed'
+        })
+      };
+    }
 
-    return {
-      statusCode: 200,
-      headers: {
-        'Content-Type': 'application/json',
-        'Access-Control-Allow-Origin': '*'
-      },
-      body: JSON.stringify(response)
-    };
+    const handleWebhook = await loadReceiver();
+    return await handleWebhook(event);
 
   } catch (error) {
     console.error('Error in webhook handler:', error);
-    
+
     return {
       statusCode: 500,
       headers: {
@@ -57,4 +65,4 @@ exports.handler = async (event, context) => {
       })
     };
   }
-};
\ No newline at end of file
+};
@@ -0,0 +1,25 @@
+/**
+ * SPDX-FileCopyrightText: © 2025 Talib Kareem <taazkareem@icloud.com>
+ * SPDX-License-Identifier: MIT
+ *
+ * ClickUp MCP Audit Log
+ *
+ * Exports the shared audit log for the file configured with AUDIT_LOG_FILE
+ * (default: ~/.clickup-mcp/audit-log.jsonl).
+ */
+
+import os from 'os';
+import path from 'path';
+import config from '../config.js';
+import { AuditLog } from './log.js';
+
+export * from './log.js';
+export * from './types.js';
+export * from './undo.js';
+
+// Shared audit log for all services; disabled with ENABLE_AUDIT_LOG=false
+export const auditLog = new AuditLog(
+  config.enableAuditLog
+    ? config.auditLogFile || path.join(os.homedir(), '.clickup-mcp', 'audit-log.jsonl')
+    : undefined
+);
@@ -0,0 +1,106 @@
+/**
+ * SPDX-FileCopyrightText: © 2025 Talib Kareem <taazkareem@icloud.com>
+ * SPDX-License-Identifier: MIT
+ *
+ * ClickUp MCP Audit Log
+ *
+ * Append-only JSON Lines file of mutating requests made by the task, list,
+ * folder, tag and time services. Entries are never rewritten; reverting an
+ * operation appends new entries that reference it with undo_of.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { AuditEntry, AuditLogQuery } from './types.js';
+import { Logger } from '../logger.js';
+
+const logger = new Logger('AuditLog');
+
+const DEFAULT_QUERY_LIMIT = 50;
+
+/**
+ * Reads and appends audit log entries
+ */
+export class AuditLog {
+  private directoryReady = false;
+
+  /**
+   * @param filePath Log file; an empty value disables the audit log
+   */
+  constructor(private readonly filePath?: string) {}
+
+  get enabled(): boolean {
+    return !!this.filePath;
+  }
+
+  /**
+   * Append an entry. Failures are logged but never fail the ClickUp request itself.
+   */
+  append(entry: AuditEntry): void {
+    if (!this.filePath) return;
+
+    try {
+      if (!this.directoryReady) {
+        fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+        this.directoryReady = true;
+      }
+      // Synchronous append keeps entries in request order
+      fs.appendFileSync(this.filePath, JSON.stringify(entry) + '\n', 'utf8');
+    } catch (error) {
+      logger.error('Failed to write audit log entry', { file: this.filePath, error: error.message });
+    }
+  }
+
+  /**
+   * Read all entries in the order they were written. Unparseable lines are skipped.
+   */
+  readAll(): AuditEntry[] {
+    if (!this.filePath || !fs.existsSync(this.filePath)) return [];
+
+    const entries: AuditEntry[] = [];
+    for (const line of fs.readFileSync(this.filePath, 'utf8').split('\n')) {
+      if (!line.trim()) continue;
+      try {
+        entries.push(JSON.parse(line));
+      } catch {
+        logger.warn('Skipping unparseable audit log line', { file: this.filePath });
+      }
+    }
+    return entries;
+  }
+
+  /**
+   * Find entries matching a query, newest first
+   */
+  query(query: AuditLogQuery = {}): AuditEntry[] {
+    const since = query.since !== undefined
+      ? (typeof query.since === 'number' ? query.since : Date.parse(query.since))
+      : undefined;
+    const taskPath = query.task_id ? `/task/${query.task_id}` : undefined;
+
+    return this.readAll()
+      .filter(entry =>
+        (!query.operation_id || entry.operation_id === query.operation_id) &&
+        (!query.session || entry.session === query.session) &&
+        (!query.tool || entry.tool === query.tool) &&
+        (!taskPath || entry.request.path === taskPath || entry.request.path.startsWith(`${taskPath}/`) || entry.response?.id === query.task_id) &&
+        (since === undefined || isNaN(since) || Date.parse(entry.timestamp) >= since)
+      )
+      .reverse()
+      .slice(0, query.limit || DEFAULT_QUERY_LIMIT);
+  }
+
+  /**
+   * Entries of one operation in the order they were written
+   */
+  getOperation(operationId: string): AuditEntry[] {
+    return this.readAll().filter(entry => entry.operation_id === operationId);
+  }
+
+  /**
+   * IDs of operations that have been reverted
+   */
+  getUndoneOperations(): Set<string> {
+    return new Set(this.readAll().filter(entry => entry.undo_of && !entry.error).map(entry => entry.undo_of));
+  }
+}
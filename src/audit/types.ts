@@ -0,0 +1,66 @@
+/**
+ * SPDX-FileCopyrightText: © 2025 Talib Kareem <taazkareem@icloud.com>
+ * SPDX-License-Identifier: MIT
+ *
+ * ClickUp MCP Audit Log Types
+ *
+ * Shared definitions for audit log entries and undo plans.
+ */
+
+/**
+ * A write request as sent to ClickUp
+ */
+export interface AuditRequest {
+  method: string;
+  path: string;
+  params?: Record<string, any>;
+  body?: any;
+}
+
+/**
+ * One mutating request recorded in the audit log
+ */
+export interface AuditEntry {
+  id: string;
+  // Groups the entries of one tool call
+  operation_id: string;
+  timestamp: string;
+  // MCP session ID, or 'stdio'
+  session: string;
+  tool?: string;
+  // Service that made the request: task, list, folder, tag or time
+  service: string;
+  request: AuditRequest;
+  // State of the affected object before the request, when it could be fetched
+  before?: any;
+  response?: any;
+  status?: number;
+  // Set when the request failed
+  error?: string;
+  // Operation reverted by this entry
+  undo_of?: string;
+}
+
+/**
+ * Filters for reading the audit log
+ */
+export interface AuditLogQuery {
+  operation_id?: string;
+  session?: string;
+  tool?: string;
+  // Only entries affecting this task ID
+  task_id?: string;
+  // ISO date or Unix milliseconds
+  since?: string | number;
+  limit?: number;
+}
+
+/**
+ * How to revert one audit entry: the requests to send, or why it cannot be reverted
+ */
+export interface UndoPlan {
+  entry_id: string;
+  description: string;
+  requests?: AuditRequest[];
+  unsupported?: string;
+}
@@ -0,0 +1,309 @@
+/**
+ * SPDX-FileCopyrightText: © 2025 Talib Kareem <taazkareem@icloud.com>
+ * SPDX-License-Identifier: MIT
+ *
+ * ClickUp MCP Audit Log Undo Planning
+ *
+ * Works out which ClickUp requests revert a recorded request, based on the
+ * request and the before-snapshot stored with it:
+ * - Updates restore the previous values of the fields that were sent
+ * - Deleted tasks and time entries are re-created from their snapshot (with a new ID)
+ * - Created tasks and time entries are deleted
+ * - Tags, links and dependencies added to a task are removed, and vice versa
+ *
+ * A task move is recorded as a create in the new list and a delete of the original,
+ * so reverting it re-creates the task in its original list and deletes the copy.
+ */
+
+import { AuditEntry, AuditRequest, UndoPlan } from './types.js';
+
+// Task fields that can be restored and how to read their previous value from a task snapshot
+const TASK_FIELD_RESTORERS: Record<string, (task: any) => any> = {
+  name: task => task.name,
+  description: task => task.description ?? '',
+  markdown_description: task => task.markdown_description ?? task.description ?? '',
+  status: task => task.status?.status ?? task.status,
+  priority: task => task.priority ? Number(task.priority.id ?? task.priority.priority) : null,
+  due_date: task => toTimestamp(task.due_date),
+  due_date_time: task => task.due_date_time ?? false,
+  start_date: task => toTimestamp(task.start_date),
+  start_date_time: task => task.start_date_time ?? false,
+  time_estimate: task => toTimestamp(task.time_estimate),
+  points: task => task.points ?? null,
+  parent: task => task.parent ?? null,
+  archived: task => task.archived ?? false
+};
+
+/**
+ * Convert a ClickUp timestamp or duration (often a numeric string) to a number
+ */
+function toTimestamp(value: any): number | null {
+  if (value === null || value === undefined || value === '') return null;
+  const number = Number(value);
+  return isNaN(number) ? null : number;
+}
+
+/**
+ * Snapshot path to fetch before a write, so it can be reverted later
+ * @param method HTTP method
+ * @param path Request path
+ * @returns Path to GET, or undefined if the write needs no snapshot
+ */
+export function getSnapshotPath(method: string, path: string): string | undefined {
+  const task = path.match(/^\/task\/([^/]+)/);
+  if (task) return `/task/${task[1]}`;
+
+  // Creates need no snapshot; their response identifies the new object
+  if (method === 'POST') return undefined;
+
+  if (/^\/(list|folder)\/[^/]+$/.test(path)) return path;
+
+  const spaceTag = path.match(/^\/space\/([^/]+)\/tag\//);
+  if (spaceTag) return `/space/${spaceTag[1]}/tag`;
+
+  if (/^\/team\/[^/]+\/time_entries\/(?!start$|stop$|current$)[^/]+$/.test(path)) return path;
+
+  return undefined;
+}
+
+/**
+ * Body that restores the previous values of the fields sent in an update
+ * @returns The restore body and the fields that cannot be restored
+ */
+function restoreFields(before: any, body: Record<string, any>, restorers: Record<string, (snapshot: any) => any> = {}): {
+  body: Record<string, any>;
+  skipped: string[];
+} {
+  const restored: Record<string, any> = {};
+  const skipped: string[] = [];
+
+  for (const field of Object.keys(body || {})) {
+    if (restorers[field]) {
+      restored[field] = restorers[field](before);
+      continue;
+    }
+
+    const value = before?.[field];
+    if (value === undefined || (value !== null && typeof value === 'object')) {
+      skipped.push(field);
+    } else {
+      restored[field] = value;
+    }
+  }
+
+  return { body: restored, skipped };
+}
+
+/**
+ * Body that restores task fields, including assignee changes
+ */
+function restoreTaskFields(before: any, body: Record<string, any>): { body: Record<string, any>; skipped: string[] } {
+  const { assignees, ...fields } = body || {};
+  const restored = restoreFields(before, fields, TASK_FIELD_RESTORERS);
+
+  if (assignees && (assignees.add || assignees.rem)) {
+    const previous = new Set((before.assignees || []).map((assignee: any) => String(assignee.id)));
+    restored.body.assignees = {
+      add: (assignees.rem || []).filter((id: any) => previous.has(String(id))),
+      rem: (assignees.add || []).filter((id: any) => !previous.has(String(id)))
+    };
+  }
+
+  return restored;
+}
+
+/**
+ * Body that re-creates a deleted task from its snapshot
+ */
+function recreateTaskBody(task: any): Record<string, any> {
+  const body: Record<string, any> = {
+    name: task.name,
+    markdown_description: task.markdown_description ?? task.description ?? '',
+    status: task.status?.status,
+    priority: task.priority ? Number(task.priority.id) : undefined,
+    due_date: toTimestamp(task.due_date) ?? undefined,
+    due_date_time: task.due_date_time,
+    start_date: toTimestamp(task.start_date) ?? undefined,
+    start_date_time: task.start_date_time,
+    time_estimate: toTimestamp(task.time_estimate) ?? undefined,
+    assignees: (task.assignees || []).map((assignee: any) => assignee.id),
+    tags: (task.tags || []).map((tag: any) => tag.name),
+    parent: task.parent || undefined,
+    points: task.points ?? undefined
+  };
+
+  Object.keys(body).forEach(key => body[key] === undefined && delete body[key]);
+  return body;
+}
+
+/**
+ * Describe a task for undo descriptions
+ */
+function taskLabel(task: any, id: string): string {
+  return task?.name ? `"${task.name}" (${id})` : id;
+}
+
+/**
+ * Plan the requests that revert one audit entry
+ */
+export function planUndo(entry: AuditEntry): UndoPlan {
+  const { method, path, params, body } = entry.request;
+  const before = entry.before;
+  const plan = (description: string, requests: AuditRequest[]): UndoPlan => ({ entry_id: entry.id, description, requests });
+  const unsupported = (reason: string): UndoPlan => ({
+    entry_id: entry.id,
+    description: `${method} ${path}`,
+    unsupported: reason
+  });
+
+  if (entry.error) {
+    return unsupported('The request failed, so there is nothing to revert');
+  }
+
+  let match: RegExpMatchArray | null;
+
+  // Tasks
+  if ((match = path.match(/^\/task\/([^/]+)$/))) {
+    const taskId = match[1];
+    if (!before) return unsupported(`No snapshot of task ${taskId} was recorded`);
+
+    if (method === 'PUT') {
+      const restored = restoreTaskFields(before, body);
+      const skipped = restored.skipped.length > 0 ? ` (cannot restore: ${restored.skipped.join(', ')})` : '';
+      return plan(`Restore previous values of task ${taskLabel(before, taskId)}${skipped}`, [
+        { method: 'PUT', path, params, body: restored.body }
+      ]);
+    }
+    if (method === 'DELETE') {
+      if (!before.list?.id) return unsupported(`The snapshot of task ${taskId} has no list`);
+      return plan(
+        `Re-create deleted task ${taskLabel(before, taskId)} in list ${before.list.name || before.list.id}. It gets a new ID; comments, attachments and custom fields are not restored`,
+        [{ method: 'POST', path: `/list/${before.list.id}/task`, body: recreateTaskBody(before) }]
+      );
+    }
+  }
+
+  if (method === 'POST' && (match = path.match(/^\/list\/([^/]+)\/task$/))) {
+    const createdId = entry.response?.id;
+    if (!createdId) return unsupported('The created task ID was not recorded');
+    return plan(`Delete created task ${taskLabel(entry.response, createdId)}`, [
+      { method: 'DELETE', path: `/task/${createdId}` }
+    ]);
+  }
+
+  // Task tags and links are reverted by the opposite request on the same path
+  if (/^\/task\/[^/]+\/(tag|link)\/[^/]+$/.test(path) && (method === 'POST' || method === 'DELETE')) {
+    const kind = path.includes('/tag/') ? 'tag' : 'link';
+    return plan(`${method === 'POST' ? 'Remove' : 'Restore'} task ${kind}`, [
+      { method: method === 'POST' ? 'DELETE' : 'POST', path, params, body: method === 'DELETE' ? {} : undefined }
+    ]);
+  }
+
+  // Dependencies send the related task in the body when added and as query parameters when removed
+  if (/^\/task\/[^/]+\/dependency$/.test(path)) {
+    if (method === 'POST') {
+      return plan('Remove task dependency', [{ method: 'DELETE', path, params: body }]);
+    }
+    if (method === 'DELETE') {
+      return plan('Restore task dependency', [{ method: 'POST', path, body: params }]);
+    }
+  }
+
+  if (method === 'POST' && (match = path.match(/^\/task\/([^/]+)\/field\/([^/]+)$/))) {
+    const field = (before?.custom_fields || []).find((candidate: any) => candidate.id === match[2]);
+    if (!before) return unsupported(`No snapshot of task ${match[1]} was recorded`);
+    if (field?.value === undefined || field?.value === null) {
+      return plan(`Clear custom field ${field?.name || match[2]}`, [{ method: 'DELETE', path, params }]);
+    }
+    return plan(`Restore custom field ${field.name || match[2]}`, [{ method: 'POST', path, params, body: { value: field.value } }]);
+  }
+
+  // Lists and folders
+  if ((match = path.match(/^\/(list|folder)\/([^/]+)$/))) {
+    const [, type, id] = match;
+    if (method === 'PUT') {
+      if (!before) return unsupported(`No snapshot of ${type} ${id} was recorded`);
+      const restored = restoreFields(before, body, {
+        status: snapshot => snapshot.status?.status ?? null,
+        priority: snapshot => snapshot.priority?.priority ?? null,
+        content: snapshot => snapshot.content ?? ''
+      });
+      const skipped = restored.skipped.length > 0 ? ` (cannot restore: ${restored.skipped.join(', ')})` : '';
+      return plan(`Restore previous values of ${type} ${before.name ? `"${before.name}"` : id}${skipped}`, [
+        { method: 'PUT', path, body: restored.body }
+      ]);
+    }
+    if (method === 'DELETE') {
+      return unsupported(`ClickUp cannot restore a deleted ${type} with its contents through the API; restore it from the ClickUp trash`);
+    }
+  }
+
+  if (method === 'POST' && /^\/(space|folder)\/[^/]+\/(list|folder)$/.test(path)) {
+    return unsupported('Reverting a create would delete everything added to it since; delete it explicitly instead');
+  }
+
+  // Space tags
+  if ((match = path.match(/^\/space\/([^/]+)\/tag(?:\/([^/]+))?$/))) {
+    const spaceId = match[1];
+    const tagName = match[2] ? decodeURIComponent(match[2]) : undefined;
+    const previousTag = tagName ? (before?.tags || []).find((tag: any) => tag.name === tagName) : undefined;
+
+    if (method === 'POST' && body?.tag?.name) {
+      return plan(`Delete created space tag "${body.tag.name}"`, [
+        { method: 'DELETE', path: `/space/${spaceId}/tag/${encodeURIComponent(body.tag.name)}` }
+      ]);
+    }
+    if ((method === 'PUT' || method === 'DELETE') && !previousTag) {
+      return unsupported(`No snapshot of space tag "${tagName}" was recorded`);
+    }
+    const tag = previousTag && { name: previousTag.name, tag_fg: previousTag.tag_fg, tag_bg: previousTag.tag_bg };
+    if (method === 'PUT') {
+      const currentName = body?.tag?.name || tagName;
+      return plan(`Restore space tag "${tagName}"`, [
+        { method: 'PUT', path: `/space/${spaceId}/tag/${encodeURIComponent(currentName)}`, body: { tag } }
+      ]);
+    }
+    if (method === 'DELETE') {
+      return plan(`Re-create deleted space tag "${tagName}"`, [{ method: 'POST', path: `/space/${spaceId}/tag`, body: { tag } }]);
+    }
+  }
+
+  // Time entries
+  if ((match = path.match(/^\/team\/([^/]+)\/time_entries(?:\/([^/]+))?$/))) {
+    const [, teamId, entryId] = match;
+    const previous = before?.data ?? before;
+
+    if (method === 'POST' && !entryId) {
+      const createdId = entry.response?.data?.id ?? entry.response?.id;
+      if (!createdId) return unsupported('The created time entry ID was not recorded');
+      return plan(`Delete created time entry ${createdId}`, [{ method: 'DELETE', path: `/team/${teamId}/time_entries/${createdId}` }]);
+    }
+    if (entryId === 'start' || entryId === 'stop') {
+      return unsupported('Starting or stopping a timer cannot be reverted; adjust the time entry with add_time_entry or delete_time_entry');
+    }
+    if (!previous) return unsupported(`No snapshot of time entry ${entryId} was recorded`);
+
+    if (method === 'PUT') {
+      const restored = restoreFields(previous, body, {
+        tid: snapshot => snapshot.task?.id
+      });
+      return plan(`Restore previous values of time entry ${entryId}`, [{ method: 'PUT', path, body: restored.body }]);
+    }
+    if (method === 'DELETE') {
+      return plan(`Re-create deleted time entry ${entryId} (it gets a new ID)`, [{
+        method: 'POST',
+        path: `/team/${teamId}/time_entries`,
+        body: {
+          tid: previous.task?.id,
+          start: toTimestamp(previous.start),
+          duration: toTimestamp(previous.duration),
+          description: previous.description || undefined,
+          billable: previous.billable,
+          tags: previous.tags?.length ? previous.tags : undefined
+        }
+      }]);
+    }
+  }
+
+  return unsupported(`Reverting ${method} ${path} is not supported`);
+}
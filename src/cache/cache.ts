@@ -0,0 +1,232 @@
+/**
+ * SPDX-FileCopyrightText: © 2025 Talib Kareem <taazkareem@icloud.com>
+ * SPDX-License-Identifier: MIT
+ *
+ * ClickUp MCP Lookup Cache
+ *
+ * Caches workspace structure, members and task lookups with a TTL per entity.
+ * Entries are dropped when the server writes to an object they depend on and
+ * when a webhook event reports a change, so TTLs only bound changes made
+ * outside the server without webhooks.
+ */
+
+import { CacheEntity, CacheEntry, CacheStore } from './types.js';
+import { ClickUpWebhookEvent } from '../webhooks/types.js';
+import { Logger } from '../logger.js';
+
+const logger = new Logger('Cache');
+
+/**
+ * Default TTL of each entity in seconds
+ */
+export const DEFAULT_CACHE_TTLS: Record<CacheEntity, number> = {
+  hierarchy: 3600,
+  spaces: 3600,
+  folders: 3600,
+  lists: 3600,
+  members: 3600,
+  tasks: 300,
+  taskNames: 300,
+  workspaceTasks: 60
+};
+
+// Entities describing the space/folder/list structure
+const STRUCTURE_ENTITIES: CacheEntity[] = ['hierarchy', 'spaces', 'folders', 'lists'];
+
+// Writes that change the space/folder/list structure
+const STRUCTURE_WRITE_PATTERN = /^\/(?:(?:space|folder|list)\/[^/?]+(?:\/(?:folder|list))?|team\/[^/?]+\/space)\/?$/;
+// Writes that create a task
+const TASK_CREATE_PATTERN = /^\/list\/[^/?]+\/task\/?$/;
+// Writes to a task, including adding it to another list
+const TASK_WRITE_PATTERN = /\/task\/([^/?]+)/;
+
+/**
+ * Parse CACHE_TTL overrides such as "hierarchy=600,tasks=0"
+ * @param value Comma-separated entity=seconds pairs
+ * @returns TTLs of all entities in seconds
+ */
+export function parseCacheTtls(value?: string): Record<CacheEntity, number> {
+  const ttls = { ...DEFAULT_CACHE_TTLS };
+
+  for (const pair of (value || '').split(',')) {
+    const [entity, seconds] = pair.split('=').map(part => part.trim());
+    if (!entity) continue;
+
+    if (!(entity in ttls) || seconds === undefined || isNaN(Number(seconds)) || Number(seconds) < 0) {
+      logger.warn(`Ignoring invalid CACHE_TTL entry "${pair.trim()}"`, { entities: Object.keys(ttls) });
+      continue;
+    }
+    ttls[entity as CacheEntity] = Number(seconds);
+  }
+
+  return ttls;
+}
+
+/**
+ * Cache shared by the workspace, list, folder and task services
+ */
+export class ClickUpCache {
+  // Loads in progress, so concurrent misses for the same key make one request
+  private readonly loading = new Map<string, Promise<any>>();
+
+  /**
+   * @param store Storage backend
+   * @param ttls TTL of each entity in seconds; 0 disables caching of the entity
+   */
+  constructor(
+    private readonly store: CacheStore,
+    private readonly ttls: Record<CacheEntity, number> = DEFAULT_CACHE_TTLS
+  ) {}
+
+  /**
+   * Get a cached value
+   * @returns The value, or undefined if it is not cached or has expired
+   */
+  get<T>(entity: CacheEntity, key: string): T | undefined {
+    const storeKey = `${entity}:${key}`;
+    const entry = this.store.get(storeKey);
+    if (!entry) return undefined;
+
+    if (entry.expiresAt <= Date.now()) {
+      this.store.delete(storeKey);
+      return undefined;
+    }
+
+    logger.debug('Cache hit', { entity, key, age: Date.now() - entry.storedAt });
+    return entry.value as T;
+  }
+
+  /**
+   * Cache a value
+   * @param refs Objects the value depends on, e.g. 'task/abc123'
+   * @returns The value
+   */
+  set<T>(entity: CacheEntity, key: string, value: T, refs?: string[]): T {
+    const ttl = this.ttls[entity] * 1000;
+    if (ttl <= 0 || value === undefined) return value;
+
+    const now = Date.now();
+    const entry: CacheEntry = { value, storedAt: now, expiresAt: now + ttl };
+    if (refs?.length) entry.refs = refs;
+    this.store.set(`${entity}:${key}`, entry);
+    return value;
+  }
+
+  /**
+   * Get a cached value, or load and cache it
+   * @param load Fetches the value on a miss
+   * @param refs Objects the loaded value depends on
+   */
+  async getOrLoad<T>(
+    entity: CacheEntity,
+    key: string,
+    load: () => Promise<T>,
+    refs?: (value: T) => string[]
+  ): Promise<T> {
+    const cached = this.get<T>(entity, key);
+    if (cached !== undefined) return cached;
+
+    const storeKey = `${entity}:${key}`;
+    const pending = this.loading.get(storeKey);
+    if (pending) return pending;
+
+    const promise: Promise<T> = load()
+      .then(value => {
+        // Do not cache a value that was invalidated while it was loading
+        if (this.loading.get(storeKey) !== promise) return value;
+        return this.set(entity, key, value, refs?.(value));
+      })
+      .finally(() => {
+        if (this.loading.get(storeKey) === promise) this.loading.delete(storeKey);
+      });
+    this.loading.set(storeKey, promise);
+    return promise;
+  }
+
+  /**
+   * Drop one entry, or all entries of an entity
+   */
+  invalidate(entity: CacheEntity, key?: string): void {
+    if (key !== undefined) {
+      this.store.delete(`${entity}:${key}`);
+      this.loading.delete(`${entity}:${key}`);
+      return;
+    }
+
+    const prefix = `${entity}:`;
+    let dropped = 0;
+    for (const storeKey of this.store.keys()) {
+      if (storeKey.startsWith(prefix)) {
+        this.store.delete(storeKey);
+        dropped++;
+      }
+    }
+    for (const storeKey of [...this.loading.keys()]) {
+      if (storeKey.startsWith(prefix)) this.loading.delete(storeKey);
+    }
+    if (dropped > 0) {
+      logger.debug('Cache entries invalidated', { entity, dropped });
+    }
+  }
+
+  /**
+   * Drop all entries that depend on any of the given objects
+   * @param refs Objects such as 'task/abc123'
+   */
+  invalidateRefs(refs: string[]): void {
+    let dropped = 0;
+    for (const storeKey of this.store.keys()) {
+      const entry = this.store.get(storeKey);
+      if (entry?.refs?.some(ref => refs.includes(ref))) {
+        this.store.delete(storeKey);
+        dropped++;
+      }
+    }
+    if (dropped > 0) {
+      logger.debug('Cache entries invalidated', { refs, dropped });
+    }
+  }
+
+  /**
+   * Drop entries affected by a successful write request of the server
+   * @param method HTTP method
+   * @param path API path, e.g. /task/abc123
+   */
+  invalidateForRequest(method: string, path: string): void {
+    if (method.toUpperCase() === 'GET') return;
+    const apiPath = path.split('?')[0];
+
+    if (TASK_CREATE_PATTERN.test(apiPath)) {
+      // A new task can change which task a name resolves to
+      this.invalidate('taskNames');
+      this.invalidate('workspaceTasks');
+      return;
+    }
+
+    const taskMatch = apiPath.match(TASK_WRITE_PATTERN);
+    if (taskMatch) {
+      this.invalidateRefs([`task/${taskMatch[1]}`]);
+      this.invalidate('workspaceTasks');
+      return;
+    }
+
+    if (STRUCTURE_WRITE_PATTERN.test(apiPath)) {
+      STRUCTURE_ENTITIES.forEach(entity => this.invalidate(entity));
+    }
+  }
+
+  /**
+   * Drop entries affected by a change reported through a webhook
+   */
+  invalidateForEvent(event: ClickUpWebhookEvent): void {
+    if (event.resourceType === 'task') {
+      this.invalidateRefs([`task/${event.taskId}`]);
+      this.invalidate('workspaceTasks');
+      if (event.action === 'created') {
+        this.invalidate('taskNames');
+      }
+    } else if (event.resourceType === 'list' || event.resourceType === 'folder' || event.resourceType === 'space') {
+      STRUCTURE_ENTITIES.forEach(entity => this.invalidate(entity));
+    }
+  }
+}
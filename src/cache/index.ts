@@ -0,0 +1,43 @@
+/**
+ * SPDX-FileCopyrightText: © 2025 Talib Kareem <taazkareem@icloud.com>
+ * SPDX-License-Identifier: MIT
+ *
+ * ClickUp MCP Cache
+ *
+ * Exports the shared lookup cache, kept in memory or in the file configured with
+ * CACHE_FILE (default: ~/.clickup-mcp/cache.json) when CACHE_STORE=file.
+ */
+
+import os from 'os';
+import path from 'path';
+import config from '../config.js';
+import { ClickUpCache, parseCacheTtls } from './cache.js';
+import { FileCacheStore, MemoryCacheStore } from './store.js';
+import { Logger } from '../logger.js';
+
+export * from './cache.js';
+export * from './store.js';
+export * from './types.js';
+
+const logger = new Logger('Cache');
+
+/**
+ * Create the cache from configuration
+ */
+function createCache(): ClickUpCache {
+  const ttls = parseCacheTtls(config.cacheTtl);
+
+  if (config.cacheStore === 'file') {
+    const file = config.cacheFile || path.join(os.homedir(), '.clickup-mcp', 'cache.json');
+    logger.info('Using file cache', { file, ttls });
+    return new ClickUpCache(new FileCacheStore(file), ttls);
+  }
+
+  if (config.cacheStore !== 'memory') {
+    logger.warn(`Unknown CACHE_STORE "${config.cacheStore}", using the in-memory cache`);
+  }
+  return new ClickUpCache(new MemoryCacheStore(), ttls);
+}
+
+// Shared cache for all services
+export const clickUpCache = createCache();
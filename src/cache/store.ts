@@ -0,0 +1,135 @@
+/**
+ * SPDX-FileCopyrightText: © 2025 Talib Kareem <taazkareem@icloud.com>
+ * SPDX-License-Identifier: MIT
+ *
+ * ClickUp MCP Cache Stores
+ *
+ * In-memory store, and a JSON file store that keeps entries across restarts.
+ * The file store holds all entries in memory and writes the file shortly after
+ * changes and on exit.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { CacheEntry, CacheStore } from './types.js';
+import { Logger } from '../logger.js';
+
+const logger = new Logger('CacheStore');
+
+// Delay before changed entries are written to the cache file
+const FILE_WRITE_DELAY_MS = 2000;
+
+/**
+ * Entries kept in process memory
+ */
+export class MemoryCacheStore implements CacheStore {
+  readonly kind: string = 'memory';
+  protected readonly entries = new Map<string, CacheEntry>();
+
+  get(key: string): CacheEntry | undefined {
+    return this.entries.get(key);
+  }
+
+  set(key: string, entry: CacheEntry): void {
+    this.entries.set(key, entry);
+  }
+
+  delete(key: string): void {
+    this.entries.delete(key);
+  }
+
+  keys(): string[] {
+    return [...this.entries.keys()];
+  }
+}
+
+/**
+ * Entries persisted to a JSON file
+ */
+export class FileCacheStore extends MemoryCacheStore {
+  readonly kind = 'file';
+  private writeTimer?: NodeJS.Timeout;
+  private dirty = false;
+
+  /**
+   * @param filePath Cache file; created on the first write
+   */
+  constructor(private readonly filePath: string) {
+    super();
+    this.load();
+    process.on('exit', () => this.flush());
+  }
+
+  set(key: string, entry: CacheEntry): void {
+    super.set(key, entry);
+    this.scheduleWrite();
+  }
+
+  delete(key: string): void {
+    if (!this.entries.has(key)) return;
+    super.delete(key);
+    this.scheduleWrite();
+  }
+
+  /**
+   * Write pending changes to the cache file now
+   */
+  flush(): void {
+    if (this.writeTimer) {
+      clearTimeout(this.writeTimer);
+      this.writeTimer = undefined;
+    }
+    if (!this.dirty) return;
+
+    try {
+      const now = Date.now();
+      const entries: Record<string, CacheEntry> = {};
+      for (const [key, entry] of this.entries) {
+        if (entry.expiresAt > now) entries[key] = entry;
+      }
+
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+      // Write to a temporary file first so a crash never leaves a truncated cache
+      const tempFile = `${this.filePath}.tmp`;
+      fs.writeFileSync(tempFile, JSON.stringify({ version: 1, entries }), 'utf8');
+      fs.renameSync(tempFile, this.filePath);
+      this.dirty = false;
+    } catch (error) {
+      logger.error('Failed to write cache file', { file: this.filePath, error: error.message });
+    }
+  }
+
+  /**
+   * Read unexpired entries from the cache file. A missing or unreadable file starts an empty cache.
+   */
+  private load(): void {
+    if (!fs.existsSync(this.filePath)) return;
+
+    try {
+      const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      const now = Date.now();
+      let loaded = 0;
+      for (const [key, entry] of Object.entries<CacheEntry>(data?.entries || {})) {
+        if (entry && entry.expiresAt > now) {
+          this.entries.set(key, entry);
+          loaded++;
+        }
+      }
+      logger.info('Loaded cache file', { file: this.filePath, entries: loaded });
+    } catch (error) {
+      logger.warn('Ignoring unreadable cache file', { file: this.filePath, error: error.message });
+    }
+  }
+
+  private scheduleWrite(): void {
+    this.dirty = true;
+    if (this.writeTimer) return;
+
+    this.writeTimer = setTimeout(() => {
+      this.writeTimer = undefined;
+      this.flush();
+    }, FILE_WRITE_DELAY_MS);
+    // Pending writes never keep the process alive; the exit handler flushes them
+    this.writeTimer.unref?.();
+  }
+}
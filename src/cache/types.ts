@@ -0,0 +1,44 @@
+/**
+ * SPDX-FileCopyrightText: © 2025 Talib Kareem <taazkareem@icloud.com>
+ * SPDX-License-Identifier: MIT
+ *
+ * ClickUp MCP Cache Types
+ *
+ * Shared definitions for cached lookups and cache stores.
+ */
+
+/**
+ * Kinds of cached data, each with its own TTL
+ */
+export type CacheEntity =
+  | 'hierarchy'       // Workspace tree of spaces, folders and lists
+  | 'spaces'          // Spaces of a workspace
+  | 'folders'         // Folders of a space
+  | 'lists'           // Lists of a space or folder, and list existence checks
+  | 'members'         // Workspace members
+  | 'tasks'           // Tasks validated by ID
+  | 'taskNames'       // Task name to ID lookups
+  | 'workspaceTasks'; // All tasks of a workspace, for global name search
+
+/**
+ * A cached value
+ */
+export interface CacheEntry {
+  value: any;
+  storedAt: number;
+  expiresAt: number;
+  // Objects the value depends on, e.g. 'task/abc123'; changes to them drop the entry
+  refs?: string[];
+}
+
+/**
+ * Storage backend for cache entries
+ */
+export interface CacheStore {
+  // Backend name for logs, e.g. 'memory' or 'file'
+  readonly kind: string;
+  get(key: string): CacheEntry | undefined;
+  set(key: string, entry: CacheEntry): void;
+  delete(key: string): void;
+  keys(): string[];
+}
@@ -0,0 +1,86 @@
+/**
+ * SPDX-FileCopyrightText: © 2025 Talib Kareem <taazkareem@icloud.com>
+ * SPDX-License-Identifier: MIT
+ *
+ * ClickUp Calendar Feed Endpoint
+ *
+ * Serves the feeds of CALENDAR_FEEDS_FILE at /calendar/{feedId}.ics?token=...
+ * for the HTTP server (Express). An invalid feed file, or one without
+ * CALENDAR_FEED_SECRET, stops the server rather than serving unsigned feeds.
+ */
+
+import { Request, Response } from 'express';
+import configuration from '../config.js';
+import { clickUpServices } from '../services/shared.js';
+import { CalendarFeedService, loadCalendarFeedFile } from './feeds.js';
+import { Logger } from '../logger.js';
+
+const logger = new Logger('CalendarFeedEndpoint');
+
+// Shared feed service (keeps rendered feeds cached across requests)
+let feedService: CalendarFeedService | null = null;
+
+/**
+ * Get the shared calendar feed service
+ * @returns The service, or null if no feed file is configured
+ * @throws Error if the feed file is invalid or CALENDAR_FEED_SECRET is missing
+ */
+export function getCalendarFeedService(): CalendarFeedService | null {
+  if (!configuration.calendarFeedsFile) {
+    return null;
+  }
+
+  if (!feedService) {
+    if (!configuration.calendarFeedSecret) {
+      throw new Error('CALENDAR_FEED_SECRET is required to sign the feeds of CALENDAR_FEEDS_FILE');
+    }
+
+    const document = loadCalendarFeedFile(configuration.calendarFeedsFile);
+    feedService = new CalendarFeedService(
+      document,
+      configuration.calendarFeedSecret,
+      configuration.calendarFeedCacheTtlMs,
+      clickUpServices
+    );
+    logger.info('Loaded calendar feeds', { file: configuration.calendarFeedsFile, feeds: document.feeds.length });
+  }
+  return feedService;
+}
+
+/**
+ * Express handler for calendar feed requests, mounted at /calendar/:feedId.ics.
+ * Unknown feeds and invalid tokens both get a 404, so feed IDs cannot be probed.
+ */
+export function createCalendarFeedHandler() {
+  const service = getCalendarFeedService();
+
+  return async (req: Request, res: Response): Promise<void> => {
+    const feedId = req.params.feedId;
+    const token = typeof req.query.token === 'string' ? req.query.token : undefined;
+
+    if (!service || !service.verify(feedId, token)) {
+      logger.warn('Calendar feed request rejected', { feedId });
+      res.status(404).send('Calendar feed not found');
+      return;
+    }
+
+    try {
+      const feed = await service.render(feedId);
+      const maxAge = Math.max(0, Math.floor((feed.expiresAt - Date.now()) / 1000));
+
+      res.setHeader('Cache-Control', `private, max-age=${maxAge}`);
+      res.setHeader('ETag', feed.etag);
+      if (req.headers['if-none-match'] === feed.etag) {
+        res.status(304).end();
+        return;
+      }
+
+      res.setHeader('Content-Type', 'text/calendar; charset=utf-8');
+      res.setHeader('Content-Disposition', `inline; filename="${feedId}.ics"`);
+      res.send(feed.body);
+    } catch (error) {
+      logger.error('Error rendering calendar feed', { feedId, error: error.message });
+      res.status(502).send('Calendar feed is temporarily unavailable');
+    }
+  };
+}
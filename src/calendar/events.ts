@@ -0,0 +1,77 @@
+/**
+ * SPDX-FileCopyrightText: © 2025 Talib Kareem <taazkareem@icloud.com>
+ * SPDX-License-Identifier: MIT
+ *
+ * ClickUp Calendar Events
+ *
+ * Converts tasks and time entries to calendar events. Event UIDs are derived
+ * from ClickUp IDs, so calendar applications update existing events when a
+ * feed or export is loaded again.
+ */
+
+import { ClickUpTask } from '../services/clickup/types.js';
+import { ClickUpTimeEntry } from '../services/clickup/time.js';
+import { CalendarEvent } from '../utils/ical-utils.js';
+import { formatDuration } from '../tools/task/time-tracking.js';
+
+/**
+ * Parse a ClickUp time, given as a millisecond timestamp string or an ISO date
+ */
+function parseTime(value: string | number | null | undefined): number | undefined {
+  if (value === null || value === undefined || value === '') return undefined;
+  const timestamp = Number(value);
+  if (!isNaN(timestamp)) return timestamp || undefined;
+  const parsed = Date.parse(String(value));
+  return isNaN(parsed) ? undefined : parsed;
+}
+
+/**
+ * Event of a task: from its start date to its due date, or at whichever of the two is set
+ * @param task Task with a due or start date
+ * @param description Event description
+ * @returns The event, or undefined if the task has neither date
+ */
+export function taskToCalendarEvent(task: ClickUpTask, description?: string): CalendarEvent | undefined {
+  const due = parseTime(task.due_date);
+  const start = parseTime(task.start_date);
+  if (!due && !start) return undefined;
+
+  return {
+    uid: `${task.id}@app.clickup.com`,
+    start: start && (!due || start < due) ? start : due,
+    end: due || start,
+    summary: task.name,
+    description,
+    url: task.url,
+    categories: (task.tags || []).map(tag => tag.name),
+    lastModified: parseTime(task.date_updated)
+  };
+}
+
+/**
+ * Event of a logged time entry
+ * @param entry Time entry
+ * @returns The event, or undefined while the timer of the entry is running
+ */
+export function timeEntryToCalendarEvent(entry: ClickUpTimeEntry): CalendarEvent | undefined {
+  const start = parseTime(entry.start);
+  const end = parseTime(entry.end);
+  if (!start || !end) return undefined;
+
+  const duration = Number(entry.duration) > 0 ? Number(entry.duration) : end - start;
+  const tags = ((entry.tags || []) as any[]).map(tag => typeof tag === 'string' ? tag : tag?.name).filter(Boolean);
+
+  return {
+    uid: `time-${entry.id}@app.clickup.com`,
+    start,
+    end,
+    summary: `${entry.task?.name || 'Time entry'} (${formatDuration(duration)})`,
+    description: [
+      entry.user && `Tracked by: ${entry.user.email || entry.user.username}`,
+      entry.description
+    ].filter(Boolean).join('\n'),
+    url: entry.task?.id ? `https://app.clickup.com/t/${entry.task.id}` : undefined,
+    categories: tags,
+    lastModified: parseTime(entry.at)
+  };
+}
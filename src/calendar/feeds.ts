@@ -0,0 +1,280 @@
+/**
+ * SPDX-FileCopyrightText: © 2025 Talib Kareem <taazkareem@icloud.com>
+ * SPDX-License-Identifier: MIT
+ *
+ * ClickUp Calendar Feeds
+ *
+ * Renders the feeds defined in the file configured with CALENDAR_FEEDS_FILE:
+ *
+ * {
+ *   "feeds": [
+ *     { "id": "alice-deadlines", "name": "Alice's deadlines", "assignees": ["alice@example.com"], "time_entries": true },
+ *     { "id": "release", "lists": ["Sprint Backlog"], "tags": ["release"], "include_closed": true }
+ *   ]
+ * }
+ *
+ * Each feed is addressed by its ID and a token signed with CALENDAR_FEED_SECRET.
+ * Rendered feeds are cached, so calendar applications polling a feed do not
+ * each cost ClickUp requests; feeds are refreshed at bulk request priority.
+ */
+
+import fs from 'fs';
+import { createHash, createHmac, timingSafeEqual } from 'crypto';
+import { CalendarFeed, CalendarFeedDocument, RenderedCalendarFeed } from './types.js';
+import { taskToCalendarEvent, timeEntryToCalendarEvent } from './events.js';
+import { ClickUpTask } from '../services/clickup/types.js';
+import { TaskService } from '../services/clickup/task/index.js';
+import { TimeTrackingService } from '../services/clickup/time.js';
+import { WorkspaceService } from '../services/clickup/workspace.js';
+import { withRequestPriority } from '../services/clickup/rate-limiter.js';
+import { CalendarEvent, formatCalendar } from '../utils/ical-utils.js';
+import { getWorkspaceTaskSource, resolveAssignees } from '../tools/task/handlers.js';
+import { findListIDByName } from '../tools/list.js';
+import { Logger } from '../logger.js';
+
+const logger = new Logger('CalendarFeeds');
+
+const FEED_ID_PATTERN = /^[A-Za-z0-9_-]+$/;
+
+const FILTER_KEYS = ['assignees', 'lists', 'tags'];
+
+// Tasks rendered into one feed
+const MAX_FEED_TASKS = 2000;
+
+// Time entries are added for this many days back
+const TIME_ENTRY_DAYS = 90;
+
+/**
+ * Validate a parsed calendar feed file
+ * @throws Error describing the first problem found
+ */
+export function parseCalendarFeeds(data: any): CalendarFeedDocument {
+  if (!data || typeof data !== 'object' || !Array.isArray(data.feeds)) {
+    throw new Error('calendar feed file must contain an object with a "feeds" array');
+  }
+
+  const ids = new Set<string>();
+  data.feeds.forEach((feed: any, index: number) => {
+    if (!feed || typeof feed.id !== 'string' || !FEED_ID_PATTERN.test(feed.id)) {
+      throw new Error(`feeds[${index}] needs an id of letters, digits, '-' and '_'`);
+    }
+    if (ids.has(feed.id)) {
+      throw new Error(`duplicate feed id "${feed.id}"`);
+    }
+    ids.add(feed.id);
+
+    for (const key of FILTER_KEYS) {
+      if (feed[key] !== undefined && (!Array.isArray(feed[key]) || feed[key].some((value: any) => typeof value !== 'string'))) {
+        throw new Error(`feed "${feed.id}": ${key} must be an array of strings`);
+      }
+    }
+    if (!FILTER_KEYS.some(key => feed[key]?.length > 0)) {
+      throw new Error(`feed "${feed.id}": set at least one of ${FILTER_KEYS.join(', ')}`);
+    }
+    for (const key of ['include_closed', 'subtasks', 'time_entries']) {
+      if (feed[key] !== undefined && typeof feed[key] !== 'boolean') {
+        throw new Error(`feed "${feed.id}": ${key} must be true or false`);
+      }
+    }
+  });
+
+  return { feeds: data.feeds };
+}
+
+/**
+ * Load and validate a calendar feed file
+ * @throws Error if the file cannot be read or is invalid
+ */
+export function loadCalendarFeedFile(filePath: string): CalendarFeedDocument {
+  let data: any;
+  try {
+    data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Could not read calendar feed file ${filePath}: ${error.message}`);
+  }
+
+  try {
+    return parseCalendarFeeds(data);
+  } catch (error) {
+    throw new Error(`Invalid calendar feed file ${filePath}: ${error.message}`);
+  }
+}
+
+/**
+ * Token of a feed: HMAC-SHA256 of the feed ID, base64url-encoded
+ */
+export function signCalendarFeed(secret: string, feedId: string): string {
+  return createHmac('sha256', secret).update(feedId).digest('base64url');
+}
+
+/**
+ * Renders and caches calendar feeds
+ */
+export class CalendarFeedService {
+  private readonly feeds = new Map<string, CalendarFeed>();
+  private readonly cache = new Map<string, RenderedCalendarFeed>();
+  // Renders in progress, shared by concurrent requests of a feed
+  private readonly pending = new Map<string, Promise<RenderedCalendarFeed>>();
+
+  /**
+   * @param document Feed definitions
+   * @param secret Key the feed tokens are signed with
+   * @param cacheTtlMs How long a rendered feed is served before it is rendered again
+   */
+  constructor(
+    document: CalendarFeedDocument,
+    private readonly secret: string,
+    private readonly cacheTtlMs: number,
+    private readonly services: { task: TaskService; timeTracking: TimeTrackingService; workspace: WorkspaceService }
+  ) {
+    for (const feed of document.feeds) {
+      this.feeds.set(feed.id, feed);
+    }
+  }
+
+  /**
+   * IDs and tokens of all feeds
+   */
+  list(): { id: string; name: string; token: string }[] {
+    return [...this.feeds.values()].map(feed => ({
+      id: feed.id,
+      name: feed.name || feed.id,
+      token: signCalendarFeed(this.secret, feed.id)
+    }));
+  }
+
+  /**
+   * Whether a token was signed for the feed
+   */
+  verify(feedId: string, token: string | undefined): boolean {
+    if (!this.feeds.has(feedId) || typeof token !== 'string') return false;
+    const expected = Buffer.from(signCalendarFeed(this.secret, feedId));
+    const actual = Buffer.from(token);
+    return actual.length === expected.length && timingSafeEqual(actual, expected);
+  }
+
+  /**
+   * Rendered feed, from the cache while it is fresh. When rendering fails the
+   * last rendered feed is served again for another cache period.
+   * @throws Error if the feed does not exist or has never rendered
+   */
+  async render(feedId: string): Promise<RenderedCalendarFeed> {
+    const feed = this.feeds.get(feedId);
+    if (!feed) {
+      throw new Error(`Calendar feed ${feedId} not found`);
+    }
+
+    const cached = this.cache.get(feedId);
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached;
+    }
+
+    let pending = this.pending.get(feedId);
+    if (!pending) {
+      pending = this.build(feed)
+        .then(body => this.store(feedId, body))
+        .catch(error => {
+          if (!cached) throw error;
+          logger.warn('Serving the previous calendar feed after a failed refresh', { feed: feedId, error: error.message });
+          return this.store(feedId, cached.body, cached.etag);
+        })
+        .finally(() => this.pending.delete(feedId));
+      this.pending.set(feedId, pending);
+    }
+    return pending;
+  }
+
+  private store(feedId: string, body: string, etag?: string): RenderedCalendarFeed {
+    const rendered = {
+      body,
+      etag: etag || `"${createHash('sha1').update(body).digest('base64url')}"`,
+      expiresAt: Date.now() + this.cacheTtlMs
+    };
+    this.cache.set(feedId, rendered);
+    return rendered;
+  }
+
+  private async build(feed: CalendarFeed): Promise<string> {
+    const startedAt = Date.now();
+    const { tasks, assignees } = await withRequestPriority('bulk', () => this.fetchTasks(feed));
+
+    const events: CalendarEvent[] = [];
+    for (const task of tasks) {
+      const description = [
+        task.status?.status && `Status: ${task.status.status}`,
+        task.priority?.priority && `Priority: ${task.priority.priority}`,
+        task.assignees?.length && `Assignees: ${task.assignees.map(user => user.email || user.username).join(', ')}`,
+        task.list?.name && `List: ${task.list.name}`
+      ].filter(Boolean).join('\n');
+      const event = taskToCalendarEvent(task, description);
+      if (event) events.push(event);
+    }
+
+    if (feed.time_entries) {
+      const taskIds = new Set(tasks.map(task => task.id));
+      const now = Date.now();
+      const result = await withRequestPriority('bulk', () =>
+        this.services.timeTracking.getWorkspaceTimeEntries(now - TIME_ENTRY_DAYS * 24 * 60 * 60 * 1000, now, assignees)
+      );
+      if (!result.success) {
+        throw new Error(`Failed to get time entries: ${result.error?.message}`);
+      }
+      for (const entry of result.data || []) {
+        if (!taskIds.has(entry.task?.id)) continue;
+        const event = timeEntryToCalendarEvent(entry);
+        if (event) events.push(event);
+      }
+    }
+
+    logger.info(`Rendered calendar feed ${feed.id}`, { tasks: tasks.length, events: events.length, ms: Date.now() - startedAt });
+    return formatCalendar(feed.name || feed.id, events);
+  }
+
+  /**
+   * Tasks matching the filter of a feed, up to MAX_FEED_TASKS
+   */
+  private async fetchTasks(feed: CalendarFeed): Promise<{ tasks: ClickUpTask[]; assignees?: number[] }> {
+    const assignees = feed.assignees?.length ? await this.resolveAssignees(feed.assignees) : undefined;
+    const listIds = feed.lists?.length ? await Promise.all(feed.lists.map(list => this.resolveList(list))) : undefined;
+
+    const source = await getWorkspaceTaskSource(this.services.task, {
+      assignees,
+      list_ids: listIds,
+      tags: feed.tags?.length ? feed.tags : undefined,
+      include_closed: feed.include_closed,
+      subtasks: feed.subtasks
+    });
+
+    const tasks = new Map<string, ClickUpTask>();
+    for (let position: number | undefined = source.start; position !== undefined;) {
+      const { items, next } = await source.fetch(position);
+      for (const task of items) {
+        if (tasks.size >= MAX_FEED_TASKS) {
+          logger.warn(`Calendar feed ${feed.id} is limited to ${MAX_FEED_TASKS} tasks`);
+          return { tasks: [...tasks.values()], assignees };
+        }
+        tasks.set(task.id, task);
+      }
+      position = next;
+    }
+
+    return { tasks: [...tasks.values()], assignees };
+  }
+
+  private async resolveAssignees(values: string[]): Promise<number[]> {
+    return Promise.all(values.map(async value => {
+      const [userId] = await resolveAssignees([value]);
+      if (userId === undefined) {
+        throw new Error(`Assignee "${value}" not found`);
+      }
+      return userId;
+    }));
+  }
+
+  private async resolveList(value: string): Promise<string> {
+    const id = (await findListIDByName(this.services.workspace, value))?.id;
+    if (id) return id;
+    if (/^\d+$/.test(value)) return value;
+    throw new Error(`List "${value}" not found`);
+  }
+}
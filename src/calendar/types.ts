@@ -0,0 +1,45 @@
+/**
+ * SPDX-FileCopyrightText: © 2025 Talib Kareem <taazkareem@icloud.com>
+ * SPDX-License-Identifier: MIT
+ *
+ * ClickUp MCP Calendar Feed Types
+ *
+ * Shared definitions for the calendar feed file and rendered feeds.
+ */
+
+/**
+ * A calendar feed: a saved task filter published at /calendar/{id}.ics.
+ * Tasks must match every filter that is set.
+ */
+export interface CalendarFeed {
+  // Letters, digits, '-' and '_'
+  id: string;
+  // Calendar name shown by calendar applications; defaults to the ID
+  name?: string;
+  // User IDs, emails or usernames
+  assignees?: string[];
+  // List names or IDs
+  lists?: string[];
+  tags?: string[];
+  include_closed?: boolean;
+  subtasks?: boolean;
+  // Add the time entries logged on the feed's tasks
+  time_entries?: boolean;
+}
+
+/**
+ * Contents of the calendar feed file
+ */
+export interface CalendarFeedDocument {
+  feeds: CalendarFeed[];
+}
+
+/**
+ * A rendered feed as served to calendar applications
+ */
+export interface RenderedCalendarFeed {
+  body: string;
+  etag: string;
+  // Rendered feeds are served from the cache until this time
+  expiresAt: number;
+}
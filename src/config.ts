@@ -20,6 +20,55 @@
  * - ENABLE_SSE: Enable Server-Sent Events transport (default: false)
  * - SSE_PORT: Port for SSE server (default: 3000)
  * - ENABLE_STDIO: Enable STDIO transport (default: true)
+ *
+ * Webhook receiver options:
+ * - CLICKUP_WEBHOOK_SECRET: Fallback signing secret when a webhook's secret cannot be looked up
+ * - WEBHOOK_REPLAY_WINDOW_MS: Maximum event age and duplicate detection window (default: 300000)
+ *
+ * Resource subscription options:
+ * - RESOURCE_POLL_INTERVAL_MS: Polling interval for subscribed resources when webhooks are not delivering events (default: 60000, 0 disables polling)
+ *
+ * Prompt options:
+ * - PROMPT_TEMPLATES_DIR: Directory of custom prompt templates (*.json) added to the built-in prompts
+ *
+ * Dry-run options:
+ * - DRY_RUN: Run every mutating tool in dry-run mode; planned writes are reported but not sent (default: false)
+ *
+ * Access policy options:
+ * - POLICY_FILE: JSON file with allow and deny rules scoped by tool, action, space, folder and list
+ *
+ * Audit log options:
+ * - ENABLE_AUDIT_LOG: Record mutating requests of the task, list, folder, tag and time services (default: true)
+ * - AUDIT_LOG_FILE: Append-only audit log file (default: ~/.clickup-mcp/audit-log.jsonl)
+ *
+ * Delete confirmation options:
+ * - CONFIRM_DESTRUCTIVE_OPERATIONS: Ask for confirmation before delete tools run (default: true)
+ * - CONFIRMATION_TOKEN_TTL_MS: Lifetime of confirmation tokens for clients without elicitation support (default: 120000)
+ *
+ * ClickUp API rate limit options:
+ * - CLICKUP_RATE_LIMIT: Requests per minute per API token until ClickUp reports the limit in response headers (default: 100)
+ *
+ * Cache options:
+ * - CACHE_STORE: Where hierarchy, member and task lookups are cached: memory or file (default: memory)
+ * - CACHE_FILE: Cache file for CACHE_STORE=file (default: ~/.clickup-mcp/cache.json)
+ * - CACHE_TTL: Per-entity TTL overrides in seconds, e.g. "hierarchy=600,tasks=0" (0 disables caching of an entity)
+ *
+ * Full-text search options:
+ * - SEARCH_INDEX_FILE: Full-text index of task names, descriptions, comments and custom fields (default: ~/.clickup-mcp/search-index.json)
+ * - SEARCH_INDEX_POLL_INTERVAL_MS: Background refresh interval of the index when webhooks are not delivering events (default: 300000, 0 disables polling)
+ *
+ * Background job options:
+ * - JOBS_DIR: Directory where background jobs keep their input and progress (default: ~/.clickup-mcp/jobs)
+ *
+ * Task import and export options:
+ * - IMPORT_DIR: Directory import_tasks reads files from; files outside it are never read (default: ~/.clickup-mcp/imports)
+ * - EXPORT_DIR: Directory export_tasks writes files to; files outside it are never written (default: ~/.clickup-mcp/exports)
+ *
+ * Calendar feed options (HTTP server):
+ * - CALENDAR_FEEDS_FILE: JSON file of calendar feeds, each a saved task filter served at /calendar/{feedId}.ics
+ * - CALENDAR_FEED_SECRET: Secret the feed URL tokens are signed with (required with CALENDAR_FEEDS_FILE)
+ * - CALENDAR_FEED_CACHE_TTL_MS: How long a rendered feed is served before it is refreshed from ClickUp (default: 300000)
+ * - CALENDAR_FEED_LOG_URLS: Log the signed URL of each feed at startup; the tokens grant access to the feeds (default: false)
  */
 
 // Parse any command line environment arguments
@@ -38,6 +87,17 @@ for (let i = 0; i < args.length; i++) {
     if (key === 'SSE_PORT') envArgs.ssePort = value;
     if (key === 'ENABLE_STDIO') envArgs.enableStdio = value;
     if (key === 'PORT') envArgs.port = value;
+    if (key === 'DRY_RUN') envArgs.dryRun = value;
+    if (key === 'POLICY_FILE') envArgs.policyFile = value;
+    if (key === 'CONFIRM_DESTRUCTIVE_OPERATIONS') envArgs.confirmDestructiveOperations = value;
+    if (key === 'CACHE_STORE') envArgs.cacheStore = value;
+    if (key === 'CACHE_FILE') envArgs.cacheFile = value;
+    if (key === 'SEARCH_INDEX_FILE') envArgs.searchIndexFile = value;
+    if (key === 'JOBS_DIR') envArgs.jobsDir = value;
+    if (key === 'IMPORT_DIR') envArgs.importDir = value;
+    if (key === 'EXPORT_DIR') envArgs.exportDir = value;
+    if (key === 'CALENDAR_FEEDS_FILE') envArgs.calendarFeedsFile = value;
+    if (key === 'CALENDAR_FEED_LOG_URLS') envArgs.calendarFeedLogUrls = value;
     i++;
   }
 }
@@ -95,6 +155,42 @@ interface Config {
   sslKeyPath?: string;
   sslCertPath?: string;
   sslCaPath?: string;
+  // Webhook receiver configuration
+  webhookSecret?: string;
+  webhookReplayWindowMs: number;
+  // Resource subscription configuration
+  resourcePollIntervalMs: number;
+  // Prompt configuration
+  promptTemplatesDir?: string;
+  // Dry-run configuration
+  dryRun: boolean;
+  // Access policy configuration
+  policyFile?: string;
+  // Audit log configuration
+  enableAuditLog: boolean;
+  auditLogFile?: string;
+  // Delete confirmation configuration
+  confirmDestructiveOperations: boolean;
+  confirmationTokenTtlMs: number;
+  // ClickUp API rate limit configuration
+  clickupRateLimit: number;
+  // Cache configuration
+  cacheStore: string;
+  cacheFile?: string;
+  cacheTtl?: string;
+  // Full-text search configuration
+  searchIndexFile?: string;
+  searchIndexPollIntervalMs: number;
+  // Background job configuration
+  jobsDir?: string;
+  // Task import and export configuration
+  importDir?: string;
+  exportDir?: string;
+  // Calendar feed configuration
+  calendarFeedsFile?: string;
+  calendarFeedSecret?: string;
+  calendarFeedCacheTtlMs: number;
+  calendarFeedLogUrls: boolean;
 }
 
 // Parse boolean string
@@ -157,6 +253,42 @@ const configuration: Config = {
   sslKeyPath: process.env.SSL_KEY_PATH,
   sslCertPath: process.env.SSL_CERT_PATH,
   sslCaPath: process.env.SSL_CA_PATH,
+  // Webhook receiver configuration
+  webhookSecret: process.env.CLICKUP_WEBHOOK_SECRET,
+  webhookReplayWindowMs: parseInteger(process.env.WEBHOOK_REPLAY_WINDOW_MS, 300000),
+  // Resource subscription configuration
+  resourcePollIntervalMs: parseInteger(process.env.RESOURCE_POLL_INTERVAL_MS, 60000),
+  // Prompt configuration
+  promptTemplatesDir: process.env.PROMPT_TEMPLATES_DIR,
+  // Dry-run configuration
+  dryRun: parseBoolean(envArgs.dryRun || process.env.DRY_RUN, false),
+  // Access policy configuration
+  policyFile: envArgs.policyFile || process.env.POLICY_FILE,
+  // Audit log configuration
+  enableAuditLog: parseBoolean(process.env.ENABLE_AUDIT_LOG, true),
+  auditLogFile: process.env.AUDIT_LOG_FILE,
+  // Delete confirmation configuration
+  confirmDestructiveOperations: parseBoolean(envArgs.confirmDestructiveOperations || process.env.CONFIRM_DESTRUCTIVE_OPERATIONS, true),
+  confirmationTokenTtlMs: parseInteger(process.env.CONFIRMATION_TOKEN_TTL_MS, 120000),
+  // ClickUp API rate limit configuration
+  clickupRateLimit: parseInteger(process.env.CLICKUP_RATE_LIMIT, 100),
+  // Cache configuration
+  cacheStore: (envArgs.cacheStore || process.env.CACHE_STORE || 'memory').toLowerCase(),
+  cacheFile: envArgs.cacheFile || process.env.CACHE_FILE,
+  cacheTtl: process.env.CACHE_TTL,
+  // Full-text search configuration
+  searchIndexFile: envArgs.searchIndexFile || process.env.SEARCH_INDEX_FILE,
+  searchIndexPollIntervalMs: parseInteger(process.env.SEARCH_INDEX_POLL_INTERVAL_MS, 300000),
+  // Background job configuration
+  jobsDir: envArgs.jobsDir || process.env.JOBS_DIR,
+  // Task import and export configuration
+  importDir: envArgs.importDir || process.env.IMPORT_DIR,
+  exportDir: envArgs.exportDir || process.env.EXPORT_DIR,
+  // Calendar feed configuration
+  calendarFeedsFile: envArgs.calendarFeedsFile || process.env.CALENDAR_FEEDS_FILE,
+  calendarFeedSecret: process.env.CALENDAR_FEED_SECRET,
+  calendarFeedCacheTtlMs: parseInteger(process.env.CALENDAR_FEED_CACHE_TTL_MS, 300000),
+  calendarFeedLogUrls: parseBoolean(envArgs.calendarFeedLogUrls || process.env.CALENDAR_FEED_LOG_URLS, false),
 };
 
 // Don't log to console as it interferes with JSON-RPC communication
@@ -32,6 +32,7 @@ import config from './config.js';
 import { dirname } from 'path';
 import { fileURLToPath } from 'url';
 import { startSSEServer } from './sse_server.js';
+import { jobManager } from './jobs/index.js';
 
 // Get directory name for module paths
 const __dirname = dirname(fileURLToPath(import.meta.url));
@@ -83,6 +84,9 @@ async function main() {
       // Start the traditional STDIO server
       await startStdioServer();
     }
+
+    // Continue background jobs interrupted by a restart
+    jobManager.resume();
   } catch (err) {
     error('Error during server startup', {
       message: err.message,
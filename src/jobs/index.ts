@@ -0,0 +1,48 @@
+/**
+ * SPDX-FileCopyrightText: © 2025 Talib Kareem <taazkareem@icloud.com>
+ * SPDX-License-Identifier: MIT
+ *
+ * ClickUp MCP Background Jobs
+ *
+ * Exports the shared job manager for the directory configured with JOBS_DIR
+ * (default: ~/.clickup-mcp/jobs). Jobs perform bulk task operations through
+ * the bulk service.
+ */
+
+import os from 'os';
+import path from 'path';
+import config from '../config.js';
+import { JobManager } from './job-manager.js';
+import { Job } from './types.js';
+import { BulkService } from '../services/clickup/bulk.js';
+import { taskService } from '../services/shared.js';
+import { BatchProcessingOptions } from '../utils/concurrency-utils.js';
+
+export * from './job-manager.js';
+export * from './types.js';
+
+const bulkService = new BulkService(taskService);
+
+/**
+ * Perform the bulk operation of a job on the given items
+ */
+function runBulkJob(job: Job, items: any[], options: BatchProcessingOptions) {
+  switch (job.operation) {
+    case 'create':
+      return bulkService.createTasks(job.list_id, items, options);
+    case 'update':
+      return bulkService.updateTasks(items, options);
+    case 'move':
+      return bulkService.moveTasks(items, job.list_id, options);
+    case 'delete':
+      return bulkService.deleteTasks(items, options);
+    default:
+      throw new Error(`Unknown job operation: ${job.operation}`);
+  }
+}
+
+// Shared job manager; stored jobs are resumed at startup
+export const jobManager = new JobManager(
+  config.jobsDir || path.join(os.homedir(), '.clickup-mcp', 'jobs'),
+  runBulkJob
+);
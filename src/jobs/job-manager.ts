@@ -0,0 +1,425 @@
+/**
+ * SPDX-FileCopyrightText: © 2025 Talib Kareem <taazkareem@icloud.com>
+ * SPDX-License-Identifier: MIT
+ *
+ * Background Job Manager
+ *
+ * Runs bulk operations in the background, one job at a time. Each job is kept
+ * in its own file together with an append-only log of item outcomes, so a job
+ * interrupted by a restart continues with the items that had not completed.
+ * Items are marked in the log before they are processed; a create that was in
+ * flight at the restart may have completed remotely, so it is reported as
+ * failed instead of creating the task a second time.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { randomUUID } from 'crypto';
+import { BatchProcessingOptions } from '../utils/concurrency-utils.js';
+import { runWithToolContext } from '../utils/tool-context.js';
+import { Job, JobItemOutcome, JobItemStart, JobOperation, JobOptions, JobRunner, JobStatus } from './types.js';
+import { Logger } from '../logger.js';
+
+const logger = new Logger('JobManager');
+
+// Finished jobs kept on disk; older ones are deleted when the jobs are loaded
+const MAX_FINISHED_JOBS = 100;
+
+const FINISHED_STATUSES: JobStatus[] = ['completed', 'failed', 'cancelled'];
+
+// Operations that must not be sent again when it is unknown whether they completed
+const UNREPEATABLE_OPERATIONS: JobOperation[] = ['create'];
+
+/**
+ * Status of a job as returned by the job tools
+ */
+export interface JobSummary {
+  job_id: string;
+  tool: string;
+  status: JobStatus;
+  count: number;
+  processed: number;
+  success_count: number;
+  failure_count: number;
+  created_at: string;
+  started_at?: string;
+  finished_at?: string;
+  error?: string;
+}
+
+interface JobState {
+  job: Job;
+  outcomes: Map<number, JobItemOutcome>;
+  // Items marked as started, including those with an outcome
+  started: Set<number>;
+  // Aborts the job while it runs
+  controller?: AbortController;
+  // Settles when the current run ends
+  done?: Promise<void>;
+}
+
+/**
+ * Keep only the batch processing settings that can be stored with a job
+ */
+export function toJobOptions(options: BatchProcessingOptions = {}): JobOptions {
+  const { batchSize, concurrency, continueOnError, retryCount, retryDelay, exponentialBackoff } = options;
+  return { batchSize, concurrency, continueOnError, retryCount, retryDelay, exponentialBackoff };
+}
+
+/**
+ * Queues, runs and persists background jobs
+ */
+export class JobManager {
+  private readonly jobs = new Map<string, JobState>();
+  private readonly queue: string[] = [];
+  private running = false;
+  private loaded = false;
+  private directoryReady = false;
+
+  /**
+   * @param directory Directory of the job files
+   * @param runner Performs the operation of a job
+   */
+  constructor(private readonly directory: string, private readonly runner: JobRunner) {}
+
+  /**
+   * Load stored jobs and continue the ones that had not finished
+   */
+  resume(): void {
+    this.load();
+    this.runNext();
+  }
+
+  /**
+   * Queue a job
+   * @param input Operation and resolved items of the job
+   * @returns Status of the queued job
+   */
+  submit(input: {
+    tool: string;
+    operation: JobOperation;
+    session: string;
+    list_id?: string;
+    items: any[];
+    options: JobOptions;
+  }): JobSummary {
+    this.load();
+
+    const job: Job = { id: randomUUID(), status: 'queued', created_at: new Date().toISOString(), ...input };
+    const state: JobState = { job, outcomes: new Map(), started: new Set() };
+    this.jobs.set(job.id, state);
+    this.save(job);
+    this.queue.push(job.id);
+
+    logger.info(`Queued job ${job.id}`, { tool: job.tool, items: job.items.length });
+    this.runNext();
+    return this.summarize(state);
+  }
+
+  /**
+   * Status of a job, or undefined if there is no such job
+   */
+  get(id: string): JobSummary | undefined {
+    this.load();
+    const state = this.jobs.get(id);
+    return state ? this.summarize(state) : undefined;
+  }
+
+  /**
+   * Jobs newest first
+   * @param status Only jobs with this status
+   */
+  list(status?: JobStatus): JobSummary[] {
+    this.load();
+    return [...this.jobs.values()]
+      .filter(state => !status || state.job.status === status)
+      .sort((a, b) => b.job.created_at.localeCompare(a.job.created_at))
+      .map(state => this.summarize(state));
+  }
+
+  /**
+   * Item outcomes of a job in item order
+   * @param id Job ID
+   * @param status Only outcomes with this status
+   */
+  getOutcomes(id: string, status?: JobItemOutcome['status']): JobItemOutcome[] {
+    const state = this.getState(id);
+    return [...state.outcomes.values()]
+      .filter(outcome => !status || outcome.status === status)
+      .sort((a, b) => a.index - b.index);
+  }
+
+  /**
+   * Cancel a job. A running job stops after its in-flight items.
+   * @returns Status of the cancelled job
+   */
+  async cancel(id: string): Promise<JobSummary> {
+    const state = this.getState(id);
+    const { job } = state;
+
+    if (FINISHED_STATUSES.includes(job.status)) {
+      throw new Error(`Job ${id} is already ${job.status}`);
+    }
+
+    if (job.status === 'queued') {
+      this.queue.splice(this.queue.indexOf(id), 1);
+      job.status = 'cancelled';
+      job.finished_at = new Date().toISOString();
+      this.save(job);
+    } else {
+      state.controller?.abort('Job cancelled');
+      await state.done;
+    }
+
+    logger.info(`Cancelled job ${id}`);
+    return this.summarize(state);
+  }
+
+  private getState(id: string): JobState {
+    this.load();
+    const state = this.jobs.get(id);
+    if (!state) {
+      throw new Error(`Job ${id} not found`);
+    }
+    return state;
+  }
+
+  private summarize({ job, outcomes }: JobState): JobSummary {
+    let succeeded = 0;
+    for (const outcome of outcomes.values()) {
+      if (outcome.status === 'succeeded') succeeded++;
+    }
+
+    return {
+      job_id: job.id,
+      tool: job.tool,
+      status: job.status,
+      count: job.items.length,
+      processed: outcomes.size,
+      success_count: succeeded,
+      failure_count: outcomes.size - succeeded,
+      created_at: job.created_at,
+      started_at: job.started_at,
+      finished_at: job.finished_at,
+      ...(job.error ? { error: job.error } : {})
+    };
+  }
+
+  /**
+   * Start the next queued job unless one is running
+   */
+  private runNext(): void {
+    if (this.running) return;
+
+    const id = this.queue.shift();
+    if (!id) return;
+
+    const state = this.jobs.get(id);
+    this.running = true;
+    state.done = this.run(state)
+      .catch(error => logger.error(`Job ${id} ended unexpectedly`, { error: error.message }))
+      .finally(() => {
+        this.running = false;
+        this.runNext();
+      });
+  }
+
+  private async run(state: JobState): Promise<void> {
+    const { job } = state;
+    const controller = new AbortController();
+    state.controller = controller;
+
+    job.status = 'running';
+    job.started_at = job.started_at || new Date().toISOString();
+    this.save(job);
+
+    // Items in flight at a restart may have completed remotely without their outcome being recorded
+    if (UNREPEATABLE_OPERATIONS.includes(job.operation)) {
+      for (const index of state.started) {
+        if (state.outcomes.has(index)) continue;
+        this.recordOutcome(state, {
+          index,
+          status: 'failed',
+          error: `Interrupted by a restart while in progress; the ${job.operation} may have completed, so it was not repeated. Check the task before retrying it.`
+        });
+      }
+    }
+
+    // Items completed before a restart are not processed again
+    const remaining = job.items
+      .map((item, index) => ({ item, index }))
+      .filter(({ index }) => !state.outcomes.has(index));
+
+    logger.info(`Running job ${job.id}`, { tool: job.tool, remaining: remaining.length, total: job.items.length });
+
+    const record = (position: number, value?: any, error?: Error) => {
+      const { item, index } = remaining[position];
+      if (state.outcomes.has(index)) return;
+
+      const taskId = value?.id || item?.taskId;
+      this.recordOutcome(state, error
+        ? { index, status: 'failed', ...(taskId ? { task_id: taskId } : {}), error: error.message }
+        : { index, status: 'succeeded', ...(taskId ? { task_id: taskId } : {}) });
+    };
+
+    const start = (position: number) => {
+      this.recordStart(state, remaining[position].index);
+    };
+
+    try {
+      // Requests are checked against access policies and audited as calls of the job's tool
+      const result = await runWithToolContext(job.tool, `job:${job.id}`, () => this.runner(
+        job,
+        remaining.map(({ item }) => item),
+        { ...job.options, signal: controller.signal, itemCallback: record, itemStartCallback: start }
+      ), { signal: controller.signal });
+
+      // Items that never ran, e.g. after a failure with continueOnError=false
+      for (const { index, error } of result.failed) {
+        record(index, undefined, error);
+      }
+
+      job.status = result.cancelled ? 'cancelled' : 'completed';
+    } catch (error) {
+      job.status = controller.signal.aborted ? 'cancelled' : 'failed';
+      job.error = error.message;
+    }
+
+    job.finished_at = new Date().toISOString();
+    state.controller = undefined;
+    this.save(job);
+    logger.info(`Job ${job.id} ${job.status}`, this.summarize(state));
+  }
+
+  private recordOutcome(state: JobState, outcome: JobItemOutcome): void {
+    state.outcomes.set(outcome.index, outcome);
+    try {
+      this.ensureDirectory();
+      // Synchronous append, so an outcome is on disk before the next item is reported
+      fs.appendFileSync(this.getItemsFile(state.job.id), JSON.stringify(outcome) + '\n', 'utf8');
+    } catch (error) {
+      logger.error('Failed to record job item outcome', { job: state.job.id, error: error.message });
+    }
+  }
+
+  private recordStart(state: JobState, index: number): void {
+    state.started.add(index);
+    const marker: JobItemStart = { index, status: 'started' };
+    try {
+      this.ensureDirectory();
+      // Synchronous append, so the marker is on disk before the item's request is sent
+      fs.appendFileSync(this.getItemsFile(state.job.id), JSON.stringify(marker) + '\n', 'utf8');
+    } catch (error) {
+      logger.error('Failed to record job item start', { job: state.job.id, error: error.message });
+    }
+  }
+
+  private save(job: Job): void {
+    try {
+      this.ensureDirectory();
+      const file = this.getJobFile(job.id);
+      fs.writeFileSync(`${file}.tmp`, JSON.stringify(job), 'utf8');
+      fs.renameSync(`${file}.tmp`, file);
+    } catch (error) {
+      logger.error('Failed to save job', { job: job.id, error: error.message });
+    }
+  }
+
+  /**
+   * Read the stored jobs once. Unfinished jobs are queued again in the order they were created.
+   */
+  private load(): void {
+    if (this.loaded) return;
+    this.loaded = true;
+
+    let files: string[];
+    try {
+      files = fs.readdirSync(this.directory).filter(file => file.endsWith('.json'));
+    } catch {
+      return;
+    }
+
+    const states: JobState[] = [];
+    for (const file of files) {
+      try {
+        const job: Job = JSON.parse(fs.readFileSync(path.join(this.directory, file), 'utf8'));
+        states.push({ job, ...this.readItems(job.id) });
+      } catch (error) {
+        logger.warn('Skipping unreadable job file', { file, error: error.message });
+      }
+    }
+
+    const finished = states
+      .filter(({ job }) => FINISHED_STATUSES.includes(job.status))
+      .sort((a, b) => (b.job.finished_at || '').localeCompare(a.job.finished_at || ''));
+    for (const { job } of finished.slice(MAX_FINISHED_JOBS)) {
+      this.delete(job.id);
+    }
+    for (const state of finished.slice(0, MAX_FINISHED_JOBS)) {
+      this.jobs.set(state.job.id, state);
+    }
+
+    const unfinished = states
+      .filter(({ job }) => !FINISHED_STATUSES.includes(job.status))
+      .sort((a, b) => a.job.created_at.localeCompare(b.job.created_at));
+    for (const state of unfinished) {
+      state.job.status = 'queued';
+      this.jobs.set(state.job.id, state);
+      this.queue.push(state.job.id);
+    }
+
+    if (unfinished.length > 0) {
+      logger.info(`Resuming ${unfinished.length} unfinished job(s)`);
+    }
+  }
+
+  private readItems(id: string): { outcomes: Map<number, JobItemOutcome>; started: Set<number> } {
+    const outcomes = new Map<number, JobItemOutcome>();
+    const started = new Set<number>();
+    const file = this.getItemsFile(id);
+    if (!fs.existsSync(file)) return { outcomes, started };
+
+    const content = fs.readFileSync(file, 'utf8');
+    if (content && !content.endsWith('\n')) {
+      // End a line cut off by a crash, so the next outcome starts on its own line
+      fs.appendFileSync(file, '\n', 'utf8');
+    }
+
+    for (const line of content.split('\n')) {
+      if (!line.trim()) continue;
+      try {
+        const entry: JobItemOutcome | JobItemStart = JSON.parse(line);
+        if (entry.status === 'started') {
+          started.add(entry.index);
+        } else {
+          outcomes.set(entry.index, entry);
+        }
+      } catch {
+        // The item of a cut-off line runs again
+        logger.warn('Skipping unparseable job item line', { job: id });
+      }
+    }
+    return { outcomes, started };
+  }
+
+  private delete(id: string): void {
+    for (const file of [this.getJobFile(id), this.getItemsFile(id)]) {
+      fs.rmSync(file, { force: true });
+    }
+  }
+
+  private ensureDirectory(): void {
+    if (!this.directoryReady) {
+      fs.mkdirSync(this.directory, { recursive: true });
+      this.directoryReady = true;
+    }
+  }
+
+  private getJobFile(id: string): string {
+    return path.join(this.directory, `${id}.json`);
+  }
+
+  private getItemsFile(id: string): string {
+    return path.join(this.directory, `${id}.items.jsonl`);
+  }
+}
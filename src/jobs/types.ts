@@ -0,0 +1,76 @@
+/**
+ * SPDX-FileCopyrightText: © 2025 Talib Kareem <taazkareem@icloud.com>
+ * SPDX-License-Identifier: MIT
+ *
+ * Background Job Types
+ */
+
+import { BatchProcessingOptions, BatchResult } from '../utils/concurrency-utils.js';
+
+/**
+ * State of a job. Queued and running jobs are resumed after a restart.
+ */
+export type JobStatus = 'queued' | 'running' | 'completed' | 'failed' | 'cancelled';
+
+/**
+ * Bulk task operation performed by a job
+ */
+export type JobOperation = 'create' | 'update' | 'move' | 'delete';
+
+/**
+ * Batch processing settings kept with a job
+ */
+export type JobOptions = Pick<
+  BatchProcessingOptions,
+  'batchSize' | 'concurrency' | 'continueOnError' | 'retryCount' | 'retryDelay' | 'exponentialBackoff'
+>;
+
+/**
+ * A job as stored in <JOBS_DIR>/<id>.json
+ */
+export interface Job {
+  id: string;
+  // Tool the job was started with, e.g. 'update_bulk_tasks'
+  tool: string;
+  operation: JobOperation;
+  status: JobStatus;
+  // MCP session that started the job
+  session: string;
+  created_at: string;
+  started_at?: string;
+  finished_at?: string;
+  // Target list of create and move operations
+  list_id?: string;
+  // Input items, resolved when the job was started
+  items: any[];
+  options: JobOptions;
+  // Why the job failed or was cancelled
+  error?: string;
+}
+
+/**
+ * Outcome of one item, appended to <JOBS_DIR>/<id>.items.jsonl as it completes
+ */
+export interface JobItemOutcome {
+  index: number;
+  status: 'succeeded' | 'failed';
+  task_id?: string;
+  error?: string;
+}
+
+/**
+ * Marker appended to <JOBS_DIR>/<id>.items.jsonl before an item is processed.
+ * An item with a marker but no outcome was in flight when the server stopped.
+ */
+export interface JobItemStart {
+  index: number;
+  status: 'started';
+}
+
+/**
+ * Performs the operation of a job on a subset of its items
+ * @param job The job
+ * @param items Items still to process
+ * @param options Processing options, including the item callback and cancellation signal
+ */
+export type JobRunner = (job: Job, items: any[], options: BatchProcessingOptions) => Promise<BatchResult<any>>;
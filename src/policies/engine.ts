@@ -0,0 +1,231 @@
+/**
+ * SPDX-FileCopyrightText: © 2025 Talib Kareem <taazkareem@icloud.com>
+ * SPDX-License-Identifier: MIT
+ *
+ * ClickUp MCP Access Policy Engine
+ *
+ * Evaluates tool calls against allow and deny rules loaded from the file
+ * configured with POLICY_FILE:
+ *
+ * {
+ *   "default": "deny",
+ *   "rules": [
+ *     { "name": "read-anything", "effect": "allow", "actions": ["read"] },
+ *     { "name": "write-engineering", "effect": "allow", "actions": ["write"], "within": { "spaces": ["Engineering"] } },
+ *     { "name": "sandbox-deletes-only", "effect": "deny", "actions": ["delete"], "outside": { "folders": ["Sandbox"] } }
+ *   ]
+ * }
+ *
+ * A matching deny rule always wins. Otherwise the call is allowed if an allow
+ * rule matches, and the default decides when no rule matches.
+ */
+
+import fs from 'fs';
+import {
+  PolicyAction,
+  PolicyContainer,
+  PolicyDecision,
+  PolicyDocument,
+  PolicyRequest,
+  PolicyRule,
+  PolicyScope,
+  PolicyTarget
+} from './types.js';
+
+const ACTIONS = ['read', 'create', 'update', 'delete', 'write'];
+const WRITE_ACTIONS: PolicyAction[] = ['create', 'update', 'delete'];
+
+/**
+ * Convert a tool name pattern with '*' wildcards to a regular expression
+ */
+function toolPattern(pattern: string): RegExp {
+  const escaped = pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+  return new RegExp(`^${escaped}$`);
+}
+
+/**
+ * Whether a container matches any of the given names or IDs
+ */
+function matchesContainer(container: PolicyContainer | undefined, values: string[] | undefined): boolean {
+  if (!container || !values) return false;
+  return values.some(value =>
+    value === container.id || (container.name !== undefined && value.toLowerCase() === container.name.toLowerCase())
+  );
+}
+
+/**
+ * Whether a target lies inside any container of a scope
+ */
+function isInScope(target: PolicyTarget | undefined, scope: PolicyScope): boolean {
+  if (!target) return false;
+  return matchesContainer(target.space, scope.spaces)
+    || matchesContainer(target.folder, scope.folders)
+    || matchesContainer(target.list, scope.lists);
+}
+
+/**
+ * Describe a request target for error messages
+ */
+function describeTarget(target: PolicyTarget | undefined): string {
+  if (!target) return ' workspace data';
+  const location = [
+    target.space && `space ${target.space.name || target.space.id}`,
+    target.folder && `folder ${target.folder.name || target.folder.id}`,
+    target.list && `list ${target.list.name || target.list.id}`
+  ].filter(Boolean);
+  return location.length > 0 ? ` ${target.label} (${location.join(', ')})` : ` ${target.label}`;
+}
+
+/**
+ * Validate a parsed policy file
+ * @throws Error describing the first problem found
+ */
+export function parsePolicy(data: any): PolicyDocument {
+  if (!data || typeof data !== 'object' || !Array.isArray(data.rules)) {
+    throw new Error('policy file must contain an object with a "rules" array');
+  }
+  if (data.default !== undefined && data.default !== 'allow' && data.default !== 'deny') {
+    throw new Error('"default" must be "allow" or "deny"');
+  }
+
+  const names = new Set<string>();
+  data.rules.forEach((rule: any, index: number) => {
+    if (!rule || typeof rule.name !== 'string' || rule.name === '') {
+      throw new Error(`rules[${index}] needs a name`);
+    }
+    if (names.has(rule.name)) {
+      throw new Error(`duplicate rule name "${rule.name}"`);
+    }
+    names.add(rule.name);
+
+    if (rule.effect !== 'allow' && rule.effect !== 'deny') {
+      throw new Error(`rule "${rule.name}": effect must be "allow" or "deny"`);
+    }
+    const invalidAction = (rule.actions || []).find((action: string) => !ACTIONS.includes(action));
+    if (invalidAction) {
+      throw new Error(`rule "${rule.name}": unknown action "${invalidAction}" (use ${ACTIONS.join(', ')})`);
+    }
+    for (const key of ['tools', 'actions']) {
+      if (rule[key] !== undefined && !Array.isArray(rule[key])) {
+        throw new Error(`rule "${rule.name}": ${key} must be an array`);
+      }
+    }
+  });
+
+  return { default: data.default || 'allow', rules: data.rules };
+}
+
+/**
+ * Load and validate a policy file
+ * @throws Error if the file cannot be read or is invalid
+ */
+export function loadPolicyFile(filePath: string): PolicyDocument {
+  let data: any;
+  try {
+    data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Could not read policy file ${filePath}: ${error.message}`);
+  }
+
+  try {
+    return parsePolicy(data);
+  } catch (error) {
+    throw new Error(`Invalid policy file ${filePath}: ${error.message}`);
+  }
+}
+
+/**
+ * Checks tool calls and their ClickUp requests against a policy
+ */
+export class PolicyEngine {
+  private readonly rules: (PolicyRule & { toolPatterns?: RegExp[] })[];
+  private readonly defaultEffect: 'allow' | 'deny';
+
+  /**
+   * @param policy Policy to enforce; without a policy every call is allowed
+   */
+  constructor(policy?: PolicyDocument) {
+    this.rules = (policy?.rules || []).map(rule => ({
+      ...rule,
+      toolPatterns: rule.tools?.map(toolPattern)
+    }));
+    this.defaultEffect = policy?.default || 'allow';
+  }
+
+  /**
+   * Whether a policy with rules is active
+   */
+  get enabled(): boolean {
+    return this.rules.length > 0 || this.defaultEffect === 'deny';
+  }
+
+  /**
+   * Check a tool call before it runs, using only the rules that do not depend
+   * on the request kind or target. Returns a denial when the tool is denied
+   * outright, or when the default is deny and no allow rule covers the tool.
+   */
+  checkTool(tool: string): PolicyDecision {
+    const rules = this.rules.filter(rule => this.matchesTool(rule, tool));
+
+    const deny = rules.find(rule => rule.effect === 'deny' && !rule.actions && !rule.within && !rule.outside);
+    if (deny) {
+      return { allowed: false, rule: deny.name, message: `Denied by policy rule "${deny.name}": tool ${tool} is not allowed` };
+    }
+
+    if (this.defaultEffect === 'deny' && !rules.some(rule => rule.effect === 'allow')) {
+      return { allowed: false, message: `Denied by policy: no rule allows tool ${tool} (default: deny)` };
+    }
+
+    return { allowed: true };
+  }
+
+  /**
+   * Whether evaluating a request needs its target location, i.e. whether any
+   * rule for this tool and action is scoped to spaces, folders or lists
+   */
+  needsTarget(tool: string, action: PolicyAction): boolean {
+    return this.rules.some(rule =>
+      (rule.within || rule.outside) && this.matchesTool(rule, tool) && this.matchesAction(rule, action)
+    );
+  }
+
+  /**
+   * Evaluate a ClickUp request made by a tool
+   */
+  evaluate(request: PolicyRequest): PolicyDecision {
+    const matching = this.rules.filter(rule => this.matches(rule, request));
+    const what = `${request.action || 'call'} ${request.action === 'create' ? 'in' : 'of'}${describeTarget(request.target)} by ${request.tool}`;
+
+    const deny = matching.find(rule => rule.effect === 'deny');
+    if (deny) {
+      return { allowed: false, rule: deny.name, message: `Denied by policy rule "${deny.name}": ${what} is not allowed` };
+    }
+
+    const allow = matching.find(rule => rule.effect === 'allow');
+    if (allow) {
+      return { allowed: true, rule: allow.name };
+    }
+
+    if (this.defaultEffect === 'deny') {
+      return { allowed: false, message: `Denied by policy: no rule allows ${what} (default: deny)` };
+    }
+    return { allowed: true };
+  }
+
+  private matches(rule: PolicyRule & { toolPatterns?: RegExp[] }, request: PolicyRequest): boolean {
+    if (!this.matchesTool(rule, request.tool)) return false;
+    if (request.action && !this.matchesAction(rule, request.action)) return false;
+    if (rule.within && !isInScope(request.target, rule.within)) return false;
+    if (rule.outside && isInScope(request.target, rule.outside)) return false;
+    return true;
+  }
+
+  private matchesTool(rule: { toolPatterns?: RegExp[] }, tool: string): boolean {
+    return !rule.toolPatterns || rule.toolPatterns.some(pattern => pattern.test(tool));
+  }
+
+  private matchesAction(rule: PolicyRule, action: PolicyAction): boolean {
+    if (!rule.actions) return true;
+    return rule.actions.includes(action) || (rule.actions.includes('write') && WRITE_ACTIONS.includes(action));
+  }
+}
@@ -0,0 +1,39 @@
+/**
+ * SPDX-FileCopyrightText: © 2025 Talib Kareem <taazkareem@icloud.com>
+ * SPDX-License-Identifier: MIT
+ *
+ * ClickUp MCP Access Policies
+ *
+ * Exports the policy engine for the file configured with POLICY_FILE. An invalid
+ * policy file stops the server rather than running without the intended rules.
+ */
+
+import config from '../config.js';
+import { PolicyEngine, loadPolicyFile } from './engine.js';
+import { Logger } from '../logger.js';
+
+export * from './engine.js';
+export * from './types.js';
+
+const logger = new Logger('Policies');
+
+/**
+ * Create the policy engine from configuration
+ */
+function createPolicyEngine(): PolicyEngine {
+  if (!config.policyFile) {
+    return new PolicyEngine();
+  }
+
+  try {
+    const policy = loadPolicyFile(config.policyFile);
+    logger.info('Loaded access policy', { file: config.policyFile, rules: policy.rules.length, default: policy.default });
+    return new PolicyEngine(policy);
+  } catch (error) {
+    logger.error(error.message);
+    throw error;
+  }
+}
+
+// Shared policy engine for all services and transports
+export const policyEngine = createPolicyEngine();
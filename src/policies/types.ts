@@ -0,0 +1,89 @@
+/**
+ * SPDX-FileCopyrightText: © 2025 Talib Kareem <taazkareem@icloud.com>
+ * SPDX-License-Identifier: MIT
+ *
+ * ClickUp MCP Access Policy Types
+ *
+ * Shared definitions for the access policy file and policy decisions.
+ */
+
+/**
+ * Kind of ClickUp request: GET is read, POST create, PUT/PATCH update and DELETE delete.
+ * Rules may also use 'write' for create, update and delete.
+ */
+export type PolicyAction = 'read' | 'create' | 'update' | 'delete';
+
+/**
+ * Spaces, folders and lists, each given by name (case-insensitive) or ID
+ */
+export interface PolicyScope {
+  spaces?: string[];
+  folders?: string[];
+  lists?: string[];
+}
+
+/**
+ * A single allow or deny rule. Every condition that is set must match.
+ */
+export interface PolicyRule {
+  // Shown in denial errors
+  name: string;
+  effect: 'allow' | 'deny';
+  // Tool names; '*' matches any characters (e.g. 'delete_*')
+  tools?: string[];
+  // Request kinds: read, create, update, delete or write
+  actions?: string[];
+  // Target must be inside one of these containers
+  within?: PolicyScope;
+  // Target must not be inside any of these containers
+  outside?: PolicyScope;
+}
+
+/**
+ * Contents of the policy file
+ */
+export interface PolicyDocument {
+  // Decision when no rule matches (default: allow)
+  default?: 'allow' | 'deny';
+  rules: PolicyRule[];
+}
+
+/**
+ * A container reference of a request target
+ */
+export interface PolicyContainer {
+  id: string;
+  name?: string;
+}
+
+/**
+ * Location of the object a request reads or changes
+ */
+export interface PolicyTarget {
+  // Description of the object, e.g. 'task 86b1abc2'
+  label: string;
+  space?: PolicyContainer;
+  folder?: PolicyContainer;
+  list?: PolicyContainer;
+}
+
+/**
+ * A request to check against the policy
+ */
+export interface PolicyRequest {
+  tool: string;
+  action?: PolicyAction;
+  // Object the request reads or changes; without space, folder and list when the
+  // location is unknown or not needed (e.g. goals, webhooks)
+  target?: PolicyTarget;
+}
+
+/**
+ * Result of a policy check
+ */
+export interface PolicyDecision {
+  allowed: boolean;
+  // Name of the deciding rule; undefined when the default applied
+  rule?: string;
+  message?: string;
+}
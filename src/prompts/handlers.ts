@@ -0,0 +1,342 @@
+/**
+ * SPDX-FileCopyrightText: © 2025 Talib Kareem <taazkareem@icloud.com>
+ * SPDX-License-Identifier: MIT
+ *
+ * ClickUp MCP Prompts
+ *
+ * Built-in prompts for common workflows:
+ * - daily_standup(assignee) - standup update from the assignee's recent and open tasks
+ * - sprint_planning(list) - sprint scope proposal from the open tasks of a list
+ * - triage_inbox(list) - triage suggestions for tasks missing an assignee, priority or due date
+ * - weekly_status(space) - weekly status report from recently updated and overdue tasks
+ *
+ * Each prompt pre-fetches its tasks through the task search service and embeds them
+ * as compact one-line summaries. Custom prompts are loaded from PROMPT_TEMPLATES_DIR
+ * (see templates.ts) and override built-in prompts with the same name.
+ */
+
+import config from '../config.js';
+import { clickUpServices } from '../services/shared.js';
+import { ClickUpTask, ExtendedTaskFilters, TaskSummary } from '../services/clickup/types.js';
+import { findListIDByName } from '../tools/list.js';
+import { resolveAssignees } from '../tools/task/handlers.js';
+import { PromptDefinition, PromptTaskQuery } from './types.js';
+import { loadPromptTemplates } from './templates.js';
+import { Logger } from '../logger.js';
+
+const logger = new Logger('Prompts');
+
+// Use shared services instance
+const { workspace: workspaceService, task: taskService } = clickUpServices;
+
+// JSON-RPC error code for invalid params (unknown prompt, missing arguments)
+const INVALID_PARAMS = -32602;
+
+// Maximum tasks embedded per section (one page of the workspace tasks endpoint)
+const MAX_SECTION_TASKS = 100;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Priority names for the numeric priorities of task summaries
+const PRIORITY_NAMES: Record<number, string> = { 1: 'urgent', 2: 'high', 3: 'normal', 4: 'low' };
+
+// Built-in prompts
+const builtinPrompts: PromptDefinition[] = [
+  {
+    name: 'daily_standup',
+    description: 'Prepare a daily standup update (yesterday, today, blockers) from the tasks of an assignee',
+    arguments: [
+      { name: 'assignee', description: 'Assignee email, username or user ID', required: true }
+    ],
+    tasks: [
+      { title: 'Updated in the last day', assignee: '{{assignee}}', includeClosed: true, updatedWithinDays: 1 },
+      { title: 'Open tasks', assignee: '{{assignee}}' }
+    ],
+    template: [
+      'Prepare a daily standup update for {{assignee}} ({{today}}) from their ClickUp tasks below.',
+      '',
+      '{{tasks}}',
+      '',
+      'Structure the update as:',
+      '1. **Yesterday**: what was completed or moved forward, based on the recently updated tasks',
+      '2. **Today**: the most important open tasks to work on next, considering priority and due dates',
+      '3. **Blockers**: overdue tasks or tasks that appear stuck',
+      '',
+      'Keep it brief and reference tasks by name and ID.'
+    ].join('\n'),
+    source: 'builtin'
+  },
+  {
+    name: 'sprint_planning',
+    description: 'Propose a sprint scope from the open tasks of a list',
+    arguments: [
+      { name: 'list', description: 'List name or ID', required: true }
+    ],
+    tasks: [
+      { title: 'Open tasks', list: '{{list}}' }
+    ],
+    template: [
+      'Help plan the next sprint for the ClickUp list "{{list}}" ({{today}}) using the open tasks below.',
+      '',
+      '{{tasks}}',
+      '',
+      'Please:',
+      '1. Propose a sprint scope, prioritizing urgent and high priority tasks and upcoming due dates',
+      '2. Flag tasks that are missing estimates, assignees or clear descriptions',
+      '3. Point out dependencies and tasks that should be split',
+      '4. List the tasks to defer to a later sprint, with a short reason for each'
+    ].join('\n'),
+    source: 'builtin'
+  },
+  {
+    name: 'triage_inbox',
+    description: 'Suggest priority, assignee and due date for tasks in a list that have not been triaged',
+    arguments: [
+      { name: 'list', description: 'List name or ID of the inbox', required: true }
+    ],
+    tasks: [
+      { title: 'Needs triage', list: '{{list}}', untriaged: true }
+    ],
+    template: [
+      'Triage the open tasks in the ClickUp list "{{list}}" ({{today}}). These tasks are missing an assignee, priority or due date.',
+      '',
+      '{{tasks}}',
+      '',
+      'For each task, suggest a priority (urgent, high, normal or low), an assignee if it is clear from context, a due date and tags.',
+      'Flag likely duplicates and tasks that can be closed.',
+      'Do not change anything until the suggestions are confirmed, then apply them with update_task or update_bulk_tasks.'
+    ].join('\n'),
+    source: 'builtin'
+  },
+  {
+    name: 'weekly_status',
+    description: 'Write a weekly status report for a space from recently updated and overdue tasks',
+    arguments: [
+      { name: 'space', description: 'Space name or ID', required: true }
+    ],
+    tasks: [
+      { title: 'Updated in the last 7 days', space: '{{space}}', includeClosed: true, updatedWithinDays: 7 },
+      { title: 'Overdue', space: '{{space}}', overdue: true }
+    ],
+    template: [
+      'Write a weekly status report for the ClickUp space "{{space}}" for the week ending {{today}}.',
+      '',
+      '{{tasks}}',
+      '',
+      'Include:',
+      '1. **Highlights**: completed work and significant progress',
+      '2. **In progress**: active work and what comes next',
+      '3. **Risks**: overdue or stalled tasks, with their owners',
+      '4. **Summary**: a two or three sentence overview for stakeholders'
+    ].join('\n'),
+    source: 'builtin'
+  }
+];
+
+/**
+ * Get all available prompts. Custom templates override built-in prompts with the same name.
+ */
+function getPromptDefinitions(): PromptDefinition[] {
+  const prompts = new Map(builtinPrompts.map(prompt => [prompt.name, prompt]));
+
+  for (const prompt of loadPromptTemplates(config.promptTemplatesDir)) {
+    if (prompts.has(prompt.name)) {
+      logger.debug('Custom prompt template overrides existing prompt', { name: prompt.name, source: prompt.source });
+    }
+    prompts.set(prompt.name, prompt);
+  }
+
+  return [...prompts.values()];
+}
+
+/**
+ * Replace {{argument}} placeholders in a string. Returns undefined if the result is empty.
+ */
+function fillArguments(value: string | undefined, args: Record<string, string>): string | undefined {
+  if (value === undefined) return undefined;
+  const filled = value.replace(/\{\{\s*(\w+)\s*\}\}/g, (_, name) => args[name] ?? '').trim();
+  return filled || undefined;
+}
+
+/**
+ * Format a timestamp as YYYY-MM-DD
+ */
+function formatDate(timestamp: string | number | null | undefined): string | undefined {
+  const date = new Date(Number(timestamp));
+  return timestamp && !isNaN(date.getTime()) ? date.toISOString().slice(0, 10) : undefined;
+}
+
+/**
+ * Format a task as a compact single line
+ */
+function formatTaskLine(task: ClickUpTask | TaskSummary): string {
+  const details: string[] = [];
+
+  const priority = typeof task.priority === 'number' ? PRIORITY_NAMES[task.priority] : task.priority?.priority;
+  if (priority) details.push(`priority: ${priority}`);
+
+  const due = formatDate(task.due_date);
+  if (due) details.push(`due: ${due}`);
+
+  if ('assignees' in task && task.assignees?.length) {
+    details.push(`assignees: ${task.assignees.map(assignee => assignee.username || assignee.email).join(', ')}`);
+  }
+  if ('time_estimate' in task && task.time_estimate) {
+    details.push(`estimate: ${Math.round(task.time_estimate / 360000) / 10}h`);
+  }
+  if (task.tags?.length) {
+    details.push(`tags: ${task.tags.map(tag => tag.name).join(', ')}`);
+  }
+  if (task.list?.name) details.push(`list: ${task.list.name}`);
+
+  const updated = 'date_updated' in task ? formatDate(task.date_updated) : undefined;
+  if (updated) details.push(`updated: ${updated}`);
+
+  const status = typeof task.status === 'object' ? task.status?.status : task.status;
+  return `- ${task.name} [${status}] (${task.id})${details.length ? ' · ' + details.join(' · ') : ''}`;
+}
+
+/**
+ * Check whether a task is missing an assignee, priority or due date
+ */
+function isUntriaged(task: ClickUpTask | TaskSummary): boolean {
+  const hasAssignee = 'assignees' in task ? task.assignees?.length > 0 : true;
+  return !hasAssignee || !task.priority || !task.due_date;
+}
+
+/**
+ * Convert a prompt task query to workspace task filters, resolving names to IDs
+ */
+async function buildTaskFilters(query: PromptTaskQuery, args: Record<string, string>): Promise<ExtendedTaskFilters> {
+  const now = Date.now();
+  const filters: ExtendedTaskFilters = {
+    subtasks: true,
+    order_by: 'updated',
+    include_closed: query.includeClosed === true,
+    detail_level: 'detailed'
+  };
+
+  const assignee = fillArguments(query.assignee, args);
+  if (assignee) {
+    const userIds = await resolveAssignees([assignee]);
+    if (userIds.length === 0) {
+      throw new Error(`Assignee "${assignee}" not found`);
+    }
+    filters.assignees = userIds.map(String);
+  }
+
+  const list = fillArguments(query.list, args);
+  if (list) {
+    const listInfo = /^\d+$/.test(list) ? { id: list } : await findListIDByName(workspaceService, list);
+    if (!listInfo) {
+      throw new Error(`List "${list}" not found`);
+    }
+    filters.list_ids = [listInfo.id];
+  }
+
+  const space = fillArguments(query.space, args);
+  if (space) {
+    const spaceInfo = /^\d+$/.test(space) ? { id: space } : await workspaceService.findSpaceByName(space);
+    if (!spaceInfo) {
+      throw new Error(`Space "${space}" not found`);
+    }
+    filters.space_ids = [spaceInfo.id];
+  }
+
+  const statuses = (query.statuses || []).map(status => fillArguments(status, args)).filter(Boolean);
+  if (statuses.length > 0) filters.statuses = statuses;
+
+  const tags = (query.tags || []).map(tag => fillArguments(tag, args)).filter(Boolean);
+  if (tags.length > 0) filters.tags = tags;
+
+  if (query.updatedWithinDays) {
+    filters.date_updated_gt = now - query.updatedWithinDays * DAY_MS;
+  }
+  if (query.dueWithinDays) {
+    filters.due_date_lt = now + query.dueWithinDays * DAY_MS;
+  }
+  if (query.overdue) {
+    filters.due_date_lt = now;
+    filters.include_closed = false;
+  }
+
+  return filters;
+}
+
+/**
+ * Fetch the tasks of a query and render them as a markdown section
+ */
+async function renderTaskSection(query: PromptTaskQuery, args: Record<string, string>): Promise<string> {
+  const filters = await buildTaskFilters(query, args);
+  const response = await taskService.getWorkspaceTasks(filters);
+
+  // Large results come back as summaries to stay within token limits
+  let tasks: (ClickUpTask | TaskSummary)[] = 'summaries' in response ? response.summaries : response.tasks;
+  if (query.untriaged) {
+    tasks = tasks.filter(isUntriaged);
+  }
+
+  const shown = tasks.slice(0, MAX_SECTION_TASKS);
+  const lines = shown.length > 0 ? shown.map(formatTaskLine) : ['_No tasks_'];
+  if (response.has_more || tasks.length > shown.length) {
+    lines.push(`_Showing the first ${shown.length} tasks; more match this section._`);
+  }
+
+  return `### ${query.title} (${shown.length})\n${lines.join('\n')}`;
+}
+
+/**
+ * List the available prompts
+ */
+export function listPrompts() {
+  return getPromptDefinitions().map(prompt => ({
+    name: prompt.name,
+    description: prompt.description,
+    arguments: prompt.arguments
+  }));
+}
+
+/**
+ * Render a prompt with its pre-fetched tasks
+ *
+ * @param name The prompt name
+ * @param args Prompt arguments
+ * @returns The prompt description and messages
+ * @throws JSON-RPC error object if the prompt does not exist or a required argument is missing
+ */
+export async function getPrompt(name: string, args: Record<string, string> = {}) {
+  const prompt = getPromptDefinitions().find(definition => definition.name === name);
+  if (!prompt) {
+    throw { code: INVALID_PARAMS, message: `Prompt not found: ${name}` };
+  }
+
+  const missing = prompt.arguments.filter(arg => arg.required && !args[arg.name]?.trim());
+  if (missing.length > 0) {
+    throw { code: INVALID_PARAMS, message: `Missing required arguments for prompt ${name}: ${missing.map(arg => arg.name).join(', ')}` };
+  }
+
+  logger.debug('Rendering prompt', { name, source: prompt.source, sections: prompt.tasks.length });
+
+  const sections = await Promise.all(prompt.tasks.map(query => renderTaskSection(query, args)));
+  const values: Record<string, string> = {
+    ...Object.fromEntries(prompt.arguments.map(arg => [arg.name, args[arg.name] ?? ''])),
+    tasks: sections.join('\n\n'),
+    today: formatDate(Date.now())
+  };
+
+  // Leave unknown placeholders untouched so template typos are visible
+  const text = prompt.template.replace(/\{\{\s*(\w+)\s*\}\}/g, (placeholder, key) => values[key] ?? placeholder);
+
+  return {
+    description: prompt.description,
+    messages: [
+      {
+        role: 'user' as const,
+        content: {
+          type: 'text' as const,
+          text
+        }
+      }
+    ]
+  };
+}
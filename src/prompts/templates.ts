@@ -0,0 +1,99 @@
+/**
+ * SPDX-FileCopyrightText: © 2025 Talib Kareem <taazkareem@icloud.com>
+ * SPDX-License-Identifier: MIT
+ *
+ * ClickUp MCP Custom Prompt Templates
+ *
+ * Loads prompt templates from the directory configured with PROMPT_TEMPLATES_DIR.
+ * Each *.json file defines one prompt:
+ *
+ * {
+ *   "name": "blocked_review",
+ *   "description": "Review blocked tasks in a list",
+ *   "arguments": [{ "name": "list", "description": "List name or ID", "required": true }],
+ *   "tasks": [{ "title": "Blocked tasks", "list": "{{list}}", "statuses": ["blocked"] }],
+ *   "template": "Review the blocked tasks in {{list}}:\n\n{{tasks}}"
+ * }
+ *
+ * "template" may also be an array of lines. The directory is read on every
+ * prompts/list and prompts/get request, so templates can be edited without a restart.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { PromptArgument, PromptDefinition, PromptTaskQuery } from './types.js';
+import { Logger } from '../logger.js';
+
+const logger = new Logger('PromptTemplates');
+
+// Prompt names follow the same convention as tool names
+const PROMPT_NAME_PATTERN = /^[a-z][a-z0-9_]*$/;
+
+/**
+ * Validate a parsed template file and convert it to a prompt definition
+ * @throws Error describing the first problem found
+ */
+function parseTemplate(data: any, source: string): PromptDefinition {
+  if (!data || typeof data !== 'object') {
+    throw new Error('template file must contain a JSON object');
+  }
+  if (typeof data.name !== 'string' || !PROMPT_NAME_PATTERN.test(data.name)) {
+    throw new Error('name must be lowercase letters, digits and underscores');
+  }
+
+  const template = Array.isArray(data.template) ? data.template.join('\n') : data.template;
+  if (typeof template !== 'string' || template.trim() === '') {
+    throw new Error('template must be a non-empty string or array of lines');
+  }
+
+  const args: PromptArgument[] = (data.arguments || []).map((arg: any) => {
+    if (!arg || typeof arg.name !== 'string') {
+      throw new Error('every argument needs a name');
+    }
+    return { name: arg.name, description: arg.description, required: arg.required === true };
+  });
+
+  const tasks: PromptTaskQuery[] = (data.tasks || []).map((query: any, index: number) => {
+    if (!query || typeof query !== 'object') {
+      throw new Error(`tasks[${index}] must be an object`);
+    }
+    return { ...query, title: query.title || 'Tasks' };
+  });
+
+  return {
+    name: data.name,
+    description: data.description || '',
+    arguments: args,
+    tasks,
+    template,
+    source
+  };
+}
+
+/**
+ * Load all prompt templates from a directory. Invalid files are logged and skipped.
+ * @param dir Template directory; an empty value disables custom templates
+ */
+export function loadPromptTemplates(dir?: string): PromptDefinition[] {
+  if (!dir) return [];
+
+  let files: string[];
+  try {
+    files = fs.readdirSync(dir).filter(file => file.endsWith('.json')).sort();
+  } catch (error) {
+    logger.warn('Could not read prompt templates directory', { dir, error: error.message });
+    return [];
+  }
+
+  const prompts: PromptDefinition[] = [];
+  for (const file of files) {
+    const filePath = path.join(dir, file);
+    try {
+      prompts.push(parseTemplate(JSON.parse(fs.readFileSync(filePath, 'utf8')), filePath));
+    } catch (error) {
+      logger.warn('Skipping invalid prompt template', { file: filePath, error: error.message });
+    }
+  }
+
+  return prompts;
+}
@@ -0,0 +1,58 @@
+/**
+ * SPDX-FileCopyrightText: © 2025 Talib Kareem <taazkareem@icloud.com>
+ * SPDX-License-Identifier: MIT
+ *
+ * ClickUp MCP Prompt Types
+ *
+ * Shared definitions for built-in prompts and custom prompt templates.
+ */
+
+/**
+ * Argument accepted by a prompt
+ */
+export interface PromptArgument {
+  name: string;
+  description?: string;
+  required?: boolean;
+}
+
+/**
+ * Tasks to pre-fetch and embed in a prompt. String values may reference
+ * prompt arguments as {{argument}}.
+ */
+export interface PromptTaskQuery {
+  // Heading of the task section in the rendered prompt
+  title: string;
+  // Assignee user ID, email or username
+  assignee?: string;
+  // List name or ID
+  list?: string;
+  // Space name or ID
+  space?: string;
+  statuses?: string[];
+  tags?: string[];
+  includeClosed?: boolean;
+  // Only tasks updated within the last N days
+  updatedWithinDays?: number;
+  // Only tasks due within the next N days, including overdue tasks
+  dueWithinDays?: number;
+  // Only overdue open tasks
+  overdue?: boolean;
+  // Only tasks missing an assignee, priority or due date
+  untriaged?: boolean;
+}
+
+/**
+ * A prompt available through prompts/list and prompts/get
+ */
+export interface PromptDefinition {
+  name: string;
+  description: string;
+  arguments: PromptArgument[];
+  // Task sections embedded in place of {{tasks}}
+  tasks: PromptTaskQuery[];
+  // Prompt text with {{argument}}, {{tasks}} and {{today}} placeholders
+  template: string;
+  // Where the prompt was defined: 'builtin' or the template file path
+  source: string;
+}
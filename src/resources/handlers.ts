@@ -0,0 +1,259 @@
+/**
+ * SPDX-FileCopyrightText: © 2025 Talib Kareem <taazkareem@icloud.com>
+ * SPDX-License-Identifier: MIT
+ *
+ * ClickUp MCP Resources
+ *
+ * Exposes ClickUp data as read-only MCP resources:
+ * - clickup://space/{spaceId} - space details with its folders and lists
+ * - clickup://list/{listId}/tasks - tasks in a list
+ * - clickup://task/{taskId} - task details
+ * - clickup://doc/{docId}/page/{pageId} - document page content (markdown)
+ *
+ * Resources are backed by the shared WorkspaceService, TaskService and DocumentService.
+ */
+
+import config from '../config.js';
+import { clickUpServices } from '../services/shared.js';
+import { ClickUpTask, WorkspaceNode } from '../services/clickup/types.js';
+import { formatTaskData } from '../tools/task/utilities.js';
+import { formatDueDate } from '../utils/date-utils.js';
+import { Logger } from '../logger.js';
+
+const logger = new Logger('Resources');
+
+// Use shared services instance
+const { workspace: workspaceService, task: taskService, list: listService, document: documentService } = clickUpServices;
+
+// JSON-RPC error code for unknown resources (MCP specification)
+const RESOURCE_NOT_FOUND = -32002;
+
+/**
+ * Content of a resource as returned by resources/read
+ */
+export interface ResourceContent {
+  uri: string;
+  mimeType: string;
+  text: string;
+}
+
+/**
+ * A resource URI template with the pattern used to match concrete URIs
+ */
+interface ResourceTemplateDefinition {
+  uriTemplate: string;
+  name: string;
+  description: string;
+  mimeType: string;
+  pattern: RegExp;
+  read: (uri: string, params: string[]) => Promise<ResourceContent>;
+  enabled?: () => boolean;
+}
+
+/**
+ * Build a JSON resource content
+ */
+function jsonContent(uri: string, data: any): ResourceContent {
+  return {
+    uri,
+    mimeType: 'application/json',
+    text: JSON.stringify(data, null, 2)
+  };
+}
+
+/**
+ * Format a task for list resources
+ */
+function formatTaskSummary(task: ClickUpTask) {
+  return {
+    id: task.id,
+    custom_id: task.custom_id,
+    name: task.name,
+    status: task.status?.status,
+    priority: task.priority?.priority,
+    assignees: (task.assignees || []).map(assignee => assignee.username || assignee.email),
+    due_date: task.due_date ? formatDueDate(Number(task.due_date)) : undefined,
+    parent: task.parent || undefined,
+    url: task.url,
+    uri: `clickup://task/${task.id}`
+  };
+}
+
+/**
+ * Read a space with its folders and folderless lists
+ */
+async function readSpace(uri: string, [spaceId]: string[]): Promise<ResourceContent> {
+  const [space, folders, lists] = await Promise.all([
+    workspaceService.getSpace(spaceId),
+    workspaceService.getFoldersInSpace(spaceId),
+    workspaceService.getListsInSpace(spaceId)
+  ]);
+
+  const formatList = (list: { id: string; name: string }) => ({
+    id: list.id,
+    name: list.name,
+    uri: `clickup://list/${list.id}/tasks`
+  });
+
+  return jsonContent(uri, {
+    id: space.id,
+    name: space.name,
+    private: space.private,
+    statuses: (space.statuses || []).map(status => status.status),
+    folders: folders.map(folder => ({
+      id: folder.id,
+      name: folder.name,
+      lists: (folder.lists || []).map(formatList)
+    })),
+    lists: lists.map(formatList)
+  });
+}
+
+/**
+ * Read the open tasks of a list
+ */
+async function readListTasks(uri: string, [listId]: string[]): Promise<ResourceContent> {
+  const [list, tasks] = await Promise.all([
+    listService.getList(listId),
+    taskService.getTasks(listId, { subtasks: true })
+  ]);
+
+  return jsonContent(uri, {
+    list: {
+      id: list.id,
+      name: list.name
+    },
+    count: tasks.length,
+    tasks: tasks.map(formatTaskSummary)
+  });
+}
+
+/**
+ * Read a task (regular or custom ID)
+ */
+async function readTask(uri: string, [taskId]: string[]): Promise<ResourceContent> {
+  const task = await taskService.getTask(taskId);
+  return jsonContent(uri, formatTaskData(task));
+}
+
+/**
+ * Read a document page as markdown
+ */
+async function readDocumentPage(uri: string, [docId, pageId]: string[]): Promise<ResourceContent> {
+  const { pages } = await documentService.getDocumentPages(docId, [pageId], { content_format: 'text/md' });
+  const page = pages?.[0];
+
+  if (!page) {
+    throw { code: RESOURCE_NOT_FOUND, message: `Page ${pageId} not found in document ${docId}` };
+  }
+
+  return {
+    uri,
+    mimeType: 'text/markdown',
+    text: page.name ? `# ${page.name}\n\n${page.content || ''}` : (page.content || '')
+  };
+}
+
+// Resource templates, in matching order
+const resourceTemplates: ResourceTemplateDefinition[] = [
+  {
+    uriTemplate: 'clickup://space/{spaceId}',
+    name: 'ClickUp space',
+    description: 'Space details with its folders and lists',
+    mimeType: 'application/json',
+    pattern: /^clickup:\/\/space\/([^/]+)$/,
+    read: readSpace
+  },
+  {
+    uriTemplate: 'clickup://list/{listId}/tasks',
+    name: 'ClickUp list tasks',
+    description: 'Open tasks and subtasks in a list',
+    mimeType: 'application/json',
+    pattern: /^clickup:\/\/list\/([^/]+)\/tasks$/,
+    read: readListTasks
+  },
+  {
+    uriTemplate: 'clickup://task/{taskId}',
+    name: 'ClickUp task',
+    description: 'Task details including description, checklists and relationships. Accepts regular and custom task IDs.',
+    mimeType: 'application/json',
+    pattern: /^clickup:\/\/task\/([^/]+)$/,
+    read: readTask
+  },
+  {
+    uriTemplate: 'clickup://doc/{docId}/page/{pageId}',
+    name: 'ClickUp document page',
+    description: 'Content of a document page as markdown',
+    mimeType: 'text/markdown',
+    pattern: /^clickup:\/\/doc\/([^/]+)\/page\/([^/]+)$/,
+    read: readDocumentPage,
+    enabled: () => config.documentSupport === 'true'
+  }
+];
+
+/**
+ * Get the resource templates supported by the server
+ */
+export function listResourceTemplates() {
+  return resourceTemplates
+    .filter(template => !template.enabled || template.enabled())
+    .map(({ uriTemplate, name, description, mimeType }) => ({ uriTemplate, name, description, mimeType }));
+}
+
+/**
+ * List concrete resources: every space and list in the workspace hierarchy
+ */
+export async function listResources() {
+  const hierarchy = await workspaceService.getWorkspaceHierarchy();
+  const resources: { uri: string; name: string; description?: string; mimeType: string }[] = [];
+
+  const addLists = (nodes: WorkspaceNode[] = [], path: string) => {
+    for (const node of nodes) {
+      if (node.type === 'list') {
+        resources.push({
+          uri: `clickup://list/${node.id}/tasks`,
+          name: `${path} / ${node.name} tasks`,
+          mimeType: 'application/json'
+        });
+      } else if (node.type === 'folder') {
+        addLists(node.children, `${path} / ${node.name}`);
+      }
+    }
+  };
+
+  for (const space of hierarchy.root.children) {
+    resources.push({
+      uri: `clickup://space/${space.id}`,
+      name: space.name,
+      description: 'Space with its folders and lists',
+      mimeType: 'application/json'
+    });
+    addLists(space.children, space.name);
+  }
+
+  return resources;
+}
+
+/**
+ * Read a resource by URI
+ *
+ * @param uri The resource URI
+ * @returns The resource contents
+ * @throws JSON-RPC error object if the URI does not match a supported template
+ */
+export async function readResource(uri: string): Promise<ResourceContent[]> {
+  for (const template of resourceTemplates) {
+    const match = uri.match(template.pattern);
+    if (!match) continue;
+
+    if (template.enabled && !template.enabled()) {
+      break;
+    }
+
+    logger.debug('Reading resource', { uri, template: template.uriTemplate });
+    const params = match.slice(1).map(decodeURIComponent);
+    return [await template.read(uri, params)];
+  }
+
+  throw { code: RESOURCE_NOT_FOUND, message: `Resource not found: ${uri}` };
+}
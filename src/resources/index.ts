@@ -0,0 +1,11 @@
+/**
+ * SPDX-FileCopyrightText: © 2025 Talib Kareem <taazkareem@icloud.com>
+ * SPDX-License-Identifier: MIT
+ *
+ * Resources Index
+ *
+ * This file exports the MCP resource handlers for the ClickUp MCP server.
+ */
+
+export * from './handlers.js';
+export * from './subscriptions.js';
@@ -0,0 +1,289 @@
+/**
+ * SPDX-FileCopyrightText: © 2025 Talib Kareem <taazkareem@icloud.com>
+ * SPDX-License-Identifier: MIT
+ *
+ * ClickUp MCP Resource Subscriptions
+ *
+ * Tracks resources/subscribe requests per client session and sends
+ * notifications/resources/updated when the underlying ClickUp object changes.
+ *
+ * Change detection:
+ * - Webhook events (see src/webhooks) notify subscribers immediately
+ * - While no webhook events are arriving, a polling loop compares date_updated
+ *   of subscribed tasks and lists every RESOURCE_POLL_INTERVAL_MS
+ */
+
+import config from '../config.js';
+import { clickUpServices } from '../services/shared.js';
+import { onWebhookEvent } from '../webhooks/endpoint.js';
+import { ClickUpWebhookEvent } from '../webhooks/types.js';
+import { Logger } from '../logger.js';
+
+const logger = new Logger('ResourceSubscriptions');
+
+// Use shared services instance
+const { task: taskService } = clickUpServices;
+
+// Webhooks are considered to be delivering while an event arrived within this window
+const WEBHOOK_ACTIVE_WINDOW_MS = 10 * 60 * 1000;
+
+// Subscribable resource URIs
+const TASK_URI_PATTERN = /^clickup:\/\/task\/([^/]+)$/;
+const LIST_TASKS_URI_PATTERN = /^clickup:\/\/list\/([^/]+)\/tasks$/;
+
+/**
+ * Sends a resources/updated notification to one client session
+ */
+export type ResourceUpdateNotifier = (uri: string) => Promise<void>;
+
+/**
+ * Subscription state of a single resource URI
+ */
+interface ResourceSubscription {
+  // Notifier per session key
+  subscribers: Map<string, ResourceUpdateNotifier>;
+  // Last seen date_updated (task) or newest task date_updated (list); undefined until baselined
+  version?: number;
+}
+
+/**
+ * Manages resource subscriptions across stdio and HTTP sessions
+ */
+export class ResourceSubscriptionManager {
+  private subscriptions: Map<string, ResourceSubscription> = new Map();
+  // List IDs of tasks seen in webhook events, for notifying list subscribers of deleted tasks
+  private taskLists: Map<string, string> = new Map();
+  private pollTimer: NodeJS.Timeout | null = null;
+  private polling = false;
+  private lastWebhookEventAt = 0;
+  private unsubscribeWebhooks: (() => void) | null = null;
+
+  constructor(private pollIntervalMs: number) {}
+
+  /**
+   * Check whether a URI supports subscriptions
+   */
+  static isSubscribable(uri: string): boolean {
+    return TASK_URI_PATTERN.test(uri) || LIST_TASKS_URI_PATTERN.test(uri);
+  }
+
+  /**
+   * Subscribe a session to a resource
+   * @param uri The resource URI
+   * @param sessionKey Identifies the client session (transport session ID, or 'stdio')
+   * @param notify Sends the update notification to that session
+   */
+  subscribe(uri: string, sessionKey: string, notify: ResourceUpdateNotifier): void {
+    if (!ResourceSubscriptionManager.isSubscribable(uri)) {
+      throw new Error(`Subscriptions are supported for clickup://task/{taskId} and clickup://list/{listId}/tasks, not ${uri}`);
+    }
+
+    let subscription = this.subscriptions.get(uri);
+    if (!subscription) {
+      subscription = { subscribers: new Map() };
+      this.subscriptions.set(uri, subscription);
+    }
+    subscription.subscribers.set(sessionKey, notify);
+
+    logger.info('Resource subscribed', { uri, sessionKey, subscribers: subscription.subscribers.size });
+    this.start();
+  }
+
+  /**
+   * Unsubscribe a session from a resource
+   */
+  unsubscribe(uri: string, sessionKey: string): void {
+    const subscription = this.subscriptions.get(uri);
+    if (!subscription) return;
+
+    subscription.subscribers.delete(sessionKey);
+    if (subscription.subscribers.size === 0) {
+      this.subscriptions.delete(uri);
+    }
+
+    logger.info('Resource unsubscribed', { uri, sessionKey });
+    this.stopIfIdle();
+  }
+
+  /**
+   * Remove every subscription of a session (e.g. when its transport closes)
+   */
+  removeSession(sessionKey: string): void {
+    for (const [uri, subscription] of this.subscriptions) {
+      if (subscription.subscribers.delete(sessionKey) && subscription.subscribers.size === 0) {
+        this.subscriptions.delete(uri);
+      }
+    }
+    this.stopIfIdle();
+  }
+
+  /**
+   * Start listening for webhook events and polling
+   */
+  private start(): void {
+    if (!this.unsubscribeWebhooks) {
+      this.unsubscribeWebhooks = onWebhookEvent(event => {
+        this.handleWebhookEvent(event).catch(error => {
+          logger.error('Failed to process webhook event for subscriptions', { type: event.type, error: error.message });
+        });
+      });
+    }
+
+    if (!this.pollTimer && this.pollIntervalMs > 0) {
+      this.pollTimer = setInterval(() => this.poll(), this.pollIntervalMs);
+      // Polling should never keep the process alive on its own
+      this.pollTimer.unref?.();
+      // Take baselines right away so the first change is detected
+      this.poll();
+    }
+  }
+
+  /**
+   * Stop polling and webhook listening when nothing is subscribed
+   */
+  private stopIfIdle(): void {
+    if (this.subscriptions.size > 0) return;
+
+    if (this.pollTimer) {
+      clearInterval(this.pollTimer);
+      this.pollTimer = null;
+    }
+    if (this.unsubscribeWebhooks) {
+      this.unsubscribeWebhooks();
+      this.unsubscribeWebhooks = null;
+    }
+  }
+
+  /**
+   * Send the update notification to all subscribers of a URI
+   */
+  private async notify(uri: string): Promise<void> {
+    const subscription = this.subscriptions.get(uri);
+    if (!subscription) return;
+
+    logger.debug('Resource updated, notifying subscribers', { uri, subscribers: subscription.subscribers.size });
+
+    for (const [sessionKey, send] of subscription.subscribers) {
+      try {
+        await send(uri);
+      } catch (error) {
+        // The session is gone; drop its subscriptions
+        logger.warn('Failed to notify subscriber, removing session', { uri, sessionKey, error: error.message });
+        this.removeSession(sessionKey);
+      }
+    }
+  }
+
+  /**
+   * Notify subscribers affected by a webhook event
+   */
+  async handleWebhookEvent(event: ClickUpWebhookEvent): Promise<void> {
+    this.lastWebhookEventAt = Date.now();
+
+    const updated = new Set<string>();
+
+    if (event.resourceType === 'task') {
+      updated.add(`clickup://task/${event.taskId}`);
+
+      if (this.hasListSubscriptions()) {
+        const listIds = await this.getTaskListIds(event.taskId, event.type === 'taskDeleted');
+        listIds.forEach(listId => updated.add(`clickup://list/${listId}/tasks`));
+      }
+    } else if (event.resourceType === 'list') {
+      updated.add(`clickup://list/${event.listId}/tasks`);
+    }
+
+    for (const uri of updated) {
+      const subscription = this.subscriptions.get(uri);
+      if (!subscription) continue;
+
+      // Re-baseline on the next poll so the same change is not reported twice
+      subscription.version = undefined;
+      await this.notify(uri);
+    }
+  }
+
+  /**
+   * Check for changes by comparing date_updated. Skipped while webhooks are delivering events.
+   */
+  async poll(): Promise<void> {
+    if (this.polling || this.subscriptions.size === 0) return;
+    if (Date.now() - this.lastWebhookEventAt < WEBHOOK_ACTIVE_WINDOW_MS) return;
+
+    this.polling = true;
+    try {
+      for (const [uri, subscription] of [...this.subscriptions]) {
+        try {
+          const version = await this.getVersion(uri, subscription.version);
+          const changed = subscription.version !== undefined && version !== undefined && version > subscription.version;
+
+          if (version !== undefined && (subscription.version === undefined || version > subscription.version)) {
+            subscription.version = version;
+          }
+          if (changed) {
+            await this.notify(uri);
+          }
+        } catch (error) {
+          logger.warn('Failed to poll subscribed resource', { uri, error: error.message });
+        }
+      }
+    } finally {
+      this.polling = false;
+    }
+  }
+
+  /**
+   * Get the current version (latest date_updated) of a subscribed resource
+   */
+  private async getVersion(uri: string, since?: number): Promise<number | undefined> {
+    const taskMatch = uri.match(TASK_URI_PATTERN);
+    if (taskMatch) {
+      const task = await taskService.getTask(decodeURIComponent(taskMatch[1]));
+      return Number(task.date_updated) || undefined;
+    }
+
+    const listMatch = uri.match(LIST_TASKS_URI_PATTERN);
+    if (listMatch) {
+      // Only fetch tasks updated since the last check once a baseline exists
+      const tasks = await taskService.getTasks(decodeURIComponent(listMatch[1]), {
+        include_closed: true,
+        subtasks: true,
+        ...(since !== undefined ? { date_updated_gt: since } : {})
+      });
+      const dates = tasks.map(task => Number(task.date_updated)).filter(date => !isNaN(date));
+      return dates.length > 0 ? Math.max(...dates) : since ?? 0;
+    }
+
+    return undefined;
+  }
+
+  /**
+   * Whether any list resource is subscribed
+   */
+  private hasListSubscriptions(): boolean {
+    return [...this.subscriptions.keys()].some(uri => LIST_TASKS_URI_PATTERN.test(uri));
+  }
+
+  /**
+   * Find the list a task belongs to, remembering it for later delete events
+   */
+  private async getTaskListIds(taskId: string, deleted: boolean): Promise<string[]> {
+    if (!deleted) {
+      try {
+        const task = await taskService.getTask(taskId);
+        if (task.list?.id) {
+          this.taskLists.set(taskId, task.list.id);
+          return [task.list.id];
+        }
+      } catch (error) {
+        logger.debug('Could not load task for list notifications', { taskId, error: error.message });
+      }
+    }
+
+    const known = this.taskLists.get(taskId);
+    return known ? [known] : [];
+  }
+}
+
+// Shared subscription manager for all transports
+export const resourceSubscriptions = new ResourceSubscriptionManager(config.resourcePollIntervalMs);
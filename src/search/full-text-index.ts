@@ -0,0 +1,392 @@
+/**
+ * SPDX-FileCopyrightText: © 2025 Talib Kareem <taazkareem@icloud.com>
+ * SPDX-License-Identifier: MIT
+ *
+ * ClickUp MCP Full-Text Index
+ *
+ * Inverted index over task names, descriptions, comments and custom field text,
+ * ranked with BM25. Documents are persisted to a JSON file and the postings are
+ * rebuilt from them on load.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { SearchDocument, SearchField, SearchIndexFile, SearchResult, SearchSnippet } from './types.js';
+import { Logger } from '../logger.js';
+
+const logger = new Logger('SearchIndex');
+
+// Delay before changes are written to the index file
+const FILE_WRITE_DELAY_MS = 5000;
+
+// BM25 parameters
+const K1 = 1.2;
+const B = 0.75;
+
+// Term frequency weight of each field; a word in the name counts three times
+const FIELD_WEIGHTS: Record<SearchField, number> = {
+  name: 3,
+  custom_field: 1.5,
+  description: 1,
+  comment: 1
+};
+
+// Characters of context on each side of the first match in a snippet
+const SNIPPET_RADIUS = 80;
+const MAX_SNIPPETS = 2;
+
+const STOP_WORDS = new Set([
+  'a', 'about', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'has', 'have', 'in', 'is', 'it',
+  'of', 'on', 'or', 'that', 'the', 'this', 'to', 'was', 'we', 'were', 'what', 'when', 'where', 'which',
+  'who', 'with', 'task', 'tasks'
+]);
+
+const WORD_PATTERN = /[\p{L}\p{N}]+/gu;
+
+/**
+ * Reduce a word to a crude stem so that e.g. "migrations" and "migration" match
+ */
+function stem(word: string): string {
+  if (word.length <= 4 || /^\d/.test(word)) return word;
+  if (word.endsWith('ies')) return `${word.slice(0, -3)}y`;
+  if (word.endsWith('ing') && word.length > 5) return word.slice(0, -3);
+  if (word.endsWith('ed')) return word.slice(0, -2);
+  if (/(s|x|ch|sh)es$/.test(word)) return word.slice(0, -2);
+  if (word.endsWith('s') && !word.endsWith('ss')) return word.slice(0, -1);
+  return word;
+}
+
+/**
+ * Normalize a word for indexing: lowercase without diacritics
+ */
+function normalizeWord(word: string): string {
+  return word.toLowerCase().normalize('NFKD').replace(/[\u0300-\u036f]/g, '');
+}
+
+/**
+ * Split text into index terms
+ */
+export function tokenize(text: string): string[] {
+  const terms: string[] = [];
+  for (const [word] of (text || '').matchAll(WORD_PATTERN)) {
+    const normalized = normalizeWord(word);
+    if (normalized.length < 2 || STOP_WORDS.has(normalized)) continue;
+    terms.push(stem(normalized));
+  }
+  return terms;
+}
+
+/**
+ * Searchable fields of a document with their text
+ */
+function getFields(doc: SearchDocument): { field: SearchField; text: string; comment_id?: string; custom_field?: string }[] {
+  return [
+    { field: 'name' as SearchField, text: doc.name },
+    { field: 'description' as SearchField, text: doc.description },
+    ...doc.comments.map(comment => ({ field: 'comment' as SearchField, text: comment.text, comment_id: comment.id })),
+    ...doc.customFields.map(custom => ({ field: 'custom_field' as SearchField, text: custom.text, custom_field: custom.name }))
+  ].filter(entry => entry.text);
+}
+
+/**
+ * Build a snippet around the first word of a text that matches one of the terms
+ * @returns The snippet and the number of distinct terms it contains, or null without a match
+ */
+function buildSnippet(text: string, terms: Set<string>): { text: string; matched: number } | null {
+  const flat = text.replace(/\s+/g, ' ').trim();
+  const matches: { start: number; end: number; term: string }[] = [];
+
+  for (const match of flat.matchAll(WORD_PATTERN)) {
+    const term = stem(normalizeWord(match[0]));
+    if (terms.has(term)) {
+      matches.push({ start: match.index, end: match.index + match[0].length, term });
+    }
+  }
+  if (matches.length === 0) return null;
+
+  // Start at a word boundary before the first match
+  let start = Math.max(0, matches[0].start - SNIPPET_RADIUS);
+  if (start > 0) {
+    const space = flat.indexOf(' ', start);
+    start = space >= 0 && space < matches[0].start ? space + 1 : start;
+  }
+  let end = Math.min(flat.length, matches[0].end + SNIPPET_RADIUS);
+  if (end < flat.length) {
+    const space = flat.lastIndexOf(' ', end);
+    end = space > matches[0].end ? space : end;
+  }
+
+  const inWindow = matches.filter(match => match.start >= start && match.end <= end);
+  let snippet = '';
+  let position = start;
+  for (const match of inWindow) {
+    snippet += `${flat.slice(position, match.start)}**${flat.slice(match.start, match.end)}**`;
+    position = match.end;
+  }
+  snippet += flat.slice(position, end);
+
+  return {
+    text: `${start > 0 ? '…' : ''}${snippet}${end < flat.length ? '…' : ''}`,
+    matched: new Set(inWindow.map(match => match.term)).size
+  };
+}
+
+/**
+ * Full-text index of the tasks of one workspace
+ */
+export class FullTextIndex {
+  private readonly documents = new Map<string, SearchDocument>();
+  // Term -> task ID -> weighted term frequency
+  private readonly postings = new Map<string, Map<string, number>>();
+  // Weighted number of terms per task
+  private readonly lengths = new Map<string, number>();
+  private totalLength = 0;
+  private syncedAtValue?: number;
+  private writeTimer?: NodeJS.Timeout;
+  private dirty = false;
+
+  /**
+   * @param teamId Workspace the indexed tasks belong to
+   * @param filePath Index file; without one the index is kept in memory only
+   */
+  constructor(private readonly teamId: string, private readonly filePath?: string) {
+    this.load();
+    if (this.filePath) {
+      process.on('exit', () => this.flush());
+    }
+  }
+
+  /**
+   * Newest date_updated covered by a completed refresh
+   */
+  get syncedAt(): number | undefined {
+    return this.syncedAtValue;
+  }
+
+  set syncedAt(value: number | undefined) {
+    this.syncedAtValue = value;
+    this.scheduleWrite();
+  }
+
+  get size(): number {
+    return this.documents.size;
+  }
+
+  /**
+   * Add or replace the document of a task
+   */
+  upsert(doc: SearchDocument): void {
+    this.unindex(doc.id);
+    this.documents.set(doc.id, doc);
+
+    const frequencies = new Map<string, number>();
+    let length = 0;
+    for (const { field, text } of getFields(doc)) {
+      for (const term of tokenize(text)) {
+        frequencies.set(term, (frequencies.get(term) || 0) + FIELD_WEIGHTS[field]);
+        length += FIELD_WEIGHTS[field];
+      }
+    }
+
+    for (const [term, frequency] of frequencies) {
+      let posting = this.postings.get(term);
+      if (!posting) {
+        posting = new Map();
+        this.postings.set(term, posting);
+      }
+      posting.set(doc.id, frequency);
+    }
+    this.lengths.set(doc.id, length);
+    this.totalLength += length;
+    this.scheduleWrite();
+  }
+
+  /**
+   * Remove the document of a task
+   */
+  remove(taskId: string): void {
+    if (!this.documents.has(taskId)) return;
+    this.unindex(taskId);
+    this.documents.delete(taskId);
+    this.scheduleWrite();
+  }
+
+  /**
+   * Find tasks matching a query, best matches first
+   *
+   * Words are matched after stemming and stop word removal; tasks containing
+   * more of the words rank higher. Quoted phrases must appear as written.
+   *
+   * @param query Search text, e.g. 'S3 migration "bucket policy"'
+   * @param limit Maximum number of results
+   */
+  search(query: string, limit: number): { total: number; results: SearchResult[] } {
+    const terms = [...new Set(tokenize(query))];
+    const phrases = [...query.matchAll(/"([^"]+)"/g)]
+      .map(match => match[1].replace(/\s+/g, ' ').trim().toLowerCase())
+      .filter(phrase => phrase.length > 0);
+    if (terms.length === 0) return { total: 0, results: [] };
+
+    const count = this.documents.size;
+    const averageLength = count > 0 ? this.totalLength / count : 0;
+    const scores = new Map<string, { score: number; matched: number }>();
+
+    for (const term of terms) {
+      const posting = this.postings.get(term);
+      if (!posting) continue;
+
+      const idf = Math.log(1 + (count - posting.size + 0.5) / (posting.size + 0.5));
+      for (const [taskId, frequency] of posting) {
+        const length = this.lengths.get(taskId) || 0;
+        const score = idf * frequency * (K1 + 1) / (frequency + K1 * (1 - B + B * length / (averageLength || 1)));
+        const entry = scores.get(taskId) || { score: 0, matched: 0 };
+        entry.score += score;
+        entry.matched++;
+        scores.set(taskId, entry);
+      }
+    }
+
+    const ranked = [...scores.entries()]
+      .filter(([taskId]) => phrases.length === 0 || this.containsPhrases(this.documents.get(taskId), phrases))
+      // Tasks containing more of the query words come first
+      .map(([taskId, entry]) => ({ taskId, score: entry.score * entry.matched / terms.length }))
+      .sort((a, b) => b.score - a.score
+        || this.documents.get(b.taskId).dateUpdated - this.documents.get(a.taskId).dateUpdated);
+
+    const termSet = new Set(terms);
+    return {
+      total: ranked.length,
+      results: ranked.slice(0, limit).map(({ taskId, score }) => {
+        const doc = this.documents.get(taskId);
+        return {
+          id: doc.id,
+          name: doc.name,
+          url: doc.url,
+          status: doc.status,
+          list: doc.list,
+          score: Math.round(score * 1000) / 1000,
+          snippets: this.getSnippets(doc, termSet)
+        };
+      })
+    };
+  }
+
+  /**
+   * Write pending changes to the index file now
+   */
+  flush(): void {
+    if (this.writeTimer) {
+      clearTimeout(this.writeTimer);
+      this.writeTimer = undefined;
+    }
+    if (!this.dirty || !this.filePath) return;
+
+    try {
+      const data: SearchIndexFile = {
+        version: 1,
+        teamId: this.teamId,
+        syncedAt: this.syncedAtValue,
+        documents: [...this.documents.values()]
+      };
+
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+      // Write to a temporary file first so a crash never leaves a truncated index
+      const tempFile = `${this.filePath}.tmp`;
+      fs.writeFileSync(tempFile, JSON.stringify(data), 'utf8');
+      fs.renameSync(tempFile, this.filePath);
+      this.dirty = false;
+    } catch (error) {
+      logger.error('Failed to write search index file', { file: this.filePath, error: error.message });
+    }
+  }
+
+  /**
+   * Remove the postings of a task
+   */
+  private unindex(taskId: string): void {
+    const doc = this.documents.get(taskId);
+    if (!doc) return;
+
+    for (const { text } of getFields(doc)) {
+      for (const term of tokenize(text)) {
+        const posting = this.postings.get(term);
+        if (!posting) continue;
+        posting.delete(taskId);
+        if (posting.size === 0) this.postings.delete(term);
+      }
+    }
+    this.totalLength -= this.lengths.get(taskId) || 0;
+    this.lengths.delete(taskId);
+  }
+
+  private containsPhrases(doc: SearchDocument, phrases: string[]): boolean {
+    const text = getFields(doc).map(entry => entry.text).join('\n').replace(/\s+/g, ' ').toLowerCase();
+    return phrases.every(phrase => text.includes(phrase));
+  }
+
+  /**
+   * Pick the fields whose excerpts contain the most query words. The name only
+   * appears when nothing else matches, as it is part of every result.
+   */
+  private getSnippets(doc: SearchDocument, terms: Set<string>): SearchSnippet[] {
+    const candidates: (SearchSnippet & { matched: number })[] = [];
+    for (const { field, text, comment_id, custom_field } of getFields(doc)) {
+      const snippet = buildSnippet(text, terms);
+      if (!snippet) continue;
+      candidates.push({
+        field,
+        text: snippet.text,
+        matched: snippet.matched,
+        ...(comment_id ? { comment_id } : {}),
+        ...(custom_field ? { custom_field } : {})
+      });
+    }
+
+    const content = candidates.filter(candidate => candidate.field !== 'name');
+    return (content.length > 0 ? content : candidates)
+      .sort((a, b) => b.matched - a.matched)
+      .slice(0, MAX_SNIPPETS)
+      .map(({ matched, ...snippet }) => snippet);
+  }
+
+  /**
+   * Read documents from the index file. A missing, unreadable or foreign file starts an empty index.
+   */
+  private load(): void {
+    if (!this.filePath || !fs.existsSync(this.filePath)) return;
+
+    try {
+      const data: SearchIndexFile = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      if (data?.version !== 1 || data.teamId !== this.teamId) {
+        logger.warn('Ignoring search index file of another workspace or version', { file: this.filePath });
+        return;
+      }
+
+      for (const doc of data.documents || []) {
+        this.upsert(doc);
+      }
+      this.syncedAtValue = data.syncedAt;
+      this.dirty = false;
+      if (this.writeTimer) {
+        clearTimeout(this.writeTimer);
+        this.writeTimer = undefined;
+      }
+      logger.info('Loaded search index', { file: this.filePath, tasks: this.documents.size });
+    } catch (error) {
+      logger.warn('Ignoring unreadable search index file', { file: this.filePath, error: error.message });
+    }
+  }
+
+  private scheduleWrite(): void {
+    if (!this.filePath) return;
+    this.dirty = true;
+    if (this.writeTimer) return;
+
+    this.writeTimer = setTimeout(() => {
+      this.writeTimer = undefined;
+      this.flush();
+    }, FILE_WRITE_DELAY_MS);
+    // Pending writes never keep the process alive; the exit handler flushes them
+    this.writeTimer.unref?.();
+  }
+}
@@ -0,0 +1,29 @@
+/**
+ * SPDX-FileCopyrightText: © 2025 Talib Kareem <taazkareem@icloud.com>
+ * SPDX-License-Identifier: MIT
+ *
+ * ClickUp MCP Full-Text Search
+ *
+ * Exports the shared full-text index for the file configured with
+ * SEARCH_INDEX_FILE (default: ~/.clickup-mcp/search-index.json) and its sync.
+ */
+
+import os from 'os';
+import path from 'path';
+import config from '../config.js';
+import { FullTextIndex } from './full-text-index.js';
+import { SearchIndexSync } from './sync.js';
+import { taskService } from '../services/shared.js';
+
+export * from './full-text-index.js';
+export * from './sync.js';
+export * from './types.js';
+
+// Shared index of the configured workspace
+export const searchIndex = new FullTextIndex(
+  config.clickupTeamId,
+  config.searchIndexFile || path.join(os.homedir(), '.clickup-mcp', 'search-index.json')
+);
+
+// Started by the first full_text_search call
+export const searchIndexSync = new SearchIndexSync(searchIndex, taskService, config.searchIndexPollIntervalMs);
@@ -0,0 +1,271 @@
+/**
+ * SPDX-FileCopyrightText: © 2025 Talib Kareem <taazkareem@icloud.com>
+ * SPDX-License-Identifier: MIT
+ *
+ * ClickUp MCP Search Index Sync
+ *
+ * Keeps the full-text index up to date:
+ * - A refresh fetches tasks updated since the last refresh (date_updated_gt),
+ *   together with their comments, at bulk request priority
+ * - Webhook events reindex or remove the affected task immediately
+ * - While no webhook events are arriving, a timer refreshes every
+ *   SEARCH_INDEX_POLL_INTERVAL_MS
+ */
+
+import { FullTextIndex } from './full-text-index.js';
+import { SearchDocument } from './types.js';
+import { ClickUpTask } from '../services/clickup/types.js';
+import { TaskService } from '../services/clickup/task/index.js';
+import { withRequestPriority } from '../services/clickup/rate-limiter.js';
+import { onWebhookEvent } from '../webhooks/endpoint.js';
+import { ClickUpWebhookEvent } from '../webhooks/types.js';
+import { Logger } from '../logger.js';
+
+const logger = new Logger('SearchIndexSync');
+
+// Webhooks are considered to be delivering while an event arrived within this window
+const WEBHOOK_ACTIVE_WINDOW_MS = 10 * 60 * 1000;
+
+// ClickUp returns at most 100 tasks per page of the workspace tasks endpoint
+const TASK_PAGE_SIZE = 100;
+
+// Comment pages of 25 fetched per task, newest first
+const MAX_COMMENT_PAGES = 4;
+
+/**
+ * Text of the custom field values of a task that are worth searching
+ */
+function getCustomFieldText(task: ClickUpTask): { name: string; text: string }[] {
+  const fields: any[] = Array.isArray(task.custom_fields) ? task.custom_fields : [];
+  const texts: { name: string; text: string }[] = [];
+
+  for (const field of fields) {
+    const value = field?.value;
+    if (value === undefined || value === null || value === '') continue;
+
+    const options: any[] = field.type_config?.options || [];
+    let text: string | undefined;
+    switch (field.type) {
+      case 'drop_down': {
+        const option = options.find(candidate => candidate.id === value || candidate.orderindex === Number(value));
+        text = option?.name;
+        break;
+      }
+      case 'labels':
+        text = (Array.isArray(value) ? value : [])
+          .map(id => {
+            const option = options.find(candidate => candidate.id === id);
+            return option?.label || option?.name;
+          })
+          .filter(Boolean)
+          .join(', ');
+        break;
+      default:
+        if (typeof value === 'string' || typeof value === 'number') {
+          text = String(value);
+        }
+    }
+
+    if (text) {
+      texts.push({ name: field.name, text });
+    }
+  }
+
+  return texts;
+}
+
+/**
+ * Refreshes a full-text index from ClickUp
+ */
+export class SearchIndexSync {
+  private pollTimer: NodeJS.Timeout | null = null;
+  private unsubscribeWebhooks: (() => void) | null = null;
+  private refreshing: Promise<number> | null = null;
+  private lastWebhookEventAt = 0;
+  private lastRefreshAt = 0;
+  private lastError?: string;
+
+  /**
+   * @param index Index to keep up to date
+   * @param taskService Service used to fetch tasks and comments
+   * @param pollIntervalMs Interval of background refreshes; 0 disables them
+   */
+  constructor(
+    private readonly index: FullTextIndex,
+    private readonly taskService: TaskService,
+    private readonly pollIntervalMs: number
+  ) {}
+
+  /**
+   * Start listening for webhook events and refreshing in the background
+   */
+  start(): void {
+    if (!this.unsubscribeWebhooks) {
+      this.unsubscribeWebhooks = onWebhookEvent(event => {
+        this.handleWebhookEvent(event).catch(error => {
+          logger.error('Failed to update search index from webhook event', { type: event.type, error: error.message });
+        });
+      });
+    }
+
+    if (!this.pollTimer && this.pollIntervalMs > 0) {
+      this.pollTimer = setInterval(() => this.poll(), this.pollIntervalMs);
+      // Polling should never keep the process alive on its own
+      this.pollTimer.unref?.();
+    }
+  }
+
+  /**
+   * Whether the index has ever completed a refresh
+   */
+  get isBuilt(): boolean {
+    return this.index.syncedAt !== undefined;
+  }
+
+  /**
+   * Whether a refresh is running
+   */
+  get isRefreshing(): boolean {
+    return this.refreshing !== null;
+  }
+
+  /**
+   * Milliseconds since the last completed refresh in this process
+   */
+  get refreshAge(): number {
+    return Date.now() - this.lastRefreshAt;
+  }
+
+  /**
+   * State of the index for status output
+   */
+  getStatus(): { tasks: number; synced_at?: string; building: boolean; last_error?: string } {
+    return {
+      tasks: this.index.size,
+      synced_at: this.index.syncedAt !== undefined ? new Date(this.index.syncedAt).toISOString() : undefined,
+      building: this.isRefreshing,
+      ...(this.lastError ? { last_error: this.lastError } : {})
+    };
+  }
+
+  /**
+   * Index tasks updated since the last refresh. Concurrent calls share one refresh.
+   * @returns Number of tasks indexed
+   */
+  refresh(): Promise<number> {
+    if (!this.refreshing) {
+      this.refreshing = withRequestPriority('bulk', () => this.fetchUpdatedTasks())
+        .then(count => {
+          this.lastRefreshAt = Date.now();
+          this.lastError = undefined;
+          return count;
+        })
+        .catch(error => {
+          this.lastError = error.message;
+          throw error;
+        })
+        .finally(() => {
+          this.refreshing = null;
+          this.index.flush();
+        });
+    }
+    return this.refreshing;
+  }
+
+  /**
+   * Reindex or remove the task of a webhook event
+   */
+  async handleWebhookEvent(event: ClickUpWebhookEvent): Promise<void> {
+    this.lastWebhookEventAt = Date.now();
+    if (event.resourceType !== 'task') return;
+
+    if (event.type === 'taskDeleted') {
+      this.index.remove(event.taskId);
+      return;
+    }
+
+    // Events arriving before the first refresh are covered by it
+    if (!this.isBuilt) return;
+
+    const task = await withRequestPriority('bulk', () => this.taskService.getTask(event.taskId));
+    this.index.upsert(await this.buildDocument(task));
+  }
+
+  /**
+   * Refresh in the background. Skipped while webhooks are delivering events.
+   */
+  private poll(): void {
+    if (Date.now() - this.lastWebhookEventAt < WEBHOOK_ACTIVE_WINDOW_MS) return;
+
+    this.refresh().catch(error => {
+      logger.warn('Background search index refresh failed', { error: error.message });
+    });
+  }
+
+  private async fetchUpdatedTasks(): Promise<number> {
+    const since = this.index.syncedAt;
+    let newest = since || 0;
+    let count = 0;
+
+    logger.info('Refreshing search index', { since: since ? new Date(since).toISOString() : 'never' });
+
+    for (let page = 0; ; page++) {
+      const tasks = await this.taskService.getWorkspaceTaskPage({
+        page,
+        include_closed: true,
+        subtasks: true,
+        order_by: 'updated',
+        // Oldest changes first, so tasks updated during the refresh move to a later page instead of being skipped
+        reverse: true,
+        ...(since ? { date_updated_gt: since } : {})
+      });
+
+      for (const task of tasks) {
+        this.index.upsert(await this.buildDocument(task));
+        newest = Math.max(newest, Number(task.date_updated) || 0);
+        count++;
+      }
+
+      if (tasks.length < TASK_PAGE_SIZE) break;
+    }
+
+    // The first build of an empty workspace still counts as built
+    this.index.syncedAt = newest || since || Date.now();
+    logger.info('Search index refreshed', { updated: count, tasks: this.index.size });
+    return count;
+  }
+
+  /**
+   * Collect the searchable text of a task, including its recent comments
+   */
+  private async buildDocument(task: ClickUpTask): Promise<SearchDocument> {
+    const comments: { id: string; text: string }[] = [];
+    let start: number | undefined;
+    let startId: string | undefined;
+
+    for (let page = 0; page < MAX_COMMENT_PAGES; page++) {
+      const batch = await this.taskService.getTaskComments(task.id, start, startId);
+      for (const comment of batch) {
+        const text = comment.comment_text || '';
+        if (text.trim()) comments.push({ id: String(comment.id), text });
+      }
+      if (batch.length < 25) break;
+
+      const oldest = batch[batch.length - 1];
+      start = Number(oldest.date);
+      startId = String(oldest.id);
+    }
+
+    return {
+      id: task.id,
+      name: task.name || '',
+      description: task.text_content || task.description || '',
+      comments,
+      customFields: getCustomFieldText(task),
+      url: task.url,
+      status: task.status?.status,
+      list: task.list ? { id: task.list.id, name: task.list.name } : undefined,
+      dateUpdated: Number(task.date_updated) || 0
+    };
+  }
+}
@@ -0,0 +1,63 @@
+/**
+ * SPDX-FileCopyrightText: © 2025 Talib Kareem <taazkareem@icloud.com>
+ * SPDX-License-Identifier: MIT
+ *
+ * ClickUp MCP Search Index Types
+ *
+ * Shared definitions for indexed task documents and search results.
+ */
+
+/**
+ * Searchable text of a task
+ */
+export interface SearchDocument {
+  id: string;
+  name: string;
+  description: string;
+  comments: { id: string; text: string }[];
+  customFields: { name: string; text: string }[];
+  url?: string;
+  status?: string;
+  list?: { id: string; name: string };
+  // date_updated of the task in Unix milliseconds
+  dateUpdated: number;
+}
+
+/**
+ * Part of a document that a snippet comes from
+ */
+export type SearchField = 'name' | 'description' | 'comment' | 'custom_field';
+
+/**
+ * Excerpt around matching words, with matches wrapped in **
+ */
+export interface SearchSnippet {
+  field: SearchField;
+  text: string;
+  comment_id?: string;
+  custom_field?: string;
+}
+
+/**
+ * A ranked search hit
+ */
+export interface SearchResult {
+  id: string;
+  name: string;
+  url?: string;
+  status?: string;
+  list?: { id: string; name: string };
+  score: number;
+  snippets: SearchSnippet[];
+}
+
+/**
+ * Contents of the index file
+ */
+export interface SearchIndexFile {
+  version: 1;
+  teamId: string;
+  // Newest date_updated seen by a completed refresh; the next refresh asks for newer tasks
+  syncedAt?: number;
+  documents: SearchDocument[];
+}
@@ -11,6 +11,11 @@ import {
   ListPromptsRequestSchema,
   GetPromptRequestSchema,
   ListResourcesRequestSchema,
+  ListResourceTemplatesRequestSchema,
+  ReadResourceRequestSchema,
+  SubscribeRequestSchema,
+  UnsubscribeRequestSchema,
+  Tool,
 } from "@modelcontextprotocol/sdk/types.js";
 import { createClickUpServices } from "./services/clickup/index.js";
 import config from "./config.js";
@@ -24,18 +29,40 @@ import {
   deleteTaskTool,
   getTaskCommentsTool,
   createTaskCommentTool,
+  getCommentRepliesTool,
+  createCommentReplyTool,
+  updateCommentTool,
+  deleteCommentTool,
+  getListCommentsTool,
+  createListCommentTool,
+  getViewCommentsTool,
+  createViewCommentTool,
   createBulkTasksTool,
   updateBulkTasksTool,
   moveBulkTasksTool,
   deleteBulkTasksTool,
   attachTaskFileTool,
   getWorkspaceTasksTool,
+  searchTasksTool,
   getTaskTimeEntriesTool,
   startTimeTrackingTool,
   stopTimeTrackingTool,
   addTimeEntryTool,
   deleteTimeEntryTool,
   getCurrentTimeEntryTool,
+  createChecklistTool,
+  updateChecklistTool,
+  deleteChecklistTool,
+  createChecklistItemTool,
+  updateChecklistItemTool,
+  deleteChecklistItemTool,
+  addTaskDependencyTool,
+  removeTaskDependencyTool,
+  addTaskLinkTool,
+  removeTaskLinkTool,
+  getListCustomFieldsTool,
+  importTasksTool,
+  exportTasksTool,
   handleCreateTask,
   handleUpdateTask,
   handleMoveTask,
@@ -44,6 +71,14 @@ import {
   handleDeleteTask,
   handleGetTaskComments,
   handleCreateTaskComment,
+  handleGetCommentReplies,
+  handleCreateCommentReply,
+  handleUpdateComment,
+  handleDeleteComment,
+  handleGetListComments,
+  handleCreateListComment,
+  handleGetViewComments,
+  handleCreateViewComment,
   handleCreateBulkTasks,
   handleUpdateBulkTasks,
   handleMoveBulkTasks,
@@ -51,12 +86,26 @@ import {
   handleGetTask,
   handleAttachTaskFile,
   handleGetWorkspaceTasks,
+  handleSearchTasks,
   handleGetTaskTimeEntries,
   handleStartTimeTracking,
   handleStopTimeTracking,
   handleAddTimeEntry,
   handleDeleteTimeEntry,
-  handleGetCurrentTimeEntry
+  handleGetCurrentTimeEntry,
+  handleCreateChecklist,
+  handleUpdateChecklist,
+  handleDeleteChecklist,
+  handleCreateChecklistItem,
+  handleUpdateChecklistItem,
+  handleDeleteChecklistItem,
+  handleAddTaskDependency,
+  handleRemoveTaskDependency,
+  handleAddTaskLink,
+  handleRemoveTaskLink,
+  handleGetListCustomFields,
+  handleImportTasks,
+  handleExportTasks
 } from "./tools/task/index.js";
 import {
   createListTool, handleCreateList,
@@ -71,6 +120,29 @@ import {
   updateFolderTool, handleUpdateFolder,
   deleteFolderTool, handleDeleteFolder
 } from "./tools/folder.js";
+import {
+  createSpaceTool, handleCreateSpace,
+  getSpaceTool, handleGetSpace,
+  updateSpaceTool, handleUpdateSpace,
+  deleteSpaceTool, handleDeleteSpace
+} from "./tools/space.js";
+import {
+  getGoalsTool, handleGetGoals,
+  getGoalTool, handleGetGoal,
+  createGoalTool, handleCreateGoal,
+  updateGoalTool, handleUpdateGoal,
+  deleteGoalTool, handleDeleteGoal,
+  createKeyResultTool, handleCreateKeyResult,
+  updateKeyResultTool, handleUpdateKeyResult,
+  updateKeyResultProgressTool, handleUpdateKeyResultProgress,
+  deleteKeyResultTool, handleDeleteKeyResult
+} from "./tools/goal.js";
+import {
+  createWebhookTool, handleCreateWebhook,
+  getWebhooksTool, handleGetWebhooks,
+  updateWebhookTool, handleUpdateWebhook,
+  deleteWebhookTool, handleDeleteWebhook
+} from "./tools/webhook.js";
 import {
   getSpaceTagsTool, handleGetSpaceTags,
   addTagToTaskTool, handleAddTagToTask,
@@ -92,6 +164,32 @@ import {
   resolveAssigneesTool, handleResolveAssignees
 } from "./tools/member.js";
 
+import {
+  getAuditLogTool, handleGetAuditLog,
+  undoOperationTool, handleUndoOperation
+} from "./tools/audit.js";
+
+import { fullTextSearchTool, handleFullTextSearch } from "./tools/search.js";
+import {
+  getJobStatusTool, handleGetJobStatus,
+  listJobsTool, handleListJobs,
+  cancelJobTool, handleCancelJob
+} from "./tools/jobs.js";
+
+import {
+  listResources,
+  listResourceTemplates,
+  readResource,
+  resourceSubscriptions,
+  ResourceSubscriptionManager
+} from "./resources/index.js";
+import { listPrompts, getPrompt } from "./prompts/index.js";
+import { withDryRunOption, isDryRunRequested, handleDryRun } from "./tools/dry-run.js";
+import { withConfirmationOption, requiresConfirmation, handleConfirmation } from "./tools/confirmation.js";
+import { policyEngine } from "./policies/index.js";
+import { runWithToolContext } from "./utils/tool-context.js";
+import { sponsorService } from "./utils/sponsor-service.js";
+
 import { Logger } from "./logger.js";
 import { clickUpServices } from "./services/shared.js";
 
@@ -136,7 +234,9 @@ export const server = new Server(
     capabilities: {
       tools: {},
       prompts: {},
-      resources: {},
+      resources: {
+        subscribe: true,
+      },
     },
   }
 );
@@ -157,6 +257,287 @@ const documentModule = () => {
   }
 }
 
+/**
+ * Definitions of all enabled tools
+ */
+const getToolDefinitions = (): Tool[] => (
+  [
+    workspaceHierarchyTool,
+    createTaskTool,
+    getTaskTool,
+    updateTaskTool,
+    moveTaskTool,
+    duplicateTaskTool,
+    deleteTaskTool,
+    getTaskCommentsTool,
+    createTaskCommentTool,
+    getCommentRepliesTool,
+    createCommentReplyTool,
+    updateCommentTool,
+    deleteCommentTool,
+    getListCommentsTool,
+    createListCommentTool,
+    getViewCommentsTool,
+    createViewCommentTool,
+    attachTaskFileTool,
+    createChecklistTool,
+    updateChecklistTool,
+    deleteChecklistTool,
+    createChecklistItemTool,
+    updateChecklistItemTool,
+    deleteChecklistItemTool,
+    addTaskDependencyTool,
+    removeTaskDependencyTool,
+    addTaskLinkTool,
+    removeTaskLinkTool,
+    createBulkTasksTool,
+    updateBulkTasksTool,
+    moveBulkTasksTool,
+    deleteBulkTasksTool,
+    importTasksTool,
+    getWorkspaceTasksTool,
+    searchTasksTool,
+    exportTasksTool,
+    getTaskTimeEntriesTool,
+    startTimeTrackingTool,
+    stopTimeTrackingTool,
+    addTimeEntryTool,
+    deleteTimeEntryTool,
+    getCurrentTimeEntryTool,
+    createSpaceTool,
+    getSpaceTool,
+    updateSpaceTool,
+    deleteSpaceTool,
+    getGoalsTool,
+    getGoalTool,
+    createGoalTool,
+    updateGoalTool,
+    deleteGoalTool,
+    createKeyResultTool,
+    updateKeyResultTool,
+    updateKeyResultProgressTool,
+    deleteKeyResultTool,
+    createWebhookTool,
+    getWebhooksTool,
+    updateWebhookTool,
+    deleteWebhookTool,
+    createListTool,
+    createListInFolderTool,
+    getListTool,
+    getListCustomFieldsTool,
+    updateListTool,
+    deleteListTool,
+    createFolderTool,
+    getFolderTool,
+    updateFolderTool,
+    deleteFolderTool,
+    getSpaceTagsTool,
+    addTagToTaskTool,
+    removeTagFromTaskTool,
+    getWorkspaceMembersTool,
+    findMemberByNameTool,
+    resolveAssigneesTool,
+    getAuditLogTool,
+    undoOperationTool,
+    fullTextSearchTool,
+    getJobStatusTool,
+    listJobsTool,
+    cancelJobTool,
+    ...documentModule()
+  ].filter(tool => isToolEnabled(tool.name)) as Tool[]
+);
+
+/**
+ * Route a tool call to its handler
+ * @param name Tool name
+ * @param params Tool arguments
+ */
+function executeTool(name: string, params: any): Promise<any> {
+  switch (name) {
+    case "get_workspace_hierarchy":
+      return handleGetWorkspaceHierarchy();
+    case "create_task":
+      return handleCreateTask(params);
+    case "update_task":
+      return handleUpdateTask(params);
+    case "move_task":
+      return handleMoveTask(params);
+    case "duplicate_task":
+      return handleDuplicateTask(params);
+    case "get_task":
+      return handleGetTask(params);
+    case "delete_task":
+      return handleDeleteTask(params);
+    case "get_task_comments":
+      return handleGetTaskComments(params);
+    case "create_task_comment":
+      return handleCreateTaskComment(params);
+    case "get_comment_replies":
+      return handleGetCommentReplies(params);
+    case "create_comment_reply":
+      return handleCreateCommentReply(params);
+    case "update_comment":
+      return handleUpdateComment(params);
+    case "delete_comment":
+      return handleDeleteComment(params);
+    case "get_list_comments":
+      return handleGetListComments(params);
+    case "create_list_comment":
+      return handleCreateListComment(params);
+    case "get_view_comments":
+      return handleGetViewComments(params);
+    case "create_view_comment":
+      return handleCreateViewComment(params);
+    case "attach_task_file":
+      return handleAttachTaskFile(params);
+    case "create_checklist":
+      return handleCreateChecklist(params);
+    case "update_checklist":
+      return handleUpdateChecklist(params);
+    case "delete_checklist":
+      return handleDeleteChecklist(params);
+    case "create_checklist_item":
+      return handleCreateChecklistItem(params);
+    case "update_checklist_item":
+      return handleUpdateChecklistItem(params);
+    case "delete_checklist_item":
+      return handleDeleteChecklistItem(params);
+    case "add_task_dependency":
+      return handleAddTaskDependency(params);
+    case "remove_task_dependency":
+      return handleRemoveTaskDependency(params);
+    case "add_task_link":
+      return handleAddTaskLink(params);
+    case "remove_task_link":
+      return handleRemoveTaskLink(params);
+    case "create_bulk_tasks":
+      return handleCreateBulkTasks(params);
+    case "update_bulk_tasks":
+      return handleUpdateBulkTasks(params);
+    case "move_bulk_tasks":
+      return handleMoveBulkTasks(params);
+    case "delete_bulk_tasks":
+      return handleDeleteBulkTasks(params);
+    case "import_tasks":
+      return handleImportTasks(params);
+    case "export_tasks":
+      return handleExportTasks(params);
+    case "get_workspace_tasks":
+      return handleGetWorkspaceTasks(params);
+    case "search_tasks":
+      return handleSearchTasks(params);
+    case "create_space":
+      return handleCreateSpace(params);
+    case "get_space":
+      return handleGetSpace(params);
+    case "update_space":
+      return handleUpdateSpace(params);
+    case "delete_space":
+      return handleDeleteSpace(params);
+    case "get_goals":
+      return handleGetGoals(params);
+    case "get_goal":
+      return handleGetGoal(params);
+    case "create_goal":
+      return handleCreateGoal(params);
+    case "update_goal":
+      return handleUpdateGoal(params);
+    case "delete_goal":
+      return handleDeleteGoal(params);
+    case "create_key_result":
+      return handleCreateKeyResult(params);
+    case "update_key_result":
+      return handleUpdateKeyResult(params);
+    case "update_key_result_progress":
+      return handleUpdateKeyResultProgress(params);
+    case "delete_key_result":
+      return handleDeleteKeyResult(params);
+    case "create_webhook":
+      return handleCreateWebhook(params);
+    case "get_webhooks":
+      return handleGetWebhooks(params);
+    case "update_webhook":
+      return handleUpdateWebhook(params);
+    case "delete_webhook":
+      return handleDeleteWebhook(params);
+    case "create_list":
+      return handleCreateList(params);
+    case "create_list_in_folder":
+      return handleCreateListInFolder(params);
+    case "get_list":
+      return handleGetList(params);
+    case "get_list_custom_fields":
+      return handleGetListCustomFields(params);
+    case "update_list":
+      return handleUpdateList(params);
+    case "delete_list":
+      return handleDeleteList(params);
+    case "create_folder":
+      return handleCreateFolder(params);
+    case "get_folder":
+      return handleGetFolder(params);
+    case "update_folder":
+      return handleUpdateFolder(params);
+    case "delete_folder":
+      return handleDeleteFolder(params);
+    case "get_space_tags":
+      return handleGetSpaceTags(params);
+    case "add_tag_to_task":
+      return handleAddTagToTask(params);
+    case "remove_tag_from_task":
+      return handleRemoveTagFromTask(params);
+    case "get_task_time_entries":
+      return handleGetTaskTimeEntries(params);
+    case "start_time_tracking":
+      return handleStartTimeTracking(params);
+    case "stop_time_tracking":
+      return handleStopTimeTracking(params);
+    case "add_time_entry":
+      return handleAddTimeEntry(params);
+    case "delete_time_entry":
+      return handleDeleteTimeEntry(params);
+    case "get_current_time_entry":
+      return handleGetCurrentTimeEntry(params);
+    case "create_document":
+      return handleCreateDocument(params);
+    case "get_document":
+      return handleGetDocument(params);
+    case "list_documents":
+      return handleListDocuments(params);
+    case "list_document_pages":
+      return handleListDocumentPages(params);
+    case "get_document_pages":
+      return handleGetDocumentPages(params);
+    case "create_document_page":
+      return handleCreateDocumentPage(params);
+    case "update_document_page":
+      return handleUpdateDocumentPage(params);
+    case "get_workspace_members":
+      return handleGetWorkspaceMembers(params);
+    case "find_member_by_name":
+      return handleFindMemberByName(params);
+    case "resolve_assignees":
+      return handleResolveAssignees(params);
+    case "get_audit_log":
+      return handleGetAuditLog(params);
+    case "undo_operation":
+      return handleUndoOperation(params);
+    case "full_text_search":
+      return handleFullTextSearch(params);
+    case "get_job_status":
+      return handleGetJobStatus(params);
+    case "list_jobs":
+      return handleListJobs(params);
+    case "cancel_job":
+      return handleCancelJob(params);
+    default:
+      logger.error(`Unknown tool requested: ${name}`);
+      const error = new Error(`Unknown tool: ${name}`);
+      error.name = "UnknownToolError";
+      throw error;
+  }
+}
+
 /**
  * Configure the server routes and handlers
  */
@@ -167,61 +548,85 @@ export function configureServer() {
   server.setRequestHandler(ListToolsRequestSchema, async () => {
     logger.debug("Received ListTools request");
     return {
-      tools: [
-        workspaceHierarchyTool,
-        createTaskTool,
-        getTaskTool,
-        updateTaskTool,
-        moveTaskTool,
-        duplicateTaskTool,
-        deleteTaskTool,
-        getTaskCommentsTool,
-        createTaskCommentTool,
-        attachTaskFileTool,
-        createBulkTasksTool,
-        updateBulkTasksTool,
-        moveBulkTasksTool,
-        deleteBulkTasksTool,
-        getWorkspaceTasksTool,
-        getTaskTimeEntriesTool,
-        startTimeTrackingTool,
-        stopTimeTrackingTool,
-        addTimeEntryTool,
-        deleteTimeEntryTool,
-        getCurrentTimeEntryTool,
-        createListTool,
-        createListInFolderTool,
-        getListTool,
-        updateListTool,
-        deleteListTool,
-        createFolderTool,
-        getFolderTool,
-        updateFolderTool,
-        deleteFolderTool,
-        getSpaceTagsTool,
-        addTagToTaskTool,
-        removeTagFromTaskTool,
-        getWorkspaceMembersTool,
-        findMemberByNameTool,
-        resolveAssigneesTool,
-        ...documentModule()
-      ].filter(tool => isToolEnabled(tool.name))
+      tools: getToolDefinitions().map(withDryRunOption).map(withConfirmationOption)
     };
   });
 
   // Add handler for resources/list
   server.setRequestHandler(ListResourcesRequestSchema, async (req) => {
     logger.debug("Received ListResources request");
-    return { resources: [] };
+    return { resources: await listResources() };
+  });
+
+  // Add handler for resources/templates/list
+  server.setRequestHandler(ListResourceTemplatesRequestSchema, async () => {
+    logger.debug("Received ListResourceTemplates request");
+    return { resourceTemplates: listResourceTemplates() };
+  });
+
+  // Add handler for resources/read
+  server.setRequestHandler(ReadResourceRequestSchema, async (req) => {
+    const { uri } = req.params;
+    logger.info(`Received ReadResource request for: ${uri}`);
+
+    try {
+      return { contents: await readResource(uri) };
+    } catch (err) {
+      logger.error(`Error reading resource: ${uri}`, err);
+
+      // Pass through JSON-RPC errors (e.g. resource not found), wrap everything else
+      if (typeof err?.code === 'number') {
+        throw err;
+      }
+      throw {
+        code: -32603,
+        message: `Error reading resource ${uri}: ${err.message}`
+      };
+    }
+  });
+
+  // Add handler for resources/subscribe
+  server.setRequestHandler(SubscribeRequestSchema, async (req, extra) => {
+    const { uri } = req.params;
+    logger.info(`Received Subscribe request for: ${uri}`, { sessionId: extra.sessionId });
+
+    if (!ResourceSubscriptionManager.isSubscribable(uri)) {
+      throw {
+        code: -32602,
+        message: `Subscriptions are not supported for resource: ${uri}`
+      };
+    }
+
+    // Bind notifications to the transport of the subscribing session, since the
+    // shared server instance may be connected to other sessions later
+    const transport = server.transport;
+    resourceSubscriptions.subscribe(uri, extra.sessionId || 'stdio', async (updatedUri) => {
+      await transport.send({
+        jsonrpc: "2.0",
+        method: "notifications/resources/updated",
+        params: { uri: updatedUri }
+      });
+    });
+
+    return {};
+  });
+
+  // Add handler for resources/unsubscribe
+  server.setRequestHandler(UnsubscribeRequestSchema, async (req, extra) => {
+    const { uri } = req.params;
+    logger.info(`Received Unsubscribe request for: ${uri}`, { sessionId: extra.sessionId });
+
+    resourceSubscriptions.unsubscribe(uri, extra.sessionId || 'stdio');
+    return {};
   });
 
   // Register CallTool handler with proper logging
   logger.info("Registering tool handlers", {
-    toolCount: 36,
-    categories: ["workspace", "task", "time-tracking", "list", "folder", "tag", "member", "document"]
+    toolCount: 81,
+    categories: ["workspace", "task", "checklist", "time-tracking", "space", "goal", "webhook", "list", "folder", "tag", "member", "audit", "search", "job", "document"]
   });
 
-  server.setRequestHandler(CallToolRequestSchema, async (req) => {
+  server.setRequestHandler(CallToolRequestSchema, async (req, extra) => {
     const { name, arguments: params } = req.params;
 
     // Improved logging with more context
@@ -241,101 +646,51 @@ export function configureServer() {
       };
     }
 
+    // Check tool-level access policy rules; rules scoped to spaces, folders and
+    // lists are checked by the ClickUp services once names are resolved to IDs
+    const decision = policyEngine.checkTool(name);
+    if (!decision.allowed) {
+      logger.warn(`Tool execution denied by access policy: ${name}`, { rule: decision.rule });
+      return sponsorService.createErrorResponse(decision.message);
+    }
+
+    const tool = getToolDefinitions().find(definition => definition.name === name);
+    const sessionId = extra.sessionId || 'stdio';
+
+    // Long-running tools report progress when the client passed a progress token
+    const progressToken = req.params._meta?.progressToken;
+    const reportProgress = progressToken !== undefined
+      ? (progress: number, total?: number, message?: string) => {
+          extra.sendNotification({
+            method: "notifications/progress",
+            params: { progressToken, progress, total, message }
+          }).catch(error => logger.debug(`Failed to send progress notification for ${name}`, { error: error.message }));
+        }
+      : undefined;
+
+    // The SDK aborts the signal on notifications/cancelled; requests of the call are aborted with it
+    extra.signal.addEventListener('abort', () => {
+      logger.info(`Tool call cancelled by client: ${name}`, { reason: extra.signal.reason });
+    }, { once: true });
+
     try {
-      // Handle tool calls by routing to the appropriate handler
-      switch (name) {
-        case "get_workspace_hierarchy":
-          return handleGetWorkspaceHierarchy();
-        case "create_task":
-          return handleCreateTask(params);
-        case "update_task":
-          return handleUpdateTask(params);
-        case "move_task":
-          return handleMoveTask(params);
-        case "duplicate_task":
-          return handleDuplicateTask(params);
-        case "get_task":
-          return handleGetTask(params);
-        case "delete_task":
-          return handleDeleteTask(params);
-        case "get_task_comments":
-          return handleGetTaskComments(params);
-        case "create_task_comment":
-          return handleCreateTaskComment(params);
-        case "attach_task_file":
-          return handleAttachTaskFile(params);
-        case "create_bulk_tasks":
-          return handleCreateBulkTasks(params);
-        case "update_bulk_tasks":
-          return handleUpdateBulkTasks(params);
-        case "move_bulk_tasks":
-          return handleMoveBulkTasks(params);
-        case "delete_bulk_tasks":
-          return handleDeleteBulkTasks(params);
-        case "get_workspace_tasks":
-          return handleGetWorkspaceTasks(params);
-        case "create_list":
-          return handleCreateList(params);
-        case "create_list_in_folder":
-          return handleCreateListInFolder(params);
-        case "get_list":
-          return handleGetList(params);
-        case "update_list":
-          return handleUpdateList(params);
-        case "delete_list":
-          return handleDeleteList(params);
-        case "create_folder":
-          return handleCreateFolder(params);
-        case "get_folder":
-          return handleGetFolder(params);
-        case "update_folder":
-          return handleUpdateFolder(params);
-        case "delete_folder":
-          return handleDeleteFolder(params);
-        case "get_space_tags":
-          return handleGetSpaceTags(params);
-        case "add_tag_to_task":
-          return handleAddTagToTask(params);
-        case "remove_tag_from_task":
-          return handleRemoveTagFromTask(params);
-        case "get_task_time_entries":
-          return handleGetTaskTimeEntries(params);
-        case "start_time_tracking":
-          return handleStartTimeTracking(params);
-        case "stop_time_tracking":
-          return handleStopTimeTracking(params);
-        case "add_time_entry":
-          return handleAddTimeEntry(params);
-        case "delete_time_entry":
-          return handleDeleteTimeEntry(params);
-        case "get_current_time_entry":
-          return handleGetCurrentTimeEntry(params);
-        case "create_document":
-          return handleCreateDocument(params);
-        case "get_document":
-          return handleGetDocument(params);
-        case "list_documents":
-          return handleListDocuments(params);
-        case "list_document_pages":
-          return handleListDocumentPages(params);
-        case "get_document_pages":
-          return handleGetDocumentPages(params);
-        case "create_document_page":
-          return handleCreateDocumentPage(params);
-        case "update_document_page":
-          return handleUpdateDocumentPage(params);
-        case "get_workspace_members":
-          return handleGetWorkspaceMembers();
-        case "find_member_by_name":
-          return handleFindMemberByName(params);
-        case "resolve_assignees":
-          return handleResolveAssignees(params);
-        default:
-          logger.error(`Unknown tool requested: ${name}`);
-          const error = new Error(`Unknown tool: ${name}`);
-          error.name = "UnknownToolError";
-          throw error;
-      }
+      return runWithToolContext(name, sessionId, () => {
+        // Mutating tools run with writes captured instead of sent when a dry run is requested
+        if (isDryRunRequested(tool, params)) {
+          return handleDryRun(name, params, toolParams => executeTool(name, toolParams));
+        }
+
+        // Delete tools show their resolved targets and wait for confirmation, through
+        // elicitation when the client supports it and a confirmation token otherwise
+        if (requiresConfirmation(name)) {
+          return handleConfirmation(name, params, {
+            sessionId,
+            sendRequest: server.getClientCapabilities()?.elicitation ? extra.sendRequest : undefined
+          }, toolParams => executeTool(name, toolParams));
+        }
+
+        return executeTool(name, params);
+      }, { signal: extra.signal, reportProgress });
     } catch (err) {
       logger.error(`Error executing tool: ${name}`, err);
 
@@ -362,12 +717,27 @@ export function configureServer() {
 
   server.setRequestHandler(ListPromptsRequestSchema, async () => {
     logger.info("Received ListPrompts request");
-    return { prompts: [] };
+    return { prompts: listPrompts() };
   });
 
-  server.setRequestHandler(GetPromptRequestSchema, async () => {
-    logger.error("Received GetPrompt request, but prompts are not supported");
-    throw new Error("Prompt not found");
+  server.setRequestHandler(GetPromptRequestSchema, async (req) => {
+    const { name, arguments: args } = req.params;
+    logger.info(`Received GetPrompt request for: ${name}`);
+
+    try {
+      return await getPrompt(name, args);
+    } catch (err) {
+      logger.error(`Error getting prompt: ${name}`, err);
+
+      // Pass through JSON-RPC errors (e.g. prompt not found), wrap everything else
+      if (typeof err?.code === 'number') {
+        throw err;
+      }
+      throw {
+        code: -32603,
+        message: `Error getting prompt ${name}: ${err.message}`
+      };
+    }
   });
 
   return server;
@@ -0,0 +1,167 @@
+/**
+ * SPDX-FileCopyrightText: © 2025 Talib Kareem <taazkareem@icloud.com>
+ * SPDX-License-Identifier: MIT
+ *
+ * ClickUp Audit Service
+ *
+ * Reads the audit log of mutating requests and reverts recorded operations:
+ * - Querying audit log entries by operation, session, tool or task
+ * - Undoing an operation by sending the reverting requests in reverse order
+ *
+ * Reverting requests are recorded in the audit log themselves, with undo_of set
+ * to the reverted operation.
+ */
+
+import { BaseClickUpService, ErrorCode, ClickUpServiceError } from './base.js';
+import { auditLog, planUndo, AuditEntry, AuditLogQuery, UndoPlan } from '../../audit/index.js';
+import { getToolContext, runWithToolContext } from '../../utils/tool-context.js';
+
+/**
+ * An audit log entry with its revert state
+ */
+export interface AuditLogEntry extends AuditEntry {
+  // Whether the entry's operation has been reverted
+  undone: boolean;
+}
+
+/**
+ * Outcome of one step of an undo
+ */
+export interface UndoStepResult {
+  entry_id: string;
+  description: string;
+  status: 'reverted' | 'skipped' | 'failed';
+  // ID of an object re-created by this step
+  new_id?: string;
+  error?: string;
+}
+
+/**
+ * Result of undoing an operation
+ */
+export interface UndoResult {
+  operation_id: string;
+  // Operation ID of the reverting requests in the audit log
+  undo_operation_id?: string;
+  completed: boolean;
+  steps: UndoStepResult[];
+}
+
+export class AuditService extends BaseClickUpService {
+  // Reverting requests are recorded as their own category
+  protected auditCategory = 'undo';
+
+  /**
+   * Get audit log entries, newest first
+   * @param query Filters and limit
+   * @param includeSnapshots Whether to include before-snapshots and responses
+   */
+  getEntries(query: AuditLogQuery, includeSnapshots: boolean = false): AuditLogEntry[] {
+    this.logOperation('getAuditLog', { ...query, includeSnapshots });
+
+    if (!auditLog.enabled) {
+      throw new ClickUpServiceError('The audit log is disabled (ENABLE_AUDIT_LOG=false)', ErrorCode.VALIDATION);
+    }
+
+    const undone = auditLog.getUndoneOperations();
+    return auditLog.query(query).map(entry => {
+      const { before, response, ...summary } = entry;
+      return {
+        ...(includeSnapshots ? entry : summary),
+        undone: undone.has(entry.operation_id)
+      };
+    });
+  }
+
+  /**
+   * Plan how to revert an operation without sending anything
+   * @param operationId Operation ID from the audit log
+   * @returns One plan per successful request, in the order they would be reverted
+   */
+  planUndo(operationId: string): UndoPlan[] {
+    const entries = auditLog.getOperation(operationId);
+    if (entries.length === 0) {
+      throw new ClickUpServiceError(`No audit log entries found for operation ${operationId}`, ErrorCode.NOT_FOUND);
+    }
+
+    const undoneBy = auditLog.readAll().find(entry => entry.undo_of === operationId && !entry.error);
+    if (undoneBy) {
+      throw new ClickUpServiceError(
+        `Operation ${operationId} was already undone by operation ${undoneBy.operation_id}`,
+        ErrorCode.VALIDATION
+      );
+    }
+
+    return entries.filter(entry => !entry.error).reverse().map(planUndo);
+  }
+
+  /**
+   * Revert an operation recorded in the audit log
+   * @param operationId Operation ID from the audit log
+   * @param skipUnsupported Revert the supported requests even if others cannot be reverted
+   * @returns The outcome of each step; stops at the first failed request
+   */
+  async undoOperation(operationId: string, skipUnsupported: boolean = false): Promise<UndoResult> {
+    const context = getToolContext();
+    if (!context) {
+      // Give the reverting requests their own operation in the audit log
+      return runWithToolContext('undo_operation', 'internal', () => this.undoOperation(operationId, skipUnsupported));
+    }
+
+    this.logOperation('undoOperation', { operationId, skipUnsupported });
+
+    const plans = this.planUndo(operationId);
+    const unsupported = plans.filter(plan => plan.unsupported);
+    if (plans.length === 0) {
+      throw new ClickUpServiceError(`Operation ${operationId} has no successful changes to revert`, ErrorCode.VALIDATION);
+    }
+    if (unsupported.length > 0 && !skipUnsupported) {
+      throw new ClickUpServiceError(
+        `Operation ${operationId} cannot be fully reverted: ${unsupported.map(plan => `${plan.description}: ${plan.unsupported}`).join('; ')}. ` +
+        'Set skip_unsupported to revert the remaining changes.',
+        ErrorCode.VALIDATION
+      );
+    }
+
+    context.undoOf = operationId;
+    const steps: UndoStepResult[] = [];
+    let completed = true;
+
+    for (const plan of plans) {
+      if (plan.unsupported) {
+        steps.push({ entry_id: plan.entry_id, description: plan.description, status: 'skipped', error: plan.unsupported });
+        continue;
+      }
+
+      try {
+        let newId: string | undefined;
+        for (const request of plan.requests) {
+          const data = await this.makeRequest(async () => {
+            const response = await this.client.request({
+              method: request.method,
+              url: request.path,
+              params: request.params,
+              data: request.body
+            });
+            return response.data;
+          });
+          if (request.method === 'POST') {
+            newId = data?.id ?? data?.data?.id;
+          }
+        }
+        steps.push({ entry_id: plan.entry_id, description: plan.description, status: 'reverted', new_id: newId });
+      } catch (error) {
+        steps.push({ entry_id: plan.entry_id, description: plan.description, status: 'failed', error: error.message });
+        completed = false;
+        break;
+      }
+    }
+
+    return {
+      operation_id: operationId,
+      undo_operation_id: context.operationId,
+      completed: completed && unsupported.length === 0,
+      steps
+    };
+  }
+}
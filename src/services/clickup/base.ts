@@ -6,13 +6,20 @@
  * 
  * This class provides core functionality for all ClickUp service modules:
  * - Axios client configuration
- * - Rate limiting and request throttling
+ * - Rate limiting through a limiter shared by all services using the same API token
  * - Error handling
  * - Common request methods
  */
 
-import axios, { AxiosInstance, AxiosRequestConfig } from 'axios';
+import axios, { AxiosInstance, AxiosRequestConfig, AxiosResponse, InternalAxiosRequestConfig } from 'axios';
 import { Logger, LogLevel } from '../../logger.js';
+import { randomUUID } from 'crypto';
+import { installDryRunInterceptor, getDryRunRecorder } from './dry-run.js';
+import { auditLog, getSnapshotPath, AuditEntry } from '../../audit/index.js';
+import { policyEngine, PolicyAction, PolicyTarget } from '../../policies/index.js';
+import { getToolContext, runOutsideToolContext } from '../../utils/tool-context.js';
+import { RateLimiter, getRateLimiter, getRequestPriority } from './rate-limiter.js';
+import { clickUpCache } from '../../cache/index.js';
 
 /**
  * Basic service response interface
@@ -39,6 +46,8 @@ export enum ErrorCode {
   NETWORK_ERROR = 'network_error',
   WORKSPACE_ERROR = 'workspace_error',
   INVALID_PARAMETER = 'invalid_parameter',
+  POLICY_DENIED = 'policy_denied',
+  CANCELLED = 'request_cancelled',
   UNKNOWN = 'unknown_error'
 }
 
@@ -68,12 +77,36 @@ export class ClickUpServiceError extends Error {
 }
 
 /**
- * Rate limit response headers from ClickUp API
+ * Policy action of each HTTP method
  */
-interface RateLimitHeaders {
-  'x-ratelimit-limit': number;
-  'x-ratelimit-remaining': number;
-  'x-ratelimit-reset': number;
+const POLICY_ACTIONS: Record<string, PolicyAction> = {
+  get: 'read',
+  post: 'create',
+  put: 'update',
+  patch: 'update',
+  delete: 'delete'
+};
+
+// API paths of single objects, checked against scoped policy rules at their location
+const POLICY_TARGET_PATTERN = /^\/(task|list|folder|space|checklist|comment|view|goal|key_result|webhook)\/([^/?]+)/;
+
+// Time entry paths: /team/{team_id}/time_entries[/{timer_id}|/start|/stop|/current]
+const TIME_ENTRY_PATH_PATTERN = /^\/team\/[^/]+\/time_entries(?:\/([^/?]+))?$/;
+
+// Paths whose responses reveal the parent of checklists and comments
+const POLICY_PARENT_PATTERN = /^\/(task|list|view|comment)\/([^/?]+)(?:\/(checklist|comment|reply))?$/;
+
+// Container of a view by the parent type ClickUp reports
+const VIEW_PARENT_TYPES: Record<number, string> = { 4: 'space', 5: 'folder', 6: 'list' };
+
+/**
+ * Object of a request that scoped policy rules apply to
+ */
+interface PolicyTargetRef {
+  type: string;
+  id: string;
+  // Query parameters (for custom task IDs)
+  params?: any;
 }
 
 /**
@@ -102,14 +135,13 @@ export class BaseClickUpService {
   protected readonly teamId: string;
   protected readonly client: AxiosInstance;
   protected readonly logger: Logger;
+  // Shared by all services using the same API token
+  protected readonly rateLimiter: RateLimiter;
   
-  protected readonly defaultRequestSpacing = 600; // Default milliseconds between requests
-  protected readonly rateLimit = 100; // Maximum requests per minute (Free Forever plan)
-  protected requestSpacing: number; // Current request spacing, can be adjusted
   protected readonly timeout = 65000; // 65 seconds (safely under the 1-minute window)
-  protected requestQueue: (() => Promise<any>)[] = [];
-  protected processingQueue = false;
-  protected lastRateLimitReset: number = 0;
+  // Audit log category of this service's writes (task, list, folder, tag or time); unset services are not audited
+  protected auditCategory?: string;
+  private pendingAuditEntries = new WeakMap<object, AuditEntry>();
 
   /**
    * Creates an instance of BaseClickUpService.
@@ -120,7 +152,7 @@ export class BaseClickUpService {
   constructor(apiKey: string, teamId: string, baseUrl: string = 'https://api.clickup.com/api/v2') {
     this.apiKey = apiKey;
     this.teamId = teamId;
-    this.requestSpacing = this.defaultRequestSpacing;
+    this.rateLimiter = getRateLimiter(apiKey);
     
     // Create a logger with the actual class name for better context
     const className = this.constructor.name;
@@ -149,13 +181,330 @@ export class BaseClickUpService {
       ]
     });
 
+    // Send requests through the shared rate limiter. Dry runs replace the adapter of
+    // captured writes, so those do not use any of the quota.
+    const send = axios.getAdapter(this.client.defaults.adapter);
+    this.client.defaults.adapter = config => this.rateLimiter.schedule(
+      getRequestPriority(config.method),
+      () => send(config),
+      config.signal as AbortSignal
+    );
+
     this.logger.debug(`Initialized ${className}`, { teamId, baseUrl });
 
+    // Record mutating requests in the audit log. The response interceptor is registered
+    // before error handling so it still sees the original request of failed writes.
+    this.client.interceptors.request.use(config => this.prepareAuditEntry(config));
+    this.client.interceptors.response.use(
+      response => this.completeAuditEntry(response.config, response),
+      error => this.completeAuditEntry(error.config, undefined, error)
+    );
+
+    // Remember which task, list or view the checklists and comments of a tool call belong to
+    this.client.interceptors.response.use(response => {
+      this.recordPolicyParents(response);
+      return response;
+    });
+
+    // Drop cached lookups affected by successful writes (captured dry-run writes change nothing)
+    this.client.interceptors.response.use(response => {
+      if (!getDryRunRecorder()) {
+        clickUpCache.invalidateForRequest(response.config.method || 'get', response.config.url || '');
+      }
+      return response;
+    });
+
     // Add response interceptor for error handling
     this.client.interceptors.response.use(
       response => response,
       error => this.handleAxiosError(error)
     );
+
+    // Capture write requests instead of sending them while a dry run is active.
+    // Registered after the audit interceptor so it runs first and dry runs are not audited.
+    installDryRunInterceptor(this.client);
+
+    // Check requests made by tool calls against the access policy. Registered
+    // after the dry-run interceptor so it runs before it.
+    this.client.interceptors.request.use(config => this.enforcePolicy(config));
+
+    // Abort queued and in-flight requests of a tool call when the client cancels it
+    this.client.interceptors.request.use(config => {
+      const signal = getToolContext()?.signal;
+      if (signal && !config.signal) {
+        config.signal = signal;
+      }
+      return config;
+    });
+  }
+
+  /**
+   * Start an audit log entry for a mutating request, with a snapshot of the affected object
+   * @private
+   */
+  private async prepareAuditEntry(config: InternalAxiosRequestConfig): Promise<InternalAxiosRequestConfig> {
+    const method = (config.method || 'get').toUpperCase();
+    if (!this.auditCategory || !auditLog.enabled || method === 'GET' || getDryRunRecorder()) {
+      return config;
+    }
+
+    const context = getToolContext();
+    const path = (config.url || '').split('?')[0];
+    const entry: AuditEntry = {
+      id: randomUUID(),
+      operation_id: context?.operationId || randomUUID(),
+      timestamp: new Date().toISOString(),
+      session: context?.sessionId || 'internal',
+      tool: context?.tool,
+      service: this.auditCategory,
+      request: {
+        method,
+        path,
+        params: config.params,
+        body: config.data && typeof config.data === 'object' && Object.getPrototypeOf(config.data) === Object.prototype
+          ? config.data
+          : (config.data ? '[binary data]' : undefined)
+      },
+      undo_of: context?.undoOf
+    };
+
+    const snapshotPath = getSnapshotPath(method, path);
+    if (snapshotPath) {
+      try {
+        // Task snapshots include the markdown description so deleted tasks can be re-created faithfully
+        const params = snapshotPath.startsWith('/task/') ? { ...config.params, include_markdown_description: true } : undefined;
+        const { data } = await runOutsideToolContext(() => this.client.get(snapshotPath, { params }));
+        entry.before = data;
+      } catch (error) {
+        this.logger.debug('Could not fetch audit snapshot', { path: snapshotPath, error: error.message });
+      }
+    }
+
+    this.pendingAuditEntries.set(config, entry);
+    return config;
+  }
+
+  /**
+   * Complete and append the audit log entry of a request, if it has one
+   * @private
+   */
+  private completeAuditEntry(config: any, response?: AxiosResponse, error?: any): any {
+    const entry = config ? this.pendingAuditEntries.get(config) : undefined;
+    if (entry) {
+      this.pendingAuditEntries.delete(config);
+      entry.status = response?.status ?? error?.response?.status;
+      if (error) {
+        entry.error = error.response?.data?.err || error.message;
+      } else {
+        entry.response = response.data;
+      }
+      auditLog.append(entry);
+    }
+
+    if (error) {
+      throw error;
+    }
+    return response;
+  }
+
+  /**
+   * Check a request against the access policy when it is made for a tool call
+   * @private
+   * @param config Request configuration
+   * @returns The unchanged configuration if the request is allowed
+   * @throws ClickUpServiceError with code POLICY_DENIED if the policy denies the request
+   */
+  private async enforcePolicy(config: InternalAxiosRequestConfig): Promise<InternalAxiosRequestConfig> {
+    const context = getToolContext();
+    if (!context || !policyEngine.enabled) {
+      return config;
+    }
+
+    const action = POLICY_ACTIONS[(config.method || 'get').toLowerCase()] || 'read';
+    const path = (config.url || '').split('?')[0];
+    const ref = this.getPolicyTargetRef(config, path);
+
+    // Only look up where the target lives when a scoped rule could apply
+    let target: PolicyTarget = { label: ref ? `${ref.type.replace('_', ' ')} ${ref.id}` : path };
+    if (ref && policyEngine.needsTarget(context.tool, action)) {
+      target = await this.resolvePolicyTarget(ref.type, ref.id, ref.params, context.targets, context.parents);
+
+      // Fail closed: a scoped rule cannot be evaluated for an object whose location is unknown
+      if (!target.space && !target.folder && !target.list) {
+        this.logger.warn('Request denied by access policy: target location unknown', {
+          tool: context.tool,
+          method: config.method?.toUpperCase(),
+          path
+        });
+        throw new ClickUpServiceError(
+          `Denied by policy: the space, folder and list of ${target.label} could not be determined, and rules scoped to spaces, folders or lists apply to ${action} by ${context.tool}`,
+          ErrorCode.POLICY_DENIED,
+          undefined,
+          403,
+          { tool: context.tool }
+        );
+      }
+    }
+
+    const decision = policyEngine.evaluate({ tool: context.tool, action, target });
+    if (!decision.allowed) {
+      this.logger.warn('Request denied by access policy', {
+        tool: context.tool,
+        method: config.method?.toUpperCase(),
+        path,
+        rule: decision.rule
+      });
+      throw new ClickUpServiceError(decision.message, ErrorCode.POLICY_DENIED, undefined, 403, {
+        tool: context.tool,
+        rule: decision.rule
+      });
+    }
+
+    return config;
+  }
+
+  /**
+   * Object a request reads or changes, or undefined for workspace-level requests
+   * @private
+   * @param config Request configuration
+   * @param path Request path without query
+   */
+  private getPolicyTargetRef(config: InternalAxiosRequestConfig, path: string): PolicyTargetRef | undefined {
+    const timeEntry = path.match(TIME_ENTRY_PATH_PATTERN);
+    if (timeEntry) {
+      const body = safeJsonParse(config.data, {});
+      // Starting a timer or adding an entry targets the entry's task
+      if ((timeEntry[1] === 'start' || !timeEntry[1]) && body?.tid) {
+        return { type: 'task', id: String(body.tid), params: config.params };
+      }
+      if (!timeEntry[1]) return undefined;
+      return { type: 'time_entry', id: timeEntry[1] === 'stop' ? 'current' : timeEntry[1] };
+    }
+
+    const match = path.match(POLICY_TARGET_PATTERN);
+    if (!match) return undefined;
+    return { type: match[1], id: match[2], params: match[1] === 'task' ? config.params : undefined };
+  }
+
+  /**
+   * Record the parents of the checklists and comments in a response of a tool call
+   * @private
+   */
+  private recordPolicyParents(response: AxiosResponse): void {
+    const parents = getToolContext()?.parents;
+    const { config, data } = response;
+    if (!parents || !policyEngine.enabled || !data || typeof data !== 'object') return;
+
+    const match = (config.url || '').split('?')[0].match(POLICY_PARENT_PATTERN);
+    if (!match) return;
+
+    const [, type, id, child] = match;
+    // A custom task ID in the path cannot be looked up as the parent later
+    if (type === 'task' && child && config.params?.custom_task_ids) return;
+    const method = (config.method || 'get').toLowerCase();
+    const record = (childKey: string, parentKey: string | undefined) => {
+      if (parentKey) parents.set(childKey, parentKey);
+    };
+
+    if (type === 'task' && !child && method === 'get') {
+      for (const checklist of data.checklists || []) record(`checklist/${checklist.id}`, `task/${data.id || id}`);
+    } else if (child === 'checklist' && data.checklist?.id) {
+      record(`checklist/${data.checklist.id}`, `task/${id}`);
+    } else if (child === 'comment' || child === 'reply') {
+      // Replies belong to the parent of the comment they reply to
+      const parent = child === 'reply' ? parents.get(`comment/${id}`) : `${type}/${id}`;
+      for (const comment of data.comments || []) record(`comment/${comment.id}`, parent);
+      if (method === 'post' && data.id) record(`comment/${data.id}`, parent);
+    }
+  }
+
+  /**
+   * Look up the space, folder and list of a request target. Lookups are cached per
+   * tool call and bypass the policy check. Checklists and comments are located
+   * through the task, list or view the tool call read them from. If a lookup
+   * fails, the target has no known location.
+   * @private
+   * @param type Target type from the API path
+   * @param id Target ID from the API path
+   * @param params Query parameters (for custom task IDs)
+   * @param targets Targets already resolved in this tool call
+   * @param parents Parents of the checklists and comments seen in this tool call
+   */
+  private async resolvePolicyTarget(
+    type: string,
+    id: string,
+    params: any,
+    targets: Map<string, PolicyTarget>,
+    parents: Map<string, string>
+  ): Promise<PolicyTarget> {
+    const key = `${type}/${id}`;
+    if (targets.has(key)) {
+      return targets.get(key);
+    }
+
+    const target: PolicyTarget = { label: `${type.replace('_', ' ')} ${id}` };
+    const locate = async (parentType: string, parentId: string) => {
+      const { space, folder, list } = await this.resolvePolicyTarget(parentType, parentId, undefined, targets, parents);
+      Object.assign(target, { space, folder, list });
+    };
+
+    try {
+      if (type === 'checklist' || type === 'comment') {
+        const parent = parents.get(key);
+        if (parent) {
+          const [parentType, parentId] = parent.split('/');
+          await locate(parentType, parentId);
+        }
+      } else if (type === 'time_entry') {
+        const path = `/team/${this.teamId}/time_entries/${id}`;
+        const { data } = await runOutsideToolContext(() => this.client.get(path, { params: { include_location_names: true } }));
+        const entry = data?.data;
+        const location = entry?.task_location;
+        if (entry?.task?.name) target.label = `time entry of task "${entry.task.name}"`;
+        if (location) {
+          target.list = location.list_id ? { id: String(location.list_id), name: location.list_name } : undefined;
+          target.folder = location.folder_id ? { id: String(location.folder_id), name: location.folder_name } : undefined;
+          target.space = location.space_id ? { id: String(location.space_id), name: location.space_name } : undefined;
+        } else if (entry?.task?.id) {
+          await locate('task', String(entry.task.id));
+        }
+      } else if (type === 'view') {
+        const { data } = await runOutsideToolContext(() => this.client.get(`/view/${id}`));
+        const view = data?.view;
+        if (view?.name) target.label = `view "${view.name}"`;
+        const parentType = VIEW_PARENT_TYPES[Number(view?.parent?.type)];
+        if (parentType) await locate(parentType, String(view.parent.id));
+      } else if (['task', 'list', 'folder', 'space'].includes(type)) {
+        const { data } = await runOutsideToolContext(() => this.client.get(`/${type}/${id}`, { params }));
+        const folder = data.folder && !data.folder.hidden ? { id: String(data.folder.id), name: data.folder.name } : undefined;
+
+        if (type === 'task') {
+          target.label = `task ${data.name ? `"${data.name}"` : id}`;
+          target.list = data.list ? { id: String(data.list.id), name: data.list.name } : undefined;
+          target.folder = folder;
+          // Tasks only carry the space ID, so look up the space for its name
+          target.space = data.space?.id ? (await this.resolvePolicyTarget('space', String(data.space.id), undefined, targets, parents)).space : undefined;
+        } else if (type === 'list') {
+          target.label = `list ${data.name ? `"${data.name}"` : id}`;
+          target.list = { id: String(data.id || id), name: data.name };
+          target.folder = folder;
+          target.space = data.space ? { id: String(data.space.id), name: data.space.name } : undefined;
+        } else if (type === 'folder') {
+          target.label = `folder ${data.name ? `"${data.name}"` : id}`;
+          target.folder = { id: String(data.id || id), name: data.name };
+          target.space = data.space ? { id: String(data.space.id), name: data.space.name } : undefined;
+        } else {
+          target.label = `space ${data.name ? `"${data.name}"` : id}`;
+          target.space = { id: String(data.id || id), name: data.name };
+        }
+      }
+      // Goals, key results and webhooks do not live in a space
+    } catch (error) {
+      this.logger.debug('Could not look up policy target', { type, id, error: error.message });
+    }
+
+    targets.set(key, target);
+    return target;
   }
 
   /**
@@ -165,6 +514,18 @@ export class BaseClickUpService {
    * @returns Never - always throws an error
    */
   private handleAxiosError(error: any): never {
+    // Errors raised before the request was sent (e.g. policy denials) are already service errors
+    if (error instanceof ClickUpServiceError) {
+      throw error;
+    }
+
+    // Aborted because the tool call was cancelled
+    const { config } = error;
+    if (axios.isCancel(error)) {
+      this.logger.info(`Request cancelled: ${config?.method?.toUpperCase() || 'UNKNOWN'} ${config?.url || 'unknown path'}`);
+      throw new ClickUpServiceError('Request cancelled.', ErrorCode.CANCELLED, error);
+    }
+
     // Determine error details
     const status = error.response?.status;
     const responseData = error.response?.data;
@@ -205,7 +566,6 @@ export class BaseClickUpService {
       errorMessage = 'Network error. Please check your connection and try again.';
     } else if (status === 429) {
       code = ErrorCode.RATE_LIMIT;
-      this.handleRateLimitHeaders(error.response.headers);
       
       // Calculate time until reset
       const reset = error.response.headers['x-ratelimit-reset'];
@@ -253,174 +613,22 @@ export class BaseClickUpService {
   }
 
   /**
-   * Handle rate limit headers from ClickUp API
-   * @private
-   * @param headers Response headers from ClickUp
-   */
-  private handleRateLimitHeaders(headers: any): void {
-    try {
-      // Parse the rate limit headers
-      const limit = headers['x-ratelimit-limit'];
-      const remaining = headers['x-ratelimit-remaining'];
-      const reset = headers['x-ratelimit-reset'];
-      
-      // Only log if we're getting close to the limit
-      if (remaining < limit * 0.2) {
-        this.logger.warn('Approaching rate limit', { remaining, limit, reset });
-      } else {
-        this.logger.debug('Rate limit status', { remaining, limit, reset });
-      }
-
-      if (reset) {
-        this.lastRateLimitReset = reset;
-        
-        // If reset is in the future, calculate a safe request spacing
-        const now = Date.now();
-        const resetTime = reset * 1000; // convert to milliseconds
-        const timeToReset = Math.max(0, resetTime - now);
-        
-        // Proactively adjust spacing when remaining requests get low
-        // This helps avoid hitting rate limits in the first place
-        if (remaining < limit * 0.3) {
-          // More aggressive spacing when close to limit
-          let safeSpacing;
-          
-          if (remaining <= 5) {
-            // Very aggressive spacing for last few requests
-            safeSpacing = Math.ceil((timeToReset / remaining) * 2);
-            // Start processing in queue mode preemptively
-            if (!this.processingQueue) {
-              this.logger.info('Preemptively switching to queue mode (low remaining requests)', { 
-                remaining, 
-                limit 
-              });
-              this.processingQueue = true;
-              this.processQueue().catch(err => {
-                this.logger.error('Error processing request queue', err);
-              });
-            }
-          } else if (remaining <= 20) {
-            // More aggressive spacing
-            safeSpacing = Math.ceil((timeToReset / remaining) * 1.5);
-          } else {
-            // Standard safe spacing with buffer
-            safeSpacing = Math.ceil((timeToReset / remaining) * 1.1);
-          }
-          
-          // Apply updated spacing, but with a reasonable maximum
-          const maxSpacing = 5000; // 5 seconds max spacing
-          const adjustedSpacing = Math.min(safeSpacing, maxSpacing);
-          
-          // Only adjust if it's greater than our current spacing
-          if (adjustedSpacing > this.requestSpacing) {
-            this.logger.debug(`Adjusting request spacing: ${this.requestSpacing}ms → ${adjustedSpacing}ms`, { 
-              remaining, 
-              timeToReset 
-            });
-            this.requestSpacing = adjustedSpacing;
-          }
-        }
-      }
-    } catch (error) {
-      this.logger.warn('Failed to parse rate limit headers', error);
-    }
-  }
-
-  /**
-   * Process the request queue, respecting rate limits by spacing out requests
-   * @private
-   */
-  private async processQueue(): Promise<void> {
-    if (this.requestQueue.length === 0) {
-      this.logger.debug('Queue empty, exiting queue processing mode');
-      this.processingQueue = false;
-      return;
-    }
-
-    const queueLength = this.requestQueue.length;
-    this.logger.debug(`Processing request queue (${queueLength} items)`);
-
-    const startTime = Date.now();
-    try {
-      // Take the first request from the queue
-      const request = this.requestQueue.shift();
-      if (request) {
-        // Adjust delay based on queue size
-        // Longer delays for bigger queues to prevent overwhelming the API
-        let delay = this.requestSpacing;
-        if (queueLength > 20) {
-          delay = this.requestSpacing * 2;
-        } else if (queueLength > 10) {
-          delay = this.requestSpacing * 1.5;
-        }
-        
-        // Wait for the calculated delay
-        await new Promise(resolve => setTimeout(resolve, delay));
-        
-        // Run the request
-        await request();
-      }
-    } catch (error) {
-      if (error instanceof ClickUpServiceError && error.code === ErrorCode.RATE_LIMIT) {
-        // If we still hit rate limits, increase the spacing
-        this.requestSpacing = Math.min(this.requestSpacing * 1.5, 10000); // Max 10s
-        this.logger.warn(`Rate limit hit during queue processing, increasing delay to ${this.requestSpacing}ms`);
-      } else {
-        this.logger.error('Error executing queued request', error);
-      }
-    } finally {
-      const duration = Date.now() - startTime;
-      this.logger.trace(`Queue item processed in ${duration}ms, ${this.requestQueue.length} items remaining`);
-      
-      // Continue processing the queue after the calculated delay
-      setTimeout(() => this.processQueue(), this.requestSpacing);
-    }
-  }
-
-  /**
-   * Makes an API request with rate limiting.
+   * Makes an API request. Requests are throttled by the shared rate limiter, which
+   * also retries requests rejected with 429. Requests of a cancelled tool call are
+   * not sent, and in-flight ones are aborted.
    * @protected
    * @param fn - Function that executes the API request
    * @returns Promise that resolves with the result of the API request
+   * @throws ClickUpServiceError with code CANCELLED if the tool call was cancelled
    */
   protected async makeRequest<T>(fn: () => Promise<T>): Promise<T> {
-    // If we're being rate limited, queue the request rather than executing immediately
-    if (this.processingQueue) {
-      const queuePosition = this.requestQueue.length + 1;
-      const estimatedWaitTime = Math.ceil((queuePosition * this.requestSpacing) / 1000);
-      
-      this.logger.info('Request queued due to rate limiting', {
-        queuePosition,
-        estimatedWaitSeconds: estimatedWaitTime,
-        currentSpacing: this.requestSpacing
-      });
-
-      return new Promise<T>((resolve, reject) => {
-        this.requestQueue.push(async () => {
-          try {
-            const result = await fn();
-            resolve(result);
-          } catch (error) {
-            // Enhance error message with queue context if it's a rate limit error
-            if (error instanceof ClickUpServiceError && error.code === ErrorCode.RATE_LIMIT) {
-              const enhancedError = new ClickUpServiceError(
-                `${error.message} (Request was queued at position ${queuePosition})`,
-                error.code,
-                error.data
-              );
-              reject(enhancedError);
-            } else {
-              reject(error);
-            }
-          }
-        });
-      });
+    if (getToolContext()?.signal?.aborted) {
+      throw new ClickUpServiceError('Request cancelled.', ErrorCode.CANCELLED);
     }
 
     // Track request metadata
     let requestMethod = 'unknown';
     let requestPath = 'unknown';
-    let requestData: any = undefined;
 
     // Set up interceptor to capture request details
     const requestInterceptorId = this.client.interceptors.request.use(
@@ -428,7 +636,6 @@ export class BaseClickUpService {
         // Capture request metadata
         requestMethod = config.method?.toUpperCase() || 'unknown';
         requestPath = config.url || 'unknown';
-        requestData = config.data;
         return config;
       }
     );
@@ -448,36 +655,6 @@ export class BaseClickUpService {
       });
       
       return result;
-    } catch (error) {
-      // If we hit a rate limit, start processing the queue
-      if (error instanceof ClickUpServiceError && error.code === ErrorCode.RATE_LIMIT) {
-        this.logger.warn('Rate limit reached, switching to queue mode', {
-          reset: this.lastRateLimitReset,
-          queueLength: this.requestQueue.length
-        });
-        
-        if (!this.processingQueue) {
-          this.processingQueue = true;
-          this.processQueue().catch(err => {
-            this.logger.error('Error processing request queue', err);
-          });
-        }
-
-        // Queue this failed request and return a promise that will resolve when it's retried
-        return new Promise<T>((resolve, reject) => {
-          this.requestQueue.push(async () => {
-            try {
-              const result = await fn();
-              resolve(result);
-            } catch (retryError) {
-              reject(retryError);
-            }
-          });
-        });
-      }
-
-      // For other errors, just throw
-      throw error;
     } finally {
       // Always remove the interceptor
       this.client.interceptors.request.eject(requestInterceptorId);
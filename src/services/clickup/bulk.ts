@@ -12,6 +12,7 @@ import { TaskService } from './task/index.js';
 import { ClickUpTask, CreateTaskData, UpdateTaskData } from './types.js';
 import { BatchProcessingOptions, BatchResult, processBatch } from '../../utils/concurrency-utils.js';
 import { ClickUpServiceError, ErrorCode } from './base.js';
+import { withRequestPriority } from './rate-limiter.js';
 import { clickUpServices } from '../shared.js';
 import { findListIDByName } from '../../tools/list.js';
 
@@ -56,7 +57,7 @@ export class BulkService {
       await this.taskService.validateListExists(listId);
 
       // Process the tasks in batches
-      return await processBatch(
+      return await withRequestPriority('bulk', () => processBatch(
         tasks,
         (task, index) => {
           logger.debug(`Creating task ${index + 1}/${tasks.length}`, {
@@ -67,7 +68,7 @@ export class BulkService {
           return this.taskService.createTask(listId, task);
         },
         options
-      );
+      ));
     } catch (error) {
       logger.error(`Failed to create tasks in bulk`, {
         listId,
@@ -155,7 +156,7 @@ export class BulkService {
     logger.info('Starting bulk update operation', { taskCount: tasks.length });
     
     try {
-      return await processBatch(
+      return await withRequestPriority('bulk', () => processBatch(
         tasks,
         async (task) => {
           const { taskId, taskName, listName, customTaskId, ...updateData } = task;
@@ -163,7 +164,7 @@ export class BulkService {
           return await this.taskService.updateTask(resolvedTaskId, updateData);
         },
         options
-      );
+      ));
     } catch (error) {
       logger.error('Bulk update operation failed', error);
       throw error;
@@ -206,14 +207,14 @@ export class BulkService {
       // Validate the destination list exists
       await this.taskService.validateListExists(resolvedTargetListId);
 
-      return await processBatch(
+      return await withRequestPriority('bulk', () => processBatch(
         tasks,
         async (task) => {
           const resolvedTaskId = await this.resolveTaskId(task);
           return await this.taskService.moveTask(resolvedTaskId, resolvedTargetListId);
         },
         options
-      );
+      ));
     } catch (error) {
       logger.error('Bulk move operation failed', error);
       throw error;
@@ -233,14 +234,14 @@ export class BulkService {
     logger.info('Starting bulk delete operation', { taskCount: tasks.length });
     
     try {
-      return await processBatch(
+      return await withRequestPriority('bulk', () => processBatch(
         tasks,
         async (task) => {
           const resolvedTaskId = await this.resolveTaskId(task);
           await this.taskService.deleteTask(resolvedTaskId);
         },
         options
-      );
+      ));
     } catch (error) {
       logger.error('Bulk delete operation failed', error);
       throw error;
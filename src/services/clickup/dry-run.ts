@@ -0,0 +1,211 @@
+/**
+ * SPDX-FileCopyrightText: © 2025 Talib Kareem <taazkareem@icloud.com>
+ * SPDX-License-Identifier: MIT
+ *
+ * ClickUp Dry-Run Recorder
+ *
+ * Captures write requests (POST, PUT, PATCH, DELETE) made by the ClickUp services
+ * instead of sending them. Reads still go to the API, so names are resolved to IDs
+ * and current objects are fetched exactly as in a real call. Each captured write
+ * is answered with a synthetic response so the calling code completes normally.
+ *
+ * The recorder is scoped to one async call chain with AsyncLocalStorage, so
+ * dry runs never affect concurrent real requests.
+ */
+
+import { AsyncLocalStorage } from 'async_hooks';
+import { AxiosInstance, InternalAxiosRequestConfig } from 'axios';
+
+/**
+ * A change to one field of an affected object
+ */
+export interface DryRunFieldChange {
+  before: any;
+  after: any;
+}
+
+/**
+ * A write request that would have been sent to ClickUp
+ */
+export interface DryRunOperation {
+  method: string;
+  url: string;
+  params?: Record<string, any>;
+  body?: any;
+  // Object state before the write (fetched for updates and deletes when available)
+  before?: any;
+  // Expected object state after the write (null for deletes)
+  after?: any;
+  // Fields that would change, with their before and after values
+  changes?: Record<string, DryRunFieldChange>;
+}
+
+/**
+ * Collects the planned operations of a single dry run
+ */
+export class DryRunRecorder {
+  readonly operations: DryRunOperation[] = [];
+
+  /**
+   * Record a planned operation and return its sequence number (1-based)
+   */
+  record(operation: DryRunOperation): number {
+    this.operations.push(operation);
+    return this.operations.length;
+  }
+}
+
+const recorderStorage = new AsyncLocalStorage<DryRunRecorder>();
+
+/**
+ * Get the recorder of the dry run the current call chain belongs to, if any
+ */
+export function getDryRunRecorder(): DryRunRecorder | undefined {
+  return recorderStorage.getStore();
+}
+
+/**
+ * Run a function in dry-run mode, capturing every write request it makes
+ * @param fn Function performing ClickUp service calls
+ * @returns The function's result and the operations it would have performed
+ */
+export async function runDryRun<T>(fn: () => Promise<T>): Promise<{ result: T; operations: DryRunOperation[] }> {
+  const recorder = new DryRunRecorder();
+  const result = await recorderStorage.run(recorder, fn);
+  return { result, operations: recorder.operations };
+}
+
+/**
+ * Whether a written value matches the current value. ClickUp returns some fields
+ * as objects that are written as plain values, e.g. status and priority.
+ */
+function isSameValue(current: any, written: any): boolean {
+  if (JSON.stringify(current) === JSON.stringify(written)) return true;
+  if (current && typeof current === 'object' && !Array.isArray(current) && typeof written !== 'object') {
+    return ['status', 'priority', 'id'].some(key => current[key] !== undefined && String(current[key]) === String(written));
+  }
+  return false;
+}
+
+/**
+ * Compare an object with the fields a write would set
+ * @param before Current object state
+ * @param body Request body of the write
+ * @returns Fields whose value would change
+ */
+export function diffFields(before: any, body: Record<string, any>): Record<string, DryRunFieldChange> {
+  const changes: Record<string, DryRunFieldChange> = {};
+  for (const [field, after] of Object.entries(body)) {
+    const current = before ? before[field] : undefined;
+    if (!isSameValue(current, after)) {
+      changes[field] = { before: current ?? null, after };
+    }
+  }
+  return changes;
+}
+
+/**
+ * Keys under which write endpoints return the affected object, by path.
+ * Writes to other endpoints return the object itself.
+ */
+const RESPONSE_ENVELOPES: { pattern: RegExp; key: string }[] = [
+  { pattern: /^\/task\/[^/]+\/checklist$/, key: 'checklist' },
+  { pattern: /^\/task\/[^/]+\/link\/[^/]+$/, key: 'task' },
+  { pattern: /^\/space\/[^/]+\/tag(\/[^/]+)?$/, key: 'tag' },
+  { pattern: /^\/(team\/[^/]+\/goal|goal\/[^/]+)$/, key: 'goal' },
+  { pattern: /^\/(goal\/[^/]+\/key_result|key_result\/[^/]+)$/, key: 'key_result' },
+  { pattern: /^\/(team\/[^/]+\/webhook|webhook\/[^/]+)$/, key: 'webhook' },
+  { pattern: /^\/team\/[^/]+\/time_entries(\/[^/]+)?$/, key: 'data' }
+];
+
+// Checklist item writes return the whole checklist
+const CHECKLIST_ITEM_PATTERN = /^\/checklist\/([^/]+)\/checklist_item(?:\/([^/]+))?$/;
+
+/**
+ * Shape a synthetic object like the response of the endpoint it was written to
+ * @param path Request path without query
+ * @param object Created or updated object
+ */
+function toEndpointResponse(path: string, object: Record<string, any>): Record<string, any> {
+  const item = path.match(CHECKLIST_ITEM_PATTERN);
+  if (item) {
+    return { checklist: { id: item[1], items: [{ ...(item[2] ? { id: item[2] } : {}), ...object }] } };
+  }
+
+  const envelope = RESPONSE_ENVELOPES.find(({ pattern }) => pattern.test(path));
+  if (!envelope) return object;
+  // Webhook endpoints also return the ID next to the webhook
+  return { ...(envelope.key === 'webhook' ? { id: object.id } : {}), [envelope.key]: object };
+}
+
+/**
+ * Whether a request body is a plain JSON object (as opposed to form data or a buffer)
+ */
+function isPlainBody(data: any): data is Record<string, any> {
+  return !!data && typeof data === 'object' && Object.getPrototypeOf(data) === Object.prototype;
+}
+
+/**
+ * Intercept write requests of an Axios client while a dry run is active
+ * @param client The service's Axios client
+ */
+export function installDryRunInterceptor(client: AxiosInstance): void {
+  client.interceptors.request.use(async (config: InternalAxiosRequestConfig) => {
+    const recorder = getDryRunRecorder();
+    const method = (config.method || 'get').toUpperCase();
+    if (!recorder || method === 'GET') {
+      return config;
+    }
+
+    const body = isPlainBody(config.data) ? config.data : (config.data ? '[binary data]' : undefined);
+    const path = (config.url || '').split('?')[0];
+    const envelope = RESPONSE_ENVELOPES.find(({ pattern }) => pattern.test(path));
+
+    // Fetch the current state of objects being updated or deleted. Not every
+    // endpoint supports GET on the same path, so failures just leave before unset.
+    let before: any;
+    if (method !== 'POST') {
+      try {
+        // Query parameters such as custom_task_ids and team_id identify the object
+        const response = await client.get(config.url, { baseURL: config.baseURL, params: config.params });
+        before = envelope && response.data?.[envelope.key] ? response.data[envelope.key] : response.data;
+      } catch {
+        before = undefined;
+      }
+    }
+
+    let after: any;
+    if (method === 'DELETE') {
+      after = null;
+    } else if (isPlainBody(body)) {
+      after = { ...(before || {}), ...body };
+    }
+
+    const sequence = recorder.record({
+      method,
+      url: `${config.baseURL || ''}${config.url || ''}`,
+      params: config.params,
+      body,
+      before,
+      after,
+      changes: isPlainBody(body) && method !== 'POST' ? diffFields(before, body) : undefined
+    });
+
+    // Answer with a synthetic response instead of sending the request
+    const data = method === 'DELETE'
+      ? {}
+      : toEndpointResponse(path, method === 'POST'
+        ? { id: `dry-run-${sequence}`, ...(isPlainBody(body) ? body : {}) }
+        : (after || {}));
+
+    config.adapter = async (adapterConfig) => ({
+      data,
+      status: 200,
+      statusText: 'OK (dry run)',
+      headers: {},
+      config: adapterConfig,
+      request: {}
+    });
+    return config;
+  });
+}
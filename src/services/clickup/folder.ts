@@ -19,8 +19,10 @@ import {
   CreateFolderData
 } from './types.js';
 import { WorkspaceService } from './workspace.js';
+import { clickUpCache } from '../../cache/index.js';
 
 export class FolderService extends BaseClickUpService {
+  protected auditCategory = 'folder';
   private workspaceService: WorkspaceService | null = null;
   
   /**
@@ -147,10 +149,12 @@ export class FolderService extends BaseClickUpService {
     this.logOperation('getFoldersInSpace', { spaceId });
     
     try {
-      const response = await this.client.get<{ folders: ClickUpFolder[] }>(
-        `/space/${spaceId}/folder`
-      );
-      return response.data.folders;
+      return await clickUpCache.getOrLoad('folders', spaceId, async () => {
+        const response = await this.client.get<{ folders: ClickUpFolder[] }>(
+          `/space/${spaceId}/folder`
+        );
+        return response.data.folders;
+      });
     } catch (error) {
       throw this.handleError(error, `Failed to get folders in space ${spaceId}`);
     }
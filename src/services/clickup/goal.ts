@@ -0,0 +1,213 @@
+/**
+ * SPDX-FileCopyrightText: © 2025 Talib Kareem <taazkareem@icloud.com>
+ * SPDX-License-Identifier: MIT
+ *
+ * ClickUp Goal Service
+ *
+ * Handles all operations related to goals and their key results (targets), including:
+ * - Listing goals in the workspace
+ * - Creating, retrieving, updating and deleting goals
+ * - Creating, updating and deleting key results
+ * - Recording key result progress
+ * - Finding goals by name
+ */
+
+import { BaseClickUpService, ErrorCode, ClickUpServiceError, ServiceResponse } from './base.js';
+import {
+  ClickUpGoal,
+  ClickUpKeyResult,
+  CreateGoalData,
+  UpdateGoalData,
+  CreateKeyResultData,
+  UpdateKeyResultData
+} from './types.js';
+
+export class GoalService extends BaseClickUpService {
+  /**
+   * Helper method to handle errors consistently
+   * @param error The error that occurred
+   * @param message Optional custom error message
+   * @returns A ClickUpServiceError
+   */
+  private handleError(error: any, message?: string): ClickUpServiceError {
+    if (error instanceof ClickUpServiceError) {
+      return error;
+    }
+
+    return new ClickUpServiceError(
+      message || `Goal service error: ${error.message}`,
+      ErrorCode.UNKNOWN,
+      error
+    );
+  }
+
+  /**
+   * Get all goals in the workspace
+   * @param includeCompleted Whether to include completed goals
+   * @returns Array of goals (without key result details)
+   */
+  async getGoals(includeCompleted: boolean = false): Promise<ClickUpGoal[]> {
+    this.logOperation('getGoals', { includeCompleted });
+
+    try {
+      return await this.makeRequest(async () => {
+        const response = await this.client.get(`/team/${this.teamId}/goal`, {
+          params: { include_completed: includeCompleted }
+        });
+        return response.data.goals || [];
+      });
+    } catch (error) {
+      throw this.handleError(error, 'Failed to get goals');
+    }
+  }
+
+  /**
+   * Get a goal by its ID, including its key results
+   * @param goalId The ID of the goal to retrieve
+   * @returns The goal details
+   */
+  async getGoal(goalId: string): Promise<ClickUpGoal> {
+    this.logOperation('getGoal', { goalId });
+
+    try {
+      return await this.makeRequest(async () => {
+        const response = await this.client.get(`/goal/${goalId}`);
+        return response.data.goal;
+      });
+    } catch (error) {
+      throw this.handleError(error, `Failed to get goal ${goalId}`);
+    }
+  }
+
+  /**
+   * Create a new goal in the workspace
+   * @param goalData The data for the new goal
+   * @returns The created goal
+   */
+  async createGoal(goalData: CreateGoalData): Promise<ClickUpGoal> {
+    this.logOperation('createGoal', { ...goalData });
+
+    try {
+      return await this.makeRequest(async () => {
+        const response = await this.client.post(`/team/${this.teamId}/goal`, goalData);
+        return response.data.goal;
+      });
+    } catch (error) {
+      throw this.handleError(error, `Failed to create goal "${goalData.name}"`);
+    }
+  }
+
+  /**
+   * Update an existing goal
+   * @param goalId The ID of the goal to update
+   * @param updateData The fields to update
+   * @returns The updated goal
+   */
+  async updateGoal(goalId: string, updateData: UpdateGoalData): Promise<ClickUpGoal> {
+    this.logOperation('updateGoal', { goalId, ...updateData });
+
+    try {
+      return await this.makeRequest(async () => {
+        const response = await this.client.put(`/goal/${goalId}`, updateData);
+        return response.data.goal;
+      });
+    } catch (error) {
+      throw this.handleError(error, `Failed to update goal ${goalId}`);
+    }
+  }
+
+  /**
+   * Delete a goal and its key results
+   * @param goalId The ID of the goal to delete
+   * @returns Success indicator
+   */
+  async deleteGoal(goalId: string): Promise<ServiceResponse<void>> {
+    this.logOperation('deleteGoal', { goalId });
+
+    try {
+      await this.makeRequest(async () => {
+        await this.client.delete(`/goal/${goalId}`);
+      });
+
+      return {
+        success: true
+      };
+    } catch (error) {
+      throw this.handleError(error, `Failed to delete goal ${goalId}`);
+    }
+  }
+
+  /**
+   * Add a key result (target) to a goal
+   * @param goalId The ID of the goal
+   * @param keyResultData The data for the new key result
+   * @returns The created key result
+   */
+  async createKeyResult(goalId: string, keyResultData: CreateKeyResultData): Promise<ClickUpKeyResult> {
+    this.logOperation('createKeyResult', { goalId, ...keyResultData });
+
+    try {
+      return await this.makeRequest(async () => {
+        const response = await this.client.post(`/goal/${goalId}/key_result`, keyResultData);
+        return response.data.key_result;
+      });
+    } catch (error) {
+      throw this.handleError(error, `Failed to create key result "${keyResultData.name}" on goal ${goalId}`);
+    }
+  }
+
+  /**
+   * Update a key result. Setting steps_current (with an optional note)
+   * records progress towards the target.
+   * @param keyResultId The ID of the key result to update
+   * @param updateData The fields to update
+   * @returns The updated key result
+   */
+  async updateKeyResult(keyResultId: string, updateData: UpdateKeyResultData): Promise<ClickUpKeyResult> {
+    this.logOperation('updateKeyResult', { keyResultId, ...updateData });
+
+    try {
+      return await this.makeRequest(async () => {
+        const response = await this.client.put(`/key_result/${keyResultId}`, updateData);
+        return response.data.key_result;
+      });
+    } catch (error) {
+      throw this.handleError(error, `Failed to update key result ${keyResultId}`);
+    }
+  }
+
+  /**
+   * Delete a key result
+   * @param keyResultId The ID of the key result to delete
+   * @returns Success indicator
+   */
+  async deleteKeyResult(keyResultId: string): Promise<ServiceResponse<void>> {
+    this.logOperation('deleteKeyResult', { keyResultId });
+
+    try {
+      await this.makeRequest(async () => {
+        await this.client.delete(`/key_result/${keyResultId}`);
+      });
+
+      return {
+        success: true
+      };
+    } catch (error) {
+      throw this.handleError(error, `Failed to delete key result ${keyResultId}`);
+    }
+  }
+
+  /**
+   * Find a goal by name (case-insensitive), including completed goals
+   * @param goalName The name of the goal to find
+   * @returns The goal if found, otherwise null
+   */
+  async findGoalByName(goalName: string): Promise<ClickUpGoal | null> {
+    this.logOperation('findGoalByName', { goalName });
+
+    const goals = await this.getGoals(true);
+    const target = goalName.trim().toLowerCase();
+
+    return goals.find(goal => goal.name.trim().toLowerCase() === target) || null;
+  }
+}
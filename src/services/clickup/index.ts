@@ -27,6 +27,9 @@ export { FolderService } from './folder.js';
 export { ClickUpTagService } from './tag.js';
 export { TimeTrackingService } from './time.js';
 export { DocumentService } from './document.js';
+export { GoalService } from './goal.js';
+export { WebhookService } from './webhook.js';
+export { AuditService } from './audit.js';
 
 // Import service classes for the factory function
 import { WorkspaceService } from './workspace.js';
@@ -37,6 +40,9 @@ import { ClickUpTagService } from './tag.js';
 import { TimeTrackingService } from './time.js';
 import { Logger } from '../../logger.js';
 import { DocumentService } from './document.js';
+import { GoalService } from './goal.js';
+import { WebhookService } from './webhook.js';
+import { AuditService } from './audit.js';
 
 /**
  * Configuration options for ClickUp services
@@ -58,6 +64,9 @@ export interface ClickUpServices {
   tag: ClickUpTagService;
   timeTracking: TimeTrackingService;
   document: DocumentService;
+  goal: GoalService;
+  webhook: WebhookService;
+  audit: AuditService;
 }
 
 // Singleton logger for ClickUp services
@@ -100,6 +109,15 @@ export function createClickUpServices(config: ClickUpServiceConfig): ClickUpServ
   logger.info('Initializing ClickUp Document service');
   const documentService = new DocumentService(apiKey, teamId, baseUrl);
 
+  logger.info('Initializing ClickUp Goal service');
+  const goalService = new GoalService(apiKey, teamId, baseUrl);
+
+  logger.info('Initializing ClickUp Webhook service');
+  const webhookService = new WebhookService(apiKey, teamId, baseUrl);
+
+  logger.info('Initializing ClickUp Audit service');
+  const auditService = new AuditService(apiKey, teamId, baseUrl);
+
   const services = {
     workspace: workspaceService,
     task: taskService,
@@ -107,7 +125,10 @@ export function createClickUpServices(config: ClickUpServiceConfig): ClickUpServ
     folder: folderService,
     tag: tagService,
     timeTracking: timeTrackingService,
-    document: documentService
+    document: documentService,
+    goal: goalService,
+    webhook: webhookService,
+    audit: auditService
   };
 
   // Log successful completion
@@ -10,6 +10,7 @@
  * - Updating lists
  * - Deleting lists
  * - Finding lists by name
+ * - Retrieving custom field definitions
  */
 
 import { AxiosError } from 'axios';
@@ -17,11 +18,14 @@ import { BaseClickUpService, ErrorCode, ClickUpServiceError, ServiceResponse } f
 import { 
   ClickUpList,
   ClickUpTask,
+  ClickUpCustomField,
   CreateListData
 } from './types.js';
 import { WorkspaceService } from './workspace.js';
+import { clickUpCache } from '../../cache/index.js';
 
 export class ListService extends BaseClickUpService {
+  protected auditCategory = 'list';
   private workspaceService: WorkspaceService | null = null;
   
   constructor(apiKey: string, teamId: string, baseUrl?: string, workspaceService?: WorkspaceService) {
@@ -109,6 +113,24 @@ export class ListService extends BaseClickUpService {
     }
   }
 
+  /**
+   * Get the custom field definitions available on a list
+   * @param listId The ID of the list
+   * @returns Custom field definitions including type and options
+   */
+  async getListCustomFields(listId: string): Promise<ClickUpCustomField[]> {
+    this.logOperation('getListCustomFields', { listId });
+
+    try {
+      return await this.makeRequest(async () => {
+        const response = await this.client.get<{ fields: ClickUpCustomField[] }>(`/list/${listId}/field`);
+        return response.data.fields || [];
+      });
+    } catch (error) {
+      throw this.handleError(error, `Failed to get custom fields for list ${listId}`);
+    }
+  }
+
   /**
    * Update an existing list
    * @param listId The ID of the list to update
@@ -161,12 +183,12 @@ export class ListService extends BaseClickUpService {
     this.logOperation('getListsInSpace', { spaceId });
     
     try {
-      return await this.makeRequest(async () => {
+      return await clickUpCache.getOrLoad('lists', `space/${spaceId}`, () => this.makeRequest(async () => {
         const response = await this.client.get<{ lists: ClickUpList[] }>(
           `/space/${spaceId}/list`
         );
         return response.data.lists;
-      });
+      }));
     } catch (error) {
       throw this.handleError(error, `Failed to get lists in space ${spaceId}`);
     }
@@ -181,12 +203,12 @@ export class ListService extends BaseClickUpService {
     this.logOperation('getListsInFolder', { folderId });
     
     try {
-      return await this.makeRequest(async () => {
+      return await clickUpCache.getOrLoad('lists', `folder/${folderId}`, () => this.makeRequest(async () => {
         const response = await this.client.get<{ lists: ClickUpList[] }>(
           `/folder/${folderId}/list`
         );
         return response.data.lists;
-      });
+      }));
     } catch (error) {
       throw this.handleError(error, `Failed to get lists in folder ${folderId}`);
     }
@@ -0,0 +1,367 @@
+/**
+ * SPDX-FileCopyrightText: © 2025 Talib Kareem <taazkareem@icloud.com>
+ * SPDX-License-Identifier: MIT
+ *
+ * ClickUp API Rate Limiter
+ *
+ * One token bucket per API token, shared by every service instance that uses it:
+ * - Tokens refill at the plan's per-minute limit until ClickUp reports otherwise
+ * - X-RateLimit-Limit/Remaining/Reset of every response replace the local estimate
+ * - Requests are spaced out evenly over the rest of the window when few remain
+ * - Interactive reads go first; bulk requests leave a reserve for them
+ * - Requests rejected with 429 wait for the window to reset and are retried
+ */
+
+import { AsyncLocalStorage } from 'async_hooks';
+import { createHash } from 'crypto';
+import config from '../../config.js';
+import { Logger } from '../../logger.js';
+
+const logger = new Logger('RateLimiter');
+
+/**
+ * Scheduling priority of a request, highest first
+ */
+export type RequestPriority = 'read' | 'write' | 'bulk';
+
+const PRIORITIES: RequestPriority[] = ['read', 'write', 'bulk'];
+
+// Share of the limit that bulk requests leave for interactive requests
+const BULK_RESERVE = 0.1;
+// Below this share of the limit, requests are spaced out over the rest of the window
+const SPACING_THRESHOLD = 0.3;
+// Upper bound for the spacing between two requests
+const MAX_SPACING_MS = 5000;
+// Window length assumed when a 429 response has no reset header
+const DEFAULT_WINDOW_MS = 60000;
+// Attempts for a request that keeps being rejected with 429
+const MAX_ATTEMPTS = 3;
+
+/**
+ * Rate limit response headers from ClickUp API
+ */
+interface RateLimitHeaders {
+  'x-ratelimit-limit'?: string | number;
+  'x-ratelimit-remaining'?: string | number;
+  'x-ratelimit-reset'?: string | number;
+  'retry-after'?: string | number;
+}
+
+/**
+ * Snapshot of a limiter for logs and the health endpoint
+ */
+export interface RateLimiterState {
+  // Hash prefix of the API token
+  token: string;
+  limit: number;
+  // Requests that can be sent right now
+  available: number;
+  // Last value reported by ClickUp
+  remaining?: number;
+  resetAt?: string;
+  spacingMs: number;
+  pausedUntil?: string;
+  inFlight: number;
+  queued: Record<RequestPriority, number>;
+  // Requests rejected with 429 since startup
+  rejected: number;
+}
+
+const priorityStorage = new AsyncLocalStorage<RequestPriority>();
+
+/**
+ * Run a function with all of its ClickUp requests scheduled at the given priority
+ * @param priority Priority of the requests, e.g. 'bulk' for batch operations
+ * @param fn Function that makes the requests
+ */
+export function withRequestPriority<T>(priority: RequestPriority, fn: () => T): T {
+  return priorityStorage.run(priority, fn);
+}
+
+/**
+ * Priority of a request: the enclosing withRequestPriority, or read/write by method
+ */
+export function getRequestPriority(method?: string): RequestPriority {
+  const priority = priorityStorage.getStore();
+  if (priority) return priority;
+  return (method || 'get').toLowerCase() === 'get' ? 'read' : 'write';
+}
+
+/**
+ * Token bucket for one API token
+ */
+export class RateLimiter {
+  private limit: number;
+  private tokens: number;
+  private lastRefill = Date.now();
+  // End of the current window reported by ClickUp; no refill happens before it
+  private resetAt = 0;
+  private remaining?: number;
+  private pausedUntil = 0;
+  private spacing = 0;
+  private lastDispatch = 0;
+  private inFlight = 0;
+  private rejected = 0;
+  private readonly queues: Record<RequestPriority, (() => void)[]> = { read: [], write: [], bulk: [] };
+  private timer?: NodeJS.Timeout;
+
+  /**
+   * @param id Hash prefix of the API token, used in logs
+   * @param limit Requests per minute until ClickUp reports the actual limit
+   */
+  constructor(readonly id: string, limit: number) {
+    this.limit = limit;
+    this.tokens = limit;
+  }
+
+  /**
+   * Send a request once the limiter allows it, retrying after 429 responses
+   * @param priority Scheduling priority
+   * @param send Sends the request; resolves or rejects with an axios response or error
+   * @param signal Removes the request from the queue when aborted
+   */
+  async schedule<T extends { headers?: any; status?: number }>(
+    priority: RequestPriority,
+    send: () => Promise<T>,
+    signal?: AbortSignal
+  ): Promise<T> {
+    for (let attempt = 1; ; attempt++) {
+      await this.acquire(priority, signal);
+      this.inFlight++;
+
+      try {
+        const response = await send();
+        this.update(response.headers);
+        return response;
+      } catch (error) {
+        const response = error?.response;
+        if (response?.status !== 429) {
+          if (response) this.update(response.headers);
+          throw error;
+        }
+
+        this.handleRejection(response.headers);
+        if (attempt >= MAX_ATTEMPTS) {
+          throw error;
+        }
+        logger.info(`Retrying rate-limited request (attempt ${attempt + 1} of ${MAX_ATTEMPTS})`, {
+          token: this.id,
+          priority,
+          waitMs: Math.max(0, this.pausedUntil - Date.now())
+        });
+      } finally {
+        this.inFlight--;
+      }
+    }
+  }
+
+  /**
+   * Current state of the limiter
+   */
+  getState(): RateLimiterState {
+    this.refill();
+    const now = Date.now();
+    return {
+      token: this.id,
+      limit: this.limit,
+      available: Math.floor(this.tokens),
+      remaining: this.remaining,
+      resetAt: this.resetAt > now ? new Date(this.resetAt).toISOString() : undefined,
+      spacingMs: this.spacing,
+      pausedUntil: this.pausedUntil > now ? new Date(this.pausedUntil).toISOString() : undefined,
+      inFlight: this.inFlight,
+      queued: { read: this.queues.read.length, write: this.queues.write.length, bulk: this.queues.bulk.length },
+      rejected: this.rejected
+    };
+  }
+
+  /**
+   * Wait for a token
+   */
+  private acquire(priority: RequestPriority, signal?: AbortSignal): Promise<void> {
+    return new Promise((resolve, reject) => {
+      if (signal?.aborted) {
+        reject(new Error('Request cancelled'));
+        return;
+      }
+
+      const onAbort = () => {
+        const queue = this.queues[priority];
+        const index = queue.indexOf(release);
+        if (index >= 0) queue.splice(index, 1);
+        reject(new Error('Request cancelled'));
+      };
+      const release = () => {
+        signal?.removeEventListener('abort', onAbort);
+        resolve();
+      };
+
+      signal?.addEventListener('abort', onAbort, { once: true });
+      this.queues[priority].push(release);
+      this.dispatch();
+    });
+  }
+
+  /**
+   * Release queued requests in priority order as tokens become available
+   */
+  private dispatch(): void {
+    // Recompute the wait, as a newly queued request may have a higher priority
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = undefined;
+    }
+
+    this.refill();
+    for (;;) {
+      // Lower priorities wait behind the first queued request of a higher one
+      const priority = PRIORITIES.find(p => this.queues[p].length > 0);
+      if (!priority) return;
+
+      const wait = this.getWaitTime(priority);
+      if (wait > 0) {
+        if (wait > 1000) {
+          logger.debug('Requests waiting for rate limit', { ...this.getState(), waitMs: wait });
+        }
+        this.timer = setTimeout(() => {
+          this.timer = undefined;
+          this.dispatch();
+        }, wait);
+        return;
+      }
+
+      this.tokens -= 1;
+      this.lastDispatch = Date.now();
+      this.queues[priority].shift()();
+      this.updateSpacing();
+    }
+  }
+
+  /**
+   * Milliseconds until a request of the given priority may be sent
+   */
+  private getWaitTime(priority: RequestPriority): number {
+    const now = Date.now();
+    const reserve = priority === 'bulk' ? Math.ceil(this.limit * BULK_RESERVE) : 0;
+
+    let wait = Math.max(0, this.pausedUntil - now, this.lastDispatch + this.spacing - now);
+    if (this.tokens < 1 + reserve) {
+      wait = Math.max(wait, this.resetAt > now
+        ? this.resetAt - now
+        : Math.ceil((1 + reserve - this.tokens) * 60000 / this.limit));
+    }
+    return wait;
+  }
+
+  /**
+   * Refill tokens for the time passed, or to the full limit once a reported window has ended
+   */
+  private refill(): void {
+    const now = Date.now();
+    if (this.resetAt) {
+      if (now < this.resetAt) return;
+      this.resetAt = 0;
+      this.remaining = undefined;
+      this.tokens = this.limit;
+    } else {
+      this.tokens = Math.min(this.limit, this.tokens + (now - this.lastRefill) * this.limit / 60000);
+    }
+    this.lastRefill = now;
+    this.updateSpacing();
+  }
+
+  /**
+   * Spread the remaining requests over the rest of the window when few are left
+   */
+  private updateSpacing(): void {
+    const previous = this.spacing;
+    const timeToReset = this.resetAt - Date.now();
+
+    if (this.tokens >= this.limit * SPACING_THRESHOLD || timeToReset <= 0) {
+      this.spacing = 0;
+    } else {
+      this.spacing = Math.min(MAX_SPACING_MS, Math.ceil(timeToReset / Math.max(1, this.tokens)));
+    }
+
+    // Spacing changes with every request once active, so only log when it starts or stops
+    if ((this.spacing === 0) !== (previous === 0)) {
+      logger.info(this.spacing > 0 ? `Spacing requests ${this.spacing}ms apart` : 'Request spacing disabled', {
+        token: this.id,
+        available: Math.floor(this.tokens),
+        limit: this.limit,
+        timeToResetMs: Math.max(0, timeToReset)
+      });
+    }
+  }
+
+  /**
+   * Take the limit, remaining requests and window end from response headers
+   */
+  private update(headers: RateLimitHeaders | undefined): void {
+    const limit = Number(headers?.['x-ratelimit-limit']);
+    const remaining = Number(headers?.['x-ratelimit-remaining']);
+    const reset = Number(headers?.['x-ratelimit-reset']);
+    if (isNaN(remaining)) return;
+
+    if (limit > 0 && limit !== this.limit) {
+      logger.info(`Rate limit is ${limit} requests per minute`, { token: this.id, previous: this.limit });
+      this.limit = limit;
+    }
+
+    this.refill();
+    this.remaining = remaining;
+    // Other requests may have been sent since ClickUp counted this one
+    this.tokens = Math.min(this.tokens, Math.max(0, remaining - Math.max(0, this.inFlight - 1)));
+    if (reset > 0) {
+      this.resetAt = reset * 1000;
+      this.lastRefill = Date.now();
+    }
+
+    if (remaining < this.limit * 0.2) {
+      logger.warn('Approaching rate limit', this.getState());
+    } else {
+      logger.trace('Rate limit status', { token: this.id, remaining, limit: this.limit, reset });
+    }
+    this.updateSpacing();
+  }
+
+  /**
+   * Stop sending until the window resets after a 429 response
+   */
+  private handleRejection(headers: RateLimitHeaders | undefined): void {
+    this.rejected++;
+    this.update(headers);
+
+    const now = Date.now();
+    const retryAfter = Number(headers?.['retry-after']);
+    this.pausedUntil = Math.max(
+      this.pausedUntil,
+      this.resetAt > now ? this.resetAt : now + (retryAfter > 0 ? retryAfter * 1000 : DEFAULT_WINDOW_MS)
+    );
+    this.tokens = 0;
+
+    logger.warn('Rate limit exceeded, pausing requests', this.getState());
+  }
+}
+
+const limiters = new Map<string, RateLimiter>();
+
+/**
+ * Get the limiter shared by all services that use an API token
+ */
+export function getRateLimiter(apiKey: string): RateLimiter {
+  let limiter = limiters.get(apiKey);
+  if (!limiter) {
+    const id = createHash('sha256').update(apiKey).digest('hex').slice(0, 8);
+    limiter = new RateLimiter(id, Math.max(1, config.clickupRateLimit));
+    limiters.set(apiKey, limiter);
+  }
+  return limiter;
+}
+
+/**
+ * State of every limiter, for the health endpoint
+ */
+export function getRateLimiterStates(): RateLimiterState[] {
+  return [...limiters.values()].map(limiter => limiter.getState());
+}
@@ -16,6 +16,8 @@ import { ClickUpTag, CreateSpaceTagData, SpaceTagsResponse, UpdateSpaceTagData }
  * ClickUp Tag Service class for managing tags
  */
 export class ClickUpTagService extends BaseClickUpService {
+  protected auditCategory = 'tag';
+
   /**
    * Get all tags in a space
    * @param spaceId - ID of the space to get tags from
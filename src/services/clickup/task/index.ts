@@ -11,6 +11,8 @@
  * - File attachments
  * - Task tags
  * - Custom fields
+ * - Checklists
+ * - Dependencies and task links
  */
 
 // Export the main TaskService class
@@ -23,6 +25,8 @@ export { TaskServiceAttachments } from './task-attachments.js';
 export { TaskServiceComments } from './task-comments.js';
 export { TaskServiceTags } from './task-tags.js';
 export { TaskServiceCustomFields } from './task-custom-fields.js';
+export { TaskServiceChecklists } from './task-checklists.js';
+export { TaskServiceRelationships } from './task-relationships.js';
 
 // Export types and interfaces from all modules
 export * from './task-core.js';
@@ -31,6 +35,8 @@ export * from './task-attachments.js';
 export * from './task-comments.js';
 export * from './task-tags.js';
 export * from './task-custom-fields.js';
+export * from './task-checklists.js';
+export * from './task-relationships.js';
 
 // Re-export TaskService as the default export
 export { TaskService as default } from './task-service.js'; 
\ No newline at end of file
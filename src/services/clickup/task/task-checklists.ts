@@ -0,0 +1,225 @@
+/**
+ * SPDX-FileCopyrightText: © 2025 Talib Kareem <taazkareem@icloud.com>
+ * SPDX-License-Identifier: MIT
+ *
+ * ClickUp Task Service - Checklists Module
+ *
+ * Handles checklist operations for ClickUp tasks, including:
+ * - Creating, renaming, reordering and deleting checklists
+ * - Adding, renaming, assigning, resolving, nesting and deleting checklist items
+ *
+ * Uses composition and only depends on TaskServiceCore for base functionality.
+ */
+
+import { TaskServiceCore } from './task-core.js';
+import {
+  ClickUpChecklist,
+  ClickUpChecklistItem,
+  UpdateChecklistData,
+  ChecklistItemData
+} from '../types.js';
+
+/**
+ * Checklist functionality for the TaskService
+ *
+ * This service handles all checklist-related operations for ClickUp tasks.
+ * It uses composition to access core functionality instead of inheritance.
+ */
+export class TaskServiceChecklists {
+  constructor(private core: TaskServiceCore) {}
+
+  /**
+   * Get all checklists on a task
+   *
+   * @param taskId ID of the task
+   * @returns Array of checklists with their items
+   */
+  async getTaskChecklists(taskId: string): Promise<ClickUpChecklist[]> {
+    (this.core as any).logOperation('getTaskChecklists', { taskId });
+
+    try {
+      const task = await this.core.getTask(taskId);
+      return task.checklists || [];
+    } catch (error) {
+      throw (this.core as any).handleError(error, 'Failed to get task checklists');
+    }
+  }
+
+  /**
+   * Create a checklist on a task
+   *
+   * @param taskId ID of the task
+   * @param name Name of the checklist
+   * @returns The created checklist
+   */
+  async createChecklist(taskId: string, name: string): Promise<ClickUpChecklist> {
+    (this.core as any).logOperation('createChecklist', { taskId, name });
+
+    try {
+      return await (this.core as any).makeRequest(async () => {
+        const response = await (this.core as any).client.post(
+          `/task/${taskId}/checklist`,
+          { name }
+        );
+        return response.data.checklist;
+      });
+    } catch (error) {
+      throw (this.core as any).handleError(error, `Failed to create checklist "${name}"`);
+    }
+  }
+
+  /**
+   * Update a checklist (rename or move to a new position on the task)
+   *
+   * @param checklistId ID of the checklist
+   * @param data Fields to update
+   * @returns Success indicator
+   */
+  async updateChecklist(checklistId: string, data: UpdateChecklistData): Promise<boolean> {
+    (this.core as any).logOperation('updateChecklist', { checklistId, ...data });
+
+    try {
+      await (this.core as any).makeRequest(async () => {
+        return await (this.core as any).client.put(
+          `/checklist/${checklistId}`,
+          data
+        );
+      });
+
+      return true;
+    } catch (error) {
+      throw (this.core as any).handleError(error, 'Failed to update checklist');
+    }
+  }
+
+  /**
+   * Delete a checklist
+   *
+   * @param checklistId ID of the checklist
+   * @returns Success indicator
+   */
+  async deleteChecklist(checklistId: string): Promise<boolean> {
+    (this.core as any).logOperation('deleteChecklist', { checklistId });
+
+    try {
+      await (this.core as any).makeRequest(async () => {
+        return await (this.core as any).client.delete(`/checklist/${checklistId}`);
+      });
+
+      return true;
+    } catch (error) {
+      throw (this.core as any).handleError(error, 'Failed to delete checklist');
+    }
+  }
+
+  /**
+   * Add an item to a checklist
+   *
+   * ClickUp only accepts name and assignee on creation, so resolved state
+   * and parent are applied with a follow-up update when provided.
+   * The new item is the one whose ID was not on the checklist before the call,
+   * so the items of the checklist must be given for a follow-up update.
+   *
+   * @param checklistId ID of the checklist
+   * @param data Item data (name is required)
+   * @param existingItems Items of the checklist before the call
+   * @returns The updated checklist including the new item
+   */
+  async createChecklistItem(
+    checklistId: string,
+    data: ChecklistItemData,
+    existingItems?: ClickUpChecklistItem[]
+  ): Promise<ClickUpChecklist> {
+    (this.core as any).logOperation('createChecklistItem', { checklistId, ...data });
+
+    const needsUpdate = data.resolved !== undefined || !!data.parent;
+    if (needsUpdate && !existingItems) {
+      throw new Error('The items of the checklist are needed to set resolved or parent on a new item');
+    }
+
+    try {
+      const checklist: ClickUpChecklist = await (this.core as any).makeRequest(async () => {
+        const payload: Record<string, any> = { name: data.name };
+        if (data.assignee !== undefined && data.assignee !== null) {
+          payload.assignee = data.assignee;
+        }
+
+        const response = await (this.core as any).client.post(
+          `/checklist/${checklistId}/checklist_item`,
+          payload
+        );
+        return response.data.checklist;
+      });
+
+      if (!needsUpdate) {
+        return checklist;
+      }
+
+      const existingIds = new Set(existingItems.map(item => item.id));
+      const created = (checklist.items || []).filter(item => !existingIds.has(item.id));
+      if (created.length !== 1) {
+        throw new Error(`expected one new item on the checklist, found ${created.length}`);
+      }
+
+      return await this.updateChecklistItem(checklistId, created[0].id, {
+        resolved: data.resolved,
+        parent: data.parent
+      });
+    } catch (error) {
+      throw (this.core as any).handleError(error, `Failed to add item "${data.name}" to checklist`);
+    }
+  }
+
+  /**
+   * Update a checklist item (rename, assign, resolve or nest under another item)
+   *
+   * @param checklistId ID of the checklist
+   * @param itemId ID of the checklist item
+   * @param data Fields to update. Use parent: null to un-nest an item.
+   * @returns The updated checklist
+   */
+  async updateChecklistItem(checklistId: string, itemId: string, data: ChecklistItemData): Promise<ClickUpChecklist> {
+    (this.core as any).logOperation('updateChecklistItem', { checklistId, itemId, ...data });
+
+    try {
+      return await (this.core as any).makeRequest(async () => {
+        const payload: Record<string, any> = {};
+        if (data.name !== undefined) payload.name = data.name;
+        if (data.assignee !== undefined) payload.assignee = data.assignee;
+        if (data.resolved !== undefined) payload.resolved = data.resolved;
+        if (data.parent !== undefined) payload.parent = data.parent;
+
+        const response = await (this.core as any).client.put(
+          `/checklist/${checklistId}/checklist_item/${itemId}`,
+          payload
+        );
+        return response.data.checklist;
+      });
+    } catch (error) {
+      throw (this.core as any).handleError(error, 'Failed to update checklist item');
+    }
+  }
+
+  /**
+   * Delete a checklist item
+   *
+   * @param checklistId ID of the checklist
+   * @param itemId ID of the checklist item
+   * @returns Success indicator
+   */
+  async deleteChecklistItem(checklistId: string, itemId: string): Promise<boolean> {
+    (this.core as any).logOperation('deleteChecklistItem', { checklistId, itemId });
+
+    try {
+      await (this.core as any).makeRequest(async () => {
+        return await (this.core as any).client.delete(
+          `/checklist/${checklistId}/checklist_item/${itemId}`
+        );
+      });
+
+      return true;
+    } catch (error) {
+      throw (this.core as any).handleError(error, 'Failed to delete checklist item');
+    }
+  }
+}
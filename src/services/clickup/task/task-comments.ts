@@ -7,6 +7,9 @@
  * Handles comment operations for ClickUp tasks, including:
  * - Retrieving comments for a task
  * - Creating comments on a task
+ * - Threaded replies to comments
+ * - Updating, resolving, assigning and deleting comments
+ * - List-level and view-level comments
  *
  * REFACTORED: Now uses composition instead of inheritance.
  * Only depends on TaskServiceCore for base functionality.
@@ -35,28 +38,79 @@ export class TaskServiceComments {
     (this.core as any).logOperation('getTaskComments', { taskId, start, startId });
 
     try {
-      // Build query parameters for pagination
-      const queryParams = new URLSearchParams();
-      if (start !== undefined) {
-        queryParams.append('start', start.toString());
-      }
-      if (startId) {
-        queryParams.append('start_id', startId);
-      }
-
-      const queryString = queryParams.toString() ? `?${queryParams.toString()}` : '';
-
-      return await (this.core as any).makeRequest(async () => {
-        const response = await (this.core as any).client.get(
-          `/task/${taskId}/comment${queryString}`
-        );
-        return response.data.comments || [];
-      });
+      return await this.getComments(`/task/${taskId}/comment`, start, startId);
     } catch (error) {
       throw (this.core as any).handleError(error, 'Failed to get task comments');
     }
   }
 
+  /**
+   * Get a page of comments from a comment collection endpoint.
+   * ClickUp returns the newest 25 comments; pass the date and ID of the oldest
+   * comment as start/startId to get the next page.
+   *
+   * @param path API path of the comment collection
+   * @param start Optional pagination start (timestamp in ms)
+   * @param startId Optional comment ID to start from
+   * @returns Array of comments
+   */
+  private async getComments(path: string, start?: number, startId?: string): Promise<ClickUpComment[]> {
+    // Build query parameters for pagination
+    const queryParams = new URLSearchParams();
+    if (start !== undefined) {
+      queryParams.append('start', start.toString());
+    }
+    if (startId) {
+      queryParams.append('start_id', startId);
+    }
+
+    const queryString = queryParams.toString() ? `?${queryParams.toString()}` : '';
+
+    return await (this.core as any).makeRequest(async () => {
+      const response = await (this.core as any).client.get(`${path}${queryString}`);
+      return response.data.comments || [];
+    });
+  }
+
+  /**
+   * Post a comment to a comment collection endpoint.
+   * ClickUp only returns the new comment's id, hist_id and date; those are
+   * returned as sent, with the id as a string.
+   *
+   * @param path API path of the comment collection
+   * @param commentText Text content of the comment
+   * @param notifyAll Whether to notify all assignees/watchers
+   * @param assignee Optional user ID to assign the comment to
+   * @returns The fields ClickUp returned for the created comment
+   */
+  private async postComment(
+    path: string,
+    commentText: string,
+    notifyAll: boolean,
+    assignee?: number | null
+  ): Promise<ClickUpComment> {
+    const payload: Record<string, any> = {
+      comment_text: commentText,
+      notify_all: notifyAll
+    };
+
+    if (assignee) {
+      payload.assignee = assignee;
+    }
+
+    const data = await (this.core as any).makeRequest(async () => {
+      const response = await (this.core as any).client.post(path, payload);
+      return response.data;
+    });
+
+    const comment = data?.comment || data;
+    if (!comment?.id) {
+      throw new Error('Invalid response from ClickUp API');
+    }
+
+    return { ...comment, id: String(comment.id) } as ClickUpComment;
+  }
+
   /**
    * Create a comment on a task
    * 
@@ -75,63 +129,176 @@ export class TaskServiceComments {
     (this.core as any).logOperation('createTaskComment', { taskId, commentText, notifyAll, assignee });
 
     try {
-      const payload: {
-        comment_text: string;
-        notify_all: boolean;
-        assignee?: number;
-      } = {
-        comment_text: commentText,
-        notify_all: notifyAll
-      };
-
-      if (assignee) {
-        payload.assignee = assignee;
-      }
-
-      // Make the request directly without using makeRequest for better error handling
-      const response = await (this.core as any).client.post(
-        `/task/${taskId}/comment`,
-        payload
-      );
-      
-      // Handle different response formats from ClickUp API
-      if (response.data) {
-        if (response.data.comment) {
-          // Standard format: { comment: ClickUpComment }
-          return response.data.comment;
-        } else if (response.data.id && (response.data.comment_text || response.data.comment)) {
-          // Direct format: the comment object itself
-          return response.data as ClickUpComment;
-        } else {
-          // Fallback: construct a minimal valid comment object
-          return {
-            id: response.data.id || `custom-${Date.now()}`,
-            comment: response.data.comment || commentText,
-            comment_text: response.data.comment_text || commentText,
-            user: response.data.user || { id: 0, username: 'Unknown', email: '', color: '' },
-            date: response.data.date || new Date().toISOString(),
-            resolved: false
-          } as ClickUpComment;
-        }
-      }
-      
-      throw new Error('Invalid response from ClickUp API');
-    } catch (error: any) {
-      // Check if comment might have been created despite error
-      if (error.response?.status === 200 || error.response?.status === 201) {
-        // Try to construct a comment object from what we know
-        return {
-          id: `fallback-${Date.now()}`,
-          comment: commentText,
-          comment_text: commentText, 
-          user: { id: 0, username: 'Unknown', email: '', color: '' },
-          date: new Date().toISOString(),
-          resolved: false
-        } as ClickUpComment;
-      }
-      
+      return await this.postComment(`/task/${taskId}/comment`, commentText, notifyAll, assignee);
+    } catch (error) {
       throw (this.core as any).handleError(error, 'Failed to create task comment');
     }
   }
-}
 
+  /**
+   * Get threaded replies to a comment
+   *
+   * @param commentId ID of the parent comment
+   * @returns Array of reply comments
+   */
+  async getCommentReplies(commentId: string): Promise<ClickUpComment[]> {
+    (this.core as any).logOperation('getCommentReplies', { commentId });
+
+    try {
+      return await this.getComments(`/comment/${commentId}/reply`);
+    } catch (error) {
+      throw (this.core as any).handleError(error, 'Failed to get comment replies');
+    }
+  }
+
+  /**
+   * Reply to a comment in its thread
+   *
+   * @param commentId ID of the parent comment
+   * @param commentText Text content of the reply
+   * @param notifyAll Whether to notify all assignees
+   * @param assignee Optional user ID to assign the reply to
+   * @returns The created reply
+   */
+  async createCommentReply(
+    commentId: string,
+    commentText: string,
+    notifyAll: boolean = false,
+    assignee?: number | null
+  ): Promise<ClickUpComment> {
+    (this.core as any).logOperation('createCommentReply', { commentId, notifyAll, assignee });
+
+    try {
+      return await this.postComment(`/comment/${commentId}/reply`, commentText, notifyAll, assignee);
+    } catch (error) {
+      throw (this.core as any).handleError(error, 'Failed to reply to comment');
+    }
+  }
+
+  /**
+   * Update a comment's text, assignee or resolved state
+   *
+   * @param commentId ID of the comment to update
+   * @param updates Fields to update. Use assignee: null to unassign.
+   * @returns Success indicator
+   */
+  async updateComment(
+    commentId: string,
+    updates: { commentText?: string; assignee?: number | null; resolved?: boolean }
+  ): Promise<boolean> {
+    (this.core as any).logOperation('updateComment', { commentId, ...updates });
+
+    try {
+      const payload: Record<string, any> = {};
+      if (updates.commentText !== undefined) payload.comment_text = updates.commentText;
+      if (updates.assignee !== undefined) payload.assignee = updates.assignee;
+      if (updates.resolved !== undefined) payload.resolved = updates.resolved;
+
+      await (this.core as any).makeRequest(async () => {
+        return await (this.core as any).client.put(`/comment/${commentId}`, payload);
+      });
+
+      return true;
+    } catch (error) {
+      throw (this.core as any).handleError(error, 'Failed to update comment');
+    }
+  }
+
+  /**
+   * Delete a comment
+   *
+   * @param commentId ID of the comment to delete
+   * @returns Success indicator
+   */
+  async deleteComment(commentId: string): Promise<boolean> {
+    (this.core as any).logOperation('deleteComment', { commentId });
+
+    try {
+      await (this.core as any).makeRequest(async () => {
+        return await (this.core as any).client.delete(`/comment/${commentId}`);
+      });
+
+      return true;
+    } catch (error) {
+      throw (this.core as any).handleError(error, 'Failed to delete comment');
+    }
+  }
+
+  /**
+   * Get comments posted on a list
+   *
+   * @param listId ID of the list
+   * @param start Optional pagination start
+   * @param startId Optional comment ID to start from
+   * @returns Array of list comments
+   */
+  async getListComments(listId: string, start?: number, startId?: string): Promise<ClickUpComment[]> {
+    (this.core as any).logOperation('getListComments', { listId, start, startId });
+
+    try {
+      return await this.getComments(`/list/${listId}/comment`, start, startId);
+    } catch (error) {
+      throw (this.core as any).handleError(error, 'Failed to get list comments');
+    }
+  }
+
+  /**
+   * Create a comment on a list
+   *
+   * @param listId ID of the list
+   * @param commentText Text content of the comment
+   * @param notifyAll Whether to notify all list members
+   * @param assignee Optional user ID to assign the comment to
+   * @returns The created comment
+   */
+  async createListComment(
+    listId: string,
+    commentText: string,
+    notifyAll: boolean = false,
+    assignee?: number | null
+  ): Promise<ClickUpComment> {
+    (this.core as any).logOperation('createListComment', { listId, notifyAll, assignee });
+
+    try {
+      return await this.postComment(`/list/${listId}/comment`, commentText, notifyAll, assignee);
+    } catch (error) {
+      throw (this.core as any).handleError(error, 'Failed to create list comment');
+    }
+  }
+
+  /**
+   * Get comments posted on a view (e.g. a Chat view)
+   *
+   * @param viewId ID of the view
+   * @param start Optional pagination start
+   * @param startId Optional comment ID to start from
+   * @returns Array of view comments
+   */
+  async getViewComments(viewId: string, start?: number, startId?: string): Promise<ClickUpComment[]> {
+    (this.core as any).logOperation('getViewComments', { viewId, start, startId });
+
+    try {
+      return await this.getComments(`/view/${viewId}/comment`, start, startId);
+    } catch (error) {
+      throw (this.core as any).handleError(error, 'Failed to get view comments');
+    }
+  }
+
+  /**
+   * Create a comment on a view (e.g. a Chat view)
+   *
+   * @param viewId ID of the view
+   * @param commentText Text content of the comment
+   * @param notifyAll Whether to notify all view members
+   * @returns The created comment
+   */
+  async createViewComment(viewId: string, commentText: string, notifyAll: boolean = false): Promise<ClickUpComment> {
+    (this.core as any).logOperation('createViewComment', { viewId, notifyAll });
+
+    try {
+      return await this.postComment(`/view/${viewId}/comment`, commentText, notifyAll);
+    } catch (error) {
+      throw (this.core as any).handleError(error, 'Failed to create view comment');
+    }
+  }
+}
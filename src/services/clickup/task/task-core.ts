@@ -21,35 +21,15 @@ import {
 } from '../types.js';
 import { ListService } from '../list.js';
 import { WorkspaceService } from '../workspace.js';
+import { clickUpCache } from '../../../cache/index.js';
 
 /**
  * Core TaskService class providing basic task operations
  */
 export class TaskServiceCore extends BaseClickUpService {
+  protected auditCategory = 'task';
   protected listService: ListService;
   protected workspaceService: WorkspaceService | null = null;
-  
-  // Cache for validated tasks and lists
-  private validationCache = {
-    tasks: new Map<string, {
-      validatedAt: number;
-      task: ClickUpTask;
-    }>(),
-    lists: new Map<string, {
-      validatedAt: number;
-      valid: boolean;
-    }>()
-  };
-
-  // Cache for task name to ID mapping
-  private nameToIdCache = new Map<string, {
-    taskId: string;
-    validatedAt: number;
-    listId?: string; // Optional list context for disambiguation
-  }>();
-  
-  // Cache TTL in milliseconds (5 minutes)
-  private readonly CACHE_TTL = 5 * 60 * 1000;
 
   constructor(
     apiKey: string, 
@@ -547,11 +527,8 @@ export class TaskServiceCore extends BaseClickUpService {
       await this.deleteTask(taskId);
       
       // Update the cache
-      this.validationCache.tasks.delete(taskId);
-      this.validationCache.tasks.set(newTask.id, {
-        validatedAt: Date.now(),
-        task: newTask
-      });
+      clickUpCache.invalidate('tasks', taskId);
+      clickUpCache.set('tasks', newTask.id, newTask, [`task/${newTask.id}`]);
 
       const totalTime = Date.now() - startTime;
       this.logOperation('moveTask', { 
@@ -609,22 +586,15 @@ export class TaskServiceCore extends BaseClickUpService {
    */
   protected async validateTaskExists(taskId: string): Promise<ClickUpTask> {
     // Check cache first
-    const cached = this.validationCache.tasks.get(taskId);
-    if (cached && Date.now() - cached.validatedAt < this.CACHE_TTL) {
+    const cached = clickUpCache.get<ClickUpTask>('tasks', taskId);
+    if (cached) {
       this.logger.debug('Using cached task validation', { taskId });
-      return cached.task;
+      return cached;
     }
 
-    // Not in cache or expired, fetch task
+    // Not in cache or expired, fetch task and cache the validation result
     const task = await this.getTask(taskId);
-    
-    // Cache the validation result
-    this.validationCache.tasks.set(taskId, {
-      validatedAt: Date.now(),
-      task
-    });
-
-    return task;
+    return clickUpCache.set('tasks', taskId, task, [`task/${task.id}`]);
   }
 
   /**
@@ -638,9 +608,9 @@ export class TaskServiceCore extends BaseClickUpService {
 
     // Check cache first
     for (const taskId of taskIds) {
-      const cached = this.validationCache.tasks.get(taskId);
-      if (cached && Date.now() - cached.validatedAt < this.CACHE_TTL) {
-        results.set(taskId, cached.task);
+      const cached = clickUpCache.get<ClickUpTask>('tasks', taskId);
+      if (cached) {
+        results.set(taskId, cached);
       } else {
         toFetch.push(taskId);
       }
@@ -658,11 +628,7 @@ export class TaskServiceCore extends BaseClickUpService {
         // Cache and store results
         tasks.forEach((task, index) => {
           const taskId = batch[index];
-          this.validationCache.tasks.set(taskId, {
-            validatedAt: Date.now(),
-            task
-          });
-          results.set(taskId, task);
+          results.set(taskId, clickUpCache.set('tasks', taskId, task, [`task/${task.id}`]));
         });
       }
     }
@@ -676,8 +642,8 @@ export class TaskServiceCore extends BaseClickUpService {
    */
   async validateListExists(listId: string): Promise<void> {
     // Check cache first
-    const cached = this.validationCache.lists.get(listId);
-    if (cached && Date.now() - cached.validatedAt < this.CACHE_TTL) {
+    const cached = clickUpCache.get<{ valid: boolean }>('lists', `list/${listId}`);
+    if (cached) {
       this.logger.debug('Using cached list validation', { listId });
       if (!cached.valid) {
         throw new ClickUpServiceError(
@@ -692,16 +658,10 @@ export class TaskServiceCore extends BaseClickUpService {
       await this.listService.getList(listId);
       
       // Cache the successful validation
-      this.validationCache.lists.set(listId, {
-        validatedAt: Date.now(),
-        valid: true
-      });
+      clickUpCache.set('lists', `list/${listId}`, { valid: true });
     } catch (error) {
       // Cache the failed validation
-      this.validationCache.lists.set(listId, {
-        validatedAt: Date.now(),
-        valid: false
-      });
+      clickUpCache.set('lists', `list/${listId}`, { valid: false });
       throw error;
     }
   }
@@ -713,8 +673,8 @@ export class TaskServiceCore extends BaseClickUpService {
    * @returns The cached task ID if found and not expired, otherwise null
    */
   protected getCachedTaskId(taskName: string, listId?: string): string | null {
-    const cached = this.nameToIdCache.get(taskName);
-    if (cached && Date.now() - cached.validatedAt < this.CACHE_TTL) {
+    const cached = clickUpCache.get<{ taskId: string; listId?: string }>('taskNames', `${this.teamId}/${taskName}`);
+    if (cached) {
       // If listId is provided, ensure it matches the cached context
       if (!listId || cached.listId === listId) {
         this.logger.debug('Using cached task ID for name', { taskName, cachedId: cached.taskId });
@@ -731,11 +691,7 @@ export class TaskServiceCore extends BaseClickUpService {
    * @param listId Optional list ID for context
    */
   protected cacheTaskNameToId(taskName: string, taskId: string, listId?: string): void {
-    this.nameToIdCache.set(taskName, {
-      taskId,
-      validatedAt: Date.now(),
-      listId
-    });
+    clickUpCache.set('taskNames', `${this.teamId}/${taskName}`, { taskId, listId }, [`task/${taskId}`]);
     this.logger.debug('Cached task name to ID mapping', { taskName, taskId, listId });
   }
 }
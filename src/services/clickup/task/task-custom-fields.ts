@@ -21,6 +21,7 @@ import { ErrorCode } from '../base.js';
 export interface CustomFieldValue {
   id: string;
   value: any;
+  value_options?: Record<string, any>;
 }
 
 /**
@@ -37,15 +38,19 @@ export class TaskServiceCustomFields {
    * @param taskId ID of the task
    * @param fieldId ID of the custom field
    * @param value Value to set for the custom field
+   * @param valueOptions Optional value options (e.g. { time: true } for date fields)
    * @returns Success response
    */
-  async setCustomFieldValue(taskId: string, fieldId: string, value: any): Promise<boolean> {
+  async setCustomFieldValue(taskId: string, fieldId: string, value: any, valueOptions?: Record<string, any>): Promise<boolean> {
     (this.core as any).logOperation('setCustomFieldValue', { taskId, fieldId, value });
 
     try {
-      const payload = {
+      const payload: Record<string, any> = {
         value
       };
+      if (valueOptions) {
+        payload.value_options = valueOptions;
+      }
 
       await (this.core as any).makeRequest(async () => {
         return await (this.core as any).client.post(
@@ -73,7 +78,7 @@ export class TaskServiceCustomFields {
     try {
       // Execute each update sequentially
       for (const field of customFields) {
-        await this.setCustomFieldValue(taskId, field.id, field.value);
+        await this.setCustomFieldValue(taskId, field.id, field.value, field.value_options);
       }
 
       return true;
@@ -0,0 +1,132 @@
+/**
+ * SPDX-FileCopyrightText: © 2025 Talib Kareem <taazkareem@icloud.com>
+ * SPDX-License-Identifier: MIT
+ *
+ * ClickUp Task Service - Relationships Module
+ *
+ * Handles relationships between ClickUp tasks, including:
+ * - Adding and removing dependencies (waiting on / blocking)
+ * - Adding and removing task links
+ *
+ * Uses composition and only depends on TaskServiceCore for base functionality.
+ */
+
+import { TaskServiceCore } from './task-core.js';
+import { ClickUpTask, TaskDependencyType } from '../types.js';
+
+/**
+ * Relationship functionality for the TaskService
+ *
+ * This service handles dependency and link operations between ClickUp tasks.
+ * It uses composition to access core functionality instead of inheritance.
+ */
+export class TaskServiceRelationships {
+  constructor(private core: TaskServiceCore) {}
+
+  /**
+   * Build the dependency payload for the given direction
+   *
+   * @param relatedTaskId ID of the related task
+   * @param type Direction of the dependency relative to the task
+   * @returns Payload keyed the way the ClickUp API expects
+   */
+  private buildDependencyPayload(relatedTaskId: string, type: TaskDependencyType): Record<string, string> {
+    return type === 'blocking'
+      ? { dependency_of: relatedTaskId }
+      : { depends_on: relatedTaskId };
+  }
+
+  /**
+   * Add a dependency between two tasks
+   *
+   * @param taskId ID of the task to add the dependency to
+   * @param relatedTaskId ID of the other task
+   * @param type 'waiting_on' if taskId waits on relatedTaskId, 'blocking' if taskId blocks relatedTaskId
+   * @returns Success indicator
+   */
+  async addTaskDependency(taskId: string, relatedTaskId: string, type: TaskDependencyType = 'waiting_on'): Promise<boolean> {
+    (this.core as any).logOperation('addTaskDependency', { taskId, relatedTaskId, type });
+
+    try {
+      await (this.core as any).makeRequest(async () => {
+        return await (this.core as any).client.post(
+          `/task/${taskId}/dependency`,
+          this.buildDependencyPayload(relatedTaskId, type)
+        );
+      });
+
+      return true;
+    } catch (error) {
+      throw (this.core as any).handleError(error, 'Failed to add task dependency');
+    }
+  }
+
+  /**
+   * Remove a dependency between two tasks
+   *
+   * @param taskId ID of the task to remove the dependency from
+   * @param relatedTaskId ID of the other task
+   * @param type 'waiting_on' if taskId waits on relatedTaskId, 'blocking' if taskId blocks relatedTaskId
+   * @returns Success indicator
+   */
+  async removeTaskDependency(taskId: string, relatedTaskId: string, type: TaskDependencyType = 'waiting_on'): Promise<boolean> {
+    (this.core as any).logOperation('removeTaskDependency', { taskId, relatedTaskId, type });
+
+    try {
+      await (this.core as any).makeRequest(async () => {
+        return await (this.core as any).client.delete(
+          `/task/${taskId}/dependency`,
+          { params: this.buildDependencyPayload(relatedTaskId, type) }
+        );
+      });
+
+      return true;
+    } catch (error) {
+      throw (this.core as any).handleError(error, 'Failed to remove task dependency');
+    }
+  }
+
+  /**
+   * Link two tasks together
+   *
+   * @param taskId ID of the task to link from
+   * @param linkedTaskId ID of the task to link to
+   * @returns The updated task as returned by ClickUp
+   */
+  async addTaskLink(taskId: string, linkedTaskId: string): Promise<ClickUpTask> {
+    (this.core as any).logOperation('addTaskLink', { taskId, linkedTaskId });
+
+    try {
+      return await (this.core as any).makeRequest(async () => {
+        const response = await (this.core as any).client.post(
+          `/task/${taskId}/link/${linkedTaskId}`
+        );
+        return response.data.task;
+      });
+    } catch (error) {
+      throw (this.core as any).handleError(error, 'Failed to link tasks');
+    }
+  }
+
+  /**
+   * Remove the link between two tasks
+   *
+   * @param taskId ID of the task to unlink from
+   * @param linkedTaskId ID of the linked task
+   * @returns The updated task as returned by ClickUp
+   */
+  async removeTaskLink(taskId: string, linkedTaskId: string): Promise<ClickUpTask> {
+    (this.core as any).logOperation('removeTaskLink', { taskId, linkedTaskId });
+
+    try {
+      return await (this.core as any).makeRequest(async () => {
+        const response = await (this.core as any).client.delete(
+          `/task/${taskId}/link/${linkedTaskId}`
+        );
+        return response.data.task;
+      });
+    } catch (error) {
+      throw (this.core as any).handleError(error, 'Failed to unlink tasks');
+    }
+  }
+}
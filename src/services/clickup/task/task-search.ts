@@ -23,6 +23,7 @@ import {
 import { isNameMatch } from '../../../utils/resolver-utils.js';
 import { findListIDByName } from '../../../tools/list.js';
 import { estimateTokensFromObject, wouldExceedTokenLimit } from '../../../utils/token-utils.js';
+import { clickUpCache } from '../../../cache/index.js';
 
 /**
  * Search functionality for the TaskService
@@ -34,6 +35,9 @@ import { estimateTokensFromObject, wouldExceedTokenLimit } from '../../../utils/
  * Only depends on TaskServiceCore for base functionality.
  */
 export class TaskServiceSearch {
+  // Last workspace tasks fetched for global name search, used when a refresh fails
+  private lastWorkspaceTasks: { tasks: ClickUpTask[]; fetchedAt: number } | null = null;
+
   constructor(private core: TaskServiceCore) {}
   /**
    * Find a task by name within a specific list
@@ -118,7 +122,7 @@ export class TaskServiceSearch {
    * @param task The task to format
    * @returns A TaskSummary object
    */
-  protected formatTaskSummary(task: ClickUpTask): TaskSummary {
+  formatTaskSummary(task: ClickUpTask): TaskSummary {
     return {
       id: task.id,
       name: task.name,
@@ -156,16 +160,10 @@ export class TaskServiceSearch {
     try {
       (this.core as any).logOperation('getWorkspaceTasks', { filters });
 
-      const params = (this.core as any).buildTaskFilterParams(filters);
-      const response = await (this.core as any).makeRequest(async () => {
-        return await (this.core as any).client.get(`/team/${(this.core as any).teamId}/task`, {
-          params
-        });
-      });
-
-      const tasks = response.data.tasks;
+      const fetchedTasks = await this.getWorkspaceTaskPage(filters);
+      const tasks = filters.matches ? fetchedTasks.filter(filters.matches) : fetchedTasks;
       const totalCount = tasks.length; // Note: This is just the current page count
-      const hasMore = totalCount === 100; // ClickUp returns max 100 tasks per page
+      const hasMore = fetchedTasks.length === 100; // ClickUp returns max 100 tasks per page
       const nextPage = (filters.page || 0) + 1;
 
       // If the estimated token count exceeds 50,000 or detail_level is 'summary',
@@ -183,7 +181,7 @@ export class TaskServiceSearch {
         const sampleTask = tasks[0];
         
         // Check if all tasks would exceed the token limit
-        const estimatedTokensPerTask = (this.core as any).estimateTaskTokens(sampleTask);
+        const estimatedTokensPerTask = this.estimateTaskTokens(sampleTask);
         const estimatedTotalTokens = estimatedTokensPerTask * tasks.length;
         
         // Add 10% overhead for the response wrapper
@@ -204,14 +202,14 @@ export class TaskServiceSearch {
 
       (this.core as any).logOperation('getWorkspaceTasks', {
         totalTasks: tasks.length,
-        estimatedTokens: tasks.reduce((count, task) => count + (this.core as any).estimateTaskTokens(task), 0),
+        estimatedTokens: tasks.reduce((count, task) => count + this.estimateTaskTokens(task), 0),
         usingDetailedFormat: !shouldUseSummary,
         requestedFormat: filters.detail_level || 'auto'
       });
 
       if (shouldUseSummary) {
         return {
-          summaries: tasks.map(task => (this.core as any).formatTaskSummary(task)),
+          summaries: tasks.map(task => this.formatTaskSummary(task)),
           total_count: totalCount,
           has_more: hasMore,
           next_page: nextPage
@@ -230,6 +228,21 @@ export class TaskServiceSearch {
     }
   }
 
+  /**
+   * Get one page of full task objects from the workspace, without summary formatting
+   * @param filters Task filters to apply
+   * @returns Up to 100 tasks
+   */
+  async getWorkspaceTaskPage(filters: TaskFilters = {}): Promise<ClickUpTask[]> {
+    const params = (this.core as any).buildTaskFilterParams(filters);
+    const response = await (this.core as any).makeRequest(async () => {
+      return await (this.core as any).client.get(`/team/${(this.core as any).teamId}/task`, {
+        params
+      });
+    });
+    return response.data.tasks || [];
+  }
+
   /**
    * Get task summaries for lightweight retrieval
    * @param filters Task filters to apply
@@ -318,39 +331,7 @@ export class TaskServiceSearch {
     try {
       (this.core as any).logOperation('getTasksFromView', { viewId, filters });
 
-      // Build query parameters for supported filters
-      const params: Record<string, any> = {};
-
-      // Map supported filters to query parameters
-      if (filters.subtasks !== undefined) params.subtasks = filters.subtasks;
-      if (filters.include_closed !== undefined) params.include_closed = filters.include_closed;
-      if (filters.archived !== undefined) params.archived = filters.archived;
-      if (filters.page !== undefined) params.page = filters.page;
-      if (filters.order_by) params.order_by = filters.order_by;
-      if (filters.reverse !== undefined) params.reverse = filters.reverse;
-
-      // Status filtering
-      if (filters.statuses && filters.statuses.length > 0) {
-        params.statuses = filters.statuses;
-      }
-
-      // Assignee filtering
-      if (filters.assignees && filters.assignees.length > 0) {
-        params.assignees = filters.assignees;
-      }
-
-      // Date filters
-      if (filters.date_created_gt) params.date_created_gt = filters.date_created_gt;
-      if (filters.date_created_lt) params.date_created_lt = filters.date_created_lt;
-      if (filters.date_updated_gt) params.date_updated_gt = filters.date_updated_gt;
-      if (filters.date_updated_lt) params.date_updated_lt = filters.date_updated_lt;
-      if (filters.due_date_gt) params.due_date_gt = filters.due_date_gt;
-      if (filters.due_date_lt) params.due_date_lt = filters.due_date_lt;
-
-      // Custom fields
-      if (filters.custom_fields) {
-        params.custom_fields = filters.custom_fields;
-      }
+      const params = this.buildViewTaskParams(filters);
 
       let allTasks: ClickUpTask[] = [];
       let currentPage = filters.page || 0;
@@ -359,19 +340,12 @@ export class TaskServiceSearch {
       let pageCount = 0;
 
       while (hasMore && pageCount < maxPages) {
-        const pageParams = { ...params, page: currentPage };
-
-        const response = await (this.core as any).makeRequest(async () => {
-          return await (this.core as any).client.get(`/view/${viewId}/task`, {
-            params: pageParams
-          });
-        });
-
-        const tasks = response.data.tasks || [];
+        const page = await this.fetchViewTaskPage(viewId, params, currentPage);
+        const tasks = page.tasks;
         allTasks = allTasks.concat(tasks);
 
         // Check if there are more pages
-        hasMore = response.data.has_more === true && tasks.length > 0;
+        hasMore = page.hasMore;
         currentPage++;
         pageCount++;
 
@@ -416,6 +390,73 @@ export class TaskServiceSearch {
     }
   }
 
+  /**
+   * Retrieve one page of tasks from a view, applying supported filters
+   * @param viewId The ID of the view to get tasks from
+   * @param filters Task filters to apply (only supported filters will be used)
+   * @param page Page number (0-based)
+   * @returns The tasks of the page and whether more pages follow
+   */
+  async getTaskViewPage(viewId: string, filters: ExtendedTaskFilters = {}, page: number = 0): Promise<{ tasks: ClickUpTask[]; hasMore: boolean }> {
+    try {
+      (this.core as any).logOperation('getTaskViewPage', { viewId, page });
+      return await this.fetchViewTaskPage(viewId, this.buildViewTaskParams(filters), page);
+    } catch (error) {
+      throw (this.core as any).handleError(error, `Failed to get tasks from view ${viewId}`);
+    }
+  }
+
+  /**
+   * Map the filters supported by the Views API to query parameters
+   */
+  private buildViewTaskParams(filters: ExtendedTaskFilters): Record<string, any> {
+    const params: Record<string, any> = {};
+
+    // Map supported filters to query parameters
+    if (filters.subtasks !== undefined) params.subtasks = filters.subtasks;
+    if (filters.include_closed !== undefined) params.include_closed = filters.include_closed;
+    if (filters.archived !== undefined) params.archived = filters.archived;
+    if (filters.page !== undefined) params.page = filters.page;
+    if (filters.order_by) params.order_by = filters.order_by;
+    if (filters.reverse !== undefined) params.reverse = filters.reverse;
+
+    // Status filtering
+    if (filters.statuses && filters.statuses.length > 0) {
+      params.statuses = filters.statuses;
+    }
+
+    // Assignee filtering
+    if (filters.assignees && filters.assignees.length > 0) {
+      params.assignees = filters.assignees;
+    }
+
+    // Date filters
+    if (filters.date_created_gt) params.date_created_gt = filters.date_created_gt;
+    if (filters.date_created_lt) params.date_created_lt = filters.date_created_lt;
+    if (filters.date_updated_gt) params.date_updated_gt = filters.date_updated_gt;
+    if (filters.date_updated_lt) params.date_updated_lt = filters.date_updated_lt;
+    if (filters.due_date_gt) params.due_date_gt = filters.due_date_gt;
+    if (filters.due_date_lt) params.due_date_lt = filters.due_date_lt;
+
+    // Custom fields
+    if (filters.custom_fields) {
+      params.custom_fields = filters.custom_fields;
+    }
+
+    return params;
+  }
+
+  private async fetchViewTaskPage(viewId: string, params: Record<string, any>, page: number): Promise<{ tasks: ClickUpTask[]; hasMore: boolean }> {
+    const response = await (this.core as any).makeRequest(async () => {
+      return await (this.core as any).client.get(`/view/${viewId}/task`, {
+        params: { ...params, page }
+      });
+    });
+
+    const tasks: ClickUpTask[] = response.data.tasks || [];
+    return { tasks, hasMore: response.data.has_more === true && tasks.length > 0 };
+  }
+
   /**
    * Get detailed task data
    * @param filters Task filters to apply
@@ -1007,50 +1048,28 @@ export class TaskServiceSearch {
   async findTaskByNameGlobally(taskName: string): Promise<ClickUpTask | null> {
     (this.core as any).logOperation('findTaskByNameGlobally', { taskName });
     
-    // Use a static cache for task data to avoid redundant API calls
+    // Use the shared workspace task cache to avoid redundant API calls
     // This dramatically reduces API usage across multiple task lookups
-    if (!this.constructor.hasOwnProperty('_taskCache')) {
-      Object.defineProperty(this.constructor, '_taskCache', {
-        value: {
-          tasks: [],
-          lastFetch: 0,
-          cacheTTL: 60000, // 1 minute cache TTL
-        },
-        writable: true
-      });
-    }
-    
-    const cache = (this.constructor as any)._taskCache;
-    const now = Date.now();
-    
+    const teamId: string = (this.core as any).teamId;
+
     try {
-      // Use cached tasks if available and not expired
-      let tasks: ClickUpTask[] = [];
-      if (cache.tasks.length > 0 && (now - cache.lastFetch) < cache.cacheTTL) {
-        (this.core as any).logOperation('findTaskByNameGlobally', {
-          usedCache: true,
-          cacheAge: now - cache.lastFetch,
-          taskCount: cache.tasks.length
-        });
-        tasks = cache.tasks;
-      } else {
+      let usedCache = true;
+      const tasks = await clickUpCache.getOrLoad('workspaceTasks', teamId, async () => {
+        usedCache = false;
         // Get tasks using a single efficient workspace-wide API call
         const response = await this.getWorkspaceTasks({
           include_closed: true,
           detail_level: 'detailed'
         });
+        const fetched = 'tasks' in response ? response.tasks : [];
+        this.lastWorkspaceTasks = { tasks: fetched, fetchedAt: Date.now() };
+        return fetched;
+      });
 
-        tasks = 'tasks' in response ? response.tasks : [];
-
-        // Update cache
-        cache.tasks = tasks;
-        cache.lastFetch = now;
-
-        (this.core as any).logOperation('findTaskByNameGlobally', {
-          usedCache: false,
-          fetchedTaskCount: tasks.length
-        });
-      }
+      (this.core as any).logOperation('findTaskByNameGlobally', {
+        usedCache,
+        taskCount: tasks.length
+      });
 
       // Map tasks to include match scores and updated time for sorting
       const taskMatches = tasks.map(task => {
@@ -1110,14 +1129,15 @@ export class TaskServiceSearch {
       (this.core as any).logOperation('findTaskByNameGlobally', { error: error.message });
 
       // If there's an error (like rate limit), try to use cached data even if expired
-      if (cache.tasks.length > 0) {
+      const stale = this.lastWorkspaceTasks;
+      if (stale && stale.tasks.length > 0) {
         (this.core as any).logOperation('findTaskByNameGlobally', {
           message: 'Using expired cache due to API error',
-          cacheAge: now - cache.lastFetch
+          cacheAge: Date.now() - stale.fetchedAt
         });
         
         // Perform the same matching logic with cached data
-        const taskMatches = cache.tasks
+        const taskMatches = stale.tasks
           .map(task => {
             const matchResult = isNameMatch(task.name, taskName);
             return {
@@ -16,6 +16,8 @@ import { TaskServiceAttachments } from './task-attachments.js';
 import { TaskServiceComments } from './task-comments.js';
 import { TaskServiceTags } from './task-tags.js';
 import { TaskServiceCustomFields } from './task-custom-fields.js';
+import { TaskServiceChecklists } from './task-checklists.js';
+import { TaskServiceRelationships } from './task-relationships.js';
 import { WorkspaceService } from '../workspace.js';
 import {
   ClickUpTask,
@@ -25,7 +27,13 @@ import {
   ClickUpTaskAttachment,
   ExtendedTaskFilters,
   DetailedTaskResponse,
-  WorkspaceTasksResponse
+  WorkspaceTasksResponse,
+  TaskSummary,
+  ClickUpChecklist,
+  ClickUpChecklistItem,
+  UpdateChecklistData,
+  ChecklistItemData,
+  TaskDependencyType
 } from '../types.js';
 import { CustomFieldValue } from './task-custom-fields.js';
 
@@ -42,6 +50,8 @@ export class TaskService extends TaskServiceCore {
   public readonly comments: TaskServiceComments;
   public readonly tags: TaskServiceTags;
   public readonly customFields: TaskServiceCustomFields;
+  public readonly checklists: TaskServiceChecklists;
+  public readonly relationships: TaskServiceRelationships;
 
   constructor(apiKey: string, teamId: string, baseUrl?: string, workspaceService?: WorkspaceService) {
     super(apiKey, teamId, baseUrl, workspaceService);
@@ -53,6 +63,8 @@ export class TaskService extends TaskServiceCore {
     this.comments = new TaskServiceComments(this);
     this.tags = new TaskServiceTags(this);
     this.customFields = new TaskServiceCustomFields(this);
+    this.checklists = new TaskServiceChecklists(this);
+    this.relationships = new TaskServiceRelationships(this);
   }
 
   // ===== DELEGATED SEARCH METHODS =====
@@ -65,6 +77,10 @@ export class TaskService extends TaskServiceCore {
     return this.search.getWorkspaceTasks(filters);
   }
 
+  async getWorkspaceTaskPage(filters: ExtendedTaskFilters = {}): Promise<ClickUpTask[]> {
+    return this.search.getWorkspaceTaskPage(filters);
+  }
+
   async getTaskSummaries(filters: ExtendedTaskFilters = {}): Promise<WorkspaceTasksResponse> {
     return this.search.getTaskSummaries(filters);
   }
@@ -77,6 +93,14 @@ export class TaskService extends TaskServiceCore {
     return this.search.getTasksFromView(viewId, filters);
   }
 
+  async getTaskViewPage(viewId: string, filters: ExtendedTaskFilters = {}, page: number = 0): Promise<{ tasks: ClickUpTask[]; hasMore: boolean }> {
+    return this.search.getTaskViewPage(viewId, filters, page);
+  }
+
+  formatTaskSummary(task: ClickUpTask): TaskSummary {
+    return this.search.formatTaskSummary(task);
+  }
+
   async getTaskDetails(filters: ExtendedTaskFilters = {}): Promise<DetailedTaskResponse> {
     return this.search.getTaskDetails(filters);
   }
@@ -124,6 +148,38 @@ export class TaskService extends TaskServiceCore {
     return this.comments.createTaskComment(taskId, commentText, notifyAll, assignee);
   }
 
+  async getCommentReplies(commentId: string): Promise<ClickUpComment[]> {
+    return this.comments.getCommentReplies(commentId);
+  }
+
+  async createCommentReply(commentId: string, commentText: string, notifyAll?: boolean, assignee?: number | null): Promise<ClickUpComment> {
+    return this.comments.createCommentReply(commentId, commentText, notifyAll, assignee);
+  }
+
+  async updateComment(commentId: string, updates: { commentText?: string; assignee?: number | null; resolved?: boolean }): Promise<boolean> {
+    return this.comments.updateComment(commentId, updates);
+  }
+
+  async deleteComment(commentId: string): Promise<boolean> {
+    return this.comments.deleteComment(commentId);
+  }
+
+  async getListComments(listId: string, start?: number, startId?: string): Promise<ClickUpComment[]> {
+    return this.comments.getListComments(listId, start, startId);
+  }
+
+  async createListComment(listId: string, commentText: string, notifyAll?: boolean, assignee?: number | null): Promise<ClickUpComment> {
+    return this.comments.createListComment(listId, commentText, notifyAll, assignee);
+  }
+
+  async getViewComments(viewId: string, start?: number, startId?: string): Promise<ClickUpComment[]> {
+    return this.comments.getViewComments(viewId, start, startId);
+  }
+
+  async createViewComment(viewId: string, commentText: string, notifyAll?: boolean): Promise<ClickUpComment> {
+    return this.comments.createViewComment(viewId, commentText, notifyAll);
+  }
+
   // ===== DELEGATED TAG METHODS =====
 
   async addTagToTask(taskId: string, tagName: string): Promise<boolean> {
@@ -144,8 +200,8 @@ export class TaskService extends TaskServiceCore {
 
   // ===== DELEGATED CUSTOM FIELD METHODS =====
 
-  async setCustomFieldValue(taskId: string, fieldId: string, value: any): Promise<boolean> {
-    return this.customFields.setCustomFieldValue(taskId, fieldId, value);
+  async setCustomFieldValue(taskId: string, fieldId: string, value: any, valueOptions?: Record<string, any>): Promise<boolean> {
+    return this.customFields.setCustomFieldValue(taskId, fieldId, value, valueOptions);
   }
 
   async setCustomFieldValues(taskId: string, customFields: CustomFieldValue[]): Promise<boolean> {
@@ -159,4 +215,56 @@ export class TaskService extends TaskServiceCore {
   async getCustomFieldValue(taskId: string, fieldId: string): Promise<any> {
     return this.customFields.getCustomFieldValue(taskId, fieldId);
   }
-}
\ No newline at end of file
+
+  // ===== DELEGATED CHECKLIST METHODS =====
+
+  async getTaskChecklists(taskId: string): Promise<ClickUpChecklist[]> {
+    return this.checklists.getTaskChecklists(taskId);
+  }
+
+  async createChecklist(taskId: string, name: string): Promise<ClickUpChecklist> {
+    return this.checklists.createChecklist(taskId, name);
+  }
+
+  async updateChecklist(checklistId: string, data: UpdateChecklistData): Promise<boolean> {
+    return this.checklists.updateChecklist(checklistId, data);
+  }
+
+  async deleteChecklist(checklistId: string): Promise<boolean> {
+    return this.checklists.deleteChecklist(checklistId);
+  }
+
+  async createChecklistItem(
+    checklistId: string,
+    data: ChecklistItemData,
+    existingItems?: ClickUpChecklistItem[]
+  ): Promise<ClickUpChecklist> {
+    return this.checklists.createChecklistItem(checklistId, data, existingItems);
+  }
+
+  async updateChecklistItem(checklistId: string, itemId: string, data: ChecklistItemData): Promise<ClickUpChecklist> {
+    return this.checklists.updateChecklistItem(checklistId, itemId, data);
+  }
+
+  async deleteChecklistItem(checklistId: string, itemId: string): Promise<boolean> {
+    return this.checklists.deleteChecklistItem(checklistId, itemId);
+  }
+
+  // ===== DELEGATED RELATIONSHIP METHODS =====
+
+  async addTaskDependency(taskId: string, relatedTaskId: string, type?: TaskDependencyType): Promise<boolean> {
+    return this.relationships.addTaskDependency(taskId, relatedTaskId, type);
+  }
+
+  async removeTaskDependency(taskId: string, relatedTaskId: string, type?: TaskDependencyType): Promise<boolean> {
+    return this.relationships.removeTaskDependency(taskId, relatedTaskId, type);
+  }
+
+  async addTaskLink(taskId: string, linkedTaskId: string): Promise<ClickUpTask> {
+    return this.relationships.addTaskLink(taskId, linkedTaskId);
+  }
+
+  async removeTaskLink(taskId: string, linkedTaskId: string): Promise<ClickUpTask> {
+    return this.relationships.removeTaskLink(taskId, linkedTaskId);
+  }
+}
@@ -6,6 +6,8 @@
  * 
  * This service provides methods to manage time tracking for ClickUp tasks:
  * - Get time entries for a task
+ * - Get time entries of the workspace
+ * - Get a single time entry
  * - Start time tracking on a task
  * - Stop time tracking on a task
  * - Add a manual time entry
@@ -107,6 +109,8 @@ export interface AddTimeEntryData {
  * Time tracking service for ClickUp
  */
 export class TimeTrackingService extends BaseClickUpService {
+  protected auditCategory = 'time';
+
   /**
    * Get all time entries for a task
    * @param taskId ID of the task
@@ -158,6 +162,55 @@ export class TimeTrackingService extends BaseClickUpService {
     }
   }
   
+  /**
+   * Get the time entries of the workspace within a date range
+   * @param startDate Start of the range (Unix timestamp in milliseconds)
+   * @param endDate End of the range (Unix timestamp in milliseconds)
+   * @param assignees Optional user IDs whose entries to return; ClickUp defaults to the authorized user
+   * @returns List of time entries
+   */
+  async getWorkspaceTimeEntries(startDate: number, endDate: number, assignees?: number[]): Promise<ServiceResponse<ClickUpTimeEntry[]>> {
+    try {
+      this.logOperation('getWorkspaceTimeEntries', { startDate, endDate, assignees });
+
+      const query: Record<string, any> = { start_date: startDate, end_date: endDate };
+      if (assignees && assignees.length > 0) query.assignee = assignees.join(',');
+
+      const path = `/team/${this.teamId}/time_entries`;
+      this.traceRequest('GET', path, query);
+
+      const response = await this.makeRequest<AxiosResponse<TimeEntriesResponse>>(() =>
+        this.client.get(path, {
+          params: query
+        })
+      );
+
+      return {
+        success: true,
+        data: response.data.data
+      };
+    } catch (error) {
+      if (error instanceof ClickUpServiceError) {
+        return {
+          success: false,
+          error: {
+            message: error.message,
+            code: error.code,
+            details: error.data
+          }
+        };
+      }
+
+      return {
+        success: false,
+        error: {
+          message: `Failed to get workspace time entries: ${(error as Error).message}`,
+          code: ErrorCode.UNKNOWN
+        }
+      };
+    }
+  }
+
   /**
    * Start time tracking on a task
    * @param data Task ID and optional parameters
@@ -326,6 +379,55 @@ export class TimeTrackingService extends BaseClickUpService {
     }
   }
   
+  /**
+   * Get a single time entry
+   * @param timeEntryId ID of the time entry
+   * @returns The time entry
+   */
+  async getTimeEntry(timeEntryId: string): Promise<ServiceResponse<ClickUpTimeEntry>> {
+    try {
+      this.logOperation('getTimeEntry', { timeEntryId });
+      
+      const path = `/team/${this.teamId}/time_entries/${timeEntryId}`;
+      this.traceRequest('GET', path);
+      
+      const response = await this.makeRequest<AxiosResponse<{ data: ClickUpTimeEntry | ClickUpTimeEntry[] }>>(() =>
+        this.client.get(path)
+      );
+      
+      // The API wraps the entry in an array for some workspaces
+      const data = response.data.data;
+      const entry = Array.isArray(data) ? data[0] : data;
+      if (!entry) {
+        throw new ClickUpServiceError(`Time entry ${timeEntryId} not found`, ErrorCode.NOT_FOUND);
+      }
+      
+      return {
+        success: true,
+        data: entry
+      };
+    } catch (error) {
+      if (error instanceof ClickUpServiceError) {
+        return {
+          success: false,
+          error: {
+            message: error.message,
+            code: error.code,
+            details: error.data
+          }
+        };
+      }
+      
+      return {
+        success: false,
+        error: {
+          message: `Failed to get time entry: ${(error as Error).message}`,
+          code: ErrorCode.UNKNOWN
+        }
+      };
+    }
+  }
+  
   /**
    * Get currently running time entry for the user
    * @returns The currently running time entry or null if no timer is running
@@ -65,6 +65,42 @@ export interface ClickUpUser {
   initials?: string;
 }
 
+/**
+ * Features that can be toggled on a space
+ */
+export interface ClickUpSpaceFeatures {
+  due_dates: {
+    enabled: boolean;
+    start_date: boolean;
+    remap_due_dates: boolean;
+    remap_closed_due_date: boolean;
+  };
+  time_tracking: {
+    enabled: boolean;
+  };
+  tags: {
+    enabled: boolean;
+  };
+  time_estimates: {
+    enabled: boolean;
+  };
+  checklists: {
+    enabled: boolean;
+  };
+  custom_fields: {
+    enabled: boolean;
+  };
+  remap_dependencies: {
+    enabled: boolean;
+  };
+  dependency_warning: {
+    enabled: boolean;
+  };
+  portfolios: {
+    enabled: boolean;
+  };
+}
+
 /**
  * Space object as returned by the ClickUp API
  */
@@ -74,41 +110,23 @@ export interface ClickUpSpace {
   private: boolean;
   statuses: ClickUpStatus[];
   multiple_assignees: boolean;
-  features?: {
-    due_dates: {
-      enabled: boolean;
-      start_date: boolean;
-      remap_due_dates: boolean;
-      remap_closed_due_date: boolean;
-    };
-    time_tracking: {
-      enabled: boolean;
-    };
-    tags: {
-      enabled: boolean;
-    };
-    time_estimates: {
-      enabled: boolean;
-    };
-    checklists: {
-      enabled: boolean;
-    };
-    custom_fields: {
-      enabled: boolean;
-    };
-    remap_dependencies: {
-      enabled: boolean;
-    };
-    dependency_warning: {
-      enabled: boolean;
-    };
-    portfolios: {
-      enabled: boolean;
-    };
-  };
+  features?: ClickUpSpaceFeatures;
   archived: boolean;
 }
 
+/**
+ * Data for creating or updating a space
+ */
+export interface CreateSpaceData {
+  name: string;
+  color?: string | null;
+  private?: boolean;
+  admin_can_manage?: boolean;
+  multiple_assignees?: boolean;
+  archived?: boolean;
+  features?: Partial<ClickUpSpaceFeatures>;
+}
+
 /**
  * Folder object as returned by the ClickUp API
  */
@@ -185,7 +203,7 @@ export interface ClickUpTask {
   };
   assignees: ClickUpUser[];
   watchers: ClickUpUser[];
-  checklists: any[];
+  checklists: ClickUpChecklist[];
   tags: {
     name: string;
     tag_fg: string;
@@ -200,8 +218,8 @@ export interface ClickUpTask {
   time_estimate: number | null;
   time_spent: number | null;
   custom_fields: Record<string, any>;
-  dependencies: string[];
-  linked_tasks: string[];
+  dependencies: ClickUpTaskDependency[];
+  linked_tasks: ClickUpTaskLink[];
   team_id: string;
   list: {
     id: string;
@@ -222,6 +240,135 @@ export interface ClickUpTask {
   subtasks?: ClickUpTask[];
 }
 
+/**
+ * Task dependency as returned by the ClickUp API.
+ * task_id is waiting on depends_on.
+ */
+export interface ClickUpTaskDependency {
+  task_id: string;
+  depends_on: string;
+  type: number;
+  date_created: string;
+  userid: string;
+  workspace_id?: string;
+  chain_id?: string | null;
+}
+
+/**
+ * Task link as returned by the ClickUp API
+ */
+export interface ClickUpTaskLink {
+  task_id: string;
+  link_id: string;
+  date_created: string;
+  userid: string;
+  workspace_id?: string;
+}
+
+/**
+ * Direction of a dependency relative to the task it is added to
+ * - waiting_on: the task waits on the related task
+ * - blocking: the task blocks the related task
+ */
+export type TaskDependencyType = 'waiting_on' | 'blocking';
+
+/**
+ * Checklist item as returned by the ClickUp API
+ */
+export interface ClickUpChecklistItem {
+  id: string;
+  name: string;
+  orderindex: number;
+  assignee: ClickUpUser | null;
+  resolved: boolean;
+  parent: string | null;
+  date_created: string;
+  children: ClickUpChecklistItem[] | string[];
+}
+
+/**
+ * Checklist object as returned by the ClickUp API
+ */
+export interface ClickUpChecklist {
+  id: string;
+  task_id: string;
+  name: string;
+  orderindex: number;
+  resolved: number;
+  unresolved: number;
+  items: ClickUpChecklistItem[];
+}
+
+/**
+ * Data for updating a checklist
+ */
+export interface UpdateChecklistData {
+  name?: string;
+  position?: number;
+}
+
+/**
+ * Data for creating or updating a checklist item
+ */
+export interface ChecklistItemData {
+  name?: string;
+  assignee?: number | null;
+  resolved?: boolean;
+  parent?: string | null;
+}
+
+/**
+ * Change to a checklist item, made through update_task. The item is matched
+ * by itemId or name; an unmatched name adds the item.
+ */
+export interface ChecklistItemChange {
+  itemId?: string;
+  name?: string;
+  rename?: string;
+  assignee?: number | string | null;
+  resolved?: boolean;
+  delete?: boolean;
+}
+
+/**
+ * Change to a checklist, made through update_task. The checklist is matched
+ * by checklistId or name; an unmatched name creates the checklist.
+ */
+export interface ChecklistChange {
+  checklistId?: string;
+  name?: string;
+  rename?: string;
+  position?: number;
+  delete?: boolean;
+  items?: ChecklistItemChange[];
+}
+
+/**
+ * Custom field definition as returned by the ClickUp API for a list
+ */
+export interface ClickUpCustomField {
+  id: string;
+  name: string;
+  type: string;
+  type_config: {
+    options?: Array<{
+      id: string;
+      name?: string;
+      label?: string;
+      color?: string | null;
+      orderindex?: number;
+    }>;
+    precision?: number;
+    currency_type?: string;
+    count?: number;
+    code_point?: string;
+    [key: string]: any;
+  };
+  date_created: string;
+  hide_from_guests: boolean;
+  required?: boolean;
+}
+
 /**
  * Data for creating a task
  */
@@ -626,6 +773,8 @@ export interface ClickUpViewTasksResponse {
  */
 export interface ExtendedTaskFilters extends TaskFilters {
   detail_level?: 'summary' | 'detailed';
+  // Client-side condition for what ClickUp cannot filter, such as negation; applied to each fetched page
+  matches?: (task: ClickUpTask) => boolean;
 }
 
 /**
@@ -737,4 +886,165 @@ export interface DocumentPagesOptions {
   content_format?: 'text/md' | 'text/html';
   max_page_depth?: number;
   pageIds: string[];
-} 
\ No newline at end of file
+} 
+/**
+ * Target type of a goal key result.
+ * 'automatic' key results track completion of the linked tasks or lists.
+ */
+export type KeyResultType = 'number' | 'percentage' | 'currency' | 'boolean' | 'automatic';
+
+/**
+ * Key result (target) object as returned by the ClickUp API
+ */
+export interface ClickUpKeyResult {
+  id: string;
+  goal_id: string;
+  name: string;
+  creator: number;
+  type: KeyResultType;
+  date_created: string;
+  goal_pretty_id?: string;
+  percent_completed: number | null;
+  completed: boolean;
+  task_ids: string[];
+  subcategory_ids?: string[];
+  owners: ClickUpUser[];
+  last_action?: {
+    id: string;
+    key_result_id: string;
+    userid: number;
+    date_modified: string;
+    steps_taken: number | null;
+    note: string;
+    steps_before: number | null;
+    steps_current: number | null;
+  };
+  steps_start?: number | null;
+  steps_end?: number | null;
+  steps_current?: number | null;
+  unit?: string;
+}
+
+/**
+ * Goal object as returned by the ClickUp API
+ */
+export interface ClickUpGoal {
+  id: string;
+  pretty_id?: string;
+  name: string;
+  team_id: string;
+  creator: number;
+  owner?: ClickUpUser | null;
+  color: string;
+  date_created: string;
+  start_date?: string | null;
+  due_date: string | null;
+  description: string;
+  private: boolean;
+  archived: boolean;
+  multiple_owners: boolean;
+  folder_id?: string | null;
+  members?: ClickUpUser[];
+  owners?: ClickUpUser[];
+  key_result_count?: number;
+  percent_completed: number;
+  key_results?: ClickUpKeyResult[];
+  pretty_url?: string;
+}
+
+/**
+ * Data for creating a goal
+ */
+export interface CreateGoalData {
+  name: string;
+  due_date?: number;
+  description?: string;
+  multiple_owners?: boolean;
+  owners?: number[];
+  color?: string;
+}
+
+/**
+ * Data for updating a goal
+ */
+export interface UpdateGoalData {
+  name?: string;
+  due_date?: number;
+  description?: string;
+  color?: string;
+  add_owners?: number[];
+  rem_owners?: number[];
+}
+
+/**
+ * Data for creating a key result
+ */
+export interface CreateKeyResultData {
+  name: string;
+  owners: number[];
+  type: KeyResultType;
+  steps_start?: number;
+  steps_end?: number;
+  unit?: string;
+  task_ids?: string[];
+  list_ids?: string[];
+}
+
+/**
+ * Data for updating a key result, including recording progress
+ */
+export interface UpdateKeyResultData {
+  name?: string;
+  steps_start?: number;
+  steps_end?: number;
+  steps_current?: number;
+  unit?: string;
+  note?: string;
+  add_owners?: number[];
+  rem_owners?: number[];
+  task_ids?: string[];
+  list_ids?: string[];
+}
+
+/**
+ * Webhook object as returned by the ClickUp API
+ */
+export interface ClickUpWebhook {
+  id: string;
+  userid: number;
+  team_id: number | string;
+  endpoint: string;
+  client_id: string;
+  events: string[];
+  task_id: string | null;
+  list_id: string | null;
+  folder_id: string | null;
+  space_id: string | null;
+  health: {
+    status: string;
+    fail_count: number;
+  };
+  secret: string;
+}
+
+/**
+ * Data for creating a webhook. At most one of space_id, folder_id,
+ * list_id or task_id narrows the scope; without one the webhook covers the workspace.
+ */
+export interface CreateWebhookData {
+  endpoint: string;
+  events: string[];
+  space_id?: string;
+  folder_id?: string;
+  list_id?: string;
+  task_id?: string;
+}
+
+/**
+ * Data for updating a webhook
+ */
+export interface UpdateWebhookData {
+  endpoint: string;
+  events: string[];
+  status: 'active' | 'inactive';
+}
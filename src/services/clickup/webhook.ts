@@ -0,0 +1,172 @@
+/**
+ * SPDX-FileCopyrightText: © 2025 Talib Kareem <taazkareem@icloud.com>
+ * SPDX-License-Identifier: MIT
+ *
+ * ClickUp Webhook Service
+ *
+ * Handles all operations related to webhooks in ClickUp, including:
+ * - Listing webhooks in the workspace
+ * - Creating, updating and deleting webhooks
+ * - Looking up webhook signing secrets for the webhook receiver
+ */
+
+import { BaseClickUpService, ErrorCode, ClickUpServiceError, ServiceResponse } from './base.js';
+import {
+  ClickUpWebhook,
+  CreateWebhookData,
+  UpdateWebhookData
+} from './types.js';
+
+// Minimum time between webhook list refreshes triggered by unknown webhook IDs
+const SECRET_REFRESH_INTERVAL_MS = 60 * 1000;
+
+export class WebhookService extends BaseClickUpService {
+  // Signing secrets by webhook ID
+  private secrets: Map<string, string> = new Map();
+  private lastSecretRefresh = 0;
+
+  /**
+   * Helper method to handle errors consistently
+   * @param error The error that occurred
+   * @param message Optional custom error message
+   * @returns A ClickUpServiceError
+   */
+  private handleError(error: any, message?: string): ClickUpServiceError {
+    if (error instanceof ClickUpServiceError) {
+      return error;
+    }
+
+    return new ClickUpServiceError(
+      message || `Webhook service error: ${error.message}`,
+      ErrorCode.UNKNOWN,
+      error
+    );
+  }
+
+  /**
+   * Remember the signing secret of a webhook
+   * @param webhook The webhook as returned by the API
+   */
+  private rememberSecret(webhook: ClickUpWebhook): void {
+    if (webhook?.id && webhook.secret) {
+      this.secrets.set(webhook.id, webhook.secret);
+    }
+  }
+
+  /**
+   * Get all webhooks created by the authenticated user in the workspace
+   * @returns Array of webhooks
+   */
+  async getWebhooks(): Promise<ClickUpWebhook[]> {
+    this.logOperation('getWebhooks', {});
+
+    try {
+      const webhooks: ClickUpWebhook[] = await this.makeRequest(async () => {
+        const response = await this.client.get(`/team/${this.teamId}/webhook`);
+        return response.data.webhooks || [];
+      });
+
+      webhooks.forEach(webhook => this.rememberSecret(webhook));
+      return webhooks;
+    } catch (error) {
+      throw this.handleError(error, 'Failed to get webhooks');
+    }
+  }
+
+  /**
+   * Get a webhook by its ID
+   * @param webhookId The ID of the webhook
+   * @returns The webhook, or null if it does not exist
+   */
+  async getWebhook(webhookId: string): Promise<ClickUpWebhook | null> {
+    const webhooks = await this.getWebhooks();
+    return webhooks.find(webhook => webhook.id === webhookId) || null;
+  }
+
+  /**
+   * Create a new webhook
+   * @param webhookData The endpoint, events and optional scope of the webhook
+   * @returns The created webhook, including its signing secret
+   */
+  async createWebhook(webhookData: CreateWebhookData): Promise<ClickUpWebhook> {
+    this.logOperation('createWebhook', { ...webhookData });
+
+    try {
+      const webhook: ClickUpWebhook = await this.makeRequest(async () => {
+        const response = await this.client.post(`/team/${this.teamId}/webhook`, webhookData);
+        return response.data.webhook;
+      });
+
+      this.rememberSecret(webhook);
+      return webhook;
+    } catch (error) {
+      throw this.handleError(error, `Failed to create webhook for ${webhookData.endpoint}`);
+    }
+  }
+
+  /**
+   * Update an existing webhook
+   * @param webhookId The ID of the webhook to update
+   * @param updateData The endpoint, events and status of the webhook
+   * @returns The updated webhook
+   */
+  async updateWebhook(webhookId: string, updateData: UpdateWebhookData): Promise<ClickUpWebhook> {
+    this.logOperation('updateWebhook', { webhookId, ...updateData });
+
+    try {
+      const webhook: ClickUpWebhook = await this.makeRequest(async () => {
+        const response = await this.client.put(`/webhook/${webhookId}`, updateData);
+        return response.data.webhook;
+      });
+
+      this.rememberSecret(webhook);
+      return webhook;
+    } catch (error) {
+      throw this.handleError(error, `Failed to update webhook ${webhookId}`);
+    }
+  }
+
+  /**
+   * Delete a webhook
+   * @param webhookId The ID of the webhook to delete
+   * @returns Success indicator
+   */
+  async deleteWebhook(webhookId: string): Promise<ServiceResponse<void>> {
+    this.logOperation('deleteWebhook', { webhookId });
+
+    try {
+      await this.makeRequest(async () => {
+        await this.client.delete(`/webhook/${webhookId}`);
+      });
+
+      this.secrets.delete(webhookId);
+      return {
+        success: true
+      };
+    } catch (error) {
+      throw this.handleError(error, `Failed to delete webhook ${webhookId}`);
+    }
+  }
+
+  /**
+   * Get the signing secret of a webhook. Known secrets are served from memory;
+   * unknown webhook IDs trigger a (rate limited) refresh of the webhook list.
+   * @param webhookId The ID of the webhook
+   * @returns The signing secret, or undefined if the webhook is unknown
+   */
+  async getWebhookSecret(webhookId: string): Promise<string | undefined> {
+    const known = this.secrets.get(webhookId);
+    if (known) {
+      return known;
+    }
+
+    const now = Date.now();
+    if (now - this.lastSecretRefresh < SECRET_REFRESH_INTERVAL_MS) {
+      return undefined;
+    }
+
+    this.lastSecretRefresh = now;
+    await this.getWebhooks();
+    return this.secrets.get(webhookId);
+  }
+}
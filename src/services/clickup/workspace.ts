@@ -4,18 +4,21 @@
  *
  * ClickUp Workspace Service Module
  * 
- * Handles workspace hierarchy and space-related operations
+ * Handles workspace hierarchy and space-related operations,
+ * including creating, updating, archiving and deleting spaces
  */
 
-import { BaseClickUpService, ClickUpServiceError, ErrorCode } from './base.js';
+import { BaseClickUpService, ClickUpServiceError, ErrorCode, ServiceResponse } from './base.js';
 import {
   ClickUpSpace,
+  CreateSpaceData,
   ClickUpFolder,
   ClickUpList,
   WorkspaceTree,
   WorkspaceNode
 } from './types.js';
 import { Logger } from '../../logger.js';
+import { clickUpCache } from '../../cache/index.js';
 
 // Create a logger instance for workspace service
 const logger = new Logger('WorkspaceService');
@@ -25,9 +28,6 @@ const logger = new Logger('WorkspaceService');
  */
 export class WorkspaceService extends BaseClickUpService {
 
-  // Store the workspace hierarchy in memory
-  private workspaceHierarchy: WorkspaceTree | null = null;
-
   /**
    * Creates an instance of WorkspaceService
    * @param apiKey - ClickUp API key
@@ -67,11 +67,13 @@ export class WorkspaceService extends BaseClickUpService {
    */
   async getSpaces(): Promise<ClickUpSpace[]> {
     try {
-      const response = await this.makeRequest(async () => {
-        const result = await this.client.get(`/team/${this.teamId}/space`);
-        return result.data;
+      return await clickUpCache.getOrLoad('spaces', this.teamId, async () => {
+        const response = await this.makeRequest(async () => {
+          const result = await this.client.get(`/team/${this.teamId}/space`);
+          return result.data;
+        });
+        return response.spaces || [];
       });
-      return response.spaces || [];
     } catch (error) {
       throw this.handleError(error, 'Failed to get spaces');
     }
@@ -126,6 +128,72 @@ export class WorkspaceService extends BaseClickUpService {
     }
   }
 
+  /**
+   * Create a new space in the workspace
+   * @param spaceData - The data for the new space
+   * @returns - Promise resolving to the created space
+   */
+  async createSpace(spaceData: CreateSpaceData): Promise<ClickUpSpace> {
+    this.logOperation('createSpace', { ...spaceData });
+
+    try {
+      const space = await this.makeRequest(async () => {
+        const result = await this.client.post(`/team/${this.teamId}/space`, spaceData);
+        return result.data;
+      });
+
+      // The cached hierarchy no longer reflects the workspace
+      this.clearWorkspaceHierarchy();
+      return space;
+    } catch (error) {
+      throw this.handleError(error, `Failed to create space "${spaceData.name}"`);
+    }
+  }
+
+  /**
+   * Update an existing space
+   * @param spaceId - The ID of the space to update
+   * @param updateData - The fields to update
+   * @returns - Promise resolving to the updated space
+   */
+  async updateSpace(spaceId: string, updateData: Partial<CreateSpaceData>): Promise<ClickUpSpace> {
+    this.logOperation('updateSpace', { spaceId, ...updateData });
+
+    try {
+      const space = await this.makeRequest(async () => {
+        const result = await this.client.put(`/space/${spaceId}`, updateData);
+        return result.data;
+      });
+
+      this.clearWorkspaceHierarchy();
+      return space;
+    } catch (error) {
+      throw this.handleError(error, `Failed to update space ${spaceId}`);
+    }
+  }
+
+  /**
+   * Delete a space and everything in it
+   * @param spaceId - The ID of the space to delete
+   * @returns - Promise resolving to a success indicator
+   */
+  async deleteSpace(spaceId: string): Promise<ServiceResponse<void>> {
+    this.logOperation('deleteSpace', { spaceId });
+
+    try {
+      await this.makeRequest(async () => {
+        return await this.client.delete(`/space/${spaceId}`);
+      });
+
+      this.clearWorkspaceHierarchy();
+      return {
+        success: true
+      };
+    } catch (error) {
+      throw this.handleError(error, `Failed to delete space ${spaceId}`);
+    }
+  }
+
   /**
    * Get the complete workspace hierarchy including spaces, folders, and lists
    * @param forceRefresh - Whether to force a refresh of the hierarchy
@@ -133,145 +201,150 @@ export class WorkspaceService extends BaseClickUpService {
    */
   async getWorkspaceHierarchy(forceRefresh = false): Promise<WorkspaceTree> {
     try {
-      // If we have the hierarchy in memory and not forcing refresh, return it
-      if (this.workspaceHierarchy && !forceRefresh) {
-        logger.debug('Returning cached workspace hierarchy');
-        return this.workspaceHierarchy;
+      if (forceRefresh) {
+        clickUpCache.invalidate('hierarchy', this.teamId);
       }
 
-      const startTime = Date.now();
-      logger.info('Starting workspace hierarchy fetch');
+      // Concurrent calls share one fetch; the result is cached until a structure change
+      return await clickUpCache.getOrLoad('hierarchy', this.teamId, () => this.fetchWorkspaceHierarchy());
+    } catch (error) {
+      throw this.handleError(error, 'Failed to get workspace hierarchy');
+    }
+  }
 
-      // Start building the workspace tree
-      const workspaceTree: WorkspaceTree = {
-        root: {
-          id: this.teamId,
-          name: 'Workspace',
+  /**
+   * Fetch the workspace hierarchy from the API
+   * @returns - Promise resolving to the workspace tree
+   */
+  private async fetchWorkspaceHierarchy(): Promise<WorkspaceTree> {
+    const startTime = Date.now();
+    logger.info('Starting workspace hierarchy fetch');
+
+    // Start building the workspace tree
+    const workspaceTree: WorkspaceTree = {
+      root: {
+        id: this.teamId,
+        name: 'Workspace',
+        children: []
+      }
+    };
+
+    // Get all spaces
+    const spacesStartTime = Date.now();
+    const spaces = await this.getSpaces();
+    const spacesTime = Date.now() - spacesStartTime;
+    logger.info(`Fetched ${spaces.length} spaces in ${spacesTime}ms`);
+
+    // Process spaces in batches to respect rate limits
+    const batchSize = 3; // Process 3 spaces at a time
+    const spaceNodes: WorkspaceNode[] = [];
+    let totalFolders = 0;
+    let totalLists = 0;
+
+    for (let i = 0; i < spaces.length; i += batchSize) {
+      const batchStartTime = Date.now();
+      const spaceBatch = spaces.slice(i, i + batchSize);
+      logger.debug(`Processing space batch ${i / batchSize + 1} of ${Math.ceil(spaces.length / batchSize)} (${spaceBatch.length} spaces)`);
+
+      const batchNodes = await Promise.all(spaceBatch.map(async (space) => {
+        const spaceStartTime = Date.now();
+        const spaceNode: WorkspaceNode = {
+          id: space.id,
+          name: space.name,
+          type: 'space',
           children: []
-        }
-      };
-
-      // Get all spaces
-      const spacesStartTime = Date.now();
-      const spaces = await this.getSpaces();
-      const spacesTime = Date.now() - spacesStartTime;
-      logger.info(`Fetched ${spaces.length} spaces in ${spacesTime}ms`);
-
-      // Process spaces in batches to respect rate limits
-      const batchSize = 3; // Process 3 spaces at a time
-      const spaceNodes: WorkspaceNode[] = [];
-      let totalFolders = 0;
-      let totalLists = 0;
-
-      for (let i = 0; i < spaces.length; i += batchSize) {
-        const batchStartTime = Date.now();
-        const spaceBatch = spaces.slice(i, i + batchSize);
-        logger.debug(`Processing space batch ${i / batchSize + 1} of ${Math.ceil(spaces.length / batchSize)} (${spaceBatch.length} spaces)`);
-
-        const batchNodes = await Promise.all(spaceBatch.map(async (space) => {
-          const spaceStartTime = Date.now();
-          const spaceNode: WorkspaceNode = {
-            id: space.id,
-            name: space.name,
-            type: 'space',
-            children: []
-          };
-
-          // Fetch initial space data
-          const [folders, listsInSpace] = await Promise.all([
-            this.getFoldersInSpace(space.id),
-            this.getListsInSpace(space.id)
-          ]);
-
-          totalFolders += folders.length;
-          totalLists += listsInSpace.length;
-
-          // Process folders in smaller batches
-          const folderBatchSize = 5; // Process 5 folders at a time
-          const folderNodes: WorkspaceNode[] = [];
-
-          for (let j = 0; j < folders.length; j += folderBatchSize) {
-            const folderBatchStartTime = Date.now();
-            const folderBatch = folders.slice(j, j + folderBatchSize);
-            const batchFolderNodes = await Promise.all(folderBatch.map(async (folder) => {
-              const folderNode: WorkspaceNode = {
-                id: folder.id,
-                name: folder.name,
-                type: 'folder',
-                parentId: space.id,
-                children: []
-              };
-
-              // Get lists in the folder
-              const listsInFolder = await this.getListsInFolder(folder.id);
-              totalLists += listsInFolder.length;
-              folderNode.children = listsInFolder.map(list => ({
-                id: list.id,
-                name: list.name,
-                type: 'list',
-                parentId: folder.id
-              }));
-
-              return folderNode;
+        };
+
+        // Fetch initial space data
+        const [folders, listsInSpace] = await Promise.all([
+          this.getFoldersInSpace(space.id),
+          this.getListsInSpace(space.id)
+        ]);
+
+        totalFolders += folders.length;
+        totalLists += listsInSpace.length;
+
+        // Process folders in smaller batches
+        const folderBatchSize = 5; // Process 5 folders at a time
+        const folderNodes: WorkspaceNode[] = [];
+
+        for (let j = 0; j < folders.length; j += folderBatchSize) {
+          const folderBatchStartTime = Date.now();
+          const folderBatch = folders.slice(j, j + folderBatchSize);
+          const batchFolderNodes = await Promise.all(folderBatch.map(async (folder) => {
+            const folderNode: WorkspaceNode = {
+              id: folder.id,
+              name: folder.name,
+              type: 'folder',
+              parentId: space.id,
+              children: []
+            };
+
+            // Get lists in the folder
+            const listsInFolder = await this.getListsInFolder(folder.id);
+            totalLists += listsInFolder.length;
+            folderNode.children = listsInFolder.map(list => ({
+              id: list.id,
+              name: list.name,
+              type: 'list',
+              parentId: folder.id
             }));
 
-            folderNodes.push(...batchFolderNodes);
-            const folderBatchTime = Date.now() - folderBatchStartTime;
-            logger.debug(`Processed folder batch in space ${space.name} in ${folderBatchTime}ms (${folderBatch.length} folders)`);
-          }
-
-          // Add folder nodes to space
-          spaceNode.children?.push(...folderNodes);
-
-          // Add folderless lists to space
-          logger.debug(`Adding ${listsInSpace.length} lists directly to space ${space.name}`);
-
-          const listNodes = listsInSpace.map(list => ({
-            id: list.id,
-            name: list.name,
-            type: 'list' as const,
-            parentId: space.id
+            return folderNode;
           }));
 
-          spaceNode.children?.push(...listNodes);
+          folderNodes.push(...batchFolderNodes);
+          const folderBatchTime = Date.now() - folderBatchStartTime;
+          logger.debug(`Processed folder batch in space ${space.name} in ${folderBatchTime}ms (${folderBatch.length} folders)`);
+        }
+
+        // Add folder nodes to space
+        spaceNode.children?.push(...folderNodes);
 
-          const spaceTime = Date.now() - spaceStartTime;
-          logger.info(`Processed space ${space.name} in ${spaceTime}ms (${folders.length} folders, ${listsInSpace.length} lists)`);
+        // Add folderless lists to space
+        logger.debug(`Adding ${listsInSpace.length} lists directly to space ${space.name}`);
 
-          return spaceNode;
+        const listNodes = listsInSpace.map(list => ({
+          id: list.id,
+          name: list.name,
+          type: 'list' as const,
+          parentId: space.id
         }));
 
-        spaceNodes.push(...batchNodes);
-        const batchTime = Date.now() - batchStartTime;
-        logger.info(`Processed space batch in ${batchTime}ms (${spaceBatch.length} spaces)`);
-      }
+        spaceNode.children?.push(...listNodes);
 
-      // Add all space nodes to the workspace tree
-      workspaceTree.root.children.push(...spaceNodes);
-
-      const totalTime = Date.now() - startTime;
-      logger.info('Workspace hierarchy fetch completed', {
-        duration: totalTime,
-        spaces: spaces.length,
-        folders: totalFolders,
-        lists: totalLists,
-        averageTimePerSpace: totalTime / spaces.length,
-        averageTimePerNode: totalTime / (spaces.length + totalFolders + totalLists)
-      });
+        const spaceTime = Date.now() - spaceStartTime;
+        logger.info(`Processed space ${space.name} in ${spaceTime}ms (${folders.length} folders, ${listsInSpace.length} lists)`);
 
-      // Store the hierarchy for later use
-      this.workspaceHierarchy = workspaceTree;
-      return workspaceTree;
-    } catch (error) {
-      throw this.handleError(error, 'Failed to get workspace hierarchy');
+        return spaceNode;
+      }));
+
+      spaceNodes.push(...batchNodes);
+      const batchTime = Date.now() - batchStartTime;
+      logger.info(`Processed space batch in ${batchTime}ms (${spaceBatch.length} spaces)`);
     }
+
+    // Add all space nodes to the workspace tree
+    workspaceTree.root.children.push(...spaceNodes);
+
+    const totalTime = Date.now() - startTime;
+    logger.info('Workspace hierarchy fetch completed', {
+      duration: totalTime,
+      spaces: spaces.length,
+      folders: totalFolders,
+      lists: totalLists,
+      averageTimePerSpace: totalTime / spaces.length,
+      averageTimePerNode: totalTime / (spaces.length + totalFolders + totalLists)
+    });
+
+    return workspaceTree;
   }
 
   /**
    * Clear the stored workspace hierarchy, forcing a fresh fetch on next request
    */
   clearWorkspaceHierarchy(): void {
-    this.workspaceHierarchy = null;
+    clickUpCache.invalidate('hierarchy', this.teamId);
   }
 
   /**
@@ -435,30 +508,50 @@ export class WorkspaceService extends BaseClickUpService {
   }
 
 
+  /**
+   * Get the user who owns the API token
+   * @returns The authorized user
+   */
+  async getAuthorizedUser(): Promise<{ id: number; username: string; email: string }> {
+    try {
+      return await clickUpCache.getOrLoad('members', `${this.teamId}/me`, async () => {
+        const response = await this.makeRequest(async () => {
+          const result = await this.client.get('/user');
+          return result.data;
+        });
+        return response.user;
+      });
+    } catch (error) {
+      throw this.handleError(error, 'Failed to get authorized user');
+    }
+  }
+
   /**
    * Get all members in a workspace
    * @returns Array of workspace members
    */
   async getWorkspaceMembers() {
     try {
-      // Use the existing team/workspace endpoint which typically returns member information
-      const teamId = this.teamId;
-      const response = await this.client.get(`/team/${teamId}`);
+      return await clickUpCache.getOrLoad('members', this.teamId, async () => {
+        // Use the existing team/workspace endpoint which typically returns member information
+        const teamId = this.teamId;
+        const response = await this.client.get(`/team/${teamId}`);
 
-      if (!response || !response.data || !response.data.team) {
-        throw new Error('Invalid response from ClickUp API');
-      }
+        if (!response || !response.data || !response.data.team) {
+          throw new Error('Invalid response from ClickUp API');
+        }
 
-      // Extract and normalize member data
-      const members = response.data.team.members || [];
-      return members.map((member: any) => ({
-        id: member.user?.id,
-        name: member.user?.username || member.user?.email,
-        username: member.user?.username,
-        email: member.user?.email,
-        role: member.role,
-        profilePicture: member.user?.profilePicture
-      }));
+        // Extract and normalize member data
+        const members = response.data.team.members || [];
+        return members.map((member: any) => ({
+          id: member.user?.id,
+          name: member.user?.username || member.user?.email,
+          username: member.user?.username,
+          email: member.user?.email,
+          role: member.role,
+          profilePicture: member.user?.profilePicture
+        }));
+      });
     } catch (error) {
       console.error('Error getting workspace members:', error);
       throw error;
@@ -49,5 +49,8 @@ export const {
   folder: folderService,
   workspace: workspaceService,
   timeTracking: timeTrackingService,
-  document: documentService
+  document: documentService,
+  goal: goalService,
+  webhook: webhookService,
+  audit: auditService
 } = clickUpServices;
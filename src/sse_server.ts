@@ -27,6 +27,10 @@ import {
   createInputValidationMiddleware
 } from './middleware/security.js';
 import { Logger } from './logger.js';
+import { createWebhookHandler } from './webhooks/endpoint.js';
+import { createCalendarFeedHandler, getCalendarFeedService } from './calendar/endpoint.js';
+import { resourceSubscriptions } from './resources/index.js';
+import { getRateLimiterStates } from './services/clickup/rate-limiter.js';
 
 const app = express();
 const logger = new Logger('SSEServer');
@@ -53,6 +57,13 @@ export function startSSEServer() {
   app.use(createOriginValidationMiddleware());
   app.use(createRateLimitMiddleware());
 
+  // ClickUp webhook receiver - needs the raw body to verify signatures, so it is
+  // registered before JSON parsing
+  app.post('/webhook', express.raw({ type: '*/*', limit: configuration.maxRequestSize }), createWebhookHandler());
+
+  // Read-only iCalendar feeds of saved task filters, authorized by a signed token
+  app.get('/calendar/:feedId.ics', createCalendarFeedHandler());
+
   // Configure JSON parsing with configurable size limit
   app.use(express.json({
     limit: configuration.maxRequestSize,
@@ -94,6 +105,7 @@ export function startSSEServer() {
         transport.onclose = () => {
           if (transport.sessionId) {
             delete transports.streamable[transport.sessionId];
+            resourceSubscriptions.removeSession(transport.sessionId);
           }
         };
 
@@ -154,6 +166,7 @@ export function startSSEServer() {
 
     res.on('close', () => {
       delete transports.sse[transport.sessionId];
+      resourceSubscriptions.removeSession(transport.sessionId);
     });
 
     await server.connect(transport);
@@ -180,7 +193,9 @@ export function startSSEServer() {
         originValidation: configuration.enableOriginValidation,
         rateLimit: configuration.enableRateLimit,
         cors: configuration.enableCors
-      }
+      },
+      // ClickUp API quota per API token
+      clickupRateLimit: getRateLimiterStates()
     });
   });
 
@@ -188,6 +203,19 @@ export function startSSEServer() {
   const PORT = Number(configuration.port ?? '3231');
   const HTTPS_PORT = Number(configuration.httpsPort ?? '3443');
 
+  // Log the calendar feeds; their signed URLs are bearer credentials, so only with CALENDAR_FEED_LOG_URLS
+  function logCalendarFeeds(baseUrl: string) {
+    const feeds = getCalendarFeedService()?.list() || [];
+    if (feeds.length === 0) return;
+
+    logger.info('Serving calendar feeds', { feeds: feeds.map(feed => feed.id) });
+    if (configuration.calendarFeedLogUrls) {
+      for (const feed of feeds) {
+        logger.info(`Calendar feed ${feed.id} URL`, { url: `${baseUrl}/calendar/${feed.id}.ics?token=${feed.token}` });
+      }
+    }
+  }
+
   // Function to create and start HTTP server
   function startHttpServer() {
     const httpServer = http.createServer(app);
@@ -198,6 +226,7 @@ export function startSSEServer() {
         endpoints: {
           streamableHttp: `http://127.0.0.1:${PORT}/mcp`,
           legacySSE: `http://127.0.0.1:${PORT}/sse`,
+          webhook: `http://127.0.0.1:${PORT}/webhook`,
           health: `http://127.0.0.1:${PORT}/health`
         },
         security: {
@@ -213,6 +242,7 @@ export function startSSEServer() {
       console.log(`📡 Streamable HTTP endpoint: http://127.0.0.1:${PORT}/mcp`);
       console.log(`🔄 Legacy SSE endpoint: http://127.0.0.1:${PORT}/sse`);
       console.log(`❤️  Health check: http://127.0.0.1:${PORT}/health`);
+      logCalendarFeeds(`http://127.0.0.1:${PORT}`);
 
       if (configuration.enableHttps) {
         console.log(`⚠️  HTTP server running alongside HTTPS - consider disabling HTTP in production`);
@@ -260,6 +290,7 @@ export function startSSEServer() {
           endpoints: {
             streamableHttp: `https://127.0.0.1:${HTTPS_PORT}/mcp`,
             legacySSE: `https://127.0.0.1:${HTTPS_PORT}/sse`,
+            webhook: `https://127.0.0.1:${HTTPS_PORT}/webhook`,
             health: `https://127.0.0.1:${HTTPS_PORT}/health`
           },
           security: {
@@ -275,6 +306,7 @@ export function startSSEServer() {
         console.log(`📡 Streamable HTTPS endpoint: https://127.0.0.1:${HTTPS_PORT}/mcp`);
         console.log(`🔄 Legacy SSE HTTPS endpoint: https://127.0.0.1:${HTTPS_PORT}/sse`);
         console.log(`❤️  Health check HTTPS: https://127.0.0.1:${HTTPS_PORT}/health`);
+        logCalendarFeeds(`https://127.0.0.1:${HTTPS_PORT}`);
       });
       return httpsServer;
     } catch (error) {
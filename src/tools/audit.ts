@@ -0,0 +1,203 @@
+/**
+ * SPDX-FileCopyrightText: © 2025 Talib Kareem <taazkareem@icloud.com>
+ * SPDX-License-Identifier: MIT
+ *
+ * ClickUp MCP Audit Log Tools
+ *
+ * This module defines tools for reviewing the audit log of mutating calls
+ * and reverting recorded operations.
+ */
+
+import { clickUpServices } from '../services/shared.js';
+import { sponsorService } from '../utils/sponsor-service.js';
+import { arraySource, collectPage, paginationInputProperties, paginationOutputProperties } from '../utils/pagination.js';
+
+// Use shared services instance
+const { audit: auditService } = clickUpServices;
+
+// Output schema for audit log entries
+const auditEntryOutputSchema = {
+  type: "object",
+  properties: {
+    id: { type: "string" },
+    operation_id: { type: "string", description: "Tool call the entry belongs to; pass to undo_operation" },
+    timestamp: { type: "string" },
+    session: { type: "string" },
+    tool: { type: "string" },
+    service: { type: "string" },
+    request: {
+      type: "object",
+      properties: {
+        method: { type: "string" },
+        path: { type: "string" },
+        params: { type: "object" },
+        body: { description: "Request body" }
+      },
+      required: ["method", "path"]
+    },
+    before: { description: "Object state before the request (with includeSnapshots)" },
+    response: { description: "ClickUp response (with includeSnapshots)" },
+    status: { type: "integer" },
+    error: { type: "string" },
+    undo_of: { type: "string", description: "Operation reverted by this entry" },
+    undone: { type: "boolean" }
+  },
+  required: ["id", "operation_id", "timestamp", "service", "request", "undone"]
+};
+
+// Output schema for undo results
+const undoResultOutputSchema = {
+  type: "object",
+  properties: {
+    operation_id: { type: "string" },
+    undo_operation_id: { type: "string" },
+    completed: { type: "boolean" },
+    steps: {
+      type: "array",
+      items: {
+        type: "object",
+        properties: {
+          entry_id: { type: "string" },
+          description: { type: "string" },
+          status: { type: "string", enum: ["reverted", "skipped", "failed"] },
+          new_id: { type: "string", description: "ID of a re-created task or time entry" },
+          error: { type: "string" }
+        },
+        required: ["entry_id", "description", "status"]
+      }
+    }
+  },
+  required: ["operation_id", "completed", "steps"]
+};
+
+/**
+ * Tool definition for reading the audit log
+ */
+export const getAuditLogTool = {
+  name: "get_audit_log",
+  description: `Lists recorded changes made through the task, list, folder, tag and time tools, newest first. Each entry is one ClickUp write request; entries of the same tool call share an operation_id that can be passed to undo_operation. Filter by operationId, sessionId, tool, taskId or since.`,
+  inputSchema: {
+    type: "object",
+    properties: {
+      operationId: {
+        type: "string",
+        description: "Only entries of this operation"
+      },
+      sessionId: {
+        type: "string",
+        description: "Only entries from this MCP session ('stdio' for the STDIO transport)"
+      },
+      tool: {
+        type: "string",
+        description: "Only entries made by this tool, e.g. 'update_task'"
+      },
+      taskId: {
+        type: "string",
+        description: "Only entries affecting this task"
+      },
+      since: {
+        type: "string",
+        description: "Only entries at or after this time (ISO date or Unix milliseconds)"
+      },
+      limit: {
+        type: "number",
+        description: "Maximum number of entries to return (default: 50)"
+      },
+      includeSnapshots: {
+        type: "boolean",
+        description: "Include the before-snapshot and response of each entry (default: false)"
+      },
+      ...paginationInputProperties
+    },
+    required: []
+  },
+  annotations: {
+    title: "Get Audit Log",
+    readOnlyHint: true,
+    openWorldHint: false
+  },
+  outputSchema: {
+    type: "object",
+    properties: {
+      count: { type: "integer" },
+      entries: { type: "array", items: auditEntryOutputSchema },
+      ...paginationOutputProperties
+    },
+    required: ["count", "entries"]
+  }
+};
+
+/**
+ * Tool definition for reverting an operation
+ */
+export const undoOperationTool = {
+  name: "undo_operation",
+  description: `Reverts an operation from the audit log: restores previous field values of updated tasks, lists, folders and time entries, moves a moved task back, re-creates deleted tasks and time entries from their snapshot (with new IDs), and deletes created tasks. Fails without changing anything if part of the operation cannot be reverted (e.g. deleted lists, comments), unless skipUnsupported is set. Restored values overwrite later changes to the same fields.`,
+  inputSchema: {
+    type: "object",
+    properties: {
+      operationId: {
+        type: "string",
+        description: "Operation ID from get_audit_log"
+      },
+      skipUnsupported: {
+        type: "boolean",
+        description: "Revert the supported changes even if some cannot be reverted (default: false)"
+      }
+    },
+    required: ["operationId"]
+  },
+  annotations: {
+    title: "Undo Operation",
+    readOnlyHint: false,
+    destructiveHint: true,
+    idempotentHint: false,
+    openWorldHint: false
+  },
+  outputSchema: undoResultOutputSchema
+};
+
+/**
+ * Handler for the get_audit_log tool
+ */
+export async function handleGetAuditLog(parameters: any) {
+  const { operationId, sessionId, tool, taskId, since, limit, includeSnapshots } = parameters || {};
+
+  if (limit !== undefined && (typeof limit !== 'number' || limit < 1)) {
+    throw new Error("limit must be a positive number");
+  }
+
+  try {
+    const entries = auditService.getEntries({
+      operation_id: operationId,
+      session: sessionId,
+      tool,
+      task_id: taskId,
+      since: since !== undefined && /^\d+$/.test(String(since)) ? Number(since) : since,
+      limit
+    }, includeSnapshots === true);
+
+    const { items, ...paging } = await collectPage('get_audit_log', parameters || {}, arraySource(entries));
+    return sponsorService.createResponse({ count: items.length, entries: items, ...paging }, true);
+  } catch (error: any) {
+    return sponsorService.createErrorResponse(`Failed to read audit log: ${error.message}`);
+  }
+}
+
+/**
+ * Handler for the undo_operation tool
+ */
+export async function handleUndoOperation(parameters: any) {
+  const { operationId, skipUnsupported } = parameters || {};
+
+  if (!operationId) {
+    throw new Error("Operation ID is required");
+  }
+
+  try {
+    const result = await auditService.undoOperation(operationId, skipUnsupported === true);
+    return sponsorService.createResponse(result, true);
+  } catch (error: any) {
+    return sponsorService.createErrorResponse(`Failed to undo operation: ${error.message}`);
+  }
+}
@@ -0,0 +1,618 @@
+/**
+ * SPDX-FileCopyrightText: © 2025 Talib Kareem <taazkareem@icloud.com>
+ * SPDX-License-Identifier: MIT
+ *
+ * ClickUp MCP Delete Confirmation
+ *
+ * Delete tools resolve their targets first and ask for confirmation before anything
+ * is deleted. Clients that support elicitation show the targets to the user and
+ * return the answer; other clients get a short-lived confirmation token that a second
+ * call must present. The confirmed call deletes exactly the resolved targets, so a
+ * name that resolves differently the second time cannot change what is deleted.
+ * Disabled with CONFIRM_DESTRUCTIVE_OPERATIONS=false.
+ */
+
+import { randomUUID } from "crypto";
+import { z } from "zod";
+import { Tool } from "@modelcontextprotocol/sdk/types.js";
+import config from "../config.js";
+import { clickUpServices } from "../services/shared.js";
+import { sponsorService, ToolResponse } from "../utils/sponsor-service.js";
+import { formatDueDate } from "../utils/date-utils.js";
+import { confirmationRequiredSchema } from "./output-schemas.js";
+import { getTaskId } from "./task/handlers.js";
+import { formatDuration } from "./task/time-tracking.js";
+import { validateBulkTasks } from "./task/utilities.js";
+import { resolveChecklist, resolveItemId } from "./task/checklists.js";
+import { findListIDByName } from "./list.js";
+import { Logger } from "../logger.js";
+
+const logger = new Logger('Confirmation');
+
+const {
+  task: taskService,
+  list: listService,
+  folder: folderService,
+  workspace: workspaceService,
+  timeTracking: timeTrackingService,
+  goal: goalService,
+  webhook: webhookService
+} = clickUpServices;
+
+// Tools that ask for confirmation before deleting
+const CONFIRMED_TOOLS = new Set([
+  'delete_task',
+  'delete_bulk_tasks',
+  'delete_list',
+  'delete_folder',
+  'delete_space',
+  'delete_time_entry',
+  'delete_goal',
+  'delete_key_result',
+  'delete_checklist',
+  'delete_checklist_item',
+  'delete_comment',
+  'delete_webhook'
+]);
+
+// How long to wait for the user to answer an elicitation request
+const ELICITATION_TIMEOUT_MS = 10 * 60 * 1000;
+
+// Expected result of an elicitation/create request
+const ElicitResultSchema = z.object({
+  action: z.enum(['accept', 'decline', 'cancel']),
+  content: z.record(z.unknown()).optional()
+}).passthrough();
+
+/**
+ * An object that a delete tool will delete
+ */
+export interface DeletionTarget {
+  type: 'task' | 'list' | 'folder' | 'space' | 'time_entry' | 'goal' | 'key_result' | 'checklist' | 'checklist_item' | 'comment' | 'webhook';
+  id: string;
+  // Unset for objects ClickUp cannot look up by ID (comments, and checklists or key results without their task or goal)
+  name?: string;
+  // Location as "Space / Folder / List"
+  path?: string;
+  // Objects deleted along with the target
+  subtasks?: number;
+  folders?: number;
+  lists?: number;
+  tasks?: number;
+  items?: number;
+  key_results?: number;
+  // Time entries only
+  start?: string;
+  duration?: string;
+}
+
+/**
+ * Resolved targets of a delete call, with arguments that identify them by ID
+ */
+interface DeletionPreview {
+  targets: DeletionTarget[];
+  params: any;
+}
+
+/**
+ * A delete waiting for its confirmation token
+ */
+interface PendingConfirmation {
+  tool: string;
+  sessionId: string;
+  params: any;
+  expiresAt: number;
+}
+
+/**
+ * How to reach the client that made the call
+ */
+export interface ConfirmationChannel {
+  sessionId: string;
+  // Sends a request to the client; only set when the client supports elicitation
+  sendRequest?: (request: any, resultSchema: any, options?: any) => Promise<any>;
+}
+
+const pendingConfirmations = new Map<string, PendingConfirmation>();
+
+/**
+ * Whether a call must be confirmed before it runs
+ */
+export function requiresConfirmation(name: string): boolean {
+  return config.confirmDestructiveOperations && CONFIRMED_TOOLS.has(name);
+}
+
+/**
+ * Add the confirmation_token parameter to a delete tool and allow the confirmation request as output
+ */
+export function withConfirmationOption(tool: Tool): Tool {
+  if (!requiresConfirmation(tool.name)) return tool;
+
+  // Extend an existing alternative list (e.g. from withDryRunOption) instead of nesting it
+  const outputs = tool.outputSchema?.anyOf as any[] | undefined;
+
+  return {
+    ...tool,
+    inputSchema: {
+      ...tool.inputSchema,
+      properties: {
+        ...tool.inputSchema.properties,
+        confirmation_token: {
+          type: "string",
+          description: "Token from a previous call that returned confirmation_required. Only needed when the client cannot show confirmation prompts; the call then deletes the targets listed in that response."
+        }
+      }
+    },
+    outputSchema: tool.outputSchema
+      ? { type: "object", anyOf: [...(outputs || [tool.outputSchema]), confirmationRequiredSchema] }
+      : undefined
+  };
+}
+
+/**
+ * Run a delete tool once the deletion has been confirmed
+ * @param name Tool name
+ * @param params Tool arguments; confirmation_token is removed before calling the handler
+ * @param channel Session of the call and, for clients with elicitation support, a way to ask the user
+ * @param execute Calls the tool handler
+ * @returns The tool result, a confirmation request with a token, or an error if the deletion was not confirmed
+ */
+export async function handleConfirmation(
+  name: string,
+  params: any,
+  channel: ConfirmationChannel,
+  execute: (params: any) => Promise<ToolResponse>
+): Promise<ToolResponse> {
+  const { confirmation_token, ...toolParams } = params || {};
+
+  if (confirmation_token) {
+    const pending = takePendingConfirmation(confirmation_token, name, channel.sessionId);
+    if (!pending) {
+      return sponsorService.createErrorResponse(
+        `Confirmation token is invalid, expired or was already used. Call ${name} again without confirmation_token to get a new one. Nothing was deleted.`
+      );
+    }
+
+    logger.info(`Running confirmed ${name}`, { params: pending.params });
+    return execute(pending.params);
+  }
+
+  let preview: DeletionPreview;
+  try {
+    preview = await buildDeletionPreview(name, toolParams);
+  } catch (error) {
+    return sponsorService.createErrorResponse(`Failed to resolve what ${name} would delete: ${trimPeriod(error.message)}. Nothing was deleted.`);
+  }
+
+  const message = describeDeletion(preview.targets);
+
+  if (channel.sendRequest) {
+    let result: z.infer<typeof ElicitResultSchema>;
+    try {
+      result = await channel.sendRequest({
+        method: 'elicitation/create',
+        params: {
+          message,
+          requestedSchema: {
+            type: 'object',
+            properties: {
+              confirm: {
+                type: 'boolean',
+                title: 'Delete',
+                description: 'Permanently delete the items listed above'
+              }
+            },
+            required: ['confirm']
+          }
+        }
+      }, ElicitResultSchema, { timeout: ELICITATION_TIMEOUT_MS });
+    } catch (error) {
+      logger.warn(`Confirmation request for ${name} failed`, { error: error.message });
+      return sponsorService.createErrorResponse(`Could not get confirmation from the user: ${trimPeriod(error.message)}. Nothing was deleted.`);
+    }
+
+    if (result.action !== 'accept' || result.content?.confirm !== true) {
+      logger.info(`Deletion by ${name} was not confirmed`, { action: result.action });
+      return sponsorService.createErrorResponse(`The user did not confirm the deletion (${result.action}). Nothing was deleted.`);
+    }
+
+    logger.info(`Deletion by ${name} confirmed by the user`);
+    return execute(preview.params);
+  }
+
+  const token = issueConfirmationToken(name, channel.sessionId, preview.params);
+  return sponsorService.createResponse({
+    confirmation_required: true,
+    tool: name,
+    confirmation_token: token.id,
+    expires_at: new Date(token.expiresAt).toISOString(),
+    message: `${message}\n\nShow this to the user. To delete, call ${name} again with confirmation_token; the token expires at ${new Date(token.expiresAt).toISOString()}.`,
+    targets: preview.targets
+  }, true);
+}
+
+/**
+ * Store a pending deletion and return its token
+ */
+function issueConfirmationToken(tool: string, sessionId: string, params: any): { id: string; expiresAt: number } {
+  const now = Date.now();
+  for (const [id, pending] of pendingConfirmations) {
+    if (pending.expiresAt <= now) pendingConfirmations.delete(id);
+  }
+
+  const id = randomUUID();
+  const expiresAt = now + config.confirmationTokenTtlMs;
+  pendingConfirmations.set(id, { tool, sessionId, params, expiresAt });
+  return { id, expiresAt };
+}
+
+/**
+ * Remove and return a pending deletion if the token is valid for this tool and session
+ */
+function takePendingConfirmation(token: string, tool: string, sessionId: string): PendingConfirmation | undefined {
+  const pending = pendingConfirmations.get(token);
+  if (!pending || pending.tool !== tool || pending.sessionId !== sessionId) {
+    return undefined;
+  }
+
+  pendingConfirmations.delete(token);
+  return pending.expiresAt > Date.now() ? pending : undefined;
+}
+
+/**
+ * Resolve the targets of a delete call
+ */
+async function buildDeletionPreview(name: string, params: any): Promise<DeletionPreview> {
+  const spaceNames = new Map<string, string>();
+
+  switch (name) {
+    case 'delete_task': {
+      const target = await previewTask(
+        await getTaskId(params.taskId, params.taskName, params.listName),
+        spaceNames
+      );
+      return { targets: [target], params: { taskId: target.id } };
+    }
+
+    case 'delete_bulk_tasks': {
+      validateBulkTasks(params.tasks, 'delete');
+      const targets: DeletionTarget[] = [];
+      for (const task of params.tasks) {
+        const taskId = task.taskId || await getTaskId(undefined, task.taskName, task.listName, task.customTaskId);
+        targets.push(await previewTask(taskId, spaceNames));
+      }
+      return {
+        targets,
+        params: { ...params, tasks: targets.map(target => ({ taskId: target.id })) }
+      };
+    }
+
+    case 'delete_list': {
+      let listId = params.listId;
+      if (!listId && params.listName) {
+        const listResult = await findListIDByName(workspaceService, params.listName);
+        if (!listResult) {
+          throw new Error(`List "${params.listName}" not found`);
+        }
+        listId = listResult.id;
+      }
+      if (!listId) {
+        throw new Error("Either listId or listName must be provided");
+      }
+
+      const list = await listService.getList(listId);
+      const target: DeletionTarget = {
+        type: 'list',
+        id: list.id,
+        name: list.name,
+        path: formatPath(list.space?.name, list.folder && !list.folder.hidden ? list.folder.name : undefined)
+      };
+      if (typeof list.task_count === 'number') target.tasks = list.task_count;
+      return { targets: [target], params: { listId: list.id } };
+    }
+
+    case 'delete_folder': {
+      let folderId = params.folderId;
+      if (!folderId && params.folderName) {
+        let spaceId = params.spaceId;
+        if (!spaceId && params.spaceName) {
+          const space = await workspaceService.findSpaceByName(params.spaceName);
+          if (!space) {
+            throw new Error(`Space "${params.spaceName}" not found`);
+          }
+          spaceId = space.id;
+        }
+        if (!spaceId) {
+          throw new Error("Either spaceId or spaceName must be provided when using folderName");
+        }
+
+        const folderResult = await folderService.findFolderByName(spaceId, params.folderName);
+        if (!folderResult) {
+          throw new Error(`Folder "${params.folderName}" not found in space`);
+        }
+        folderId = folderResult.id;
+      }
+      if (!folderId) {
+        throw new Error("Either folderId or folderName must be provided");
+      }
+
+      const folder = await folderService.getFolder(folderId);
+      const target: DeletionTarget = {
+        type: 'folder',
+        id: folder.id,
+        name: folder.name,
+        path: formatPath(folder.space?.name)
+      };
+      if (Array.isArray(folder.lists)) {
+        target.lists = folder.lists.length;
+        target.tasks = folder.lists.reduce((total, list) => total + (Number(list.task_count) || 0), 0);
+      }
+      return { targets: [target], params: { folderId: folder.id } };
+    }
+
+    case 'delete_space': {
+      let spaceId = params.spaceId;
+      if (!spaceId && params.spaceName) {
+        const space = await workspaceService.findSpaceByName(params.spaceName);
+        if (!space) {
+          throw new Error(`Space "${params.spaceName}" not found`);
+        }
+        spaceId = space.id;
+      }
+      if (!spaceId) {
+        throw new Error("Either spaceId or spaceName must be provided");
+      }
+
+      const space = await workspaceService.getSpace(spaceId);
+      const folders = await workspaceService.getFoldersInSpace(space.id);
+      const lists = [
+        ...await workspaceService.getListsInSpace(space.id),
+        ...folders.flatMap(folder => folder.lists || [])
+      ];
+      return {
+        targets: [{
+          type: 'space',
+          id: space.id,
+          name: space.name,
+          folders: folders.length,
+          lists: lists.length,
+          tasks: lists.reduce((total, list) => total + (Number(list.task_count) || 0), 0)
+        }],
+        params: { spaceId: space.id }
+      };
+    }
+
+    case 'delete_goal': {
+      let goalId = params.goalId;
+      if (!goalId && params.goalName) {
+        const goal = await goalService.findGoalByName(params.goalName);
+        if (!goal) {
+          throw new Error(`Goal "${params.goalName}" not found`);
+        }
+        goalId = goal.id;
+      }
+      if (!goalId) {
+        throw new Error("Either goalId or goalName must be provided");
+      }
+
+      const goal = await goalService.getGoal(goalId);
+      const target: DeletionTarget = { type: 'goal', id: goal.id, name: goal.name };
+      if (Array.isArray(goal.key_results)) target.key_results = goal.key_results.length;
+      return { targets: [target], params: { goalId: goal.id } };
+    }
+
+    case 'delete_key_result': {
+      if (params.keyResultId) {
+        // ClickUp cannot look up a key result by ID alone
+        return { targets: [{ type: 'key_result', id: params.keyResultId }], params: { keyResultId: params.keyResultId } };
+      }
+      if (!params.keyResultName) {
+        throw new Error("Either keyResultId or keyResultName must be provided");
+      }
+
+      let goalId = params.goalId;
+      if (!goalId && params.goalName) {
+        const goal = await goalService.findGoalByName(params.goalName);
+        if (!goal) {
+          throw new Error(`Goal "${params.goalName}" not found`);
+        }
+        goalId = goal.id;
+      }
+      if (!goalId) {
+        throw new Error("goalId or goalName is required when using keyResultName");
+      }
+
+      const goal = await goalService.getGoal(goalId);
+      const name = params.keyResultName.trim().toLowerCase();
+      const keyResult = (goal.key_results || []).find(candidate => candidate.name.trim().toLowerCase() === name);
+      if (!keyResult) {
+        throw new Error(`Key result "${params.keyResultName}" not found on goal "${goal.name}"`);
+      }
+      return {
+        targets: [{ type: 'key_result', id: keyResult.id, name: keyResult.name, path: `goal ${goal.name}` }],
+        params: { keyResultId: keyResult.id }
+      };
+    }
+
+    case 'delete_checklist': {
+      const { checklistId, checklist, taskId } = await resolveChecklist(params);
+      if (!checklist) {
+        // ClickUp cannot look up a checklist by ID alone
+        return { targets: [{ type: 'checklist', id: checklistId }], params: { checklistId } };
+      }
+
+      const task = await previewTask(taskId, spaceNames);
+      return {
+        targets: [{
+          type: 'checklist',
+          id: checklist.id,
+          name: checklist.name,
+          path: formatPath(task.path, task.name),
+          items: (checklist.items || []).length
+        }],
+        // The task stays in the arguments, as it locates the checklist for access policies
+        params: { taskId, checklistId: checklist.id }
+      };
+    }
+
+    case 'delete_checklist_item': {
+      const { checklistId, checklist, taskId } = await resolveChecklist(params);
+      const itemId = resolveItemId(params, checklist);
+      if (!checklist) {
+        // ClickUp cannot look up a checklist by ID alone
+        return { targets: [{ type: 'checklist_item', id: itemId }], params: { checklistId, itemId } };
+      }
+
+      const items = checklist.items || [];
+      const item = items.find(candidate => candidate.id === itemId);
+      if (!item) {
+        throw new Error(`Checklist item ${itemId} not found in checklist "${checklist.name}"`);
+      }
+
+      // Nested items are deleted with the item
+      let nested = 0;
+      for (let parents = [item.id]; parents.length > 0;) {
+        const children = items.filter(candidate => parents.includes(candidate.parent));
+        nested += children.length;
+        parents = children.map(child => child.id);
+      }
+
+      const task = await previewTask(taskId, spaceNames);
+      return {
+        targets: [{
+          type: 'checklist_item',
+          id: item.id,
+          name: item.name,
+          path: formatPath(task.path, task.name, checklist.name),
+          ...(nested > 0 ? { items: nested } : {})
+        }],
+        params: { taskId, checklistId: checklist.id, itemId: item.id }
+      };
+    }
+
+    case 'delete_comment': {
+      if (!params.commentId) {
+        throw new Error("Comment ID is required");
+      }
+
+      // ClickUp cannot look up a comment by ID, so only the ID is shown
+      return { targets: [{ type: 'comment', id: String(params.commentId) }], params: { commentId: String(params.commentId) } };
+    }
+
+    case 'delete_webhook': {
+      if (!params.webhookId) {
+        throw new Error("Webhook ID is required");
+      }
+
+      const webhook = await webhookService.getWebhook(params.webhookId);
+      if (!webhook) {
+        throw new Error(`Webhook ${params.webhookId} not found`);
+      }
+      return {
+        targets: [{ type: 'webhook', id: webhook.id, name: webhook.endpoint }],
+        params: { webhookId: webhook.id }
+      };
+    }
+
+    case 'delete_time_entry': {
+      if (!params.timeEntryId) {
+        throw new Error("Time entry ID is required");
+      }
+
+      const result = await timeTrackingService.getTimeEntry(params.timeEntryId);
+      if (!result.success) {
+        throw new Error(result.error?.message || "Time entry not found");
+      }
+
+      const entry = result.data;
+      const location = entry.task_location;
+      return {
+        targets: [{
+          type: 'time_entry',
+          id: String(entry.id),
+          name: entry.task?.name ? `Time on "${entry.task.name}"` : 'Time entry without task',
+          path: location ? formatPath(location.space_name, location.folder_name, location.list_name) : undefined,
+          start: formatDueDate(Number(entry.start)),
+          duration: formatDuration(Number(entry.duration))
+        }],
+        params: { timeEntryId: String(entry.id) }
+      };
+    }
+
+    default:
+      throw new Error(`${name} does not support confirmation`);
+  }
+}
+
+/**
+ * Look up a task with its location and subtask count
+ */
+async function previewTask(taskId: string, spaceNames: Map<string, string>): Promise<DeletionTarget> {
+  const task = await taskService.getTask(taskId);
+  const subtasks = await taskService.getSubtasks(task.id);
+
+  // Tasks only carry the space ID, so look up the space for its name
+  const spaceId = task.space?.id ? String(task.space.id) : undefined;
+  if (spaceId && !spaceNames.has(spaceId)) {
+    try {
+      spaceNames.set(spaceId, (await workspaceService.getSpace(spaceId)).name);
+    } catch (error) {
+      logger.debug('Could not look up space name', { spaceId, error: error.message });
+      spaceNames.set(spaceId, undefined);
+    }
+  }
+
+  return {
+    type: 'task',
+    id: task.id,
+    name: task.name,
+    path: formatPath(
+      spaceId ? spaceNames.get(spaceId) : undefined,
+      task.folder && !task.folder.hidden ? task.folder.name : undefined,
+      task.list?.name
+    ),
+    subtasks: subtasks.length
+  };
+}
+
+/**
+ * Join the known parts of a location
+ */
+function formatPath(...parts: (string | undefined)[]): string | undefined {
+  const known = parts.filter(part => part);
+  return known.length > 0 ? known.join(' / ') : undefined;
+}
+
+/**
+ * Remove trailing periods so an error message can be embedded in a sentence
+ */
+function trimPeriod(message: string): string {
+  return String(message).replace(/\.+$/, '');
+}
+
+/**
+ * Describe the targets for the confirmation prompt
+ */
+function describeDeletion(targets: DeletionTarget[]): string {
+  const lines = targets.map(target => {
+    const details: string[] = [];
+    if (target.path) details.push(`in ${target.path}`);
+    if (target.start) details.push(`started ${target.start}`);
+    if (target.duration) details.push(`duration ${target.duration}`);
+    if (target.subtasks) details.push(`with ${target.subtasks} subtask${target.subtasks === 1 ? '' : 's'}`);
+    if (target.folders !== undefined) details.push(`with ${target.folders} folder${target.folders === 1 ? '' : 's'}`);
+    if (target.lists !== undefined) details.push(`with ${target.lists} list${target.lists === 1 ? '' : 's'}`);
+    if (target.tasks !== undefined) details.push(`containing ${target.tasks} task${target.tasks === 1 ? '' : 's'}`);
+    if (target.items !== undefined) {
+      details.push(`with ${target.items} ${target.type === 'checklist_item' ? 'nested ' : ''}item${target.items === 1 ? '' : 's'}`);
+    }
+    if (target.key_results !== undefined) details.push(`with ${target.key_results} key result${target.key_results === 1 ? '' : 's'}`);
+
+    const type = target.type.replace('_', ' ');
+    const label = target.type === 'time_entry' ? target.name : target.name ? `${type} "${target.name}"` : type;
+    return `- ${label} (ID ${target.id})${details.length > 0 ? ` ${details.join(', ')}` : ''}`;
+  });
+
+  const count = targets.length === 1 ? 'this item' : `these ${targets.length} items`;
+  return `Permanently delete ${count}?\n${lines.join('\n')}`;
+}
@@ -12,12 +12,73 @@ import { CreateDocumentData, DocumentPagesOptions, UpdateDocumentPageData } from
 import { workspaceService } from '../services/shared.js';
 import config from '../config.js';
 import { sponsorService } from '../utils/sponsor-service.js';
+import { arraySource, collectPage, paginationInputProperties, paginationOutputProperties } from '../utils/pagination.js';
 import { Logger } from "../logger.js";
 import { clickUpServices } from "../services/shared.js";
 
 const logger = new Logger('DocumentTools');
 const { document: documentService } = clickUpServices;
 
+// Output schema for document details
+const documentOutputSchema = {
+  type: "object",
+  properties: {
+    id: { type: "string" },
+    name: { type: "string" },
+    parent: { type: "object" },
+    created: { type: "string" },
+    updated: { type: "string" },
+    url: { type: "string" },
+    message: { type: "string" }
+  },
+  required: ["id", "name"]
+};
+
+// Output schema for document listings
+const documentsOutputSchema = {
+  type: "object",
+  properties: {
+    documents: { type: "array", items: documentOutputSchema },
+    count: { type: "integer" },
+    message: { type: "string" },
+    ...paginationOutputProperties
+  },
+  required: ["documents"]
+};
+
+// Output schema for document pages
+const documentPagesOutputSchema = {
+  type: "object",
+  properties: {
+    pages: {
+      type: "array",
+      items: {
+        type: "object",
+        properties: {
+          id: { type: "string" },
+          name: { type: "string" },
+          content: { type: "string" },
+          pages: { type: "array", description: "Nested child pages" }
+        }
+      }
+    },
+    ...paginationOutputProperties
+  },
+  required: ["pages"]
+};
+
+// Output schema for a created or updated page
+const documentPageOutputSchema = {
+  type: "object",
+  properties: {
+    id: { type: "string" },
+    name: { type: "string" },
+    sub_title: { type: "string" },
+    content: { type: "string" },
+    message: { type: "string" }
+  }
+};
+
 /**
  * Tool definition for creating a document
  */
@@ -65,7 +126,15 @@ Note: Document creation permissions may vary by ClickUp plan and parent containe
       }
     },
     required: ["name", "parent", "visibility", "create_page"]
-  }
+  },
+  annotations: {
+    title: "Create Document",
+    readOnlyHint: false,
+    destructiveHint: false,
+    idempotentHint: false,
+    openWorldHint: false
+  },
+  outputSchema: documentOutputSchema
 };
 
 /**
@@ -83,7 +152,13 @@ export const getDocumentTool = {
       },
     },
     required: ["documentId"]
-  }
+  },
+  annotations: {
+    title: "Get Document",
+    readOnlyHint: true,
+    openWorldHint: false
+  },
+  outputSchema: documentOutputSchema
 };
 
 /**
@@ -122,15 +197,18 @@ export const listDocumentsTool = {
       },
       limit: {
         type: "number",
-        description: "Maximum number of documents to return"
+        description: "Number of documents ClickUp returns per request"
       },
-      next_cursor: {
-        type: "string",
-        description: "Cursor for pagination"
-      }
+      ...paginationInputProperties
     },
     required: []
-  }
+  },
+  annotations: {
+    title: "List Documents",
+    readOnlyHint: true,
+    openWorldHint: false
+  },
+  outputSchema: documentsOutputSchema
 };
 
 /**
@@ -149,10 +227,17 @@ export const listDocumentPagesTool = {
       max_page_depth: {
         type: "number",
         description: "Maximum depth of pages to retrieve (-1 for unlimited)"
-      }
+      },
+      ...paginationInputProperties
     },
     required: ["documentId"]
-  }
+  },
+  annotations: {
+    title: "List Document Pages",
+    readOnlyHint: true,
+    openWorldHint: false
+  },
+  outputSchema: documentPagesOutputSchema
 };
 
 /**
@@ -179,10 +264,17 @@ export const getDocumentPagesTool = {
         type: "string",
         enum: ["text/md", "text/html"],
         description: "Format of the content to retrieve"
-      }
+      },
+      ...paginationInputProperties
     },
     required: ["documentId", "pageIds"]
-  }
+  },
+  annotations: {
+    title: "Get Document Pages",
+    readOnlyHint: true,
+    openWorldHint: false
+  },
+  outputSchema: documentPagesOutputSchema
 };
 
 /**
@@ -216,7 +308,15 @@ export const createDocumentPageTool = {
       }
     },
     required: ["documentId", "name"]
-  }
+  },
+  annotations: {
+    title: "Create Document Page",
+    readOnlyHint: false,
+    destructiveHint: false,
+    idempotentHint: false,
+    openWorldHint: false
+  },
+  outputSchema: documentPageOutputSchema
 };
 
 /**
@@ -260,7 +360,15 @@ export const updateDocumentPageTool = {
       },
     },
     required: ["documentId", "pageId"]
-  }
+  },
+  annotations: {
+    title: "Update Document Page",
+    readOnlyHint: false,
+    destructiveHint: true,
+    idempotentHint: false,
+    openWorldHint: false
+  },
+  outputSchema: documentPageOutputSchema
 };
 
 /**
@@ -384,20 +492,16 @@ export async function handleListDocuments(parameters: any) {
     if (parent_id !== undefined) options.parent_id = parent_id;
     if (parent_type !== undefined) options.parent_type = parent_type;
     if (limit !== undefined) options.limit = limit;
-    if (next_cursor !== undefined) options.next_cursor = next_cursor;
-
-    const response = await documentService.listDocuments(options);
-    
-    // Ensure we have a valid response
-    if (!response || !response.docs) {
-      return sponsorService.createResponse({
-        documents: [],
-        message: "No documents found"
-      }, true);
-    }
 
-    // Map the documents to a simpler format
-    const documents = response.docs.map(doc => ({
+    // Pages of ClickUp's document listing, positioned by its own cursor
+    const { items: documents, ...paging } = await collectPage('list_documents', parameters, {
+      start: next_cursor ?? null,
+      fetch: async (cursor: string | null) => {
+        const response = await documentService.listDocuments(cursor ? { ...options, next_cursor: cursor } : options);
+        return { items: response?.docs || [], next: response?.next_cursor || undefined };
+      }
+    }, doc => ({
+      // Map the documents to a simpler format
       id: doc.id,
       name: doc.name,
       url: `https://app.clickup.com/${config.clickupTeamId}/v/d/${doc.id}`,
@@ -412,8 +516,8 @@ export async function handleListDocuments(parameters: any) {
     return sponsorService.createResponse({
       documents,
       count: documents.length,
-      next_cursor: response.next_cursor,
-      message: `Found ${documents.length} document(s)`
+      message: documents.length > 0 ? `Found ${documents.length} document(s)` : "No documents found",
+      ...paging
     }, true);
   } catch (error: any) {
     return sponsorService.createErrorResponse(`Failed to list documents: ${error.message}`);
@@ -428,8 +532,11 @@ export async function handleListDocumentPages(params: any) {
   
   try {
     const { documentId, max_page_depth = -1 } = params;
-    const pages = await documentService.listDocumentPages(documentId, { max_page_depth });
-    return sponsorService.createResponse(pages);
+    const response: any = await documentService.listDocumentPages(documentId, { max_page_depth });
+    // The page listing endpoint returns a bare array; wrap it like get_document_pages
+    const pages = Array.isArray(response) ? response : response?.pages || [];
+    const { items, ...paging } = await collectPage('list_document_pages', params, arraySource(pages));
+    return sponsorService.createResponse({ pages: items, ...paging });
   } catch (error) {
     logger.error('Error listing document pages', error);
     return sponsorService.createErrorResponse(error);
@@ -458,8 +565,15 @@ export async function handleGetDocumentPages(params: any) {
       options.content_format = content_format;
     }
 
-    const pages = await clickUpServices.document.getDocumentPages(documentId, pageIds, options);
-    return sponsorService.createResponse(pages);
+    // Fetch one page at a time, so only the pages that fit the budget are requested
+    const { items, ...paging } = await collectPage('get_document_pages', params, {
+      start: 0,
+      fetch: async (index: number) => {
+        const response = await clickUpServices.document.getDocumentPages(documentId, [pageIds[index]], options);
+        return { items: response.pages || [], next: index + 1 < pageIds.length ? index + 1 : undefined };
+      }
+    });
+    return sponsorService.createResponse({ pages: items, ...paging });
   } catch (error: any) {
     return sponsorService.createErrorResponse(`Failed to get document pages: ${error.message}`);
   }
@@ -0,0 +1,91 @@
+/**
+ * SPDX-FileCopyrightText: © 2025 Talib Kareem <taazkareem@icloud.com>
+ * SPDX-License-Identifier: MIT
+ *
+ * ClickUp MCP Dry-Run Tool Support
+ *
+ * Adds the dry_run option to mutating tools (tools annotated with readOnlyHint: false)
+ * and runs their handlers with write requests captured instead of sent. Dry runs are
+ * enabled per call with dry_run: true, or for every call with DRY_RUN=true.
+ */
+
+import { Tool } from "@modelcontextprotocol/sdk/types.js";
+import config from "../config.js";
+import { runDryRun } from "../services/clickup/dry-run.js";
+import { sponsorService, ToolResponse } from "../utils/sponsor-service.js";
+import { dryRunReportSchema } from "./output-schemas.js";
+import { Logger } from "../logger.js";
+
+const logger = new Logger('DryRun');
+
+/**
+ * Whether a tool changes data in ClickUp
+ */
+export function isMutatingTool(tool: Tool): boolean {
+  return tool.annotations?.readOnlyHint === false;
+}
+
+/**
+ * Add the dry_run parameter to a mutating tool and allow the dry-run report as output
+ */
+export function withDryRunOption(tool: Tool): Tool {
+  if (!isMutatingTool(tool)) return tool;
+
+  return {
+    ...tool,
+    inputSchema: {
+      ...tool.inputSchema,
+      properties: {
+        ...tool.inputSchema.properties,
+        dry_run: {
+          type: "boolean",
+          description: "Resolve names and report the planned changes with a before/after diff, without changing anything in ClickUp."
+        }
+      }
+    },
+    outputSchema: tool.outputSchema
+      ? { type: "object", anyOf: [tool.outputSchema, dryRunReportSchema] }
+      : undefined
+  };
+}
+
+/**
+ * Whether a call should run in dry-run mode
+ */
+export function isDryRunRequested(tool: Tool | undefined, params: any): boolean {
+  if (!tool || !isMutatingTool(tool)) return false;
+  return config.dryRun || params?.dry_run === true;
+}
+
+/**
+ * Run a mutating tool in dry-run mode
+ * @param name Tool name
+ * @param params Tool arguments; dry_run is removed before calling the handler
+ * @param execute Calls the tool handler
+ * @returns Report of the planned operations and the simulated tool result
+ */
+export async function handleDryRun(
+  name: string,
+  params: any,
+  execute: (params: any) => Promise<ToolResponse>
+): Promise<ToolResponse> {
+  const { dry_run, ...toolParams } = params || {};
+
+  const { result, operations } = await runDryRun(() => execute(toolParams));
+  logger.info(`Dry run of ${name} planned ${operations.length} operation(s)`);
+
+  const text = result?.content?.[0]?.text;
+  const report: Record<string, any> = {
+    dry_run: true,
+    tool: name,
+    operations
+  };
+
+  if (result?.isError) {
+    report.error = text;
+  } else {
+    report.result = result?.structuredContent ?? text;
+  }
+
+  return sponsorService.createResponse(report, true);
+}
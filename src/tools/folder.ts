@@ -15,10 +15,23 @@ import {
 import { clickUpServices } from '../services/shared.js';
 import config from '../config.js';
 import { sponsorService } from '../utils/sponsor-service.js';
+import { idNameSchema, successOutputSchema } from './output-schemas.js';
 
 // Use shared services instance
 const { folder: folderService, workspace: workspaceService } = clickUpServices;
 
+// Output schema for folder details
+const folderOutputSchema = {
+  type: "object",
+  properties: {
+    id: { type: "string" },
+    name: { type: "string" },
+    space: idNameSchema,
+    message: { type: "string" }
+  },
+  required: ["id", "name"]
+};
+
 /**
  * Tool definition for creating a folder
  */
@@ -46,7 +59,15 @@ export const createFolderTool = {
       }
     },
     required: ["name"]
-  }
+  },
+  annotations: {
+    title: "Create Folder",
+    readOnlyHint: false,
+    destructiveHint: false,
+    idempotentHint: false,
+    openWorldHint: false
+  },
+  outputSchema: folderOutputSchema
 };
 
 /**
@@ -76,7 +97,13 @@ export const getFolderTool = {
       }
     },
     required: []
-  }
+  },
+  annotations: {
+    title: "Get Folder",
+    readOnlyHint: true,
+    openWorldHint: false
+  },
+  outputSchema: folderOutputSchema
 };
 
 /**
@@ -114,7 +141,15 @@ export const updateFolderTool = {
       }
     },
     required: []
-  }
+  },
+  annotations: {
+    title: "Update Folder",
+    readOnlyHint: false,
+    destructiveHint: true,
+    idempotentHint: true,
+    openWorldHint: false
+  },
+  outputSchema: folderOutputSchema
 };
 
 /**
@@ -144,7 +179,15 @@ export const deleteFolderTool = {
       }
     },
     required: []
-  }
+  },
+  annotations: {
+    title: "Delete Folder",
+    readOnlyHint: false,
+    destructiveHint: true,
+    idempotentHint: true,
+    openWorldHint: false
+  },
+  outputSchema: successOutputSchema
 };
 
 /**
@@ -0,0 +1,878 @@
+/**
+ * SPDX-FileCopyrightText: © 2025 Talib Kareem <taazkareem@icloud.com>
+ * SPDX-License-Identifier: MIT
+ *
+ * ClickUp MCP Goal Tools
+ *
+ * This module defines goal-related tools for listing, creating, updating,
+ * and deleting goals and their key results (targets), and for recording
+ * progress on key results.
+ */
+
+import {
+  ClickUpGoal,
+  ClickUpKeyResult,
+  CreateGoalData,
+  UpdateGoalData,
+  CreateKeyResultData,
+  UpdateKeyResultData,
+  KeyResultType
+} from '../services/clickup/types.js';
+import { clickUpServices } from '../services/shared.js';
+import { parseDueDate, formatDueDate } from '../utils/date-utils.js';
+import { resolveAssignees } from './task/handlers.js';
+import { sponsorService } from '../utils/sponsor-service.js';
+import { arraySource, collectPage, paginationInputProperties, paginationOutputProperties } from '../utils/pagination.js';
+import { successOutputSchema } from './output-schemas.js';
+
+// Use shared services instance
+const { goal: goalService } = clickUpServices;
+
+// Key result target types accepted by the tools.
+// 'task' is the tool-facing name for ClickUp's 'automatic' (task/list completion) type.
+const KEY_RESULT_TYPES = ['number', 'percentage', 'currency', 'boolean', 'task'];
+
+// Shared goal identification properties
+const goalIdentificationProperties = {
+  goalId: {
+    type: "string",
+    description: "ID of the goal (preferred). Use this instead of goalName if you have it."
+  },
+  goalName: {
+    type: "string",
+    description: "Name of the goal. Only use if you don't have goalId."
+  }
+};
+
+// Shared key result identification properties
+const keyResultIdentificationProperties = {
+  keyResultId: {
+    type: "string",
+    description: "ID of the key result (preferred)."
+  },
+  keyResultName: {
+    type: "string",
+    description: "Name of the key result. Requires goalId or goalName."
+  },
+  ...goalIdentificationProperties
+};
+
+// Shared owner list schema
+const ownersSchema = (description: string) => ({
+  type: "array",
+  items: {
+    oneOf: [{ type: "number" }, { type: "string" }]
+  },
+  description
+});
+
+// Output schema for key result details
+const keyResultOutputSchema = {
+  type: "object",
+  properties: {
+    id: { type: "string" },
+    goal_id: { type: "string" },
+    name: { type: "string" },
+    type: { type: "string", enum: KEY_RESULT_TYPES },
+    start: { description: "Start value (non-task key results)" },
+    current: { description: "Current value (non-task key results)" },
+    target: { description: "Target value (non-task key results)" },
+    unit: { type: "string" },
+    task_ids: { type: "array", items: { type: "string" } },
+    list_ids: { type: "array", items: { type: "string" } },
+    percent_completed: { description: "Completion percentage" },
+    completed: { type: "boolean" },
+    owners: { type: "array" },
+    last_note: { type: "string" },
+    message: { type: "string" }
+  },
+  required: ["id", "name"]
+};
+
+// Output schema for goal details
+const goalOutputSchema = {
+  type: "object",
+  properties: {
+    id: { type: "string" },
+    name: { type: "string" },
+    description: { type: "string" },
+    percent_completed: { description: "Completion percentage" },
+    due_date: { type: "string" },
+    owners: { type: "array" },
+    archived: { type: "boolean" },
+    key_results: { type: "array", items: keyResultOutputSchema },
+    key_result_count: { type: "integer" },
+    url: { type: "string" },
+    message: { type: "string" }
+  },
+  required: ["id", "name"]
+};
+
+// Output schema for goal listings
+const goalsOutputSchema = {
+  type: "object",
+  properties: {
+    count: { type: "integer" },
+    goals: { type: "array", items: goalOutputSchema },
+    ...paginationOutputProperties
+  },
+  required: ["count", "goals"]
+};
+
+/**
+ * Tool definition for listing goals
+ */
+export const getGoalsTool = {
+  name: "get_goals",
+  description: `Gets all goals in the workspace with their overall progress, due dates and owners. Use get_goal for key result details.`,
+  inputSchema: {
+    type: "object",
+    properties: {
+      includeCompleted: {
+        type: "boolean",
+        description: "Whether to include completed goals (default: false)"
+      },
+      ...paginationInputProperties
+    },
+    required: []
+  },
+  annotations: {
+    title: "Get Goals",
+    readOnlyHint: true,
+    openWorldHint: false
+  },
+  outputSchema: goalsOutputSchema
+};
+
+/**
+ * Tool definition for retrieving a goal with its key results
+ */
+export const getGoalTool = {
+  name: "get_goal",
+  description: `Gets goal details including each key result's type, current value, target and progress. Use goalId (preferred) or goalName.`,
+  inputSchema: {
+    type: "object",
+    properties: {
+      ...goalIdentificationProperties
+    },
+    required: []
+  },
+  annotations: {
+    title: "Get Goal",
+    readOnlyHint: true,
+    openWorldHint: false
+  },
+  outputSchema: goalOutputSchema
+};
+
+/**
+ * Tool definition for creating a goal
+ */
+export const createGoalTool = {
+  name: "create_goal",
+  description: `Creates a new goal in the workspace. Optional: dueDate (natural language supported), description, color and owners. Add targets afterwards with create_key_result.`,
+  inputSchema: {
+    type: "object",
+    properties: {
+      name: {
+        type: "string",
+        description: "Name of the goal"
+      },
+      dueDate: {
+        type: "string",
+        description: "Due date as a Unix timestamp in milliseconds or natural language like 'end of quarter' or 'September 30'"
+      },
+      description: {
+        type: "string",
+        description: "Description of the goal"
+      },
+      color: {
+        type: "string",
+        description: "Optional hex color for the goal (e.g. '#32a852')"
+      },
+      owners: ownersSchema("Goal owners as user IDs, emails or usernames")
+    },
+    required: ["name"]
+  },
+  annotations: {
+    title: "Create Goal",
+    readOnlyHint: false,
+    destructiveHint: false,
+    idempotentHint: false,
+    openWorldHint: false
+  },
+  outputSchema: goalOutputSchema
+};
+
+/**
+ * Tool definition for updating a goal
+ */
+export const updateGoalTool = {
+  name: "update_goal",
+  description: `Updates goal properties or owners. Use goalId (preferred) or goalName. At least one update field required.`,
+  inputSchema: {
+    type: "object",
+    properties: {
+      ...goalIdentificationProperties,
+      name: {
+        type: "string",
+        description: "New name for the goal"
+      },
+      dueDate: {
+        type: "string",
+        description: "New due date as a Unix timestamp in milliseconds or natural language"
+      },
+      description: {
+        type: "string",
+        description: "New description for the goal"
+      },
+      color: {
+        type: "string",
+        description: "New hex color for the goal"
+      },
+      addOwners: ownersSchema("Owners to add, as user IDs, emails or usernames"),
+      removeOwners: ownersSchema("Owners to remove, as user IDs, emails or usernames")
+    },
+    required: []
+  },
+  annotations: {
+    title: "Update Goal",
+    readOnlyHint: false,
+    destructiveHint: true,
+    idempotentHint: true,
+    openWorldHint: false
+  },
+  outputSchema: goalOutputSchema
+};
+
+/**
+ * Tool definition for deleting a goal
+ */
+export const deleteGoalTool = {
+  name: "delete_goal",
+  description: `PERMANENTLY deletes a goal and all its key results. Use goalId (preferred/safest) or goalName. WARNING: Cannot be undone.`,
+  inputSchema: {
+    type: "object",
+    properties: {
+      ...goalIdentificationProperties
+    },
+    required: []
+  },
+  annotations: {
+    title: "Delete Goal",
+    readOnlyHint: false,
+    destructiveHint: true,
+    idempotentHint: true,
+    openWorldHint: false
+  },
+  outputSchema: successOutputSchema
+};
+
+/**
+ * Tool definition for creating a key result
+ */
+export const createKeyResultTool = {
+  name: "create_key_result",
+  description: `Adds a key result (target) to a goal. Use goalId (preferred) or goalName. Types: 'number' and 'currency' need target (and optional start); 'percentage' tracks 0-100 by default; 'boolean' is done/not done; 'task' tracks completion of taskIds and/or listIds automatically. Currency needs unit (e.g. 'USD').`,
+  inputSchema: {
+    type: "object",
+    properties: {
+      ...goalIdentificationProperties,
+      name: {
+        type: "string",
+        description: "Name of the key result"
+      },
+      type: {
+        type: "string",
+        enum: KEY_RESULT_TYPES,
+        description: "Target type: number, percentage, currency, boolean or task"
+      },
+      start: {
+        type: "number",
+        description: "Starting value for number, currency and percentage targets (default: 0)"
+      },
+      target: {
+        type: "number",
+        description: "Target value for number, currency and percentage targets (percentage default: 100)"
+      },
+      unit: {
+        type: "string",
+        description: "Unit label for number targets (e.g. 'signups') or currency code for currency targets (e.g. 'USD')"
+      },
+      taskIds: {
+        type: "array",
+        items: { type: "string" },
+        description: "Task IDs tracked by a 'task' key result"
+      },
+      listIds: {
+        type: "array",
+        items: { type: "string" },
+        description: "List IDs whose tasks are tracked by a 'task' key result"
+      },
+      owners: ownersSchema("Key result owners as user IDs, emails or usernames. Defaults to no owners.")
+    },
+    required: ["name", "type"]
+  },
+  annotations: {
+    title: "Create Key Result",
+    readOnlyHint: false,
+    destructiveHint: false,
+    idempotentHint: false,
+    openWorldHint: false
+  },
+  outputSchema: keyResultOutputSchema
+};
+
+/**
+ * Tool definition for updating a key result
+ */
+export const updateKeyResultTool = {
+  name: "update_key_result",
+  description: `Updates a key result's name, start/target values, unit, owners or tracked tasks/lists. Use keyResultId (preferred) or keyResultName with goalId/goalName. Use update_key_result_progress to record progress.`,
+  inputSchema: {
+    type: "object",
+    properties: {
+      ...keyResultIdentificationProperties,
+      name: {
+        type: "string",
+        description: "New name for the key result"
+      },
+      start: {
+        type: "number",
+        description: "New starting value"
+      },
+      target: {
+        type: "number",
+        description: "New target value"
+      },
+      unit: {
+        type: "string",
+        description: "New unit label or currency code"
+      },
+      taskIds: {
+        type: "array",
+        items: { type: "string" },
+        description: "Task IDs tracked by a 'task' key result (replaces the current set)"
+      },
+      listIds: {
+        type: "array",
+        items: { type: "string" },
+        description: "List IDs tracked by a 'task' key result (replaces the current set)"
+      },
+      addOwners: ownersSchema("Owners to add, as user IDs, emails or usernames"),
+      removeOwners: ownersSchema("Owners to remove, as user IDs, emails or usernames")
+    },
+    required: []
+  },
+  annotations: {
+    title: "Update Key Result",
+    readOnlyHint: false,
+    destructiveHint: true,
+    idempotentHint: true,
+    openWorldHint: false
+  },
+  outputSchema: keyResultOutputSchema
+};
+
+/**
+ * Tool definition for recording key result progress
+ */
+export const updateKeyResultProgressTool = {
+  name: "update_key_result_progress",
+  description: `Records progress on a key result. Use keyResultId (preferred) or keyResultName with goalId/goalName. Provide current (the new value) for number, currency and percentage targets, or completed for boolean targets. Optional note is saved with the progress update. 'task' key results update automatically as tasks close.`,
+  inputSchema: {
+    type: "object",
+    properties: {
+      ...keyResultIdentificationProperties,
+      current: {
+        type: "number",
+        description: "New current value for number, currency and percentage targets"
+      },
+      completed: {
+        type: "boolean",
+        description: "Whether a boolean target is done"
+      },
+      note: {
+        type: "string",
+        description: "Optional note describing the progress update"
+      }
+    },
+    required: []
+  },
+  annotations: {
+    title: "Update Key Result Progress",
+    readOnlyHint: false,
+    destructiveHint: true,
+    idempotentHint: true,
+    openWorldHint: false
+  },
+  outputSchema: keyResultOutputSchema
+};
+
+/**
+ * Tool definition for deleting a key result
+ */
+export const deleteKeyResultTool = {
+  name: "delete_key_result",
+  description: `PERMANENTLY deletes a key result from its goal. Use keyResultId (preferred) or keyResultName with goalId/goalName. WARNING: Cannot be undone.`,
+  inputSchema: {
+    type: "object",
+    properties: {
+      ...keyResultIdentificationProperties
+    },
+    required: []
+  },
+  annotations: {
+    title: "Delete Key Result",
+    readOnlyHint: false,
+    destructiveHint: true,
+    idempotentHint: true,
+    openWorldHint: false
+  },
+  outputSchema: successOutputSchema
+};
+
+/**
+ * Resolve a goal ID from goalId or goalName parameters
+ */
+async function resolveGoalId(goalId?: string, goalName?: string): Promise<string> {
+  if (goalId) {
+    return goalId;
+  }
+
+  if (goalName) {
+    const goal = await goalService.findGoalByName(goalName);
+    if (!goal) {
+      throw new Error(`Goal "${goalName}" not found`);
+    }
+    return goal.id;
+  }
+
+  throw new Error("Either goalId or goalName must be provided");
+}
+
+/**
+ * Resolve a key result ID from keyResultId, or keyResultName within a goal
+ */
+async function resolveKeyResultId(parameters: any): Promise<string> {
+  const { keyResultId, keyResultName, goalId, goalName } = parameters;
+
+  if (keyResultId) {
+    return keyResultId;
+  }
+
+  if (!keyResultName) {
+    throw new Error("Either keyResultId or keyResultName must be provided");
+  }
+  if (!goalId && !goalName) {
+    throw new Error("goalId or goalName is required when using keyResultName");
+  }
+
+  const goal = await goalService.getGoal(await resolveGoalId(goalId, goalName));
+  const target = keyResultName.trim().toLowerCase();
+  const keyResult = (goal.key_results || []).find(kr => kr.name.trim().toLowerCase() === target);
+
+  if (!keyResult) {
+    const available = (goal.key_results || []).map(kr => `"${kr.name}"`).join(', ') || 'none';
+    throw new Error(`Key result "${keyResultName}" not found on goal "${goal.name}". Available key results: ${available}`);
+  }
+
+  return keyResult.id;
+}
+
+/**
+ * Resolve owner inputs (IDs, emails, usernames) to user IDs, failing if any cannot be resolved
+ */
+async function resolveOwners(owners: (number | string)[] | undefined): Promise<number[] | undefined> {
+  if (!owners) {
+    return undefined;
+  }
+  if (!Array.isArray(owners)) {
+    throw new Error("Owners must be an array of user IDs, emails or usernames");
+  }
+
+  const resolved = await resolveAssignees(owners);
+  if (resolved.length !== owners.length) {
+    throw new Error(`Could not resolve all owners to workspace members: ${owners.join(', ')}`);
+  }
+  return resolved;
+}
+
+/**
+ * Parse a due date parameter into a timestamp
+ */
+function parseGoalDueDate(dueDate: any): number {
+  const timestamp = typeof dueDate === 'number' ? dueDate : parseDueDate(String(dueDate));
+  if (!timestamp) {
+    throw new Error(`Invalid due date "${dueDate}"`);
+  }
+  return timestamp;
+}
+
+/**
+ * Map the tool-facing key result type to the ClickUp API type
+ */
+function toApiKeyResultType(type: string): KeyResultType {
+  if (!KEY_RESULT_TYPES.includes(type)) {
+    throw new Error(`Invalid key result type "${type}". Valid types: ${KEY_RESULT_TYPES.join(', ')}`);
+  }
+  return type === 'task' ? 'automatic' : type as KeyResultType;
+}
+
+/**
+ * Format a key result for tool responses
+ */
+function formatKeyResult(keyResult: ClickUpKeyResult) {
+  const isTaskBased = keyResult.type === 'automatic';
+
+  return {
+    id: keyResult.id,
+    name: keyResult.name,
+    type: isTaskBased ? 'task' : keyResult.type,
+    ...(isTaskBased ? {
+      task_ids: keyResult.task_ids || [],
+      list_ids: keyResult.subcategory_ids || []
+    } : {
+      start: keyResult.steps_start,
+      current: keyResult.steps_current,
+      target: keyResult.steps_end
+    }),
+    ...(keyResult.unit ? { unit: keyResult.unit } : {}),
+    percent_completed: keyResult.percent_completed,
+    completed: keyResult.completed,
+    owners: (keyResult.owners || []).map(owner => owner.username || owner.email || owner.id),
+    ...(keyResult.last_action?.note ? { last_note: keyResult.last_action.note } : {})
+  };
+}
+
+/**
+ * Format a goal for tool responses
+ */
+function formatGoal(goal: ClickUpGoal) {
+  return {
+    id: goal.id,
+    name: goal.name,
+    description: goal.description || undefined,
+    percent_completed: goal.percent_completed,
+    due_date: formatDueDate(goal.due_date ? Number(goal.due_date) : null),
+    owners: (goal.owners || (goal.owner ? [goal.owner] : [])).map(owner => owner.username || owner.email || owner.id),
+    archived: goal.archived,
+    ...(goal.key_results ? {
+      key_results: goal.key_results.map(formatKeyResult)
+    } : {
+      key_result_count: goal.key_result_count
+    }),
+    ...(goal.pretty_url ? { url: goal.pretty_url } : {})
+  };
+}
+
+/**
+ * Handler for the get_goals tool
+ * Lists goals in the workspace with their progress
+ */
+export async function handleGetGoals(parameters: any) {
+  const { includeCompleted } = parameters || {};
+
+  try {
+    const goals = await goalService.getGoals(Boolean(includeCompleted));
+    const { items, ...paging } = await collectPage('get_goals', parameters || {}, arraySource(goals), formatGoal);
+
+    return sponsorService.createResponse({
+      count: items.length,
+      goals: items,
+      ...paging
+    }, true);
+  } catch (error: any) {
+    return sponsorService.createErrorResponse(`Failed to retrieve goals: ${error.message}`);
+  }
+}
+
+/**
+ * Handler for the get_goal tool
+ * Retrieves a goal with its key results
+ */
+export async function handleGetGoal(parameters: any) {
+  const { goalId, goalName } = parameters;
+
+  const targetGoalId = await resolveGoalId(goalId, goalName);
+
+  try {
+    const goal = await goalService.getGoal(targetGoalId);
+
+    return sponsorService.createResponse(formatGoal(goal), true);
+  } catch (error: any) {
+    return sponsorService.createErrorResponse(`Failed to retrieve goal: ${error.message}`);
+  }
+}
+
+/**
+ * Handler for the create_goal tool
+ * Creates a new goal in the workspace
+ */
+export async function handleCreateGoal(parameters: any) {
+  const { name, dueDate, description, color, owners } = parameters;
+
+  // Validate required fields
+  if (!name) {
+    throw new Error("Goal name is required");
+  }
+
+  // Prepare goal data
+  const goalData: CreateGoalData = {
+    name
+  };
+
+  // Add optional fields if provided
+  if (dueDate !== undefined) goalData.due_date = parseGoalDueDate(dueDate);
+  if (description !== undefined) goalData.description = description;
+  if (color !== undefined) goalData.color = color;
+
+  try {
+    const ownerIds = await resolveOwners(owners);
+    if (ownerIds) {
+      goalData.owners = ownerIds;
+      goalData.multiple_owners = ownerIds.length > 1;
+    }
+
+    // Create the goal
+    const newGoal = await goalService.createGoal(goalData);
+
+    return sponsorService.createResponse({
+      ...formatGoal(newGoal),
+      message: `Goal "${newGoal.name}" created successfully`
+    }, true);
+  } catch (error: any) {
+    return sponsorService.createErrorResponse(`Failed to create goal: ${error.message}`);
+  }
+}
+
+/**
+ * Handler for the update_goal tool
+ * Updates an existing goal's properties or owners
+ */
+export async function handleUpdateGoal(parameters: any) {
+  const { goalId, goalName, name, dueDate, description, color, addOwners, removeOwners } = parameters;
+
+  const targetGoalId = await resolveGoalId(goalId, goalName);
+
+  // Ensure at least one update field is provided
+  if (!name && dueDate === undefined && description === undefined && color === undefined &&
+      addOwners === undefined && removeOwners === undefined) {
+    throw new Error("At least one of name, dueDate, description, color, addOwners or removeOwners must be provided for update");
+  }
+
+  try {
+    // Prepare update data
+    const updateData: UpdateGoalData = {};
+    if (name) updateData.name = name;
+    if (dueDate !== undefined) updateData.due_date = parseGoalDueDate(dueDate);
+    if (description !== undefined) updateData.description = description;
+    if (color !== undefined) updateData.color = color;
+    if (addOwners !== undefined) updateData.add_owners = await resolveOwners(addOwners);
+    if (removeOwners !== undefined) updateData.rem_owners = await resolveOwners(removeOwners);
+
+    // Update the goal
+    const updatedGoal = await goalService.updateGoal(targetGoalId, updateData);
+
+    return sponsorService.createResponse({
+      ...formatGoal(updatedGoal),
+      message: `Goal "${updatedGoal.name}" updated successfully`
+    }, true);
+  } catch (error: any) {
+    return sponsorService.createErrorResponse(`Failed to update goal: ${error.message}`);
+  }
+}
+
+/**
+ * Handler for the delete_goal tool
+ * Permanently removes a goal and its key results
+ */
+export async function handleDeleteGoal(parameters: any) {
+  const { goalId, goalName } = parameters;
+
+  const targetGoalId = await resolveGoalId(goalId, goalName);
+
+  try {
+    // Get goal details before deletion for confirmation message
+    const goal = await goalService.getGoal(targetGoalId);
+
+    // Delete the goal
+    await goalService.deleteGoal(targetGoalId);
+
+    return sponsorService.createResponse({
+      success: true,
+      message: `Goal "${goal.name || targetGoalId}" deleted successfully`
+    }, true);
+  } catch (error: any) {
+    return sponsorService.createErrorResponse(`Failed to delete goal: ${error.message}`);
+  }
+}
+
+/**
+ * Handler for the create_key_result tool
+ * Adds a key result (target) to a goal
+ */
+export async function handleCreateKeyResult(parameters: any) {
+  const { goalId, goalName, name, type, start, target, unit, taskIds, listIds, owners } = parameters;
+
+  // Validate required fields
+  if (!name) {
+    throw new Error("Key result name is required");
+  }
+  if (!type) {
+    throw new Error("Key result type is required");
+  }
+
+  const apiType = toApiKeyResultType(type);
+  const targetGoalId = await resolveGoalId(goalId, goalName);
+
+  // Prepare key result data with type-specific start/target values
+  const keyResultData: CreateKeyResultData = {
+    name,
+    owners: [],
+    type: apiType
+  };
+
+  switch (apiType) {
+    case 'number':
+    case 'currency':
+      if (target === undefined) {
+        throw new Error(`A target value is required for ${apiType} key results`);
+      }
+      if (apiType === 'currency' && !unit) {
+        throw new Error("A currency code is required in unit for currency key results (e.g. 'USD')");
+      }
+      keyResultData.steps_start = start ?? 0;
+      keyResultData.steps_end = target;
+      if (unit) keyResultData.unit = unit;
+      break;
+    case 'percentage':
+      keyResultData.steps_start = start ?? 0;
+      keyResultData.steps_end = target ?? 100;
+      keyResultData.unit = '%';
+      break;
+    case 'boolean':
+      keyResultData.steps_start = 0;
+      keyResultData.steps_end = 1;
+      break;
+    case 'automatic':
+      if ((!taskIds || taskIds.length === 0) && (!listIds || listIds.length === 0)) {
+        throw new Error("At least one of taskIds or listIds is required for task key results");
+      }
+      keyResultData.task_ids = taskIds || [];
+      keyResultData.list_ids = listIds || [];
+      break;
+  }
+
+  try {
+    keyResultData.owners = await resolveOwners(owners) || [];
+
+    // Create the key result
+    const keyResult = await goalService.createKeyResult(targetGoalId, keyResultData);
+
+    return sponsorService.createResponse({
+      ...formatKeyResult(keyResult),
+      goal_id: targetGoalId,
+      message: `Key result "${keyResult.name}" created successfully`
+    }, true);
+  } catch (error: any) {
+    return sponsorService.createErrorResponse(`Failed to create key result: ${error.message}`);
+  }
+}
+
+/**
+ * Handler for the update_key_result tool
+ * Updates a key result's definition
+ */
+export async function handleUpdateKeyResult(parameters: any) {
+  const { name, start, target, unit, taskIds, listIds, addOwners, removeOwners } = parameters;
+
+  // Ensure at least one update field is provided
+  if (!name && start === undefined && target === undefined && unit === undefined &&
+      taskIds === undefined && listIds === undefined && addOwners === undefined && removeOwners === undefined) {
+    throw new Error("At least one of name, start, target, unit, taskIds, listIds, addOwners or removeOwners must be provided for update");
+  }
+
+  const keyResultId = await resolveKeyResultId(parameters);
+
+  try {
+    // Prepare update data
+    const updateData: UpdateKeyResultData = {};
+    if (name) updateData.name = name;
+    if (start !== undefined) updateData.steps_start = start;
+    if (target !== undefined) updateData.steps_end = target;
+    if (unit !== undefined) updateData.unit = unit;
+    if (taskIds !== undefined) updateData.task_ids = taskIds;
+    if (listIds !== undefined) updateData.list_ids = listIds;
+    if (addOwners !== undefined) updateData.add_owners = await resolveOwners(addOwners);
+    if (removeOwners !== undefined) updateData.rem_owners = await resolveOwners(removeOwners);
+
+    // Update the key result
+    const keyResult = await goalService.updateKeyResult(keyResultId, updateData);
+
+    return sponsorService.createResponse({
+      ...formatKeyResult(keyResult),
+      message: `Key result "${keyResult.name}" updated successfully`
+    }, true);
+  } catch (error: any) {
+    return sponsorService.createErrorResponse(`Failed to update key result: ${error.message}`);
+  }
+}
+
+/**
+ * Handler for the update_key_result_progress tool
+ * Records a new current value (with optional note) on a key result
+ */
+export async function handleUpdateKeyResultProgress(parameters: any) {
+  const { current, completed, note } = parameters;
+
+  // Exactly one progress value is required
+  if (current === undefined && completed === undefined) {
+    throw new Error("Either current (number, currency and percentage targets) or completed (boolean targets) must be provided");
+  }
+  if (current !== undefined && completed !== undefined) {
+    throw new Error("Provide either current or completed, not both");
+  }
+  if (current !== undefined && (typeof current !== 'number' || isNaN(current))) {
+    throw new Error(`Invalid current value "${current}". Use a number.`);
+  }
+
+  const keyResultId = await resolveKeyResultId(parameters);
+
+  try {
+    const progressData: UpdateKeyResultData = {
+      steps_current: completed !== undefined ? (completed ? 1 : 0) : current
+    };
+    if (note !== undefined) progressData.note = note;
+
+    // Record the progress
+    const keyResult = await goalService.updateKeyResult(keyResultId, progressData);
+
+    return sponsorService.createResponse({
+      ...formatKeyResult(keyResult),
+      message: `Progress recorded on key result "${keyResult.name}"`
+    }, true);
+  } catch (error: any) {
+    return sponsorService.createErrorResponse(`Failed to update key result progress: ${error.message}`);
+  }
+}
+
+/**
+ * Handler for the delete_key_result tool
+ * Permanently removes a key result from its goal
+ */
+export async function handleDeleteKeyResult(parameters: any) {
+  const keyResultId = await resolveKeyResultId(parameters);
+
+  try {
+    // Delete the key result
+    await goalService.deleteKeyResult(keyResultId);
+
+    return sponsorService.createResponse({
+      success: true,
+      message: `Key result ${parameters.keyResultName ? `"${parameters.keyResultName}"` : keyResultId} deleted successfully`
+    }, true);
+  } catch (error: any) {
+    return sponsorService.createErrorResponse(`Failed to delete key result: ${error.message}`);
+  }
+}
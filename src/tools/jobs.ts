@@ -0,0 +1,208 @@
+/**
+ * SPDX-FileCopyrightText: © 2025 Talib Kareem <taazkareem@icloud.com>
+ * SPDX-License-Identifier: MIT
+ *
+ * ClickUp MCP Background Job Tools
+ *
+ * This module defines tools for following, listing and cancelling background
+ * jobs started by the bulk task tools with background: true.
+ */
+
+import { jobManager } from '../jobs/index.js';
+import { sponsorService } from '../utils/sponsor-service.js';
+import { arraySource, collectPage, paginationInputProperties, paginationOutputProperties } from '../utils/pagination.js';
+
+const JOB_STATUSES = ['queued', 'running', 'completed', 'failed', 'cancelled'];
+
+// Output schema properties of a job
+const jobProperties = {
+  job_id: { type: "string" },
+  tool: { type: "string", description: "Tool that started the job" },
+  status: { type: "string", enum: JOB_STATUSES },
+  count: { type: "integer", description: "Number of tasks in the job" },
+  processed: { type: "integer" },
+  success_count: { type: "integer" },
+  failure_count: { type: "integer" },
+  created_at: { type: "string" },
+  started_at: { type: "string" },
+  finished_at: { type: "string" },
+  error: { type: "string", description: "Why the job failed or was cancelled" }
+};
+
+const jobOutputSchema = {
+  type: "object",
+  properties: jobProperties,
+  required: ["job_id", "tool", "status", "count", "processed", "success_count", "failure_count"]
+};
+
+/**
+ * Tool definition for getting the status of a job
+ */
+export const getJobStatusTool = {
+  name: "get_job_status",
+  description: `Gets the status and progress of a background job started with background: true, with the outcome of its tasks. By default only failed tasks are listed.`,
+  inputSchema: {
+    type: "object",
+    properties: {
+      jobId: {
+        type: "string",
+        description: "Job ID returned when the job was started"
+      },
+      items: {
+        type: "string",
+        enum: ["failed", "succeeded", "all"],
+        description: "Which task outcomes to list (default: failed)"
+      },
+      ...paginationInputProperties
+    },
+    required: ["jobId"]
+  },
+  annotations: {
+    title: "Get Job Status",
+    readOnlyHint: true,
+    openWorldHint: false
+  },
+  outputSchema: {
+    type: "object",
+    properties: {
+      ...jobProperties,
+      items: {
+        type: "array",
+        items: {
+          type: "object",
+          properties: {
+            index: { type: "integer", description: "Index of the task in the job's input" },
+            status: { type: "string", enum: ["succeeded", "failed"] },
+            task_id: { type: "string" },
+            error: { type: "string" }
+          },
+          required: ["index", "status"]
+        }
+      },
+      ...paginationOutputProperties
+    },
+    required: [...jobOutputSchema.required, "items"]
+  }
+};
+
+/**
+ * Tool definition for listing jobs
+ */
+export const listJobsTool = {
+  name: "list_jobs",
+  description: `Lists background jobs, newest first. Only the 100 most recent finished jobs are kept.`,
+  inputSchema: {
+    type: "object",
+    properties: {
+      status: {
+        type: "string",
+        enum: JOB_STATUSES,
+        description: "Only jobs with this status"
+      },
+      ...paginationInputProperties
+    },
+    required: []
+  },
+  annotations: {
+    title: "List Jobs",
+    readOnlyHint: true,
+    openWorldHint: false
+  },
+  outputSchema: {
+    type: "object",
+    properties: {
+      count: { type: "integer" },
+      jobs: { type: "array", items: jobOutputSchema },
+      ...paginationOutputProperties
+    },
+    required: ["count", "jobs"]
+  }
+};
+
+/**
+ * Tool definition for cancelling a job
+ */
+export const cancelJobTool = {
+  name: "cancel_job",
+  description: `Cancels a queued or running background job. A running job finishes its in-flight tasks and skips the rest; completed tasks are not reverted (see undo_operation).`,
+  inputSchema: {
+    type: "object",
+    properties: {
+      jobId: {
+        type: "string",
+        description: "Job ID returned when the job was started"
+      }
+    },
+    required: ["jobId"]
+  },
+  annotations: {
+    title: "Cancel Job",
+    readOnlyHint: false,
+    destructiveHint: false,
+    idempotentHint: false,
+    openWorldHint: false
+  },
+  outputSchema: jobOutputSchema
+};
+
+/**
+ * Handler for the get_job_status tool
+ */
+export async function handleGetJobStatus(parameters: any) {
+  const { jobId, items = 'failed' } = parameters || {};
+
+  if (!jobId) {
+    throw new Error("Job ID is required");
+  }
+  if (!['failed', 'succeeded', 'all'].includes(items)) {
+    throw new Error("items must be one of: failed, succeeded, all");
+  }
+
+  try {
+    const job = jobManager.get(jobId);
+    if (!job) {
+      return sponsorService.createErrorResponse(`Job ${jobId} not found`);
+    }
+
+    const outcomes = jobManager.getOutcomes(jobId, items === 'all' ? undefined : items);
+    const { items: page, ...paging } = await collectPage('get_job_status', parameters, arraySource(outcomes));
+    return sponsorService.createResponse({ ...job, items: page, ...paging }, true);
+  } catch (error: any) {
+    return sponsorService.createErrorResponse(`Failed to get job status: ${error.message}`);
+  }
+}
+
+/**
+ * Handler for the list_jobs tool
+ */
+export async function handleListJobs(parameters: any) {
+  const { status } = parameters || {};
+
+  if (status !== undefined && !JOB_STATUSES.includes(status)) {
+    throw new Error(`status must be one of: ${JOB_STATUSES.join(', ')}`);
+  }
+
+  try {
+    const { items, ...paging } = await collectPage('list_jobs', parameters || {}, arraySource(jobManager.list(status)));
+    return sponsorService.createResponse({ count: items.length, jobs: items, ...paging }, true);
+  } catch (error: any) {
+    return sponsorService.createErrorResponse(`Failed to list jobs: ${error.message}`);
+  }
+}
+
+/**
+ * Handler for the cancel_job tool
+ */
+export async function handleCancelJob(parameters: any) {
+  const { jobId } = parameters || {};
+
+  if (!jobId) {
+    throw new Error("Job ID is required");
+  }
+
+  try {
+    return sponsorService.createResponse(await jobManager.cancel(jobId), true);
+  } catch (error: any) {
+    return sponsorService.createErrorResponse(`Failed to cancel job: ${error.message}`);
+  }
+}
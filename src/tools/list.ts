@@ -16,6 +16,22 @@ import {
 import { listService, workspaceService } from '../services/shared.js';
 import config from '../config.js';
 import { sponsorService } from '../utils/sponsor-service.js';
+import { idNameSchema, successOutputSchema } from './output-schemas.js';
+
+// Output schema for list details
+const listOutputSchema = {
+  type: "object",
+  properties: {
+    id: { type: "string" },
+    name: { type: "string" },
+    content: { description: "List description" },
+    folder: idNameSchema,
+    space: idNameSchema,
+    url: { type: "string" },
+    message: { type: "string" }
+  },
+  required: ["id", "name"]
+};
 
 /**
  * Tool definition for creating a list directly in a space
@@ -60,7 +76,15 @@ export const createListTool = {
       }
     },
     required: ["name"]
-  }
+  },
+  annotations: {
+    title: "Create List",
+    readOnlyHint: false,
+    destructiveHint: false,
+    idempotentHint: false,
+    openWorldHint: false
+  },
+  outputSchema: listOutputSchema
 };
 
 /**
@@ -102,7 +126,15 @@ export const createListInFolderTool = {
       }
     },
     required: ["name"]
-  }
+  },
+  annotations: {
+    title: "Create List in Folder",
+    readOnlyHint: false,
+    destructiveHint: false,
+    idempotentHint: false,
+    openWorldHint: false
+  },
+  outputSchema: listOutputSchema
 };
 
 /**
@@ -124,7 +156,13 @@ export const getListTool = {
       }
     },
     required: []
-  }
+  },
+  annotations: {
+    title: "Get List",
+    readOnlyHint: true,
+    openWorldHint: false
+  },
+  outputSchema: listOutputSchema
 };
 
 /**
@@ -158,7 +196,15 @@ export const updateListTool = {
       }
     },
     required: []
-  }
+  },
+  annotations: {
+    title: "Update List",
+    readOnlyHint: false,
+    destructiveHint: true,
+    idempotentHint: true,
+    openWorldHint: false
+  },
+  outputSchema: listOutputSchema
 };
 
 /**
@@ -180,7 +226,15 @@ export const deleteListTool = {
       }
     },
     required: []
-  }
+  },
+  annotations: {
+    title: "Delete List",
+    readOnlyHint: false,
+    destructiveHint: true,
+    idempotentHint: true,
+    openWorldHint: false
+  },
+  outputSchema: successOutputSchema
 };
 
 /**
@@ -1,5 +1,37 @@
 import { workspaceService } from '../services/shared.js';
 import { sponsorService } from '../utils/sponsor-service.js';
+import { arraySource, collectPage, paginationInputProperties, paginationOutputProperties } from '../utils/pagination.js';
+
+// Output schema for workspace members
+const membersOutputSchema = {
+    type: 'object',
+    properties: {
+        members: { type: 'array', items: { type: 'object' } },
+        ...paginationOutputProperties
+    },
+    required: ['members']
+};
+
+// Output schema for a member lookup
+const memberOutputSchema = {
+    type: 'object',
+    properties: {
+        member: { description: 'The matching member, or null if not found' }
+    },
+    required: ['member']
+};
+
+// Output schema for resolved assignees
+const resolvedAssigneesOutputSchema = {
+    type: 'object',
+    properties: {
+        userIds: {
+            type: 'array',
+            description: 'User IDs in input order, null for inputs that could not be resolved'
+        }
+    },
+    required: ['userIds']
+};
 
 /**
  * Tool definition for getting all members in a ClickUp workspace
@@ -9,9 +41,17 @@ export const getWorkspaceMembersTool = {
     description: 'Returns all members (users) in the ClickUp workspace/team. Useful for resolving assignees by name or email.',
     inputSchema: {
         type: 'object',
-        properties: {},
+        properties: {
+            ...paginationInputProperties
+        },
         required: []
-    }
+    },
+    annotations: {
+        title: 'Get Workspace Members',
+        readOnlyHint: true,
+        openWorldHint: false
+    },
+    outputSchema: membersOutputSchema
 };
 
 /**
@@ -29,7 +69,13 @@ export const findMemberByNameTool = {
             }
         },
         required: ['nameOrEmail']
-    }
+    },
+    annotations: {
+        title: 'Find Member by Name',
+        readOnlyHint: true,
+        openWorldHint: false
+    },
+    outputSchema: memberOutputSchema
 };
 
 /**
@@ -48,7 +94,13 @@ export const resolveAssigneesTool = {
             }
         },
         required: ['assignees']
-    }
+    },
+    annotations: {
+        title: 'Resolve Assignees',
+        readOnlyHint: true,
+        openWorldHint: false
+    },
+    outputSchema: resolvedAssigneesOutputSchema
 };
 
 /// src/tools/member.ts
@@ -56,10 +108,11 @@ export const resolveAssigneesTool = {
 /**
  * Handler for get_workspace_members
  */
-export async function handleGetWorkspaceMembers() {
+export async function handleGetWorkspaceMembers(parameters: any) {
     try {
         const members = await workspaceService.getWorkspaceMembers();
-        return sponsorService.createResponse({ members }, true);
+        const { items, ...paging } = await collectPage('get_workspace_members', parameters || {}, arraySource(members));
+        return sponsorService.createResponse({ members: items, ...paging }, true);
     } catch (error) {
         const errorMessage = error instanceof Error ? error.message : String(error);
         return sponsorService.createErrorResponse(`Failed to get workspace members: ${errorMessage}`);
@@ -0,0 +1,121 @@
+/**
+ * SPDX-FileCopyrightText: © 2025 Talib Kareem <taazkareem@icloud.com>
+ * SPDX-License-Identifier: MIT
+ *
+ * ClickUp MCP Tool Output Schemas
+ *
+ * Shared JSON Schemas for the structuredContent returned by tools. Schemas list
+ * the fields clients can rely on and allow additional properties, since many
+ * responses pass ClickUp API objects through unchanged.
+ */
+
+/**
+ * Reference to a ClickUp object by ID and name (list, folder, space, task)
+ */
+export const idNameSchema = {
+  type: "object",
+  properties: {
+    id: { type: "string" },
+    name: { type: "string" }
+  }
+};
+
+/**
+ * Result of operations that only report success, such as deletes
+ */
+export const successOutputSchema = {
+  type: "object",
+  properties: {
+    success: { type: "boolean" },
+    message: { type: "string" }
+  },
+  required: ["success"]
+};
+
+/**
+ * A task, either formatted or as returned by the ClickUp API
+ */
+export const taskOutputSchema = {
+  type: "object",
+  properties: {
+    id: { type: "string" },
+    custom_id: { description: "Custom task ID, if enabled for the workspace" },
+    name: { type: "string" },
+    url: { type: "string" },
+    status: { description: "Status name, or status object with status and color" },
+    priority: { description: "Priority object, or null if not set" },
+    due_date: { description: "Due date, if set" },
+    assignees: { type: "array", items: { type: "object" } },
+    tags: { type: "array", items: { type: "object" } },
+    parent: { description: "Parent task ID for subtasks, otherwise null" },
+    list: idNameSchema,
+    subtasks: { type: "array", items: { type: "object" } }
+  },
+  required: ["id", "name"]
+};
+
+/**
+ * Report returned by mutating tools in dry-run mode
+ */
+export const dryRunReportSchema = {
+  type: "object",
+  properties: {
+    dry_run: { type: "boolean", const: true },
+    tool: { type: "string" },
+    operations: {
+      type: "array",
+      description: "Write requests that would have been sent, with before/after state of affected objects",
+      items: {
+        type: "object",
+        properties: {
+          method: { type: "string" },
+          url: { type: "string" },
+          params: { type: "object" },
+          body: { description: "Request body, or '[binary data]' for file uploads" },
+          before: { description: "Object state before the write, if it could be fetched" },
+          after: { description: "Expected object state after the write, null for deletes" },
+          changes: { type: "object", description: "Changed fields as { field: { before, after } }" }
+        },
+        required: ["method", "url"]
+      }
+    },
+    result: { description: "What the tool would have returned, based on simulated write responses" },
+    error: { type: "string", description: "Error the tool reported during the dry run, e.g. a name that could not be resolved" }
+  },
+  required: ["dry_run", "tool", "operations"]
+};
+
+// Output schema for a delete that waits for a confirmation token
+export const confirmationRequiredSchema = {
+  type: "object",
+  properties: {
+    confirmation_required: { type: "boolean", const: true },
+    tool: { type: "string" },
+    confirmation_token: { type: "string", description: "Pass as confirmation_token in a second call to perform the deletion" },
+    expires_at: { type: "string", description: "When the token expires (ISO date)" },
+    message: { type: "string" },
+    targets: {
+      type: "array",
+      description: "Objects that will be deleted",
+      items: {
+        type: "object",
+        properties: {
+          type: { type: "string", enum: ["task", "list", "folder", "space", "time_entry", "goal", "key_result", "checklist", "checklist_item", "comment", "webhook"] },
+          id: { type: "string" },
+          name: { type: "string", description: "Missing for comments, and for checklists, checklist items and key results given by ID only" },
+          path: { type: "string", description: "Space / Folder / List location" },
+          subtasks: { type: "integer", description: "Subtasks deleted with a task" },
+          folders: { type: "integer", description: "Folders deleted with a space" },
+          lists: { type: "integer", description: "Lists deleted with a folder or space" },
+          tasks: { type: "integer", description: "Tasks deleted with a list, folder or space" },
+          items: { type: "integer", description: "Items deleted with a checklist, or nested items deleted with a checklist item" },
+          key_results: { type: "integer", description: "Key results deleted with a goal" },
+          start: { type: "string", description: "Start of a time entry" },
+          duration: { type: "string", description: "Duration of a time entry" }
+        },
+        required: ["type", "id"]
+      }
+    }
+  },
+  required: ["confirmation_required", "tool", "confirmation_token", "expires_at", "message", "targets"]
+};
@@ -0,0 +1,137 @@
+/**
+ * SPDX-FileCopyrightText: © 2025 Talib Kareem <taazkareem@icloud.com>
+ * SPDX-License-Identifier: MIT
+ *
+ * ClickUp MCP Full-Text Search Tool
+ *
+ * This module defines a tool for searching the local full-text index of task
+ * names, descriptions, comments and custom field values.
+ */
+
+import { searchIndex, searchIndexSync } from '../search/index.js';
+import { sponsorService } from '../utils/sponsor-service.js';
+import { arraySource, collectPage, paginationInputProperties, paginationOutputProperties } from '../utils/pagination.js';
+import { Logger } from '../logger.js';
+
+const logger = new Logger('FullTextSearch');
+
+// Searches wait for an incremental refresh when the last one is older than this
+const MAX_INDEX_AGE_MS = 60 * 1000;
+
+/**
+ * Tool definition for full-text search
+ */
+export const fullTextSearchTool = {
+  name: "full_text_search",
+  description: `Searches task names, descriptions, comments and text custom fields in a local index of the workspace and returns the best matching tasks with highlighted snippets. Use it to find tasks by what was written in them (e.g. "the ticket where we discussed the S3 migration"); use search_tasks to filter by status, assignee, dates or location. Words are matched regardless of case and word form; wrap a phrase in double quotes to require it verbatim. The index is built on first use and updated incrementally; while the first build runs, results cover only the tasks indexed so far.`,
+  inputSchema: {
+    type: "object",
+    properties: {
+      query: {
+        type: "string",
+        description: "Words to search for, e.g. 'S3 migration \"bucket policy\"'"
+      },
+      limit: {
+        type: "number",
+        description: "Maximum number of results (default: 10, max: 50)"
+      },
+      ...paginationInputProperties
+    },
+    required: ["query"]
+  },
+  annotations: {
+    title: "Full-Text Search",
+    readOnlyHint: true,
+    openWorldHint: true
+  },
+  outputSchema: {
+    type: "object",
+    properties: {
+      query: { type: "string" },
+      count: { type: "integer", description: "Number of matching tasks, including those beyond the limit" },
+      results: {
+        type: "array",
+        items: {
+          type: "object",
+          properties: {
+            id: { type: "string" },
+            name: { type: "string" },
+            url: { type: "string" },
+            status: { type: "string" },
+            list: {
+              type: "object",
+              properties: { id: { type: "string" }, name: { type: "string" } }
+            },
+            score: { type: "number" },
+            snippets: {
+              type: "array",
+              items: {
+                type: "object",
+                properties: {
+                  field: { type: "string", enum: ["name", "description", "comment", "custom_field"] },
+                  text: { type: "string", description: "Excerpt with matching words wrapped in **" },
+                  comment_id: { type: "string" },
+                  custom_field: { type: "string" }
+                },
+                required: ["field", "text"]
+              }
+            }
+          },
+          required: ["id", "name", "score", "snippets"]
+        }
+      },
+      index: {
+        type: "object",
+        properties: {
+          tasks: { type: "integer" },
+          synced_at: { type: "string" },
+          building: { type: "boolean", description: "True while the index is being built or refreshed" },
+          last_error: { type: "string" }
+        },
+        required: ["tasks", "building"]
+      },
+      ...paginationOutputProperties
+    },
+    required: ["query", "count", "results", "index"]
+  }
+};
+
+/**
+ * Handler for the full_text_search tool
+ */
+export async function handleFullTextSearch(parameters: any) {
+  const { query, limit = 10 } = parameters || {};
+
+  if (!query || typeof query !== 'string' || !query.trim()) {
+    throw new Error("Query is required");
+  }
+  if (typeof limit !== 'number' || limit < 1) {
+    throw new Error("limit must be a positive number");
+  }
+
+  searchIndexSync.start();
+
+  try {
+    if (!searchIndexSync.isBuilt) {
+      // Building the index can take minutes; search what is indexed so far
+      searchIndexSync.refresh().catch(error => {
+        logger.error('Failed to build search index', { error: error.message });
+      });
+    } else if (searchIndexSync.refreshAge > MAX_INDEX_AGE_MS) {
+      await searchIndexSync.refresh();
+    }
+  } catch (error: any) {
+    // A stale index is still worth searching
+    logger.warn('Search index refresh failed, searching existing index', { error: error.message });
+  }
+
+  const { total, results } = searchIndex.search(query, Math.min(limit, 50));
+  const { items, ...paging } = await collectPage('full_text_search', parameters, arraySource(results));
+  return sponsorService.createResponse({
+    query,
+    count: total,
+    results: items,
+    index: searchIndexSync.getStatus(),
+    ...paging
+  }, true);
+}
@@ -0,0 +1,399 @@
+/**
+ * SPDX-FileCopyrightText: © 2025 Talib Kareem <taazkareem@icloud.com>
+ * SPDX-License-Identifier: MIT
+ *
+ * ClickUp MCP Space Tools
+ *
+ * This module defines space-related tools for creating, retrieving,
+ * updating, archiving, and deleting spaces, including toggling
+ * space features such as time tracking, tags, and due dates.
+ */
+
+import {
+  CreateSpaceData,
+  ClickUpSpace,
+  ClickUpSpaceFeatures
+} from '../services/clickup/types.js';
+import { clickUpServices } from '../services/shared.js';
+import { sponsorService } from '../utils/sponsor-service.js';
+import { successOutputSchema } from './output-schemas.js';
+
+// Use shared services instance
+const { workspace: workspaceService } = clickUpServices;
+
+// Space features that can be toggled through the tools
+const SPACE_FEATURE_NAMES: (keyof ClickUpSpaceFeatures)[] = [
+  'due_dates',
+  'time_tracking',
+  'tags',
+  'time_estimates',
+  'checklists',
+  'custom_fields',
+  'remap_dependencies',
+  'dependency_warning',
+  'portfolios'
+];
+
+// Shared schema for feature toggles
+const featuresSchema = {
+  type: "object",
+  description: "Features to enable (true) or disable (false). Omitted features are left unchanged on update and use ClickUp defaults on create.",
+  properties: Object.fromEntries(SPACE_FEATURE_NAMES.map(feature => [
+    feature,
+    {
+      type: "boolean",
+      description: `Enable or disable ${feature.replace(/_/g, ' ')}`
+    }
+  ]))
+};
+
+// Output schema for space details
+const spaceOutputSchema = {
+  type: "object",
+  properties: {
+    id: { type: "string" },
+    name: { type: "string" },
+    private: { type: "boolean" },
+    archived: { type: "boolean" },
+    multiple_assignees: { type: "boolean" },
+    statuses: { type: "array", items: { type: "string" } },
+    features: {
+      type: "object",
+      description: "Enabled state of each space feature",
+      additionalProperties: { type: "boolean" }
+    },
+    message: { type: "string" }
+  },
+  required: ["id", "name"]
+};
+
+/**
+ * Tool definition for creating a space
+ */
+export const createSpaceTool = {
+  name: "create_space",
+  description: `Creates a new space in the workspace. Optional: color, private, multiple_assignees and feature toggles (time tracking, tags, due dates, custom fields, etc.). Use create_folder/create_list to add structure afterwards.`,
+  inputSchema: {
+    type: "object",
+    properties: {
+      name: {
+        type: "string",
+        description: "Name of the space"
+      },
+      color: {
+        type: "string",
+        description: "Optional hex color for the space (e.g. '#7B68EE')"
+      },
+      private: {
+        type: "boolean",
+        description: "Whether the space is private"
+      },
+      multiple_assignees: {
+        type: "boolean",
+        description: "Whether tasks in the space can have multiple assignees"
+      },
+      features: featuresSchema
+    },
+    required: ["name"]
+  },
+  annotations: {
+    title: "Create Space",
+    readOnlyHint: false,
+    destructiveHint: false,
+    idempotentHint: false,
+    openWorldHint: false
+  },
+  outputSchema: spaceOutputSchema
+};
+
+/**
+ * Tool definition for retrieving space details
+ */
+export const getSpaceTool = {
+  name: "get_space",
+  description: `Gets space details including statuses and enabled features. Use spaceId (preferred) or spaceName.`,
+  inputSchema: {
+    type: "object",
+    properties: {
+      spaceId: {
+        type: "string",
+        description: "ID of space to retrieve (preferred). Use this instead of spaceName if you have it."
+      },
+      spaceName: {
+        type: "string",
+        description: "Name of space to retrieve. Only use if you don't have spaceId."
+      }
+    },
+    required: []
+  },
+  annotations: {
+    title: "Get Space",
+    readOnlyHint: true,
+    openWorldHint: false
+  },
+  outputSchema: spaceOutputSchema
+};
+
+/**
+ * Tool definition for updating a space
+ */
+export const updateSpaceTool = {
+  name: "update_space",
+  description: `Updates space properties, archives/unarchives it, or toggles features. Use spaceId (preferred) or spaceName. At least one update field required. Feature toggles are merged with the space's current features.`,
+  inputSchema: {
+    type: "object",
+    properties: {
+      spaceId: {
+        type: "string",
+        description: "ID of space to update (preferred). Use this instead of spaceName if you have it."
+      },
+      spaceName: {
+        type: "string",
+        description: "Name of space to update. Only use if you don't have spaceId."
+      },
+      name: {
+        type: "string",
+        description: "New name for the space"
+      },
+      color: {
+        type: "string",
+        description: "New hex color for the space (e.g. '#7B68EE')"
+      },
+      private: {
+        type: "boolean",
+        description: "Whether the space is private"
+      },
+      multiple_assignees: {
+        type: "boolean",
+        description: "Whether tasks in the space can have multiple assignees"
+      },
+      archived: {
+        type: "boolean",
+        description: "Set to true to archive the space or false to unarchive it"
+      },
+      features: featuresSchema
+    },
+    required: []
+  },
+  annotations: {
+    title: "Update Space",
+    readOnlyHint: false,
+    destructiveHint: true,
+    idempotentHint: true,
+    openWorldHint: false
+  },
+  outputSchema: spaceOutputSchema
+};
+
+/**
+ * Tool definition for deleting a space
+ */
+export const deleteSpaceTool = {
+  name: "delete_space",
+  description: `PERMANENTLY deletes space and all contents. Use spaceId (preferred/safest) or spaceName. WARNING: Cannot be undone, all folders/lists/tasks deleted. Consider update_space with archived=true instead.`,
+  inputSchema: {
+    type: "object",
+    properties: {
+      spaceId: {
+        type: "string",
+        description: "ID of space to delete (preferred). Use this instead of spaceName for safety."
+      },
+      spaceName: {
+        type: "string",
+        description: "Name of space to delete. Only use if you don't have spaceId."
+      }
+    },
+    required: []
+  },
+  annotations: {
+    title: "Delete Space",
+    readOnlyHint: false,
+    destructiveHint: true,
+    idempotentHint: true,
+    openWorldHint: false
+  },
+  outputSchema: successOutputSchema
+};
+
+/**
+ * Resolve a space ID from spaceId or spaceName parameters
+ */
+async function resolveSpaceId(spaceId?: string, spaceName?: string): Promise<string> {
+  if (spaceId) {
+    return spaceId;
+  }
+
+  if (spaceName) {
+    const spaceResult = await workspaceService.findSpaceByName(spaceName);
+    if (!spaceResult) {
+      throw new Error(`Space "${spaceName}" not found`);
+    }
+    return spaceResult.id;
+  }
+
+  throw new Error("Either spaceId or spaceName must be provided");
+}
+
+/**
+ * Convert boolean feature toggles into the nested format ClickUp expects,
+ * merging them into the existing features when provided
+ */
+function buildFeatures(
+  toggles: Record<string, boolean> | undefined,
+  current?: ClickUpSpaceFeatures
+): Partial<ClickUpSpaceFeatures> | undefined {
+  if (!toggles || Object.keys(toggles).length === 0) {
+    return current;
+  }
+
+  const features: Partial<ClickUpSpaceFeatures> = { ...(current || {}) };
+
+  for (const [feature, enabled] of Object.entries(toggles)) {
+    if (!SPACE_FEATURE_NAMES.includes(feature as keyof ClickUpSpaceFeatures)) {
+      throw new Error(`Unknown space feature "${feature}". Valid features: ${SPACE_FEATURE_NAMES.join(', ')}`);
+    }
+    features[feature] = { ...(features[feature] || {}), enabled: Boolean(enabled) };
+  }
+
+  return features;
+}
+
+/**
+ * Format a space for tool responses
+ */
+function formatSpace(space: ClickUpSpace) {
+  const features = space.features || {};
+
+  return {
+    id: space.id,
+    name: space.name,
+    private: space.private,
+    archived: space.archived,
+    multiple_assignees: space.multiple_assignees,
+    statuses: (space.statuses || []).map(status => status.status),
+    features: Object.fromEntries(
+      Object.entries(features).map(([feature, value]: [string, any]) => [feature, Boolean(value?.enabled)])
+    )
+  };
+}
+
+/**
+ * Handler for the create_space tool
+ * Creates a new space in the workspace
+ */
+export async function handleCreateSpace(parameters: any) {
+  const { name, color, multiple_assignees, features } = parameters;
+
+  // Validate required fields
+  if (!name) {
+    throw new Error("Space name is required");
+  }
+
+  // Prepare space data
+  const spaceData: CreateSpaceData = {
+    name
+  };
+
+  // Add optional fields if provided
+  if (color !== undefined) spaceData.color = color;
+  if (parameters.private !== undefined) spaceData.private = parameters.private;
+  if (multiple_assignees !== undefined) spaceData.multiple_assignees = multiple_assignees;
+  if (features !== undefined) spaceData.features = buildFeatures(features);
+
+  try {
+    // Create the space
+    const newSpace = await workspaceService.createSpace(spaceData);
+
+    return sponsorService.createResponse({
+      ...formatSpace(newSpace),
+      message: `Space "${newSpace.name}" created successfully`
+    }, true);
+  } catch (error: any) {
+    return sponsorService.createErrorResponse(`Failed to create space: ${error.message}`);
+  }
+}
+
+/**
+ * Handler for the get_space tool
+ * Retrieves details about a specific space
+ */
+export async function handleGetSpace(parameters: any) {
+  const { spaceId, spaceName } = parameters;
+
+  const targetSpaceId = await resolveSpaceId(spaceId, spaceName);
+
+  try {
+    // Get the space
+    const space = await workspaceService.getSpace(targetSpaceId);
+
+    return sponsorService.createResponse(formatSpace(space), true);
+  } catch (error: any) {
+    return sponsorService.createErrorResponse(`Failed to retrieve space: ${error.message}`);
+  }
+}
+
+/**
+ * Handler for the update_space tool
+ * Updates an existing space's properties, archive state, or features
+ */
+export async function handleUpdateSpace(parameters: any) {
+  const { spaceId, spaceName, name, color, multiple_assignees, archived, features } = parameters;
+
+  const targetSpaceId = await resolveSpaceId(spaceId, spaceName);
+
+  // Ensure at least one update field is provided
+  if (!name && color === undefined && parameters.private === undefined &&
+      multiple_assignees === undefined && archived === undefined && features === undefined) {
+    throw new Error("At least one of name, color, private, multiple_assignees, archived or features must be provided for update");
+  }
+
+  try {
+    // ClickUp expects the full feature set on update, so merge toggles into the current features
+    const currentSpace = await workspaceService.getSpace(targetSpaceId);
+
+    // Prepare update data
+    const updateData: Partial<CreateSpaceData> = {
+      name: name || currentSpace.name
+    };
+    if (color !== undefined) updateData.color = color;
+    if (parameters.private !== undefined) updateData.private = parameters.private;
+    if (multiple_assignees !== undefined) updateData.multiple_assignees = multiple_assignees;
+    if (archived !== undefined) updateData.archived = archived;
+    if (features !== undefined) updateData.features = buildFeatures(features, currentSpace.features);
+
+    // Update the space
+    const updatedSpace = await workspaceService.updateSpace(targetSpaceId, updateData);
+
+    return sponsorService.createResponse({
+      ...formatSpace(updatedSpace),
+      message: `Space "${updatedSpace.name}" updated successfully`
+    }, true);
+  } catch (error: any) {
+    return sponsorService.createErrorResponse(`Failed to update space: ${error.message}`);
+  }
+}
+
+/**
+ * Handler for the delete_space tool
+ * Permanently removes a space from the workspace
+ */
+export async function handleDeleteSpace(parameters: any) {
+  const { spaceId, spaceName } = parameters;
+
+  const targetSpaceId = await resolveSpaceId(spaceId, spaceName);
+
+  try {
+    // Get space details before deletion for confirmation message
+    const space = await workspaceService.getSpace(targetSpaceId);
+
+    // Delete the space
+    await workspaceService.deleteSpace(targetSpaceId);
+
+    return sponsorService.createResponse({
+      success: true,
+      message: `Space "${space.name || targetSpaceId}" deleted successfully`
+    }, true);
+  } catch (error: any) {
+    return sponsorService.createErrorResponse(`Failed to delete space: ${error.message}`);
+  }
+}
@@ -17,6 +17,8 @@ import { sponsorService } from '../utils/sponsor-service.js';
 import { ClickUpTag } from '../services/clickup/types.js';
 import { processColorCommand } from '../utils/color-processor.js';
 import { validateTaskIdentification } from './task/utilities.js';
+import { successOutputSchema } from './output-schemas.js';
+import { Page, arraySource, collectPage, paginationInputProperties, paginationOutputProperties } from '../utils/pagination.js';
 
 // Create a logger specific to tag tools
 const logger = new Logger('TagTools');
@@ -24,6 +26,27 @@ const logger = new Logger('TagTools');
 // Use shared services instance
 const { task: taskService } = clickUpServices;
 
+// Output schema for the tags of a space
+const spaceTagsOutputSchema = {
+  type: "object",
+  properties: {
+    tags: {
+      type: "array",
+      items: {
+        type: "object",
+        properties: {
+          name: { type: "string" },
+          tag_bg: { type: "string" },
+          tag_fg: { type: "string" }
+        }
+      }
+    },
+    count: { type: "integer" },
+    ...paginationOutputProperties
+  },
+  required: ["tags", "count"]
+};
+
 //=============================================================================
 // TOOL DEFINITIONS
 //=============================================================================
@@ -44,9 +67,16 @@ export const getSpaceTagsTool = {
       spaceName: {
         type: "string",
         description: "Name of the space to get tags from. Only use if you don't have spaceId."
-      }
+      },
+      ...paginationInputProperties
     }
-  }
+  },
+  annotations: {
+    title: "Get Space Tags",
+    readOnlyHint: true,
+    openWorldHint: false
+  },
+  outputSchema: spaceTagsOutputSchema
 };
 
 /**
@@ -226,7 +256,15 @@ export const addTagToTaskTool = {
       }
     },
     required: ["tagName"]
-  }
+  },
+  annotations: {
+    title: "Add Tag to Task",
+    readOnlyHint: false,
+    destructiveHint: false,
+    idempotentHint: true,
+    openWorldHint: false
+  },
+  outputSchema: successOutputSchema
 };
 
 /**
@@ -260,7 +298,15 @@ export const removeTagFromTaskTool = {
       }
     },
     required: ["tagName"]
-  }
+  },
+  annotations: {
+    title: "Remove Tag from Task",
+    readOnlyHint: false,
+    destructiveHint: true,
+    idempotentHint: true,
+    openWorldHint: false
+  },
+  outputSchema: successOutputSchema
 };
 
 //=============================================================================
@@ -304,10 +350,11 @@ function createHandlerWrapper<T>(
  * Wrapper for getSpaceTags handler
  */
 export const handleGetSpaceTags = createHandlerWrapper(
-  getSpaceTags,
-  (tags: ClickUpTag[]) => ({
-    tags: tags || [],
-    count: Array.isArray(tags) ? tags.length : 0
+  async (params): Promise<Page> => collectPage('get_space_tags', params, arraySource(await getSpaceTags(params) || [])),
+  ({ items, ...paging }) => ({
+    tags: items,
+    count: items.length,
+    ...paging
   })
 );
 
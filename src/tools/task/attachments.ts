@@ -51,6 +51,21 @@ setInterval(() => {
   }
 }, 3600 * 1000); // Check every hour
 
+// Output schema for direct, URL and chunked uploads
+const attachmentOutputSchema = {
+  type: "object",
+  properties: {
+    success: { type: "boolean" },
+    message: { type: "string" },
+    attachment: { description: "Uploaded attachment, or null while a chunked upload is in progress" },
+    chunk_session: { type: "string" },
+    chunks_total: { type: "integer" },
+    chunks_remaining: { type: "integer" },
+    details: { type: "object" }
+  },
+  required: ["success"]
+};
+
 /**
  * Single unified tool for attaching files to ClickUp tasks
  */
@@ -106,7 +121,15 @@ export const attachTaskFileTool = {
         description: "Optional: For advanced usage with large file chunking. Whether this is the final chunk."
       }
     }
-  }
+  },
+  annotations: {
+    title: "Attach File to Task",
+    readOnlyHint: false,
+    destructiveHint: false,
+    idempotentHint: false,
+    openWorldHint: true
+  },
+  outputSchema: attachmentOutputSchema
 };
 
 /**
@@ -32,7 +32,7 @@ const bulkService = new BulkService(taskService);
 //=============================================================================
 
 // Common schema definitions
-const bulkOptionsSchema = {
+export const bulkOptionsSchema = {
   oneOf: [
     {
       type: "object",
@@ -64,6 +64,12 @@ const bulkOptionsSchema = {
   description: "Processing options (or JSON string representing options)"
 };
 
+// Runs the operation as a background job
+const backgroundSchema = {
+  type: "boolean",
+  description: "Run as a background job and return its job_id at once instead of waiting for the result. Follow it with get_job_status; it continues after a server restart."
+};
+
 const taskIdentifierSchema = {
   taskId: {
     type: "string",
@@ -83,6 +89,25 @@ const taskIdentifierSchema = {
   }
 };
 
+// Output schema for bulk operation results
+const bulkResultOutputSchema = {
+  type: "object",
+  properties: {
+    successful: { type: "array", items: { description: "Created, updated or moved task (task ID for deletes)" } },
+    failed: { type: "array", items: { type: "object" } },
+    count: { type: "integer" },
+    success_count: { type: "integer" },
+    failure_count: { type: "integer" },
+    errors: { type: "array" },
+    cancelled: { type: "boolean", description: "True if the call was cancelled before all tasks were processed" },
+    skipped_count: { type: "integer" },
+    skipped: { type: "array", items: { type: "integer" }, description: "Indexes of the tasks that were not processed" },
+    job_id: { type: "string", description: "ID of the background job, when background was set" },
+    status: { type: "string", description: "Status of the background job" }
+  },
+  required: ["count", "success_count", "failure_count"]
+};
+
 //=============================================================================
 // BULK TASK OPERATION TOOLS
 //=============================================================================
@@ -92,7 +117,7 @@ const taskIdentifierSchema = {
  */
 export const createBulkTasksTool = {
   name: "create_bulk_tasks",
-  description: `Creates multiple tasks in one list. Use listId (preferred) or listName + array of tasks (each needs name). Configure batch size/concurrency via options. Tasks can have custom fields as {id, value} array and assignees as array of user IDs, emails, or usernames.`,
+  description: `Creates multiple tasks in one list. Use listId (preferred) or listName + array of tasks (each needs name). Configure batch size/concurrency via options; set background for large batches. Tasks can have custom fields as {id or name, value} array and assignees as array of user IDs, emails, or usernames.`,
   inputSchema: {
     type: "object",
     properties: {
@@ -142,11 +167,15 @@ export const createBulkTasksTool = {
                     type: "string",
                     description: "ID of the custom field"
                   },
+                  name: {
+                    type: "string",
+                    description: "Name of the custom field (case-insensitive). Used when id is not provided."
+                  },
                   value: {
-                    description: "Value for the custom field. Type depends on the field type."
+                    description: "Value for the custom field. Human values are converted for the field type: dropdown/label option names, natural language dates, amounts like '$1,200', member names or emails for people fields, task names or IDs for relationship fields."
                   }
                 },
-                required: ["id", "value"]
+                required: ["value"]
               },
               description: "Optional array of custom field values to set on the task."
             },
@@ -172,10 +201,19 @@ export const createBulkTasksTool = {
         type: "string",
         description: "Name of list for new tasks. Only use if you don't have listId."
       },
-      options: bulkOptionsSchema
+      options: bulkOptionsSchema,
+      background: backgroundSchema
     },
     required: ["tasks"]
-  }
+  },
+  annotations: {
+    title: "Create Tasks in Bulk",
+    readOnlyHint: false,
+    destructiveHint: false,
+    idempotentHint: false,
+    openWorldHint: false
+  },
+  outputSchema: bulkResultOutputSchema
 };
 
 /**
@@ -183,7 +221,7 @@ export const createBulkTasksTool = {
  */
 export const updateBulkTasksTool = {
   name: "update_bulk_tasks",
-  description: `Updates multiple tasks efficiently. For each task: use taskId (preferred) or taskName + listName. At least one update field per task. Supports assignees as array of user IDs, emails, or usernames. Configure batch size/concurrency via options. WARNING: taskName without listName will fail.`,
+  description: `Updates multiple tasks efficiently. For each task: use taskId (preferred) or taskName + listName. At least one update field per task. Supports assignees as array of user IDs, emails, or usernames. Configure batch size/concurrency via options; set background for large batches. WARNING: taskName without listName will fail.`,
   inputSchema: {
     type: "object",
     properties: {
@@ -244,11 +282,15 @@ export const updateBulkTasksTool = {
                     type: "string",
                     description: "ID of the custom field"
                   },
+                  name: {
+                    type: "string",
+                    description: "Name of the custom field (case-insensitive). Used when id is not provided."
+                  },
                   value: {
-                    description: "Value for the custom field. Type depends on the field type."
+                    description: "Value for the custom field. Human values are converted for the field type: dropdown/label option names, natural language dates, amounts like '$1,200', member names or emails for people fields, task names or IDs for relationship fields."
                   }
                 },
-                required: ["id", "value"]
+                required: ["value"]
               },
               description: "Optional array of custom field values to set on the task."
             },
@@ -265,10 +307,19 @@ export const updateBulkTasksTool = {
           }
         }
       },
-      options: bulkOptionsSchema
+      options: bulkOptionsSchema,
+      background: backgroundSchema
     },
     required: ["tasks"]
-  }
+  },
+  annotations: {
+    title: "Update Tasks in Bulk",
+    readOnlyHint: false,
+    destructiveHint: true,
+    idempotentHint: true,
+    openWorldHint: false
+  },
+  outputSchema: bulkResultOutputSchema
 };
 
 /**
@@ -276,7 +327,7 @@ export const updateBulkTasksTool = {
  */
 export const moveBulkTasksTool = {
   name: "move_bulk_tasks",
-  description: `Moves multiple tasks to one list. For each task: use taskId (preferred) or taskName + listName. Target list: use targetListId/Name. Configure batch size/concurrency via options. WARNING: Task statuses may reset, taskName needs listName.`,
+  description: `Moves multiple tasks to one list. For each task: use taskId (preferred) or taskName + listName. Target list: use targetListId/Name. Configure batch size/concurrency via options; set background for large batches. WARNING: Task statuses may reset, taskName needs listName.`,
   inputSchema: {
     type: "object",
     properties: {
@@ -313,10 +364,19 @@ export const moveBulkTasksTool = {
         type: "string",
         description: "Name of destination list. Only use if you don't have targetListId."
       },
-      options: bulkOptionsSchema
+      options: bulkOptionsSchema,
+      background: backgroundSchema
     },
     required: ["tasks"]
-  }
+  },
+  annotations: {
+    title: "Move Tasks in Bulk",
+    readOnlyHint: false,
+    destructiveHint: false,
+    idempotentHint: true,
+    openWorldHint: false
+  },
+  outputSchema: bulkResultOutputSchema
 };
 
 /**
@@ -324,7 +384,7 @@ export const moveBulkTasksTool = {
  */
 export const deleteBulkTasksTool = {
   name: "delete_bulk_tasks",
-  description: `PERMANENTLY deletes multiple tasks. For each task: use taskId (preferred/safest) or taskName + listName. Configure batch size/concurrency via options. WARNING: Cannot be undone, taskName without listName is dangerous.`,
+  description: `PERMANENTLY deletes multiple tasks. For each task: use taskId (preferred/safest) or taskName + listName. Configure batch size/concurrency via options; set background for large batches. WARNING: Cannot be undone, taskName without listName is dangerous.`,
   inputSchema: {
     type: "object",
     properties: {
@@ -353,8 +413,17 @@ export const deleteBulkTasksTool = {
           }
         }
       },
-      options: bulkOptionsSchema
+      options: bulkOptionsSchema,
+      background: backgroundSchema
     },
     required: ["tasks"]
-  }
+  },
+  annotations: {
+    title: "Delete Tasks in Bulk",
+    readOnlyHint: false,
+    destructiveHint: true,
+    idempotentHint: true,
+    openWorldHint: false
+  },
+  outputSchema: bulkResultOutputSchema
 };
\ No newline at end of file
@@ -0,0 +1,567 @@
+/**
+ * SPDX-FileCopyrightText: © 2025 Talib Kareem <taazkareem@icloud.com>
+ * SPDX-License-Identifier: MIT
+ *
+ * Task checklist tools
+ *
+ * This module provides tools for checklist operations on ClickUp tasks:
+ * - Create, rename, reorder and delete checklists
+ * - Add, rename, assign, resolve, nest and delete checklist items
+ */
+
+import { taskService } from "../../services/shared.js";
+import { ClickUpChecklist, ChecklistItemData } from "../../services/clickup/types.js";
+import { getTaskId, formatChecklists } from "./utilities.js";
+import { resolveAssignees } from "./handlers.js";
+import { Logger } from "../../logger.js";
+import { sponsorService } from "../../utils/sponsor-service.js";
+
+// Logger instance
+const logger = new Logger('ChecklistTools');
+
+// Task identification properties shared by all checklist tools
+const taskIdentificationProperties = {
+  taskId: {
+    type: "string",
+    description: "ID of the task that owns the checklist. Works with both regular task IDs and custom IDs."
+  },
+  taskName: {
+    type: "string",
+    description: "Name of the task that owns the checklist. When using this parameter, it's recommended to also provide listName."
+  },
+  listName: {
+    type: "string",
+    description: "Name of the list containing the task. Helps find the right task when using taskName."
+  },
+  customTaskId: {
+    type: "string",
+    description: "Custom task ID (e.g., 'DEV-1234'). Only use this for explicit custom ID lookup."
+  }
+};
+
+// Checklist identification properties for tools that act on an existing checklist
+const checklistIdentificationProperties = {
+  checklistId: {
+    type: "string",
+    description: "ID of the checklist (preferred). Returned by get_task and create_checklist."
+  },
+  checklistName: {
+    type: "string",
+    description: "Name of the checklist. Requires task identification (taskId, taskName or customTaskId)."
+  },
+  ...taskIdentificationProperties
+};
+
+// Checklist item identification properties
+const itemIdentificationProperties = {
+  itemId: {
+    type: "string",
+    description: "ID of the checklist item (preferred). Returned by get_task and the checklist tools."
+  },
+  itemName: {
+    type: "string",
+    description: "Name of the checklist item. Requires task identification (taskId, taskName or customTaskId)."
+  }
+};
+
+// Output schema shared by all checklist tools
+const checklistResultOutputSchema = {
+  type: "object",
+  properties: {
+    success: { type: "boolean" },
+    message: { type: "string" },
+    task_id: { type: "string" },
+    checklist_id: { type: "string" },
+    item_id: { type: "string" },
+    checklist: {
+      type: "object",
+      description: "Checklist with its items nested under their parent items"
+    }
+  },
+  required: ["success"]
+};
+
+/**
+ * Tool definition for creating a checklist
+ */
+export const createChecklistTool = {
+  name: "create_checklist",
+  description: "Creates a checklist on a task, optionally with items. Use taskId (preferred) or taskName + optional listName. Returns the checklist with item IDs for follow-up operations.",
+  inputSchema: {
+    type: "object",
+    properties: {
+      ...taskIdentificationProperties,
+      name: {
+        type: "string",
+        description: "REQUIRED: Name of the checklist."
+      },
+      items: {
+        type: "array",
+        items: {
+          type: "string"
+        },
+        description: "Optional names of items to add to the checklist, in order."
+      }
+    },
+    required: ["name"]
+  },
+  annotations: {
+    title: "Create Checklist",
+    readOnlyHint: false,
+    destructiveHint: false,
+    idempotentHint: false,
+    openWorldHint: false
+  },
+  outputSchema: checklistResultOutputSchema
+};
+
+/**
+ * Tool definition for updating a checklist
+ */
+export const updateChecklistTool = {
+  name: "update_checklist",
+  description: "Renames a checklist or moves it to a new position on its task. Use checklistId (preferred) or checklistName + task identification.",
+  inputSchema: {
+    type: "object",
+    properties: {
+      ...checklistIdentificationProperties,
+      name: {
+        type: "string",
+        description: "New name for the checklist."
+      },
+      position: {
+        type: "number",
+        description: "New zero-based position of the checklist among the task's checklists."
+      }
+    }
+  },
+  annotations: {
+    title: "Update Checklist",
+    readOnlyHint: false,
+    destructiveHint: true,
+    idempotentHint: true,
+    openWorldHint: false
+  },
+  outputSchema: checklistResultOutputSchema
+};
+
+/**
+ * Tool definition for deleting a checklist
+ */
+export const deleteChecklistTool = {
+  name: "delete_checklist",
+  description: "⚠️ PERMANENTLY deletes a checklist and all its items. Use checklistId (preferred) or checklistName + task identification.",
+  inputSchema: {
+    type: "object",
+    properties: {
+      ...checklistIdentificationProperties
+    }
+  },
+  annotations: {
+    title: "Delete Checklist",
+    readOnlyHint: false,
+    destructiveHint: true,
+    idempotentHint: true,
+    openWorldHint: false
+  },
+  outputSchema: checklistResultOutputSchema
+};
+
+/**
+ * Tool definition for adding a checklist item
+ */
+export const createChecklistItemTool = {
+  name: "create_checklist_item",
+  description: "Adds an item to a checklist. Use checklistId (preferred) or checklistName + task identification. Optional: assignee (user ID, email or username), resolved state and parentItemId to nest the item under another item. Setting resolved or parentItemId requires task identification.",
+  inputSchema: {
+    type: "object",
+    properties: {
+      ...checklistIdentificationProperties,
+      name: {
+        type: "string",
+        description: "REQUIRED: Name of the checklist item."
+      },
+      assignee: {
+        oneOf: [
+          { type: "number" },
+          { type: "string" }
+        ],
+        description: "Optional user ID, email or username to assign the item to."
+      },
+      resolved: {
+        type: "boolean",
+        description: "Optional: set to true to create the item already resolved."
+      },
+      parentItemId: {
+        type: "string",
+        description: "Optional ID of another item in the same checklist to nest this item under."
+      }
+    },
+    required: ["name"]
+  },
+  annotations: {
+    title: "Create Checklist Item",
+    readOnlyHint: false,
+    destructiveHint: false,
+    idempotentHint: false,
+    openWorldHint: false
+  },
+  outputSchema: checklistResultOutputSchema
+};
+
+/**
+ * Tool definition for updating a checklist item
+ */
+export const updateChecklistItemTool = {
+  name: "update_checklist_item",
+  description: "Renames, assigns, resolves/unresolves or nests a checklist item. Use checklistId + itemId (preferred) or checklistName/itemName + task identification. At least one update field required.",
+  inputSchema: {
+    type: "object",
+    properties: {
+      ...checklistIdentificationProperties,
+      ...itemIdentificationProperties,
+      name: {
+        type: "string",
+        description: "New name for the item."
+      },
+      assignee: {
+        oneOf: [
+          { type: "number" },
+          { type: "string" },
+          { type: "null" }
+        ],
+        description: "User ID, email or username to assign the item to. Use null to unassign."
+      },
+      resolved: {
+        type: "boolean",
+        description: "Set to true to resolve the item or false to reopen it."
+      },
+      parentItemId: {
+        oneOf: [
+          { type: "string" },
+          { type: "null" }
+        ],
+        description: "ID of another item in the same checklist to nest this item under. Use null to move it back to the top level."
+      }
+    }
+  },
+  annotations: {
+    title: "Update Checklist Item",
+    readOnlyHint: false,
+    destructiveHint: true,
+    idempotentHint: true,
+    openWorldHint: false
+  },
+  outputSchema: checklistResultOutputSchema
+};
+
+/**
+ * Tool definition for deleting a checklist item
+ */
+export const deleteChecklistItemTool = {
+  name: "delete_checklist_item",
+  description: "⚠️ PERMANENTLY deletes a checklist item and any nested items. Use checklistId + itemId (preferred) or checklistName/itemName + task identification.",
+  inputSchema: {
+    type: "object",
+    properties: {
+      ...checklistIdentificationProperties,
+      ...itemIdentificationProperties
+    }
+  },
+  annotations: {
+    title: "Delete Checklist Item",
+    readOnlyHint: false,
+    destructiveHint: true,
+    idempotentHint: true,
+    openWorldHint: false
+  },
+  outputSchema: checklistResultOutputSchema
+};
+
+/**
+ * Resolve the task ID from the standard task identification parameters
+ */
+async function resolveTaskId(params: any): Promise<string> {
+  return await getTaskId(params.taskId, params.taskName, params.listName, params.customTaskId);
+}
+
+/**
+ * Resolve a checklist (and, when needed, the task's checklists) from tool parameters
+ */
+export async function resolveChecklist(params: any): Promise<{ checklistId: string; checklist?: ClickUpChecklist; taskId?: string }> {
+  const hasTask = params.taskId || params.taskName || params.customTaskId;
+
+  // With the task given, the checklist is looked up on it, which also locates it for access policies
+  if (params.checklistId && !params.itemName && !hasTask) {
+    return { checklistId: params.checklistId };
+  }
+
+  if (!hasTask) {
+    throw new Error(params.checklistId
+      ? "Task identification (taskId, taskName or customTaskId) is required when using itemName"
+      : "Either checklistId or checklistName + task identification must be provided");
+  }
+
+  const taskId = await resolveTaskId(params);
+  const checklists = await taskService.getTaskChecklists(taskId);
+
+  let checklist: ClickUpChecklist | undefined;
+  if (params.checklistId) {
+    checklist = checklists.find(c => c.id === params.checklistId);
+  } else if (params.checklistName) {
+    const target = params.checklistName.trim().toLowerCase();
+    checklist = checklists.find(c => c.name.trim().toLowerCase() === target);
+  } else if (checklists.length === 1) {
+    checklist = checklists[0];
+  } else {
+    throw new Error("Either checklistId or checklistName must be provided");
+  }
+
+  if (!checklist) {
+    const available = checklists.map(c => c.name).join(', ') || 'none';
+    throw new Error(`Checklist "${params.checklistName || params.checklistId}" not found on task. Available checklists: ${available}`);
+  }
+
+  return { checklistId: checklist.id, checklist, taskId };
+}
+
+/**
+ * Resolve a checklist item ID from tool parameters
+ */
+export function resolveItemId(params: any, checklist?: ClickUpChecklist): string {
+  if (params.itemId) {
+    return params.itemId;
+  }
+
+  if (!params.itemName) {
+    throw new Error("Either itemId or itemName must be provided");
+  }
+
+  const target = params.itemName.trim().toLowerCase();
+  const matches = (checklist?.items || []).filter(item => item.name.trim().toLowerCase() === target);
+
+  if (matches.length === 0) {
+    throw new Error(`Checklist item "${params.itemName}" not found in checklist "${checklist?.name}"`);
+  }
+  if (matches.length > 1) {
+    throw new Error(`Multiple checklist items named "${params.itemName}" found. Please use itemId to disambiguate.`);
+  }
+
+  return matches[0].id;
+}
+
+/**
+ * Resolve an assignee (user ID, email or username) to a user ID.
+ * Returns null when explicitly unassigning and undefined when not provided.
+ */
+async function resolveChecklistAssignee(assignee: any): Promise<number | null | undefined> {
+  if (assignee === undefined) return undefined;
+  if (assignee === null) return null;
+
+  const [userId] = await resolveAssignees([assignee]);
+  if (userId === undefined) {
+    throw new Error(`Could not resolve assignee "${assignee}" to a workspace member`);
+  }
+  return userId;
+}
+
+/**
+ * Format a checklist for tool responses
+ */
+function formatChecklist(checklist: ClickUpChecklist) {
+  return formatChecklists([checklist])[0];
+}
+
+/**
+ * Handle create checklist tool
+ */
+export async function handleCreateChecklist(params: any) {
+  logger.info("Handling request to create checklist", params);
+
+  try {
+    if (!params.name) {
+      return sponsorService.createErrorResponse("Checklist name is required");
+    }
+
+    const taskId = await resolveTaskId(params);
+    let checklist = await taskService.createChecklist(taskId, params.name);
+
+    for (const itemName of params.items || []) {
+      checklist = await taskService.createChecklistItem(checklist.id, { name: itemName });
+    }
+
+    return sponsorService.createResponse({
+      success: true,
+      message: `Checklist "${params.name}" created successfully`,
+      task_id: taskId,
+      checklist: formatChecklist(checklist)
+    }, true);
+  } catch (error) {
+    logger.error("Error creating checklist", error);
+    return sponsorService.createErrorResponse((error as Error).message || "An unknown error occurred");
+  }
+}
+
+/**
+ * Handle update checklist tool
+ */
+export async function handleUpdateChecklist(params: any) {
+  logger.info("Handling request to update checklist", params);
+
+  try {
+    if (params.name === undefined && params.position === undefined) {
+      return sponsorService.createErrorResponse("At least one of name or position must be provided");
+    }
+
+    const { checklistId } = await resolveChecklist(params);
+    await taskService.updateChecklist(checklistId, {
+      name: params.name,
+      position: params.position
+    });
+
+    return sponsorService.createResponse({
+      success: true,
+      message: "Checklist updated successfully",
+      checklist_id: checklistId
+    }, true);
+  } catch (error) {
+    logger.error("Error updating checklist", error);
+    return sponsorService.createErrorResponse((error as Error).message || "An unknown error occurred");
+  }
+}
+
+/**
+ * Handle delete checklist tool
+ */
+export async function handleDeleteChecklist(params: any) {
+  logger.info("Handling request to delete checklist", params);
+
+  try {
+    const { checklistId } = await resolveChecklist(params);
+    await taskService.deleteChecklist(checklistId);
+
+    return sponsorService.createResponse({
+      success: true,
+      message: "Checklist deleted successfully",
+      checklist_id: checklistId
+    }, true);
+  } catch (error) {
+    logger.error("Error deleting checklist", error);
+    return sponsorService.createErrorResponse((error as Error).message || "An unknown error occurred");
+  }
+}
+
+/**
+ * Handle create checklist item tool
+ */
+export async function handleCreateChecklistItem(params: any) {
+  logger.info("Handling request to create checklist item", params);
+
+  try {
+    if (!params.name) {
+      return sponsorService.createErrorResponse("Checklist item name is required");
+    }
+
+    const { checklistId, checklist: checklistBefore } = await resolveChecklist(params);
+    // The new item is found by the ID it adds to the checklist, which needs the items before the call
+    if ((params.resolved !== undefined || params.parentItemId) && !checklistBefore) {
+      throw new Error("Task identification (taskId, taskName or customTaskId) is required to set resolved or parentItemId on a new item");
+    }
+
+    const itemData: ChecklistItemData = {
+      name: params.name,
+      assignee: await resolveChecklistAssignee(params.assignee),
+      resolved: params.resolved,
+      parent: params.parentItemId
+    };
+
+    const checklist = await taskService.createChecklistItem(checklistId, itemData, checklistBefore?.items);
+
+    return sponsorService.createResponse({
+      success: true,
+      message: `Item "${params.name}" added to checklist`,
+      checklist: formatChecklist(checklist)
+    }, true);
+  } catch (error) {
+    logger.error("Error creating checklist item", error);
+    return sponsorService.createErrorResponse((error as Error).message || "An unknown error occurred");
+  }
+}
+
+/**
+ * Handle update checklist item tool
+ */
+export async function handleUpdateChecklistItem(params: any) {
+  logger.info("Handling request to update checklist item", params);
+
+  try {
+    if (params.name === undefined && params.assignee === undefined && params.resolved === undefined &&
+        params.parentItemId === undefined) {
+      return sponsorService.createErrorResponse("At least one of name, assignee, resolved or parentItemId must be provided");
+    }
+
+    const { checklistId, checklist } = await resolveChecklist(params);
+    const itemId = resolveItemId(params, checklist);
+
+    const checklistAfter = await taskService.updateChecklistItem(checklistId, itemId, {
+      name: params.name,
+      assignee: await resolveChecklistAssignee(params.assignee),
+      resolved: params.resolved,
+      parent: params.parentItemId
+    });
+
+    return sponsorService.createResponse({
+      success: true,
+      message: "Checklist item updated successfully",
+      item_id: itemId,
+      checklist: formatChecklist(checklistAfter)
+    }, true);
+  } catch (error) {
+    logger.error("Error updating checklist item", error);
+    return sponsorService.createErrorResponse((error as Error).message || "An unknown error occurred");
+  }
+}
+
+/**
+ * Handle delete checklist item tool
+ */
+export async function handleDeleteChecklistItem(params: any) {
+  logger.info("Handling request to delete checklist item", params);
+
+  try {
+    const { checklistId, checklist } = await resolveChecklist(params);
+    const itemId = resolveItemId(params, checklist);
+
+    await taskService.deleteChecklistItem(checklistId, itemId);
+
+    return sponsorService.createResponse({
+      success: true,
+      message: "Checklist item deleted successfully",
+      checklist_id: checklistId,
+      item_id: itemId
+    }, true);
+  } catch (error) {
+    logger.error("Error deleting checklist item", error);
+    return sponsorService.createErrorResponse((error as Error).message || "An unknown error occurred");
+  }
+}
+
+// Export all checklist tools
+export const checklistTools = [
+  createChecklistTool,
+  updateChecklistTool,
+  deleteChecklistTool,
+  createChecklistItemTool,
+  updateChecklistItemTool,
+  deleteChecklistItemTool
+];
+
+// Export all checklist handlers
+export const checklistHandlers = {
+  create_checklist: handleCreateChecklist,
+  update_checklist: handleUpdateChecklist,
+  delete_checklist: handleDeleteChecklist,
+  create_checklist_item: handleCreateChecklistItem,
+  update_checklist_item: handleUpdateChecklistItem,
+  delete_checklist_item: handleDeleteChecklistItem
+};
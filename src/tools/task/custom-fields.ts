@@ -0,0 +1,409 @@
+/**
+ * SPDX-FileCopyrightText: © 2025 Talib Kareem <taazkareem@icloud.com>
+ * SPDX-License-Identifier: MIT
+ *
+ * Task custom field tools
+ *
+ * This module provides custom field discovery and type-aware value coercion:
+ * - Get custom field definitions (type and options) for a list
+ * - Resolve custom fields by name and convert human values (dropdown labels,
+ *   natural language dates, money, member names, task names) into the
+ *   payload shape ClickUp expects
+ */
+
+import { listService, workspaceService } from "../../services/shared.js";
+import { ClickUpCustomField } from "../../services/clickup/types.js";
+import { CustomFieldValue } from "../../services/clickup/task/task-custom-fields.js";
+import { parseDueDate } from "../../utils/date-utils.js";
+import { getTaskId, resolveListIdWithValidation } from "./utilities.js";
+import { Logger } from "../../logger.js";
+import { sponsorService } from "../../utils/sponsor-service.js";
+import { arraySource, collectPage, paginationInputProperties, paginationOutputProperties } from "../../utils/pagination.js";
+
+// Logger instance
+const logger = new Logger('CustomFieldTools');
+
+// Field types whose values are computed by ClickUp and cannot be set
+const READ_ONLY_FIELD_TYPES = ['formula', 'automatic_progress', 'rollup', 'attachment'];
+
+/**
+ * Custom field input as accepted from tool parameters.
+ * Either id or name identifies the field.
+ */
+export interface CustomFieldInput {
+  id?: string;
+  name?: string;
+  value: any;
+}
+
+// Output schema for custom field definitions of a list
+const listCustomFieldsOutputSchema = {
+  type: "object",
+  properties: {
+    list_id: { type: "string" },
+    count: { type: "integer" },
+    custom_fields: {
+      type: "array",
+      items: {
+        type: "object",
+        properties: {
+          id: { type: "string" },
+          name: { type: "string" },
+          type: { type: "string" }
+        }
+      }
+    },
+    ...paginationOutputProperties
+  },
+  required: ["list_id", "count", "custom_fields"]
+};
+
+/**
+ * Tool definition for getting the custom fields of a list
+ */
+export const getListCustomFieldsTool = {
+  name: "get_list_custom_fields",
+  description: "Gets the custom field definitions available on a list, including each field's type and options (dropdown/label choices). Use listId (preferred) or listName. Use the returned names or IDs with custom_fields in create_task/update_task.",
+  inputSchema: {
+    type: "object",
+    properties: {
+      listId: {
+        type: "string",
+        description: "ID of the list to get custom fields for."
+      },
+      listName: {
+        type: "string",
+        description: "Name of the list to get custom fields for. Used when listId is not provided."
+      },
+      ...paginationInputProperties
+    }
+  },
+  annotations: {
+    title: "Get List Custom Fields",
+    readOnlyHint: true,
+    openWorldHint: false
+  },
+  outputSchema: listCustomFieldsOutputSchema
+};
+
+/**
+ * Format a custom field definition for tool responses
+ */
+function formatCustomFieldDefinition(field: ClickUpCustomField) {
+  const config = field.type_config || {};
+  const options = Array.isArray(config.options)
+    ? config.options.map(option => ({ id: option.id, name: option.name ?? option.label }))
+    : undefined;
+
+  return {
+    id: field.id,
+    name: field.name,
+    type: field.type,
+    required: field.required || false,
+    ...(options ? { options } : {}),
+    ...(config.currency_type ? { currency: config.currency_type } : {}),
+    ...(config.precision !== undefined ? { precision: config.precision } : {}),
+    ...(config.count !== undefined ? { max: config.count } : {}),
+    ...(READ_ONLY_FIELD_TYPES.includes(field.type) ? { read_only: true } : {})
+  };
+}
+
+/**
+ * Handle get list custom fields tool
+ */
+export async function handleGetListCustomFields(params: any) {
+  logger.info("Handling request to get list custom fields", params);
+
+  try {
+    const listId = await resolveListIdWithValidation(params.listId, params.listName);
+    const fields = await listService.getListCustomFields(listId);
+    const { items, ...paging } = await collectPage('get_list_custom_fields', params, arraySource(fields), formatCustomFieldDefinition);
+
+    return sponsorService.createResponse({
+      list_id: listId,
+      count: items.length,
+      custom_fields: items,
+      ...paging
+    }, true);
+  } catch (error) {
+    logger.error("Error getting list custom fields", error);
+    return sponsorService.createErrorResponse((error as Error).message || "An unknown error occurred");
+  }
+}
+
+//=============================================================================
+// VALUE COERCION
+//=============================================================================
+
+/**
+ * Normalize a value that may be a single item, an array, or a comma separated string into an array
+ */
+function toArray(value: any): any[] {
+  if (Array.isArray(value)) return value;
+  if (typeof value === 'string') {
+    return value.split(',').map(part => part.trim()).filter(part => part.length > 0);
+  }
+  return [value];
+}
+
+/**
+ * Find a dropdown or label option by ID, name/label or orderindex
+ */
+function findOption(field: ClickUpCustomField, input: any) {
+  const options = field.type_config?.options || [];
+  const text = String(input).trim().toLowerCase();
+
+  const option = options.find(o => o.id === input) ||
+    options.find(o => (o.name ?? o.label ?? '').trim().toLowerCase() === text) ||
+    (typeof input === 'number' ? options.find(o => o.orderindex === input) : undefined);
+
+  if (!option) {
+    const valid = options.map(o => `"${o.name ?? o.label}"`).join(', ') || 'none';
+    throw new Error(`Invalid option "${input}" for field "${field.name}". Valid options: ${valid}`);
+  }
+
+  return option;
+}
+
+// A decimal number whose thousands separators, if any, group every three digits
+const NUMBER_PATTERN = /^[+-]?(?:\d{1,3}(?:,\d{3})+|\d+|(?=\.\d))(?:\.\d+)?$/;
+
+/**
+ * Parse a number from a value, allowing a currency symbol before or after the
+ * amount, thousands separators and a trailing percent sign
+ */
+function parseNumber(field: ClickUpCustomField, value: any): number {
+  let parsed = NaN;
+  if (typeof value === 'number') {
+    parsed = value;
+  } else if (typeof value === 'string') {
+    const text = value.trim()
+      .replace(/^([+-]?)\s*\p{Sc}\s*/u, '$1')
+      .replace(/\s*(?:\p{Sc}|%)$/u, '');
+    if (NUMBER_PATTERN.test(text)) {
+      parsed = Number(text.replace(/,/g, ''));
+    }
+  }
+
+  if (!isFinite(parsed)) {
+    throw new Error(`Invalid number "${value}" for field "${field.name}"`);
+  }
+  return parsed;
+}
+
+/**
+ * Parse a boolean from common human representations
+ */
+function parseBoolean(field: ClickUpCustomField, value: any): boolean {
+  if (typeof value === 'boolean') return value;
+
+  const text = String(value).trim().toLowerCase();
+  if (['true', 'yes', 'y', '1', 'checked', 'on', 'done'].includes(text)) return true;
+  if (['false', 'no', 'n', '0', 'unchecked', 'off'].includes(text)) return false;
+
+  throw new Error(`Invalid checkbox value "${value}" for field "${field.name}". Use true or false.`);
+}
+
+/**
+ * Resolve member inputs (IDs, emails, usernames) to user IDs
+ */
+async function resolveMemberIds(field: ClickUpCustomField, inputs: any[]): Promise<number[]> {
+  let members: any[] | null = null;
+  const ids: number[] = [];
+
+  for (const input of inputs) {
+    if (typeof input === 'number' || /^\d+$/.test(String(input))) {
+      ids.push(Number(input));
+      continue;
+    }
+
+    members = members || await workspaceService.getWorkspaceMembers();
+    const text = String(input).trim().toLowerCase();
+    const member = members.find((m: any) =>
+      m.email?.toLowerCase() === text ||
+      m.username?.toLowerCase() === text ||
+      m.name?.toLowerCase() === text
+    );
+
+    if (!member) {
+      throw new Error(`Could not find workspace member "${input}" for field "${field.name}"`);
+    }
+    ids.push(member.id);
+  }
+
+  return ids;
+}
+
+/**
+ * Resolve task inputs (IDs, custom IDs or names) to task IDs
+ */
+async function resolveTaskIds(field: ClickUpCustomField, inputs: any[]): Promise<string[]> {
+  const ids: string[] = [];
+
+  for (const input of inputs) {
+    const text = String(input).trim();
+
+    // Try the input as a task ID first, then fall back to a name lookup
+    try {
+      ids.push(await getTaskId(text));
+      continue;
+    } catch (error) {
+      logger.debug(`"${text}" is not a task ID, searching by name`);
+    }
+
+    try {
+      ids.push(await getTaskId(undefined, text));
+    } catch (error) {
+      throw new Error(`Could not find task "${input}" for relationship field "${field.name}": ${error.message}`);
+    }
+  }
+
+  return ids;
+}
+
+/**
+ * Build an add/remove payload for people and relationship fields.
+ * Values already in { add, rem } form are passed through.
+ */
+async function buildAddRemove(value: any, resolve: (inputs: any[]) => Promise<any[]>) {
+  if (value && typeof value === 'object' && !Array.isArray(value) && ('add' in value || 'rem' in value)) {
+    return {
+      add: await resolve(toArray(value.add || [])),
+      rem: await resolve(toArray(value.rem || []))
+    };
+  }
+
+  return { add: await resolve(toArray(value)), rem: [] };
+}
+
+/**
+ * Convert a human value into the payload ClickUp expects for the given field type
+ *
+ * @param field The custom field definition
+ * @param value The value as provided by the caller
+ * @returns The value (and optional value_options) to send to ClickUp
+ * @throws Error with a descriptive message if the value is invalid for the field
+ */
+export async function coerceCustomFieldValue(
+  field: ClickUpCustomField,
+  value: any
+): Promise<Omit<CustomFieldValue, 'id'>> {
+  if (READ_ONLY_FIELD_TYPES.includes(field.type)) {
+    throw new Error(`Field "${field.name}" (${field.type}) is read-only and cannot be set`);
+  }
+
+  // null clears the value for every settable type
+  if (value === null) {
+    return { value: null };
+  }
+
+  switch (field.type) {
+    case 'drop_down':
+      return { value: findOption(field, value).id };
+
+    case 'labels':
+      return { value: toArray(value).map(item => findOption(field, item).id) };
+
+    case 'date': {
+      if (typeof value === 'number') {
+        return { value };
+      }
+      let timestamp: number | undefined;
+      try {
+        timestamp = parseDueDate(String(value));
+      } catch (error) {
+        timestamp = undefined;
+      }
+      if (!timestamp) {
+        throw new Error(`Invalid date "${value}" for field "${field.name}". Use a timestamp or natural language like "next friday".`);
+      }
+      // Keep the time component only when the input mentions one
+      const hasTime = /\d{1,2}:\d{2}|\b(am|pm|hour|minute|now)\b/i.test(String(value));
+      return hasTime ? { value: timestamp, value_options: { time: true } } : { value: timestamp };
+    }
+
+    case 'number':
+    case 'currency':
+      return { value: parseNumber(field, value) };
+
+    case 'emoji': {
+      const rating = parseNumber(field, value);
+      const max = field.type_config?.count;
+      if (!Number.isInteger(rating) || rating < 0 || (max !== undefined && rating > max)) {
+        throw new Error(`Invalid rating "${value}" for field "${field.name}". Use a whole number between 0 and ${max ?? 5}.`);
+      }
+      return { value: rating };
+    }
+
+    case 'manual_progress':
+      return { value: { current: parseNumber(field, typeof value === 'object' ? value.current : value) } };
+
+    case 'checkbox':
+      return { value: parseBoolean(field, value) };
+
+    case 'users':
+      return { value: await buildAddRemove(value, inputs => resolveMemberIds(field, inputs)) };
+
+    case 'tasks':
+      return { value: await buildAddRemove(value, inputs => resolveTaskIds(field, inputs)) };
+
+    case 'list_relationship':
+      return { value: await buildAddRemove(value, async inputs => inputs.map(String)) };
+
+    case 'email': {
+      const email = String(value).trim();
+      if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+        throw new Error(`Invalid email "${value}" for field "${field.name}"`);
+      }
+      return { value: email };
+    }
+
+    case 'short_text':
+    case 'text':
+    case 'url':
+    case 'phone':
+      return { value: String(value) };
+
+    default:
+      return { value };
+  }
+}
+
+/**
+ * Resolve custom field inputs against a list's field definitions.
+ * Fields may be identified by ID or by name (case-insensitive); values are coerced
+ * according to the field type.
+ *
+ * @param listId ID of the list the task belongs to
+ * @param customFields Custom field inputs from tool parameters
+ * @param definitions Optional pre-fetched field definitions for the list (avoids refetching in bulk operations)
+ * @returns Custom field values ready to send to ClickUp
+ */
+export async function resolveCustomFieldValues(
+  listId: string,
+  customFields: CustomFieldInput[],
+  definitions?: ClickUpCustomField[]
+): Promise<CustomFieldValue[]> {
+  if (!Array.isArray(customFields) || customFields.length === 0) {
+    return [];
+  }
+
+  definitions = definitions || await listService.getListCustomFields(listId);
+
+  return Promise.all(customFields.map(async (input) => {
+    const lookup = input.id || input.name;
+    if (!lookup) {
+      throw new Error("Each custom field must have either an id or a name");
+    }
+
+    const field = definitions.find(def => def.id === input.id) ||
+      definitions.find(def => def.name.trim().toLowerCase() === String(lookup).trim().toLowerCase());
+
+    if (!field) {
+      const available = definitions.map(def => `"${def.name}"`).join(', ') || 'none';
+      throw new Error(`Custom field "${lookup}" not found on list. Available fields: ${available}`);
+    }
+
+    return { id: field.id, ...(await coerceCustomFieldValue(field, input.value)) };
+  }));
+}
@@ -0,0 +1,567 @@
+/**
+ * SPDX-FileCopyrightText: © 2025 Talib Kareem <taazkareem@icloud.com>
+ * SPDX-License-Identifier: MIT
+ *
+ * Task export tool
+ *
+ * This module exports the tasks selected by get_workspace_tasks filters:
+ * - CSV with one column per custom field, JSON Lines, a Markdown table or
+ *   checklist, or iCalendar events on due dates
+ * - A configurable column set, with comments on request
+ * - Written to a local file or returned inline
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import config from '../../config.js';
+import { clickUpServices } from '../../services/shared.js';
+import { ClickUpTask } from '../../services/clickup/types.js';
+import { processBatch } from '../../utils/concurrency-utils.js';
+import { formatDelimited } from '../../utils/csv-utils.js';
+import { CalendarEvent, formatCalendar } from '../../utils/ical-utils.js';
+import { DEFAULT_MAX_TOKENS } from '../../utils/pagination.js';
+import { estimateTokensFromText } from '../../utils/token-utils.js';
+import { isInsideDirectory } from '../../utils/path-utils.js';
+import { getToolContext } from '../../utils/tool-context.js';
+import { sponsorService } from '../../utils/sponsor-service.js';
+import { withRequestPriority } from '../../services/clickup/rate-limiter.js';
+import { getDryRunRecorder } from '../../services/clickup/dry-run.js';
+import { getWorkspaceTaskSource } from './handlers.js';
+import { getWorkspaceTasksTool } from './workspace-operations.js';
+import { formatDuration } from './time-tracking.js';
+import { taskToCalendarEvent } from '../../calendar/events.js';
+import { Logger } from '../../logger.js';
+
+// Logger instance
+const logger = new Logger('TaskExport');
+
+const { task: taskService } = clickUpServices;
+
+// Tasks exported by one call
+const MAX_EXPORT_TASKS = 10000;
+
+// Comment pages of 25 fetched per task, newest first
+const MAX_COMMENT_PAGES = 4;
+
+const EXPORT_FORMATS = ['csv', 'jsonl', 'markdown', 'ics'];
+
+// File extension of each format, for file_path without one
+const FORMAT_EXTENSIONS: Record<string, string> = { csv: '.csv', jsonl: '.jsonl', markdown: '.md', ics: '.ics' };
+
+// Exports are only written inside this directory
+const exportDirectory = path.resolve(config.exportDir || path.join(os.homedir(), '.clickup-mcp', 'exports'));
+
+type ColumnValue = string | string[] | number | null;
+
+/**
+ * A standard column of the export
+ */
+interface ExportColumn {
+  label: string;
+  value: (task: ClickUpTask) => ColumnValue;
+}
+
+/**
+ * Format a ClickUp millisecond timestamp string as an ISO date-time
+ */
+function formatTimestamp(value: string | number | null | undefined): string | null {
+  const timestamp = Number(value);
+  return value && !isNaN(timestamp) ? new Date(timestamp).toISOString() : null;
+}
+
+const COLUMNS: Record<string, ExportColumn> = {
+  id: { label: 'ID', value: task => task.id },
+  custom_id: { label: 'Custom ID', value: task => task.custom_id || null },
+  name: { label: 'Name', value: task => task.name },
+  description: { label: 'Description', value: task => task.text_content || task.description || null },
+  status: { label: 'Status', value: task => task.status?.status || null },
+  priority: { label: 'Priority', value: task => task.priority?.priority || null },
+  assignees: { label: 'Assignees', value: task => (task.assignees || []).map(user => user.email || user.username) },
+  tags: { label: 'Tags', value: task => (task.tags || []).map(tag => tag.name) },
+  due_date: { label: 'Due Date', value: task => formatTimestamp(task.due_date) },
+  start_date: { label: 'Start Date', value: task => formatTimestamp(task.start_date) },
+  date_created: { label: 'Date Created', value: task => formatTimestamp(task.date_created) },
+  date_updated: { label: 'Date Updated', value: task => formatTimestamp(task.date_updated) },
+  date_closed: { label: 'Date Closed', value: task => formatTimestamp(task.date_closed) },
+  time_estimate: { label: 'Time Estimate', value: task => task.time_estimate ? formatDuration(task.time_estimate) : null },
+  time_spent: { label: 'Time Spent', value: task => task.time_spent ? formatDuration(task.time_spent) : null },
+  creator: { label: 'Creator', value: task => task.creator?.username || null },
+  list: { label: 'List', value: task => task.list?.name || null },
+  folder: { label: 'Folder', value: task => task.folder?.name || null },
+  space: { label: 'Space', value: task => task.space?.name || null },
+  parent: { label: 'Parent', value: task => task.parent || null },
+  url: { label: 'URL', value: task => task.url || null }
+};
+
+const DEFAULT_COLUMNS = ['id', 'name', 'status', 'priority', 'assignees', 'tags', 'due_date', 'start_date', 'list', 'parent', 'url', 'custom_fields'];
+
+// Filters of get_workspace_tasks; paging and detail parameters do not apply to exports
+const workspaceTaskFilterProperties = Object.fromEntries(
+  Object.entries(getWorkspaceTasksTool.inputSchema.properties)
+    .filter(([key]) => !['page', 'detail_level', 'cursor', 'max_tokens', 'fields'].includes(key))
+);
+
+/**
+ * Tool definition for exporting tasks
+ */
+export const exportTasksTool = {
+  name: "export_tasks",
+  description: `Exports the tasks selected by get_workspace_tasks filters (at least one filter is required) as CSV with a column per custom field, JSON Lines, a Markdown table or checklist, or iCalendar (.ics) events on due dates. Writes to file_path, or returns the content inline when it fits in a response. Set subtasks to include subtasks and include_comments to add comments. Choose columns with columns; custom fields by name.`,
+  inputSchema: {
+    type: "object",
+    properties: {
+      format: {
+        type: "string",
+        enum: EXPORT_FORMATS,
+        description: "Export format: csv, jsonl (one JSON object per line), markdown, or ics (tasks without a due date are left out)"
+      },
+      columns: {
+        type: "array",
+        items: { type: "string" },
+        description: `Columns in order. Standard columns: ${Object.keys(COLUMNS).join(', ')}. custom_fields adds every custom field of the exported tasks; any other name adds the custom field of that name. Default: ${DEFAULT_COLUMNS.join(', ')}`
+      },
+      include_comments: {
+        type: "boolean",
+        description: "Add the comments of each task, oldest first (up to 100 per task)"
+      },
+      markdown_style: {
+        type: "string",
+        enum: ["table", "checklist"],
+        description: "Markdown as a table (default) or a checklist with subtasks nested under their parents"
+      },
+      file_path: {
+        type: "string",
+        description: "File to write, relative to the export directory (EXPORT_DIR) or an absolute path inside it. Existing files are never overwritten. The format's extension is added when the path has none. Omit to return the content inline."
+      },
+      ...workspaceTaskFilterProperties
+    },
+    required: ["format"]
+  },
+  annotations: {
+    title: "Export Tasks",
+    // Writes a new file with file_path, but never overwrites one
+    readOnlyHint: false,
+    destructiveHint: false,
+    idempotentHint: false,
+    openWorldHint: false
+  },
+  outputSchema: {
+    type: "object",
+    properties: {
+      format: { type: "string" },
+      count: { type: "integer", description: "Number of exported tasks" },
+      columns: { type: "array", items: { type: "string" } },
+      file_path: { type: "string", description: "Written file, when file_path was given" },
+      bytes: { type: "integer" },
+      content: { type: "string", description: "Exported content, when no file_path was given" },
+      truncated: { type: "boolean", description: `True if more than ${MAX_EXPORT_TASKS} tasks matched and only the first ones were exported` },
+      without_due_date: { type: "integer", description: "Tasks left out of an ics export because they have no due date" }
+    },
+    required: ["format", "count", "columns", "bytes"]
+  }
+};
+
+/**
+ * A resolved column: a standard column, or a custom field by name
+ */
+interface ResolvedColumn {
+  key: string;
+  label: string;
+  value: (task: ClickUpTask) => ColumnValue;
+  customField?: boolean;
+}
+
+/**
+ * Custom field values of a task
+ */
+function getCustomFields(task: ClickUpTask): any[] {
+  return Array.isArray(task.custom_fields) ? task.custom_fields : [];
+}
+
+/**
+ * Human value of a custom field, as shown in ClickUp
+ */
+function formatCustomFieldValue(field: any): ColumnValue {
+  const value = field?.value;
+  if (value === undefined || value === null || value === '') return null;
+
+  const options: any[] = field.type_config?.options || [];
+  const names = (items: any) => (Array.isArray(items) ? items : [items]);
+
+  switch (field.type) {
+    case 'drop_down': {
+      const option = options.find(candidate => candidate.id === value || candidate.orderindex === Number(value));
+      return option?.name ?? String(value);
+    }
+    case 'labels':
+      return names(value).map(id => {
+        const option = options.find(candidate => candidate.id === id);
+        return option?.label || option?.name || String(id);
+      });
+    case 'users':
+      return names(value).map(user => user?.email || user?.username || String(user?.id ?? user));
+    case 'tasks':
+    case 'list_relationship':
+      return names(value).map(item => item?.name || String(item?.id ?? item));
+    case 'date':
+      return formatTimestamp(value);
+    case 'checkbox':
+      return String(value === true || value === 'true');
+    case 'manual_progress':
+    case 'automatic_progress':
+      return value.percent_completed !== undefined ? `${value.percent_completed}%` : String(value.current ?? '');
+    case 'location':
+      return value.formatted_address || null;
+    default:
+      return typeof value === 'object' ? JSON.stringify(value) : value;
+  }
+}
+
+/**
+ * Resolve the requested columns against the exported tasks
+ * @throws Error for a column that is neither standard nor a custom field of the tasks
+ */
+function resolveColumns(requested: string[] | undefined, tasks: ClickUpTask[], includeComments: boolean): ResolvedColumn[] {
+  if (requested !== undefined && (!Array.isArray(requested) || requested.some(column => typeof column !== 'string' || !column))) {
+    throw new Error("columns must be an array of column names");
+  }
+
+  // Custom field names in order of first appearance
+  const fieldNames: string[] = [];
+  for (const task of tasks) {
+    for (const field of getCustomFields(task)) {
+      if (field?.name && !fieldNames.includes(field.name)) fieldNames.push(field.name);
+    }
+  }
+
+  const customColumn = (name: string): ResolvedColumn => ({
+    key: name,
+    label: name,
+    customField: true,
+    value: task => formatCustomFieldValue(getCustomFields(task).find(field => field?.name === name))
+  });
+
+  const columns: ResolvedColumn[] = [];
+  for (const key of requested?.length ? requested : DEFAULT_COLUMNS) {
+    if (COLUMNS[key]) {
+      columns.push({ key, ...COLUMNS[key] });
+    } else if (key === 'custom_fields') {
+      columns.push(...fieldNames.map(customColumn));
+    } else {
+      const name = fieldNames.find(fieldName => fieldName.toLowerCase() === key.trim().toLowerCase());
+      if (!name && tasks.length > 0) {
+        throw new Error(`Unknown column "${key}". Use a standard column (${Object.keys(COLUMNS).join(', ')}), custom_fields, or the name of a custom field of the exported tasks`);
+      }
+      columns.push(customColumn(name || key));
+    }
+  }
+
+  if (includeComments) {
+    columns.push({ key: 'comments', label: 'Comments', value: () => null });
+  }
+  return columns.filter((column, index) => columns.findIndex(other => other.label === column.label) === index);
+}
+
+/**
+ * Comments of a task, oldest first
+ */
+async function fetchComments(taskId: string): Promise<{ user: string; date: string; text: string }[]> {
+  const comments: { user: string; date: string; text: string }[] = [];
+  let start: number | undefined;
+  let startId: string | undefined;
+
+  for (let page = 0; page < MAX_COMMENT_PAGES; page++) {
+    const batch = await taskService.getTaskComments(taskId, start, startId);
+    for (const comment of batch) {
+      comments.push({
+        user: comment.user?.username || comment.user?.email || '',
+        date: formatTimestamp(comment.date) || '',
+        text: comment.comment_text || ''
+      });
+    }
+    if (batch.length < 25) break;
+
+    const oldest = batch[batch.length - 1];
+    start = Number(oldest.date);
+    startId = String(oldest.id);
+  }
+
+  return comments.reverse();
+}
+
+/**
+ * Fetch the tasks selected by the filters, up to MAX_EXPORT_TASKS
+ */
+async function fetchTasks(params: Record<string, any>): Promise<{ tasks: ClickUpTask[]; truncated: boolean }> {
+  const source = await getWorkspaceTaskSource(taskService, params);
+  const reportProgress = getToolContext()?.reportProgress;
+  const tasks = new Map<string, ClickUpTask>();
+
+  for (let position: number | undefined = source.start; position !== undefined;) {
+    const { items, next } = await source.fetch(position);
+    for (const task of items) {
+      if (tasks.size >= MAX_EXPORT_TASKS) {
+        return { tasks: [...tasks.values()], truncated: true };
+      }
+      tasks.set(task.id, task);
+    }
+    reportProgress?.(tasks.size, undefined, `Fetched ${tasks.size} tasks`);
+    position = next;
+  }
+
+  return { tasks: [...tasks.values()], truncated: false };
+}
+
+/**
+ * Text of a value in a single cell
+ */
+function toCell(value: ColumnValue): string {
+  if (value === null || value === undefined) return '';
+  return Array.isArray(value) ? value.join(', ') : String(value);
+}
+
+/**
+ * Text of the comments of a task in a single cell
+ */
+function formatCommentsCell(comments: { user: string; date: string; text: string }[] = []): string {
+  return comments.map(comment => `${comment.user} (${comment.date}): ${comment.text}`).join('\n\n');
+}
+
+type CommentsByTask = Map<string, { user: string; date: string; text: string }[]>;
+
+function formatCsv(tasks: ClickUpTask[], columns: ResolvedColumn[], comments: CommentsByTask): string {
+  return formatDelimited([
+    columns.map(column => column.label),
+    ...tasks.map(task => columns.map(column =>
+      column.key === 'comments' && !column.customField ? formatCommentsCell(comments.get(task.id)) : toCell(column.value(task))
+    ))
+  ], ',');
+}
+
+function formatJsonLines(tasks: ClickUpTask[], columns: ResolvedColumn[], comments: CommentsByTask): string {
+  return tasks.map(task => {
+    const record: Record<string, any> = {};
+    const customFields: Record<string, ColumnValue> = {};
+    for (const column of columns) {
+      if (column.customField) {
+        customFields[column.label] = column.value(task);
+      } else if (column.key === 'comments') {
+        record.comments = comments.get(task.id) || [];
+      } else {
+        record[column.key] = column.value(task);
+      }
+    }
+    if (Object.keys(customFields).length > 0) {
+      record.custom_fields = customFields;
+    }
+    return JSON.stringify(record) + '\n';
+  }).join('');
+}
+
+/**
+ * Escape a value for a Markdown table cell
+ */
+function escapeMarkdownCell(text: string): string {
+  return text.replace(/\|/g, '\\|').replace(/\r?\n/g, '<br>');
+}
+
+function formatMarkdownTable(tasks: ClickUpTask[], columns: ResolvedColumn[], comments: CommentsByTask): string {
+  const row = (cells: string[]) => `| ${cells.map(escapeMarkdownCell).join(' | ')} |`;
+  return [
+    row(columns.map(column => column.label)),
+    row(columns.map(() => '---')),
+    ...tasks.map(task => row(columns.map(column =>
+      column.key === 'comments' && !column.customField ? formatCommentsCell(comments.get(task.id)) : toCell(column.value(task))
+    )))
+  ].join('\n') + '\n';
+}
+
+/**
+ * Markdown checklist with subtasks nested under their parents. Closed tasks are checked.
+ */
+function formatMarkdownChecklist(tasks: ClickUpTask[], columns: ResolvedColumn[], comments: CommentsByTask): string {
+  const exported = new Set(tasks.map(task => task.id));
+  const children = new Map<string, ClickUpTask[]>();
+  for (const task of tasks) {
+    const parent = task.parent && exported.has(task.parent) ? task.parent : '';
+    children.set(parent, [...(children.get(parent) || []), task]);
+  }
+
+  const lines: string[] = [];
+  const write = (task: ClickUpTask, depth: number) => {
+    const indent = '  '.repeat(depth);
+    const done = ['closed', 'done'].includes(task.status?.type);
+    const details = columns
+      .filter(column => column.key !== 'name' && column.key !== 'comments')
+      .map(column => ({ label: column.label, text: toCell(column.value(task)) }))
+      .filter(({ text }) => text)
+      .map(({ label, text }) => `${label}: ${text.replace(/\r?\n/g, ' ')}`);
+
+    lines.push(`${indent}- [${done ? 'x' : ' '}] ${task.name}${details.length > 0 ? ` (${details.join('; ')})` : ''}`);
+    for (const comment of comments.get(task.id) || []) {
+      lines.push(`${indent}  > ${comment.user} (${comment.date}): ${comment.text.replace(/\r?\n/g, ' ')}`);
+    }
+    for (const child of children.get(task.id) || []) {
+      write(child, depth + 1);
+    }
+  };
+
+  for (const task of children.get('') || []) {
+    write(task, 0);
+  }
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * iCalendar events on the due dates of tasks; a task with an earlier start date spans from it
+ */
+function formatIcs(tasks: ClickUpTask[], columns: ResolvedColumn[], comments: CommentsByTask): string {
+  const events: CalendarEvent[] = tasks.filter(task => Number(task.due_date)).map(task => {
+    const details = columns
+      .filter(column => !['name', 'url', 'comments'].includes(column.key) || column.customField)
+      .map(column => ({ label: column.label, text: toCell(column.value(task)) }))
+      .filter(({ text }) => text)
+      .map(({ label, text }) => `${label}: ${text}`);
+    const taskComments = formatCommentsCell(comments.get(task.id));
+
+    return taskToCalendarEvent(task, [...details, ...(taskComments ? ['', taskComments] : [])].join('\n'));
+  });
+
+  return formatCalendar('ClickUp tasks', events);
+}
+
+/**
+ * Resolve file_path against the export directory
+ * @throws Error if the path lies outside the export directory
+ */
+function resolveExportPath(filePath: string, format: string): string {
+  let resolved = path.resolve(exportDirectory, filePath);
+  if (!path.extname(resolved)) resolved += FORMAT_EXTENSIONS[format];
+
+  if (!isInsideDirectory(exportDirectory, resolved)) {
+    throw new Error(`file_path must be inside the export directory ${exportDirectory}: ${filePath}`);
+  }
+  return resolved;
+}
+
+/**
+ * Write an export to a new file. Existing files are never overwritten, and
+ * symbolic links cannot lead the write outside the export directory.
+ */
+function writeExportFile(filePath: string, content: string): void {
+  const directory = path.dirname(filePath);
+  fs.mkdirSync(directory, { recursive: true });
+
+  const realDirectory = fs.realpathSync(directory);
+  const realExportDirectory = fs.realpathSync(exportDirectory);
+  if (realDirectory !== realExportDirectory && !isInsideDirectory(realExportDirectory, realDirectory)) {
+    throw new Error(`file_path must be inside the export directory ${exportDirectory}`);
+  }
+
+  try {
+    // 'wx' fails if the file, or a symbolic link, already exists at the path
+    fs.writeFileSync(filePath, content, { encoding: 'utf8', flag: 'wx' });
+  } catch (error) {
+    if (error.code === 'EEXIST') {
+      throw new Error(`${filePath} already exists; choose another file_path`);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Export tasks
+ * @param params Tool parameters
+ * @returns Export summary, with the content when no file is written
+ */
+async function exportTasks(params: any) {
+  const { format, markdown_style: markdownStyle = 'table', include_comments: includeComments = false } = params;
+  if (!EXPORT_FORMATS.includes(format)) {
+    throw new Error(`format must be one of: ${EXPORT_FORMATS.join(', ')}`);
+  }
+  if (!['table', 'checklist'].includes(markdownStyle)) {
+    throw new Error("markdown_style must be one of: table, checklist");
+  }
+
+  const filePath = params.file_path ? resolveExportPath(params.file_path, format) : undefined;
+
+  const { tasks, truncated } = await fetchTasks(params);
+  const columns = resolveColumns(params.columns, tasks, includeComments);
+  logger.info(`Exporting ${tasks.length} tasks as ${format}`, { columns: columns.length, includeComments, truncated });
+
+  const comments: CommentsByTask = new Map();
+  if (includeComments && tasks.length > 0) {
+    // Comments are fetched behind interactive requests, like other bulk work
+    const batch = await withRequestPriority('bulk', () => processBatch(
+      format === 'ics' ? tasks.filter(task => Number(task.due_date)) : tasks,
+      async task => comments.set(task.id, await fetchComments(task.id)),
+      { continueOnError: false, signal: getToolContext()?.signal }
+    ));
+    if (batch.cancelled) {
+      throw new Error('Export cancelled');
+    }
+    if (batch.failed.length > 0) {
+      const { item, error } = batch.failed[0];
+      throw new Error(`Failed to get comments of task ${item.id}: ${error.message}`);
+    }
+  }
+
+  let content: string;
+  switch (format) {
+    case 'csv':
+      content = formatCsv(tasks, columns, comments);
+      break;
+    case 'jsonl':
+      content = formatJsonLines(tasks, columns, comments);
+      break;
+    case 'markdown':
+      content = markdownStyle === 'checklist'
+        ? formatMarkdownChecklist(tasks, columns, comments)
+        : formatMarkdownTable(tasks, columns, comments);
+      break;
+    default:
+      content = formatIcs(tasks, columns, comments);
+  }
+
+  const result: Record<string, any> = {
+    format,
+    count: tasks.length,
+    columns: columns.map(column => column.label),
+    bytes: Buffer.byteLength(content, 'utf8'),
+    ...(truncated ? { truncated: true } : {}),
+    ...(format === 'ics' ? { without_due_date: tasks.filter(task => !Number(task.due_date)).length } : {})
+  };
+
+  if (filePath) {
+    // A dry run reports the file it would write
+    if (getDryRunRecorder()) {
+      if (fs.existsSync(filePath)) {
+        throw new Error(`${filePath} already exists; choose another file_path`);
+      }
+      return { ...result, file_path: filePath };
+    }
+
+    writeExportFile(filePath, content);
+    logger.info(`Wrote export to ${filePath}`, { bytes: result.bytes });
+    return { ...result, file_path: filePath };
+  }
+
+  const tokens = estimateTokensFromText(content);
+  if (tokens > DEFAULT_MAX_TOKENS) {
+    throw new Error(`The export is about ${tokens} tokens, more than fits in a response (${DEFAULT_MAX_TOKENS}). Pass file_path to write it to a file, or narrow the filters.`);
+  }
+  return { ...result, content };
+}
+
+/**
+ * Handle the export_tasks tool
+ */
+export async function handleExportTasks(params: any) {
+  try {
+    return sponsorService.createResponse(await exportTasks(params || {}), true);
+  } catch (error) {
+    logger.error("Error exporting tasks", error);
+    return sponsorService.createErrorResponse(`Failed to export tasks: ${(error as Error).message}`);
+  }
+}
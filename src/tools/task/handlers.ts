@@ -8,10 +8,10 @@
  * and bulk operations. These handlers are used by the tool definitions.
  */
 
-import { ClickUpComment, ClickUpTask, TaskPriority, UpdateTaskData, TaskFilters, toTaskPriority, CreateTaskData, TaskSummary } from '../../services/clickup/types.js';
+import { ClickUpComment, ClickUpTask, TaskPriority, UpdateTaskData, TaskFilters, toTaskPriority, CreateTaskData, TaskSummary, ClickUpCustomField, ClickUpChecklist, ChecklistChange } from '../../services/clickup/types.js';
 import { clickUpServices } from '../../services/shared.js';
 import { BulkService } from '../../services/clickup/bulk.js';
-import { BatchResult } from '../../utils/concurrency-utils.js';
+import { BatchProcessingOptions, BatchResult } from '../../utils/concurrency-utils.js';
 import { parseDueDate } from '../utils.js';
 import {
   validateTaskIdentification,
@@ -20,7 +20,11 @@ import {
   validateBulkTasks,
   parseBulkOptions,
   resolveListIdWithValidation,
-  formatTaskData
+  formatTaskData,
+  formatChecklists,
+  formatDependencies,
+  formatLinkedTasks,
+  getRelatedTaskIds
 } from './utilities.js';
 import { TaskService } from '../../services/clickup/task/task-service.js';
 import { ExtendedTaskFilters } from '../../services/clickup/types.js';
@@ -29,6 +33,21 @@ import { findListIDByName } from '../list.js';
 import { workspaceService } from '../../services/shared.js';
 import { isNameMatch } from '../../utils/resolver-utils.js';
 import { Logger } from '../../logger.js';
+import { resolveCustomFieldValues } from './custom-fields.js';
+import { Page, PageSource, arraySource, collectPage } from '../../utils/pagination.js';
+import { JobOperation, JobSummary, jobManager, toJobOptions } from '../../jobs/index.js';
+import { getDryRunRecorder } from '../../services/clickup/dry-run.js';
+import { getToolContext } from '../../utils/tool-context.js';
+import {
+  ParsedTaskQuery,
+  ResolvedTaskQueryTerm,
+  TaskQueryTerm,
+  parseTaskQuery,
+  resolveQueryDateRange,
+  normalizeQueryPriority,
+  matchesQueryTerm,
+  formatQueryTerm
+} from '../../utils/task-query.js';
 
 // Use shared services instance
 const { task: taskService, list: listService } = clickUpServices;
@@ -39,8 +58,11 @@ const bulkService = new BulkService(taskService);
 // Create a logger instance for task handlers
 const logger = new Logger('TaskHandlers');
 
-// Token limit constant for workspace tasks
-const WORKSPACE_TASKS_TOKEN_LIMIT = 50000;
+// ClickUp returns at most this many tasks per page
+const TASKS_PAGE_SIZE = 100;
+
+// ClickUp returns at most this many comments per page
+const COMMENTS_PAGE_SIZE = 25;
 
 // Cache for task context between sequential operations
 const taskContextCache = new Map<string, { id: string, timestamp: number }>();
@@ -112,7 +134,7 @@ function parseTimeEstimate(timeEstimate: string | number): number {
 /**
  * Resolve assignees from mixed input (user IDs, emails, usernames) to user IDs
  */
-async function resolveAssignees(assignees: (number | string)[]): Promise<number[]> {
+export async function resolveAssignees(assignees: (number | string)[]): Promise<number[]> {
   if (!assignees || !Array.isArray(assignees) || assignees.length === 0) {
     return [];
   }
@@ -449,6 +471,26 @@ function findTaskByName(tasks, name) {
   return bestMatches[0].task;
 }
 
+/**
+ * Look up names of tasks related through dependencies or links so they can be
+ * shown in readable form. Lookups that fail are skipped and the ID is shown alone.
+ */
+async function resolveRelatedTaskNames(task: ClickUpTask): Promise<Record<string, string>> {
+  const relatedIds = getRelatedTaskIds(task);
+  const taskNames: Record<string, string> = {};
+
+  await Promise.all(relatedIds.map(async (id) => {
+    try {
+      const related = await taskService.getTask(id);
+      taskNames[id] = related.name;
+    } catch (error) {
+      logger.debug(`Could not resolve name for related task ${id}`, { error: error.message });
+    }
+  }));
+
+  return taskNames;
+}
+
 /**
  * Handler for getting a task - uses the consolidated findTask function
  */
@@ -462,11 +504,19 @@ export async function getTaskHandler(params) {
       includeSubtasks: params.subtasks
     });
 
+    const taskNames = await resolveRelatedTaskNames(result.task);
+    const task = {
+      ...result.task,
+      checklists: formatChecklists(result.task.checklists),
+      dependencies: formatDependencies(result.task, taskNames),
+      linked_tasks: formatLinkedTasks(result.task, taskNames)
+    };
+
     if (result.subtasks) {
-      return { ...result.task, subtasks: result.subtasks };
+      return { ...task, subtasks: result.subtasks };
     }
 
-    return result.task;
+    return task;
   } catch (error) {
     throw error;
   }
@@ -563,7 +613,8 @@ export async function createTaskHandler(params) {
     tags,
     custom_fields,
     check_required_custom_fields,
-    assignees
+    assignees,
+    checklists
   } = params;
 
   if (!name) throw new Error("Task name is required");
@@ -589,6 +640,11 @@ export async function createTaskHandler(params) {
     resolvedAssignees = await resolveAssignees(assigneesArray);
   }
 
+  // Resolve custom fields by name and coerce human values for their field types
+  const resolvedCustomFields = custom_fields
+    ? (await resolveCustomFieldValues(listId, custom_fields)).map(({ id, value }) => ({ id, value }))
+    : undefined;
+
   const taskData: CreateTaskData = {
     name,
     description,
@@ -596,7 +652,7 @@ export async function createTaskHandler(params) {
     status,
     parent,
     tags,
-    custom_fields,
+    custom_fields: resolvedCustomFields,
     check_required_custom_fields,
     assignees: resolvedAssignees
   };
@@ -618,11 +674,133 @@ export async function createTaskHandler(params) {
     taskData.start_date_time = true;
   }
 
-  return await taskService.createTask(listId, taskData);
+  const task = await taskService.createTask(listId, taskData);
+
+  // Checklists can only be added once the task exists
+  if (Array.isArray(checklists) && checklists.length > 0) {
+    for (const checklist of checklists) {
+      const created = await taskService.createChecklist(task.id, checklist.name);
+      for (const itemName of checklist.items || []) {
+        await taskService.createChecklistItem(created.id, { name: itemName });
+      }
+    }
+    // A dry-run task does not exist to be fetched again
+    return getDryRunRecorder() ? task : await taskService.getTask(task.id);
+  }
+
+  return task;
 }
 
 
 
+/**
+ * Find a checklist or checklist item by ID, or else by name (case-insensitive)
+ * @throws Error if the name matches more than one
+ */
+function findByIdOrName<T extends { id: string; name: string }>(candidates: T[], id?: string, name?: string): T | undefined {
+  if (id) {
+    return candidates.find(candidate => candidate.id === id);
+  }
+  if (!name) {
+    return undefined;
+  }
+
+  const target = name.trim().toLowerCase();
+  const matches = candidates.filter(candidate => candidate.name.trim().toLowerCase() === target);
+  if (matches.length > 1) {
+    throw new Error(`Multiple checklists or items named "${name}" found. Please use their ID to disambiguate.`);
+  }
+  return matches[0];
+}
+
+/**
+ * Apply the checklist changes of update_task to a task, in order
+ */
+async function applyChecklistChanges(taskService: TaskService, taskId: string, changes: ChecklistChange[]): Promise<void> {
+  const checklists = await taskService.getTaskChecklists(taskId);
+
+  for (const change of changes) {
+    if (!change.checklistId && !change.name) {
+      throw new Error("Each checklist change needs a checklistId or name");
+    }
+
+    let checklist: ClickUpChecklist | undefined = findByIdOrName(checklists, change.checklistId, change.name);
+
+    if (change.delete) {
+      if (!checklist) {
+        throw new Error(`Checklist "${change.checklistId || change.name}" not found on task`);
+      }
+      await taskService.deleteChecklist(checklist.id);
+      continue;
+    }
+
+    if (checklist) {
+      if (change.rename !== undefined || change.position !== undefined) {
+        await taskService.updateChecklist(checklist.id, { name: change.rename, position: change.position });
+      }
+    } else if (change.checklistId) {
+      throw new Error(`Checklist "${change.checklistId}" not found on task`);
+    } else {
+      checklist = await taskService.createChecklist(taskId, change.rename || change.name);
+      checklist.items = checklist.items || [];
+      if (change.position !== undefined) {
+        await taskService.updateChecklist(checklist.id, { position: change.position });
+      }
+    }
+
+    for (const itemChange of change.items || []) {
+      if (!itemChange.itemId && !itemChange.name) {
+        throw new Error(`Each item change of checklist "${checklist.name}" needs an itemId or name`);
+      }
+
+      const item = findByIdOrName(checklist.items, itemChange.itemId, itemChange.name);
+
+      if (itemChange.delete) {
+        if (!item) {
+          throw new Error(`Checklist item "${itemChange.itemId || itemChange.name}" not found in checklist "${checklist.name}"`);
+        }
+        await taskService.deleteChecklistItem(checklist.id, item.id);
+        checklist.items = checklist.items.filter(candidate => candidate.id !== item.id && candidate.parent !== item.id);
+        continue;
+      }
+
+      if (!item && itemChange.itemId) {
+        throw new Error(`Checklist item "${itemChange.itemId}" not found in checklist "${checklist.name}"`);
+      }
+
+      let assignee: number | null | undefined;
+      if (itemChange.assignee === null) {
+        assignee = null;
+      } else if (itemChange.assignee !== undefined) {
+        [assignee] = await resolveAssignees([itemChange.assignee]);
+        if (assignee === undefined) {
+          throw new Error(`Could not resolve assignee "${itemChange.assignee}" to a workspace member`);
+        }
+      }
+
+      let updated: ClickUpChecklist;
+      if (item) {
+        if (itemChange.rename === undefined && assignee === undefined &&
+            itemChange.resolved === undefined) {
+          continue;
+        }
+        updated = await taskService.updateChecklistItem(checklist.id, item.id, {
+          name: itemChange.rename,
+          assignee,
+          resolved: itemChange.resolved
+        });
+      } else {
+        updated = await taskService.createChecklistItem(checklist.id, {
+          name: itemChange.rename || itemChange.name,
+          assignee,
+          resolved: itemChange.resolved
+        }, checklist.items);
+      }
+      checklist.items = updated?.items || checklist.items;
+    }
+  }
+}
+
 /**
  * Handler for updating a task
  */
@@ -633,9 +811,11 @@ export async function updateTaskHandler(
     taskName?: string;
     listName?: string;
     customTaskId?: string;
+    checklists?: ChecklistChange[];
   }
 ): Promise<ClickUpTask> {
-  const { taskId, taskName, listName, customTaskId, ...rawUpdateData } = params;
+  const { taskId, taskName, listName, customTaskId, checklists, ...rawUpdateData } = params;
+  const hasChecklistChanges = Array.isArray(checklists) && checklists.length > 0;
 
   // Validate task identification with global lookup enabled
   const validationResult = validateTaskIdentification(params, { useGlobalLookup: true });
@@ -646,13 +826,29 @@ export async function updateTaskHandler(
   // Build properly formatted update data from raw parameters (now async)
   const updateData = await buildUpdateData(rawUpdateData);
 
-  // Validate update data
-  validateTaskUpdateData(updateData);
+  // Validate update data (checklist changes alone are a valid update)
+  if (!hasChecklistChanges || Object.keys(updateData).length > 0) {
+    validateTaskUpdateData(updateData);
+  }
 
   try {
     // Get the task ID using global lookup
     const id = await getTaskId(taskId, taskName, listName, customTaskId);
-    return await taskService.updateTask(id, updateData);
+
+    // Custom field definitions are per list, so look up the task's list before coercing values
+    if (updateData.custom_fields && updateData.custom_fields.length > 0) {
+      const task = await taskService.getTask(id);
+      updateData.custom_fields = await resolveCustomFieldValues(task.list.id, updateData.custom_fields);
+    }
+
+    const task = Object.keys(updateData).length > 0 ? await taskService.updateTask(id, updateData) : undefined;
+    if (!hasChecklistChanges) {
+      return task;
+    }
+
+    await applyChecklistChanges(taskService, id, checklists);
+    // Fetch the task again so its checklists are current; a dry-run update is not visible there
+    return task && getDryRunRecorder() ? task : await taskService.getTask(id);
   } catch (error) {
     throw new Error(`Failed to update task: ${error instanceof Error ? error.message : String(error)}`);
   }
@@ -684,18 +880,50 @@ export async function duplicateTaskHandler(params) {
 /**
  * Handler for getting tasks
  */
-export async function getTasksHandler(params) {
+export async function getTasksHandler(params): Promise<Page> {
   const listId = await getListId(params.listId, params.listName);
-  return await taskService.getTasks(listId, buildTaskFilters(params));
+  const filters = buildTaskFilters(params);
+
+  return await collectPage('get_tasks', params, {
+    start: params.page || 0,
+    fetch: async (page: number) => {
+      const tasks = await taskService.getTasks(listId, { ...filters, page });
+      return { items: tasks, next: tasks.length >= TASKS_PAGE_SIZE ? page + 1 : undefined };
+    }
+  });
+}
+
+/**
+ * Source for a comment collection. ClickUp returns comments newest first and
+ * continues at the date and ID of the oldest comment of the previous page.
+ */
+function commentSource(
+  params: any,
+  fetch: (start?: number, startId?: string) => Promise<ClickUpComment[]>
+): PageSource<ClickUpComment, { start?: number; startId?: string }> {
+  return {
+    start: { start: params.start, startId: params.startId },
+    fetch: async (position) => {
+      const comments = await fetch(position.start, position.startId);
+      const oldest = comments[comments.length - 1];
+      return {
+        items: comments,
+        next: comments.length >= COMMENTS_PAGE_SIZE && oldest
+          ? { start: Number(oldest.date), startId: oldest.id }
+          : undefined
+      };
+    }
+  };
 }
 
 /**
  * Handler for getting task comments
  */
-export async function getTaskCommentsHandler(params) {
+export async function getTaskCommentsHandler(params): Promise<Page> {
   const taskId = await getTaskId(params.taskId, params.taskName, params.listName);
-  const { start, startId } = params;
-  return await taskService.getTaskComments(taskId, start, startId);
+  return await collectPage('get_task_comments', params, commentSource(params, (start, startId) =>
+    taskService.getTaskComments(taskId, start, startId)
+  ));
 }
 
 /**
@@ -736,282 +964,492 @@ export async function createTaskCommentHandler(params) {
 }
 
 /**
- * Estimate tokens for a task response
- * This is a simplified estimation - adjust based on actual token counting needs
+ * Resolve a single comment assignee (user ID, email or username) to a user ID.
+ * Returns null when explicitly unassigning and undefined when not provided.
  */
-function estimateTaskResponseTokens(task: ClickUpTask): number {
-  // Base estimation for task structure
-  let tokenCount = 0;
+async function resolveCommentAssignee(assignee: any): Promise<number | null | undefined> {
+  if (assignee === undefined) return undefined;
+  if (assignee === null) return null;
 
-  // Core fields
-  tokenCount += (task.name?.length || 0) / 4; // Approximate tokens for name
-  tokenCount += (task.description?.length || 0) / 4; // Approximate tokens for description
-  tokenCount += (task.text_content?.length || 0) / 4; // Use text_content instead of markdown_description
+  const [userId] = await resolveAssignees([assignee]);
+  if (userId === undefined) {
+    throw new Error(`Could not resolve assignee "${assignee}" to a workspace member`);
+  }
+  return userId;
+}
 
-  // Status and other metadata
-  tokenCount += 5; // Basic metadata fields
+/**
+ * Handler for getting replies to a comment
+ */
+export async function getCommentRepliesHandler(params): Promise<Page> {
+  if (!params.commentId) {
+    throw new Error('Comment ID is required');
+  }
+  const replies = await taskService.getCommentReplies(params.commentId);
+  return await collectPage('get_comment_replies', params, arraySource(replies));
+}
+
+/**
+ * Handler for replying to a comment
+ */
+export async function createCommentReplyHandler(params) {
+  if (!params.commentId) {
+    throw new Error('Comment ID is required');
+  }
+  if (!params.commentText) {
+    throw new Error('Comment text is required');
+  }
+
+  const assignee = await resolveCommentAssignee(params.assignee);
+  return await taskService.createCommentReply(params.commentId, params.commentText, params.notifyAll || false, assignee);
+}
 
-  // Custom fields
-  if (task.custom_fields) {
-    tokenCount += Object.keys(task.custom_fields).length * 10; // Rough estimate per custom field
+/**
+ * Handler for updating a comment (text, assignee, resolved state)
+ */
+export async function updateCommentHandler(params) {
+  if (!params.commentId) {
+    throw new Error('Comment ID is required');
+  }
+  if (params.commentText === undefined && params.assignee === undefined && params.resolved === undefined) {
+    throw new Error('At least one of commentText, assignee or resolved must be provided');
   }
 
-  // Add overhead for JSON structure
-  tokenCount *= 1.1;
+  await taskService.updateComment(params.commentId, {
+    commentText: params.commentText,
+    assignee: await resolveCommentAssignee(params.assignee),
+    resolved: params.resolved
+  });
 
-  return Math.ceil(tokenCount);
+  return { commentId: params.commentId, resolved: params.resolved };
 }
 
 /**
- * Check if response would exceed token limit
+ * Handler for deleting a comment
  */
-function wouldExceedTokenLimit(response: any): boolean {
-  if (!response.tasks?.length) return false;
+export async function deleteCommentHandler(params) {
+  if (!params.commentId) {
+    throw new Error('Comment ID is required');
+  }
+  return await taskService.deleteComment(params.commentId);
+}
 
-  // Calculate total estimated tokens
-  const totalTokens = response.tasks.reduce((sum: number, task: ClickUpTask) =>
-    sum + estimateTaskResponseTokens(task), 0
-  );
+/**
+ * Handler for getting comments on a list
+ */
+export async function getListCommentsHandler(params): Promise<Page> {
+  const listId = await getListId(params.listId, params.listName);
+  return await collectPage('get_list_comments', params, commentSource(params, (start, startId) =>
+    taskService.getListComments(listId, start, startId)
+  ));
+}
 
-  // Add overhead for response structure
-  const estimatedTotal = totalTokens * 1.1;
+/**
+ * Handler for creating a comment on a list
+ */
+export async function createListCommentHandler(params) {
+  if (!params.commentText) {
+    throw new Error('Comment text is required');
+  }
 
-  return estimatedTotal > WORKSPACE_TASKS_TOKEN_LIMIT;
+  const listId = await getListId(params.listId, params.listName);
+  const assignee = await resolveCommentAssignee(params.assignee);
+  return await taskService.createListComment(listId, params.commentText, params.notifyAll || false, assignee);
 }
 
 /**
- * Handler for getting workspace tasks with filtering
+ * Handler for getting comments on a view
  */
-export async function getWorkspaceTasksHandler(
-  taskService: TaskService,
-  params: Record<string, any>
-): Promise<Record<string, any>> {
-  try {
-    // Require at least one filter parameter
-    const hasFilter = [
-      'tags',
-      'list_ids',
-      'folder_ids',
-      'space_ids',
-      'statuses',
-      'assignees',
-      'date_created_gt',
-      'date_created_lt',
-      'date_updated_gt',
-      'date_updated_lt',
-      'due_date_gt',
-      'due_date_lt'
-    ].some(key => params[key] !== undefined);
-
-    if (!hasFilter) {
-      throw new Error('At least one filter parameter is required (tags, list_ids, folder_ids, space_ids, statuses, assignees, or date filters)');
-    }
+export async function getViewCommentsHandler(params): Promise<Page> {
+  if (!params.viewId) {
+    throw new Error('View ID is required');
+  }
+  return await collectPage('get_view_comments', params, commentSource(params, (start, startId) =>
+    taskService.getViewComments(params.viewId, start, startId)
+  ));
+}
 
-    // Check if list_ids are provided for enhanced filtering via Views API
-    if (params.list_ids && params.list_ids.length > 0) {
-      logger.info('Using Views API for enhanced list filtering', {
-        listIds: params.list_ids,
-        listCount: params.list_ids.length
-      });
+/**
+ * Handler for creating a comment on a view
+ */
+export async function createViewCommentHandler(params) {
+  if (!params.viewId) {
+    throw new Error('View ID is required');
+  }
+  if (!params.commentText) {
+    throw new Error('Comment text is required');
+  }
+  return await taskService.createViewComment(params.viewId, params.commentText, params.notifyAll || false);
+}
 
-      // Warning for broad queries
-      const hasOnlyListIds = Object.keys(params).filter(key =>
-        params[key] !== undefined && key !== 'list_ids' && key !== 'detail_level'
-      ).length === 0;
+/**
+ * Source for tasks of the workspace tasks endpoint
+ * @param filters Filters sent to ClickUp; matches is applied to each fetched page
+ * @param startPage ClickUp page to start at without a cursor
+ */
+function workspaceTaskSource(
+  taskService: TaskService,
+  filters: ExtendedTaskFilters,
+  startPage: number = 0
+): PageSource<ClickUpTask, number> {
+  const { matches, ...requestFilters } = filters;
+  return {
+    start: startPage,
+    fetch: async (page) => {
+      const tasks = await taskService.getWorkspaceTaskPage({ ...requestFilters, page });
+      return {
+        items: matches ? tasks.filter(matches) : tasks,
+        next: tasks.length >= TASKS_PAGE_SIZE ? page + 1 : undefined
+      };
+    }
+  };
+}
 
-      if (hasOnlyListIds && params.list_ids.length > 5) {
-        logger.warn('Broad query detected: many lists with no additional filters', {
-          listCount: params.list_ids.length,
-          recommendation: 'Consider adding additional filters (tags, statuses, assignees, etc.) for better performance'
-        });
+/**
+ * Source for tasks associated with lists, read from the default view of each list.
+ * Each position is a page number requested from all views at once.
+ */
+async function listViewTaskSource(
+  taskService: TaskService,
+  params: Record<string, any>
+): Promise<PageSource<ClickUpTask, number>> {
+  // Get the default list view IDs concurrently
+  const viewIds = (await Promise.all(params.list_ids.map(async (listId: string) => {
+    try {
+      const viewId = await taskService.getListViews(listId);
+      if (!viewId) {
+        logger.warn(`No default view found for list ${listId}, skipping`);
       }
+      return viewId;
+    } catch (error) {
+      logger.error(`Failed to get views of list ${listId}`, { error: error.message });
+      return null; // Continue with other lists even if one fails
+    }
+  }))).filter(Boolean) as string[];
+
+  // Extract filters supported by the Views API
+  const supportedFilters: ExtendedTaskFilters = {
+    subtasks: params.subtasks,
+    include_closed: params.include_closed,
+    archived: params.archived,
+    order_by: params.order_by,
+    reverse: params.reverse,
+    statuses: params.statuses,
+    assignees: params.assignees,
+    date_created_gt: params.date_created_gt,
+    date_created_lt: params.date_created_lt,
+    date_updated_gt: params.date_updated_gt,
+    date_updated_lt: params.date_updated_lt,
+    due_date_gt: params.due_date_gt,
+    due_date_lt: params.due_date_lt,
+    custom_fields: params.custom_fields
+  };
 
-      // Use Views API for enhanced list filtering
-      let allTasks: ClickUpTask[] = [];
-      const processedTaskIds = new Set<string>();
+  // Apply client-side filtering for filters the Views API does not support
+  const matches = (task: ClickUpTask) =>
+    (!params.tags?.length || params.tags.every((tag: string) => task.tags.some(t => t.name === tag)))
+    && (!params.folder_ids?.length || (task.folder && params.folder_ids.includes(task.folder.id)))
+    && (!params.space_ids?.length || params.space_ids.includes(task.space.id));
+
+  return {
+    start: params.page || 0,
+    fetch: async (page) => {
+      const pages = await Promise.all(viewIds.map(viewId =>
+        taskService.getTaskViewPage(viewId, supportedFilters, page).catch(error => {
+          logger.error(`Failed to get tasks from view ${viewId}`, { error: error.message });
+          return { tasks: [] as ClickUpTask[], hasMore: false };
+        })
+      ));
+
+      // Aggregate tasks and remove duplicates of tasks added to several lists
+      const tasks = new Map<string, ClickUpTask>();
+      for (const { tasks: viewTasks } of pages) {
+        viewTasks.forEach(task => tasks.has(task.id) || tasks.set(task.id, task));
+      }
 
-      // Create promises for concurrent fetching
-      const fetchPromises = params.list_ids.map(async (listId: string) => {
-        try {
-          // Get the default list view ID
-          const viewId = await taskService.getListViews(listId);
+      logger.debug('Aggregated tasks from Views API', { page, uniqueTasks: tasks.size });
 
-          if (!viewId) {
-            logger.warn(`No default view found for list ${listId}, skipping`);
-            return [];
-          }
+      return {
+        items: [...tasks.values()].filter(matches),
+        next: pages.some(viewPage => viewPage.hasMore) ? page + 1 : undefined
+      };
+    }
+  };
+}
 
-          // Extract filters supported by the Views API
-          const supportedFilters: ExtendedTaskFilters = {
-            subtasks: params.subtasks,
-            include_closed: params.include_closed,
-            archived: params.archived,
-            order_by: params.order_by,
-            reverse: params.reverse,
-            page: params.page,
-            statuses: params.statuses,
-            assignees: params.assignees,
-            date_created_gt: params.date_created_gt,
-            date_created_lt: params.date_created_lt,
-            date_updated_gt: params.date_updated_gt,
-            date_updated_lt: params.date_updated_lt,
-            due_date_gt: params.due_date_gt,
-            due_date_lt: params.due_date_lt,
-            custom_fields: params.custom_fields
-          };
-
-          // Get tasks from the view
-          const tasksFromView = await taskService.getTasksFromView(viewId, supportedFilters);
-          return tasksFromView;
+/**
+ * Format a page of tasks as full tasks or summaries
+ */
+function formatTaskPage(page: Page, detailLevel?: string): Record<string, any> {
+  const { items, ...paging } = page;
+  return {
+    [detailLevel === 'summary' ? 'summaries' : 'tasks']: items,
+    total_count: items.length,
+    has_more: paging.next_cursor !== undefined,
+    ...paging
+  };
+}
 
-        } catch (error) {
-          logger.error(`Failed to get tasks from list ${listId}`, { error: error.message });
-          return []; // Continue with other lists even if one fails
-        }
-      });
+/**
+ * Source for the tasks selected by get_workspace_tasks filters. Tasks of list_ids
+ * are read through the Views API, other filters use the workspace tasks endpoint.
+ * @throws Error if no filter parameter is given
+ */
+export async function getWorkspaceTaskSource(
+  taskService: TaskService,
+  params: Record<string, any>
+): Promise<PageSource<ClickUpTask, number>> {
+  // Require at least one filter parameter
+  const hasFilter = [
+    'tags',
+    'list_ids',
+    'folder_ids',
+    'space_ids',
+    'statuses',
+    'assignees',
+    'date_created_gt',
+    'date_created_lt',
+    'date_updated_gt',
+    'date_updated_lt',
+    'due_date_gt',
+    'due_date_lt'
+  ].some(key => params[key] !== undefined);
+
+  if (!hasFilter) {
+    throw new Error('At least one filter parameter is required (tags, list_ids, folder_ids, space_ids, statuses, assignees, or date filters)');
+  }
 
-      // Execute all fetches concurrently
-      const taskArrays = await Promise.all(fetchPromises);
+  // Check if list_ids are provided for enhanced filtering via Views API
+  if (params.list_ids && params.list_ids.length > 0) {
+    logger.info('Using Views API for enhanced list filtering', {
+      listIds: params.list_ids,
+      listCount: params.list_ids.length
+    });
 
-      // Aggregate tasks and remove duplicates
-      for (const tasks of taskArrays) {
-        for (const task of tasks) {
-          if (!processedTaskIds.has(task.id)) {
-            allTasks.push(task);
-            processedTaskIds.add(task.id);
-          }
-        }
-      }
+    // Warning for broad queries
+    const hasOnlyListIds = Object.keys(params).filter(key =>
+      params[key] !== undefined && !['list_ids', 'detail_level', 'cursor', 'max_tokens', 'fields'].includes(key)
+    ).length === 0;
 
-      logger.info('Aggregated tasks from Views API', {
-        totalTasks: allTasks.length,
-        uniqueTasks: processedTaskIds.size
+    if (hasOnlyListIds && params.list_ids.length > 5) {
+      logger.warn('Broad query detected: many lists with no additional filters', {
+        listCount: params.list_ids.length,
+        recommendation: 'Consider adding additional filters (tags, statuses, assignees, etc.) for better performance'
       });
+    }
 
-      // Apply client-side filtering for unsupported filters
-      if (params.tags && params.tags.length > 0) {
-        allTasks = allTasks.filter(task =>
-          params.tags.every((tag: string) =>
-            task.tags.some(t => t.name === tag)
-          )
-        );
-        logger.debug('Applied client-side tag filtering', {
-          tags: params.tags,
-          remainingTasks: allTasks.length
-        });
-      }
+    return await listViewTaskSource(taskService, params);
+  }
 
-      if (params.folder_ids && params.folder_ids.length > 0) {
-        allTasks = allTasks.filter(task =>
-          task.folder && params.folder_ids.includes(task.folder.id)
-        );
-        logger.debug('Applied client-side folder filtering', {
-          folderIds: params.folder_ids,
-          remainingTasks: allTasks.length
-        });
-      }
+  // Fallback to existing workspace-wide task retrieval when list_ids are not provided
+  logger.info('Using standard workspace task retrieval');
+
+  const filters: ExtendedTaskFilters = {
+    tags: params.tags,
+    list_ids: params.list_ids,
+    folder_ids: params.folder_ids,
+    space_ids: params.space_ids,
+    statuses: params.statuses,
+    include_closed: params.include_closed,
+    include_archived_lists: params.include_archived_lists,
+    include_closed_lists: params.include_closed_lists,
+    archived: params.archived,
+    order_by: params.order_by,
+    reverse: params.reverse,
+    due_date_gt: params.due_date_gt,
+    due_date_lt: params.due_date_lt,
+    date_created_gt: params.date_created_gt,
+    date_created_lt: params.date_created_lt,
+    date_updated_gt: params.date_updated_gt,
+    date_updated_lt: params.date_updated_lt,
+    assignees: params.assignees,
+    subtasks: params.subtasks,
+    include_subtasks: params.include_subtasks,
+    include_compact_time_entries: params.include_compact_time_entries,
+    custom_fields: params.custom_fields
+  };
 
-      if (params.space_ids && params.space_ids.length > 0) {
-        allTasks = allTasks.filter(task =>
-          params.space_ids.includes(task.space.id)
-        );
-        logger.debug('Applied client-side space filtering', {
-          spaceIds: params.space_ids,
-          remainingTasks: allTasks.length
-        });
-      }
+  return workspaceTaskSource(taskService, filters, params.page);
+}
 
-      // Check token limit and format response
-      const shouldUseSummary = params.detail_level === 'summary' || wouldExceedTokenLimit({ tasks: allTasks });
+/**
+ * Handler for getting workspace tasks with filtering
+ */
+export async function getWorkspaceTasksHandler(
+  taskService: TaskService,
+  params: Record<string, any>
+): Promise<Record<string, any>> {
+  try {
+    const format = params.detail_level === 'summary'
+      ? (task: ClickUpTask) => taskService.formatTaskSummary(task)
+      : undefined;
 
-      if (shouldUseSummary) {
-        logger.info('Using summary format for Views API response', {
-          totalTasks: allTasks.length,
-          reason: params.detail_level === 'summary' ? 'requested' : 'token_limit'
-        });
+    const source = await getWorkspaceTaskSource(taskService, params);
+    return formatTaskPage(await collectPage('get_workspace_tasks', params, source, format), params.detail_level);
+  } catch (error) {
+    throw new Error(`Failed to get workspace tasks: ${error.message}`);
+  }
+}
 
-        return {
-          summaries: allTasks.map(task => ({
-            id: task.id,
-            name: task.name,
-            status: task.status.status,
-            list: {
-              id: task.list.id,
-              name: task.list.name
-            },
-            due_date: task.due_date,
-            url: task.url,
-            priority: task.priority?.priority || null,
-            tags: task.tags.map(tag => ({
-              name: tag.name,
-              tag_bg: tag.tag_bg,
-              tag_fg: tag.tag_fg
-            }))
-          })),
-          total_count: allTasks.length,
-          has_more: false,
-          next_page: 0
-        };
-      }
+/**
+ * Resolve a list, folder or space name to its ID. Values that are not a known name are used as IDs.
+ */
+async function resolveSearchLocation(type: 'list' | 'folder' | 'space', value: string): Promise<string> {
+  let id: string | null = null;
+  if (type === 'list') {
+    id = (await findListIDByName(workspaceService, value))?.id || null;
+  } else if (type === 'space') {
+    id = await workspaceService.findSpaceIDByName(value);
+  } else {
+    const hierarchy = await workspaceService.getWorkspaceHierarchy();
+    id = workspaceService.findIDByNameInHierarchy(hierarchy, value, 'folder')?.id || null;
+  }
+
+  if (id) return id;
+  if (/^\d+$/.test(value)) return value;
+  throw new Error(`${type.charAt(0).toUpperCase()}${type.slice(1)} "${value}" not found`);
+}
 
+/**
+ * Resolve the values of a search query term to the keys tasks are matched against
+ */
+async function resolveSearchTerm(term: TaskQueryTerm): Promise<ResolvedTaskQueryTerm> {
+  switch (term.field) {
+    case 'assignee':
       return {
-        tasks: allTasks,
-        total_count: allTasks.length,
-        has_more: false,
-        next_page: 0
+        ...term,
+        keys: await Promise.all(term.values.map(async value => {
+          if (value.toLowerCase() === 'me') {
+            return String((await workspaceService.getAuthorizedUser()).id);
+          }
+          const [userId] = await resolveAssignees([value]);
+          if (userId === undefined) {
+            throw new Error(`Assignee "${value}" not found`);
+          }
+          return String(userId);
+        }))
       };
+    case 'list':
+    case 'folder':
+    case 'space':
+      return { ...term, keys: await Promise.all(term.values.map(value => resolveSearchLocation(term.field as 'list' | 'folder' | 'space', value))) };
+    case 'priority':
+      return { ...term, keys: term.values.map(normalizeQueryPriority) };
+    case 'due':
+    case 'created':
+    case 'updated':
+      return { ...term, keys: [], ...resolveQueryDateRange(term.operator, term.values[0]) };
+    default:
+      return { ...term, keys: term.values.map(value => value.toLowerCase()) };
+  }
+}
+
+/**
+ * Add a term to the filters sent to ClickUp
+ * @returns Whether ClickUp can apply the term; otherwise it must be applied to the fetched tasks
+ */
+function applyServerFilter(filters: ExtendedTaskFilters, term: ResolvedTaskQueryTerm): boolean {
+  const dateKeys = { due: 'due_date', created: 'date_created', updated: 'date_updated' };
+
+  switch (term.field) {
+    case 'status':
+      if (filters.statuses) return false;
+      filters.statuses = term.values;
+      return true;
+    case 'assignee':
+      if (filters.assignees) return false;
+      filters.assignees = term.keys;
+      return true;
+    case 'tag':
+      // A single tag only, as several tags would have to match all at once
+      if (filters.tags || term.values.length > 1) return false;
+      filters.tags = term.values;
+      return true;
+    case 'list':
+    case 'folder':
+    case 'space': {
+      const key = `${term.field}_ids`;
+      if (filters[key]) return false;
+      filters[key] = term.keys;
+      return true;
     }
+    case 'due':
+    case 'created':
+    case 'updated': {
+      const prefix = dateKeys[term.field];
+      // Several bounds on the same date combine to the narrowest range
+      if (term.after !== undefined) {
+        filters[`${prefix}_gt`] = Math.max(filters[`${prefix}_gt`] ?? term.after, term.after);
+      }
+      if (term.before !== undefined) {
+        filters[`${prefix}_lt`] = Math.min(filters[`${prefix}_lt`] ?? term.before, term.before);
+      }
+      return true;
+    }
+    default:
+      return false;
+  }
+}
 
-    // Fallback to existing workspace-wide task retrieval when list_ids are not provided
-    logger.info('Using standard workspace task retrieval');
-
-    const filters: ExtendedTaskFilters = {
-      tags: params.tags,
-      list_ids: params.list_ids,
-      folder_ids: params.folder_ids,
-      space_ids: params.space_ids,
-      statuses: params.statuses,
-      include_closed: params.include_closed,
-      include_archived_lists: params.include_archived_lists,
-      include_closed_lists: params.include_closed_lists,
-      archived: params.archived,
-      order_by: params.order_by,
-      reverse: params.reverse,
-      due_date_gt: params.due_date_gt,
-      due_date_lt: params.due_date_lt,
-      date_created_gt: params.date_created_gt,
-      date_created_lt: params.date_created_lt,
-      date_updated_gt: params.date_updated_gt,
-      date_updated_lt: params.date_updated_lt,
-      assignees: params.assignees,
-      page: params.page,
-      detail_level: params.detail_level || 'detailed',
-      subtasks: params.subtasks,
-      include_subtasks: params.include_subtasks,
-      include_compact_time_entries: params.include_compact_time_entries,
-      custom_fields: params.custom_fields
+/**
+ * Handler for searching workspace tasks with a query string
+ */
+export async function searchTasksHandler(
+  taskService: TaskService,
+  params: Record<string, any>
+): Promise<Record<string, any>> {
+  try {
+    const parsed = parseTaskQuery(params.query);
+    const query: ParsedTaskQuery<ResolvedTaskQueryTerm> = {
+      ...parsed,
+      groups: await Promise.all(parsed.groups.map(group => Promise.all(group.map(resolveSearchTerm))))
     };
 
-    // Get tasks with adaptive response format support
-    const response = await taskService.getWorkspaceTasks(filters);
+    const filters: ExtendedTaskFilters = {};
+    if (query.sort) {
+      // ClickUp sorts in descending order unless reverse is set
+      filters.order_by = query.sort.field;
+      filters.reverse = !query.sort.descending || undefined;
+    }
+
+    // Single terms without negation go to ClickUp; the rest is applied to each fetched page
+    const clientGroups = query.groups.filter(group =>
+      group.length > 1 || group[0].negated || !applyServerFilter(filters, group[0])
+    );
 
-    // Check token limit at handler level
-    if (params.detail_level !== 'summary' && wouldExceedTokenLimit(response)) {
-      logger.info('Response would exceed token limit, fetching summary format instead');
+    // Closed tasks are only returned on request, so include them when a status is named
+    if (query.groups.some(group => group.some(term =>
+      !term.negated && (term.field === 'status' || (term.field === 'is' && term.keys.includes('closed')))
+    ))) {
+      filters.include_closed = true;
+    }
 
-      // Refetch with summary format
-      const summaryResponse = await taskService.getWorkspaceTasks({
-        ...filters,
-        detail_level: 'summary'
-      });
+    const serverFilters = { ...filters };
 
-      return summaryResponse;
+    if (clientGroups.length > 0) {
+      filters.matches = task => clientGroups.every(group => group.some(term => matchesQueryTerm(task, term)));
     }
 
-    // Return the response without adding the redundant _note field
-    return response;
+    logger.info('Searching workspace tasks', {
+      query: params.query,
+      serverFilters,
+      clientFilters: clientGroups.length
+    });
+
+    const source = workspaceTaskSource(taskService, { ...filters, subtasks: params.subtasks }, params.page);
+    const page = await collectPage('search_tasks', params, source, params.detail_level === 'summary'
+      ? task => taskService.formatTaskSummary(task)
+      : undefined);
+
+    return {
+      ...formatTaskPage(page, params.detail_level),
+      query: {
+        server_filters: serverFilters,
+        client_filters: clientGroups.map(group => group.map(formatQueryTerm).join(' OR '))
+      }
+    };
   } catch (error) {
-    throw new Error(`Failed to get workspace tasks: ${error.message}`);
+    throw new Error(`Failed to search tasks: ${error.message}`);
   }
 }
 
@@ -1019,10 +1457,45 @@ export async function getWorkspaceTasksHandler(
 // BULK TASK OPERATIONS
 //=============================================================================
 
+/**
+ * Queue a bulk operation as a background job
+ * @param tool Tool that started the job
+ * @param operation Bulk operation
+ * @param items Resolved tasks of the operation
+ * @param options Parsed bulk options
+ * @param listId Target list of create and move operations
+ */
+function startBulkJob(tool: string, operation: JobOperation, items: any[], options: BatchProcessingOptions, listId?: string): JobSummary {
+  // Writes of a job happen after the call returns, so they could not be captured
+  if (getDryRunRecorder()) {
+    throw new Error('background cannot be combined with dry_run');
+  }
+
+  return jobManager.submit({
+    tool,
+    operation,
+    session: getToolContext()?.sessionId || 'internal',
+    list_id: listId,
+    items,
+    options: toJobOptions(options)
+  });
+}
+
+/**
+ * Resolve the tasks of a bulk operation to task IDs before it is queued, so a
+ * job resumed after a restart acts on the same tasks (names may no longer match)
+ */
+async function resolveBulkTaskIds(tasks: any[]): Promise<any[]> {
+  return Promise.all(tasks.map(async ({ taskId, taskName, listName, customTaskId, ...task }) => ({
+    ...task,
+    taskId: await getTaskId(taskId, taskName, listName, customTaskId)
+  })));
+}
+
 /**
  * Handler for creating multiple tasks
  */
-export async function createBulkTasksHandler(params: any) {
+export async function createBulkTasksHandler(params: any): Promise<BatchResult<ClickUpTask> | JobSummary> {
   const { tasks, listId, listName, options } = params;
 
   // Validate tasks array
@@ -1031,18 +1504,27 @@ export async function createBulkTasksHandler(params: any) {
   // Validate and resolve list ID
   const targetListId = await resolveListIdWithValidation(listId, listName);
 
-  // Format tasks for creation - resolve assignees for each task
+  // Fetch the list's custom field definitions once if any task sets custom fields
+  const fieldDefinitions = tasks.some(task => Array.isArray(task.custom_fields) && task.custom_fields.length > 0)
+    ? await listService.getListCustomFields(targetListId)
+    : undefined;
+
+  // Format tasks for creation - resolve assignees and custom fields for each task
   const formattedTasks: CreateTaskData[] = await Promise.all(tasks.map(async task => {
     // Resolve assignees if provided
     const resolvedAssignees = task.assignees ? await resolveAssignees(task.assignees) : undefined;
 
+    const resolvedCustomFields = task.custom_fields
+      ? (await resolveCustomFieldValues(targetListId, task.custom_fields, fieldDefinitions)).map(({ id, value }) => ({ id, value }))
+      : undefined;
+
     const taskData: CreateTaskData = {
       name: task.name,
       description: task.description,
       markdown_description: task.markdown_description,
       status: task.status,
       tags: task.tags,
-      custom_fields: task.custom_fields,
+      custom_fields: resolvedCustomFields,
       assignees: resolvedAssignees
     };
 
@@ -1070,6 +1552,10 @@ export async function createBulkTasksHandler(params: any) {
   // Parse bulk options
   const bulkOptions = parseBulkOptions(options);
 
+  if (params.background) {
+    return startBulkJob('create_bulk_tasks', 'create', formattedTasks, bulkOptions, targetListId);
+  }
+
   // Create tasks - pass arguments in correct order: listId, tasks, options
   return await bulkService.createTasks(targetListId, formattedTasks, bulkOptions);
 }
@@ -1077,7 +1563,7 @@ export async function createBulkTasksHandler(params: any) {
 /**
  * Handler for updating multiple tasks
  */
-export async function updateBulkTasksHandler(params: any) {
+export async function updateBulkTasksHandler(params: any): Promise<BatchResult<ClickUpTask> | JobSummary> {
   const { tasks, options } = params;
 
   // Validate tasks array
@@ -1086,14 +1572,38 @@ export async function updateBulkTasksHandler(params: any) {
   // Parse bulk options
   const bulkOptions = parseBulkOptions(options);
 
+  // Resolve custom fields against each task's list, fetching each list's definitions once
+  const definitionsByList = new Map<string, ClickUpCustomField[]>();
+  const resolvedTasks = await Promise.all(tasks.map(async task => {
+    if (!Array.isArray(task.custom_fields) || task.custom_fields.length === 0) {
+      return task;
+    }
+
+    const id = await getTaskId(task.taskId, task.taskName, task.listName, task.customTaskId);
+    const listId = (await taskService.getTask(id)).list.id;
+    if (!definitionsByList.has(listId)) {
+      definitionsByList.set(listId, await listService.getListCustomFields(listId));
+    }
+
+    return {
+      ...task,
+      taskId: id,
+      custom_fields: await resolveCustomFieldValues(listId, task.custom_fields, definitionsByList.get(listId))
+    };
+  }));
+
+  if (params.background) {
+    return startBulkJob('update_bulk_tasks', 'update', await resolveBulkTaskIds(resolvedTasks), bulkOptions);
+  }
+
   // Update tasks
-  return await bulkService.updateTasks(tasks, bulkOptions);
+  return await bulkService.updateTasks(resolvedTasks, bulkOptions);
 }
 
 /**
  * Handler for moving multiple tasks
  */
-export async function moveBulkTasksHandler(params: any) {
+export async function moveBulkTasksHandler(params: any): Promise<BatchResult<ClickUpTask> | JobSummary> {
   const { tasks, targetListId, targetListName, options } = params;
 
   // Validate tasks array
@@ -1105,6 +1615,10 @@ export async function moveBulkTasksHandler(params: any) {
   // Parse bulk options
   const bulkOptions = parseBulkOptions(options);
 
+  if (params.background) {
+    return startBulkJob('move_bulk_tasks', 'move', await resolveBulkTaskIds(tasks), bulkOptions, resolvedTargetListId);
+  }
+
   // Move tasks
   return await bulkService.moveTasks(tasks, resolvedTargetListId, bulkOptions);
 }
@@ -1112,7 +1626,7 @@ export async function moveBulkTasksHandler(params: any) {
 /**
  * Handler for deleting multiple tasks
  */
-export async function deleteBulkTasksHandler(params: any) {
+export async function deleteBulkTasksHandler(params: any): Promise<BatchResult<void> | JobSummary> {
   const { tasks, options } = params;
 
   // Validate tasks array
@@ -1121,6 +1635,10 @@ export async function deleteBulkTasksHandler(params: any) {
   // Parse bulk options
   const bulkOptions = parseBulkOptions(options);
 
+  if (params.background) {
+    return startBulkJob('delete_bulk_tasks', 'delete', await resolveBulkTaskIds(tasks), bulkOptions);
+  }
+
   // Delete tasks
   return await bulkService.deleteTasks(tasks, bulkOptions);
 }
@@ -0,0 +1,843 @@
+/**
+ * SPDX-FileCopyrightText: © 2025 Talib Kareem <taazkareem@icloud.com>
+ * SPDX-License-Identifier: MIT
+ *
+ * Task import tool
+ *
+ * This module imports tasks from CSV, TSV or JSON files:
+ * - Map columns to task fields and custom fields by name
+ * - Validate every row before anything is written, reporting errors by row
+ * - Create tasks through the bulk service, optionally updating the tasks
+ *   that match a row by name or custom task ID instead
+ * - Create parent rows before the rows that name them as parent
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import config from '../../config.js';
+import { clickUpServices, listService, workspaceService } from '../../services/shared.js';
+import { BulkService } from '../../services/clickup/bulk.js';
+import { ClickUpCustomField, ClickUpTask, CreateTaskData, UpdateTaskData } from '../../services/clickup/types.js';
+import { BatchProcessingOptions, BatchResult } from '../../utils/concurrency-utils.js';
+import { parseDelimited } from '../../utils/csv-utils.js';
+import { parseDueDate } from '../../utils/date-utils.js';
+import { sponsorService } from '../../utils/sponsor-service.js';
+import { isInsideDirectory } from '../../utils/path-utils.js';
+import { parseBulkOptions, resolveListIdWithValidation } from './utilities.js';
+import { getTaskId } from './handlers.js';
+import { coerceCustomFieldValue } from './custom-fields.js';
+import { bulkOptionsSchema } from './bulk-operations.js';
+import { Logger } from '../../logger.js';
+
+// Logger instance
+const logger = new Logger('TaskImport');
+
+const { task: taskService } = clickUpServices;
+const bulkService = new BulkService(taskService);
+
+// Largest file or inline content accepted
+const MAX_IMPORT_BYTES = 10 * 1024 * 1024;
+
+// Files are only imported from this directory
+const importDirectory = path.resolve(config.importDir || path.join(os.homedir(), '.clickup-mcp', 'imports'));
+
+// Page size of the ClickUp list task endpoint
+const TASKS_PAGE_SIZE = 100;
+
+const IMPORT_FORMATS = ['csv', 'tsv', 'json'] as const;
+type ImportFormat = typeof IMPORT_FORMATS[number];
+
+// Task fields that can be mapped to a column
+const TASK_FIELDS = [
+  'name',
+  'description',
+  'markdown_description',
+  'assignees',
+  'tags',
+  'status',
+  'priority',
+  'dueDate',
+  'startDate',
+  'parent',
+  'customId'
+] as const;
+type TaskField = typeof TASK_FIELDS[number];
+
+const PRIORITY_NAMES: Record<string, number> = { urgent: 1, high: 2, normal: 3, low: 4 };
+
+/**
+ * Columns of the task fields and custom fields
+ */
+interface ColumnMapping {
+  fields: Partial<Record<TaskField, string>>;
+  // Column by custom field name
+  customFields: Record<string, string>;
+}
+
+/**
+ * Data fetched once per import to validate rows
+ */
+interface ImportContext {
+  definitions?: ClickUpCustomField[];
+  members?: any[];
+  statuses?: string[];
+  listTasks?: ClickUpTask[];
+}
+
+/**
+ * A validated row
+ */
+interface ImportRow {
+  row: number;
+  name: string;
+  data: CreateTaskData;
+  // Parent as written in the file
+  parentInput?: string;
+  customId?: string;
+  // Existing task updated by an upsert
+  taskId?: string;
+  // Position of the row in the file that is the parent of this one
+  parentIndex?: number;
+  errors: string[];
+}
+
+// Output schema for import results
+const importResultOutputSchema = {
+  type: "object",
+  properties: {
+    list_id: { type: "string" },
+    count: { type: "integer", description: "Number of data rows in the file" },
+    created_count: { type: "integer" },
+    updated_count: { type: "integer" },
+    failure_count: { type: "integer" },
+    invalid_count: { type: "integer" },
+    created: { type: "array", items: { type: "object" }, description: "Rows that created a task: row, id, name" },
+    updated: { type: "array", items: { type: "object" }, description: "Rows that updated a matching task: row, id, name" },
+    failed: { type: "array", items: { type: "object" }, description: "Rows ClickUp rejected: row, name, error" },
+    invalid: { type: "array", items: { type: "object" }, description: "Rows that failed validation: row, errors" },
+    message: { type: "string" },
+    cancelled: { type: "boolean", description: "True if the call was cancelled before all rows were imported" },
+    skipped_count: { type: "integer" },
+    skipped: { type: "array", items: { type: "integer" }, description: "Rows that were not imported" }
+  },
+  required: ["list_id", "count", "created_count", "updated_count", "failure_count", "invalid_count"]
+};
+
+/**
+ * Tool definition for importing tasks from a file
+ */
+export const importTasksTool = {
+  name: "import_tasks",
+  description: `Imports tasks into one list from a CSV, TSV or JSON file (filePath) or inline content. Use listId (preferred) or listName. Columns named like task fields (Name, Description, Assignees, Tags, Status, Priority, Due Date, Start Date, Parent, Custom ID) are used automatically; map other columns with mapping, including custom fields by name. Every row is validated first and invalid rows are reported by row number; nothing is written while rows are invalid unless skipInvalid is set. Set upsert to update the tasks that match a row instead of creating duplicates.`,
+  inputSchema: {
+    type: "object",
+    properties: {
+      filePath: {
+        type: "string",
+        description: "File to import, relative to the import directory (IMPORT_DIR) or an absolute path inside it. Provide either filePath or content."
+      },
+      content: {
+        type: "string",
+        description: "File content to import, e.g. pasted CSV. Provide either filePath or content."
+      },
+      format: {
+        type: "string",
+        enum: [...IMPORT_FORMATS],
+        description: "File format. Detected from the file extension or content when omitted. CSV and TSV need a header row; JSON is an array of objects."
+      },
+      listId: {
+        type: "string",
+        description: "ID of the list to import into"
+      },
+      listName: {
+        type: "string",
+        description: "Name of the list to import into. Used when listId is not provided."
+      },
+      mapping: {
+        type: "object",
+        description: "Column for each task field. Fields without a mapping use the column of the same name, if any.",
+        properties: {
+          name: { type: "string", description: "Task name column (required unless a column is named Name)" },
+          description: { type: "string", description: "Plain text description column" },
+          markdown_description: { type: "string", description: "Markdown description column" },
+          assignees: { type: "string", description: "Column of assignee user IDs, emails or usernames, separated by commas or semicolons" },
+          tags: { type: "string", description: "Column of tag names, separated by commas or semicolons" },
+          status: { type: "string", description: "Status column; must name a status of the list" },
+          priority: { type: "string", description: "Priority column: 1-4 or urgent, high, normal, low" },
+          dueDate: { type: "string", description: "Due date column: dates, timestamps or natural language" },
+          startDate: { type: "string", description: "Start date column" },
+          parent: { type: "string", description: "Parent task column: the name or custom ID of another row, or the name, ID or custom ID of a task in ClickUp" },
+          customId: { type: "string", description: "Custom task ID column, matched against existing tasks when upsert is custom_id" },
+          custom_fields: {
+            type: "object",
+            additionalProperties: { type: "string" },
+            description: "Column for each custom field, keyed by custom field name, e.g. { \"Story Points\": \"Points\" }. Values are converted like custom_fields in create_task."
+          }
+        }
+      },
+      upsert: {
+        type: "string",
+        enum: ["name", "custom_id"],
+        description: "Update the task in the list whose name or custom task ID matches a row, and create tasks only for rows without a match. Tags are only set on created tasks."
+      },
+      skipInvalid: {
+        type: "boolean",
+        description: "Import the valid rows when some rows are invalid (default: false, nothing is imported)"
+      },
+      options: bulkOptionsSchema
+    },
+    required: []
+  },
+  annotations: {
+    title: "Import Tasks",
+    readOnlyHint: false,
+    destructiveHint: true,
+    idempotentHint: false,
+    openWorldHint: false
+  },
+  outputSchema: importResultOutputSchema
+};
+
+/**
+ * Whether a cell holds no value
+ */
+function isBlank(value: any): boolean {
+  return value === undefined || value === null ||
+    (typeof value === 'string' && value.trim() === '') ||
+    (Array.isArray(value) && value.length === 0);
+}
+
+/**
+ * Split a cell into values. JSON arrays are taken as they are.
+ */
+function toList(value: any): string[] {
+  const items = Array.isArray(value) ? value : String(value).split(/[,;]/);
+  return items.map(item => String(item).trim()).filter(item => item.length > 0);
+}
+
+/**
+ * Compare headers and field names regardless of case, spaces and punctuation
+ */
+function normalizeHeader(name: string): string {
+  return name.toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * Read the file or inline content and determine its format
+ */
+function readInput(params: any): { text: string; format: ImportFormat } {
+  const { filePath, content, format } = params;
+  const hasContent = content !== undefined && content !== null;
+
+  if (filePath && hasContent) {
+    throw new Error("Provide either filePath or content, not both");
+  }
+  if (!filePath && !hasContent) {
+    throw new Error("Provide either filePath or content");
+  }
+  if (format !== undefined && !IMPORT_FORMATS.includes(format)) {
+    throw new Error(`format must be one of: ${IMPORT_FORMATS.join(', ')}`);
+  }
+
+  let text: string = content;
+  if (filePath) {
+    text = readImportFile(filePath);
+  } else if (Buffer.byteLength(text, 'utf8') > MAX_IMPORT_BYTES) {
+    throw new Error(`Content is larger than ${MAX_IMPORT_BYTES / (1024 * 1024)} MB`);
+  }
+
+  return { text, format: format || detectFormat(filePath, text) };
+}
+
+/**
+ * Read a file from the import directory. Paths outside it are rejected, also
+ * when a symbolic link inside the directory points outside.
+ */
+function readImportFile(filePath: string): string {
+  const resolved = path.resolve(importDirectory, filePath);
+  if (!isInsideDirectory(importDirectory, resolved)) {
+    throw new Error(`filePath must be inside the import directory ${importDirectory}: ${filePath}`);
+  }
+  if (!fs.existsSync(resolved)) {
+    throw new Error(`Local file not found: ${resolved}`);
+  }
+
+  const realPath = fs.realpathSync(resolved);
+  if (!isInsideDirectory(fs.realpathSync(importDirectory), realPath)) {
+    throw new Error(`filePath must be inside the import directory ${importDirectory}: ${filePath}`);
+  }
+
+  const stats = fs.statSync(realPath);
+  if (!stats.isFile()) {
+    throw new Error(`Path is not a file: ${resolved}`);
+  }
+  if (stats.size > MAX_IMPORT_BYTES) {
+    throw new Error(`File is larger than ${MAX_IMPORT_BYTES / (1024 * 1024)} MB`);
+  }
+  return fs.readFileSync(realPath, 'utf8');
+}
+
+/**
+ * Detect the format from the file extension, then from the content
+ */
+function detectFormat(filePath: string | undefined, text: string): ImportFormat {
+  const extension = filePath ? path.extname(filePath).slice(1).toLowerCase() : '';
+  if ((IMPORT_FORMATS as readonly string[]).includes(extension)) {
+    return extension as ImportFormat;
+  }
+
+  const start = text.replace(/^\uFEFF/, '').trimStart();
+  if (start.startsWith('[')) return 'json';
+  return start.split(/\r?\n/, 1)[0].includes('\t') ? 'tsv' : 'csv';
+}
+
+/**
+ * Parse the input into column names and records. Rows without any value are left out.
+ */
+function parseRecords(text: string, format: ImportFormat): { columns: string[]; records: { row: number; values: Record<string, any> }[] } {
+  if (format !== 'json') {
+    const { columns, records } = parseDelimited(text, format === 'tsv' ? '\t' : ',');
+    return { columns, records: records.filter(record => !Object.values(record.values).every(isBlank)) };
+  }
+
+  let data: any;
+  try {
+    data = JSON.parse(text.replace(/^\uFEFF/, ''));
+  } catch (error) {
+    throw new Error(`Invalid JSON: ${error.message}`);
+  }
+  if (!Array.isArray(data)) {
+    throw new Error("JSON input must be an array of objects");
+  }
+
+  const columns = new Set<string>();
+  const records = data.map((values, index) => {
+    if (!values || typeof values !== 'object' || Array.isArray(values)) {
+      throw new Error(`Row ${index + 1} is not an object`);
+    }
+    Object.keys(values).forEach(column => columns.add(column));
+    return { row: index + 1, values };
+  });
+
+  return { columns: [...columns], records: records.filter(record => !Object.values(record.values).every(isBlank)) };
+}
+
+/**
+ * Resolve the mapping against the columns of the file
+ * @throws Error if a mapped column does not exist or no column holds the task name
+ */
+function resolveMapping(rawMapping: any, columns: string[]): ColumnMapping {
+  let mapping = rawMapping || {};
+  if (typeof mapping === 'string') {
+    try {
+      mapping = JSON.parse(mapping);
+    } catch (error) {
+      throw new Error("mapping must be an object of task fields to column names");
+    }
+  }
+
+  const { custom_fields: customFields = {}, ...fieldColumns } = mapping;
+  const unknown = Object.keys(fieldColumns).filter(field => !(TASK_FIELDS as readonly string[]).includes(field));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown mapping fields: ${unknown.join(', ')}. Valid fields: ${TASK_FIELDS.join(', ')}, custom_fields`);
+  }
+
+  const available = columns.map(column => `"${column}"`).join(', ') || 'none';
+  const findColumn = (column: string) => {
+    const found = columns.find(c => c === column) ||
+      columns.find(c => c.trim().toLowerCase() === String(column).trim().toLowerCase());
+    if (!found) {
+      throw new Error(`Column "${column}" not found. Available columns: ${available}`);
+    }
+    return found;
+  };
+
+  const resolved: ColumnMapping = { fields: {}, customFields: {} };
+  for (const field of TASK_FIELDS) {
+    const column = fieldColumns[field] !== undefined
+      ? findColumn(fieldColumns[field])
+      : columns.find(c => normalizeHeader(c) === normalizeHeader(field));
+    if (column !== undefined) {
+      resolved.fields[field] = column;
+    }
+  }
+  for (const [fieldName, column] of Object.entries(customFields)) {
+    resolved.customFields[fieldName] = findColumn(String(column));
+  }
+
+  if (!resolved.fields.name) {
+    throw new Error(`No column for the task name. Map one with mapping.name. Available columns: ${available}`);
+  }
+  return resolved;
+}
+
+/**
+ * Get all tasks of a list, including closed tasks and subtasks
+ */
+async function loadListTasks(listId: string): Promise<ClickUpTask[]> {
+  const tasks: ClickUpTask[] = [];
+  for (let page = 0; ; page++) {
+    const batch = await taskService.getTasks(listId, { page, include_closed: true, subtasks: true });
+    tasks.push(...batch);
+    if (batch.length < TASKS_PAGE_SIZE) return tasks;
+  }
+}
+
+/**
+ * Fetch what the mapped columns need for validation
+ */
+async function loadContext(listId: string, mapping: ColumnMapping, upsert?: string): Promise<ImportContext> {
+  const context: ImportContext = {};
+
+  if (Object.keys(mapping.customFields).length > 0) {
+    context.definitions = await listService.getListCustomFields(listId);
+    const missing = Object.keys(mapping.customFields).filter(fieldName => !findDefinition(context, fieldName));
+    if (missing.length > 0) {
+      const available = context.definitions.map(def => `"${def.name}"`).join(', ') || 'none';
+      throw new Error(`Custom field ${missing.map(name => `"${name}"`).join(', ')} not found on list. Available fields: ${available}`);
+    }
+  }
+  if (mapping.fields.assignees) {
+    context.members = await workspaceService.getWorkspaceMembers();
+  }
+  if (mapping.fields.status) {
+    const list = await listService.getList(listId);
+    context.statuses = list.statuses?.map(status => status.status);
+  }
+  if (upsert || mapping.fields.parent) {
+    context.listTasks = await loadListTasks(listId);
+  }
+
+  return context;
+}
+
+function findDefinition(context: ImportContext, fieldName: string): ClickUpCustomField | undefined {
+  const text = fieldName.trim().toLowerCase();
+  return context.definitions?.find(def => def.name.trim().toLowerCase() === text);
+}
+
+/**
+ * Parse a priority number or name
+ */
+function parsePriority(value: any): number {
+  const text = String(value).trim().toLowerCase();
+  const priority = PRIORITY_NAMES[text] ?? Number(text);
+  if (![1, 2, 3, 4].includes(priority)) {
+    throw new Error(`invalid priority "${value}". Use 1-4 or urgent, high, normal, low`);
+  }
+  return priority;
+}
+
+/**
+ * Parse a date cell into a timestamp and whether it has a time of day
+ */
+function parseDate(value: any): { timestamp: number; hasTime: boolean } {
+  let timestamp: number | undefined;
+  try {
+    timestamp = parseDueDate(String(value).trim());
+  } catch (error) {
+    timestamp = undefined;
+  }
+  if (!timestamp) {
+    throw new Error(`invalid date "${value}"`);
+  }
+  // Keep the time component only when the input mentions one
+  return { timestamp, hasTime: /\d{1,2}:\d{2}|\b(am|pm|hour|minute|now)\b/i.test(String(value)) };
+}
+
+/**
+ * Resolve assignee IDs, emails or usernames to user IDs
+ */
+function resolveMembers(context: ImportContext, value: any): number[] {
+  return toList(value).map(input => {
+    if (/^\d+$/.test(input)) return Number(input);
+
+    const text = input.toLowerCase();
+    const member = context.members.find((m: any) =>
+      m.email?.toLowerCase() === text ||
+      m.username?.toLowerCase() === text ||
+      m.name?.toLowerCase() === text
+    );
+    if (!member) {
+      throw new Error(`no workspace member "${input}"`);
+    }
+    return member.id;
+  });
+}
+
+/**
+ * Convert a record into task data, collecting an error for each invalid cell
+ */
+async function validateRecord(
+  record: { row: number; values: Record<string, any> },
+  mapping: ColumnMapping,
+  context: ImportContext
+): Promise<ImportRow> {
+  const errors: string[] = [];
+  const cell = (field: TaskField) => mapping.fields[field] === undefined ? undefined : record.values[mapping.fields[field]];
+
+  // Run a conversion and record its error against the column
+  const convert = async (column: string, value: any, apply: (value: any) => void | Promise<void>) => {
+    if (isBlank(value)) return;
+    try {
+      await apply(value);
+    } catch (error) {
+      errors.push(`${column}: ${error.message}`);
+    }
+  };
+
+  const name = isBlank(cell('name')) ? '' : String(cell('name')).trim();
+  if (!name) {
+    errors.push(`${mapping.fields.name}: task name is required`);
+  }
+
+  const data: CreateTaskData = { name };
+  const row: ImportRow = { row: record.row, name, data, errors };
+  const { fields } = mapping;
+
+  await convert(fields.description, cell('description'), value => { data.description = String(value); });
+  await convert(fields.markdown_description, cell('markdown_description'), value => { data.markdown_description = String(value); });
+  await convert(fields.tags, cell('tags'), value => { data.tags = toList(value); });
+  await convert(fields.assignees, cell('assignees'), value => { data.assignees = resolveMembers(context, value); });
+  await convert(fields.priority, cell('priority'), value => { data.priority = parsePriority(value) as CreateTaskData['priority']; });
+
+  await convert(fields.status, cell('status'), value => {
+    const text = String(value).trim();
+    if (!context.statuses?.length) {
+      data.status = text;
+      return;
+    }
+    const status = context.statuses.find(s => s.toLowerCase() === text.toLowerCase());
+    if (!status) {
+      throw new Error(`unknown status "${text}". Valid statuses: ${context.statuses.map(s => `"${s}"`).join(', ')}`);
+    }
+    data.status = status;
+  });
+
+  await convert(fields.dueDate, cell('dueDate'), value => {
+    const { timestamp, hasTime } = parseDate(value);
+    data.due_date = timestamp;
+    data.due_date_time = hasTime;
+  });
+  await convert(fields.startDate, cell('startDate'), value => {
+    const { timestamp, hasTime } = parseDate(value);
+    data.start_date = timestamp;
+    data.start_date_time = hasTime;
+  });
+
+  const customFields: CreateTaskData['custom_fields'] = [];
+  for (const [fieldName, column] of Object.entries(mapping.customFields)) {
+    await convert(column, record.values[column], async value => {
+      const field = findDefinition(context, fieldName);
+      const { value: converted } = await coerceCustomFieldValue(field, value);
+      customFields.push({ id: field.id, value: converted });
+    });
+  }
+  if (customFields.length > 0) {
+    data.custom_fields = customFields;
+  }
+
+  if (!isBlank(cell('customId'))) row.customId = String(cell('customId')).trim();
+  if (!isBlank(cell('parent'))) row.parentInput = String(cell('parent')).trim();
+
+  return row;
+}
+
+/**
+ * Match rows to existing tasks by name or custom task ID. Rows without a match are created.
+ */
+function matchExistingTasks(rows: ImportRow[], upsert: string, context: ImportContext): void {
+  const keyOf = (row: ImportRow) => (upsert === 'name' ? row.name : row.customId)?.toLowerCase();
+  const firstRow = new Map<string, number>();
+
+  for (const row of rows) {
+    const key = keyOf(row);
+    if (!key) continue;
+
+    if (firstRow.has(key)) {
+      row.errors.push(`same ${upsert === 'name' ? 'name' : 'custom ID'} as row ${firstRow.get(key)}`);
+      continue;
+    }
+    firstRow.set(key, row.row);
+
+    const matches = context.listTasks.filter(task =>
+      (upsert === 'name' ? task.name : task.custom_id)?.trim().toLowerCase() === key
+    );
+    if (matches.length > 1) {
+      row.errors.push(`matches ${matches.length} tasks in the list (${matches.map(task => task.id).join(', ')})`);
+    } else if (matches.length === 1) {
+      row.taskId = matches[0].id;
+    }
+  }
+}
+
+/**
+ * Resolve the parent of each row to another row of the file or to an existing task
+ */
+async function resolveParents(rows: ImportRow[], context: ImportContext): Promise<void> {
+  const existing = new Map<string, string | Error>();
+
+  for (const [index, row] of rows.entries()) {
+    if (!row.parentInput) continue;
+
+    const text = row.parentInput.toLowerCase();
+    const parentRows = rows
+      .map((other, otherIndex) => ({ other, otherIndex }))
+      .filter(({ other, otherIndex }) => otherIndex !== index &&
+        (other.name.toLowerCase() === text || other.customId?.toLowerCase() === text));
+
+    if (parentRows.length > 1) {
+      row.errors.push(`parent "${row.parentInput}" matches rows ${parentRows.map(({ other }) => other.row).join(', ')}`);
+      continue;
+    }
+    if (parentRows.length === 1) {
+      row.parentIndex = parentRows[0].otherIndex;
+      continue;
+    }
+
+    if (!existing.has(text)) {
+      existing.set(text, await findExistingParent(row.parentInput, context));
+    }
+    const parent = existing.get(text);
+    if (parent instanceof Error) {
+      row.errors.push(parent.message);
+    } else {
+      row.data.parent = parent;
+    }
+  }
+
+  // A row cannot be created before its parent row, so parent cycles are invalid
+  for (const row of rows) {
+    const seen = new Set<ImportRow>([row]);
+    for (let parent = rows[row.parentIndex]; parent; parent = rows[parent.parentIndex]) {
+      if (seen.has(parent)) {
+        row.errors.push('circular parent reference');
+        break;
+      }
+      seen.add(parent);
+    }
+  }
+}
+
+/**
+ * Find a parent task in the list by name, or anywhere by ID or custom ID
+ */
+async function findExistingParent(input: string, context: ImportContext): Promise<string | Error> {
+  const matches = context.listTasks.filter(task => task.name.trim().toLowerCase() === input.toLowerCase());
+  if (matches.length > 1) {
+    return new Error(`parent "${input}" matches ${matches.length} tasks in the list`);
+  }
+  if (matches.length === 1) {
+    return matches[0].id;
+  }
+
+  try {
+    return await getTaskId(input);
+  } catch (error) {
+    return new Error(`parent task "${input}" not found`);
+  }
+}
+
+/**
+ * A row is invalid when its parent row is invalid, as it could not be created under it
+ */
+function propagateParentErrors(rows: ImportRow[]): void {
+  let changed = true;
+  while (changed) {
+    changed = false;
+    for (const row of rows) {
+      const parent = rows[row.parentIndex];
+      if (parent?.errors.length && !row.errors.length) {
+        row.errors.push(`parent row ${parent.row} is invalid`);
+        changed = true;
+      }
+    }
+  }
+}
+
+/**
+ * Import tasks from a file
+ * @param params Tool parameters
+ * @returns Row outcomes
+ */
+async function importTasks(params: any) {
+  const { upsert, skipInvalid = false } = params;
+  if (upsert !== undefined && !['name', 'custom_id'].includes(upsert)) {
+    throw new Error("upsert must be one of: name, custom_id");
+  }
+
+  const { text, format } = readInput(params);
+  const { columns, records } = parseRecords(text, format);
+  const mapping = resolveMapping(params.mapping, columns);
+  if (upsert === 'custom_id' && !mapping.fields.customId) {
+    throw new Error("upsert: custom_id needs a custom ID column. Map one with mapping.customId");
+  }
+
+  const listId = await resolveListIdWithValidation(params.listId, params.listName);
+  logger.info(`Importing ${records.length} ${format.toUpperCase()} rows into list ${listId}`, { upsert });
+
+  const context = await loadContext(listId, mapping, upsert);
+  const rows: ImportRow[] = [];
+  for (const record of records) {
+    rows.push(await validateRecord(record, mapping, context));
+  }
+  if (upsert) {
+    matchExistingTasks(rows, upsert, context);
+  }
+  await resolveParents(rows, context);
+  propagateParentErrors(rows);
+
+  const result = {
+    list_id: listId,
+    count: rows.length,
+    created: [] as { row: number; id: string; name: string }[],
+    updated: [] as { row: number; id: string; name: string }[],
+    failed: [] as { row: number; name: string; error: string }[],
+    invalid: rows.filter(row => row.errors.length > 0).map(({ row, errors }) => ({ row, errors })),
+    skipped: [] as number[]
+  };
+
+  if (result.invalid.length > 0 && !skipInvalid) {
+    return {
+      ...formatImportResult(result),
+      message: `No tasks were imported because ${result.invalid.length} of ${rows.length} rows are invalid. Fix them, or pass skipInvalid: true to import the valid rows.`
+    };
+  }
+
+  await runImport(listId, rows.filter(row => row.errors.length === 0), rows, parseBulkOptions(params.options), result);
+  logger.info(`Imported rows into list ${listId}`, {
+    created: result.created.length,
+    updated: result.updated.length,
+    failed: result.failed.length,
+    invalid: result.invalid.length
+  });
+  return formatImportResult(result);
+}
+
+/**
+ * Create and update the valid rows, parents before their children
+ */
+async function runImport(
+  listId: string,
+  valid: ImportRow[],
+  rows: ImportRow[],
+  options: BatchProcessingOptions,
+  result: { created: any[]; updated: any[]; failed: any[]; skipped: number[] }
+): Promise<void> {
+  const taskIds = new Map<ImportRow, string>();
+  const finished = new Set<ImportRow>();
+  let pending = valid;
+
+  const succeed = (row: ImportRow, task: ClickUpTask) => {
+    taskIds.set(row, task.id);
+    finished.add(row);
+    (row.taskId ? result.updated : result.created).push({ row: row.row, id: task.id, name: task.name ?? row.name });
+  };
+  const fail = (row: ImportRow, error: string) => {
+    finished.add(row);
+    result.failed.push({ row: row.row, name: row.name, error });
+  };
+
+  while (pending.length > 0) {
+    if (options.signal?.aborted) break;
+
+    const ready = pending.filter(row => row.parentIndex === undefined || finished.has(rows[row.parentIndex]));
+    pending = pending.filter(row => !ready.includes(row));
+
+    const runnable: ImportRow[] = [];
+    for (const row of ready) {
+      const parent = rows[row.parentIndex];
+      if (parent && !taskIds.has(parent)) {
+        fail(row, `parent row ${parent.row} was not imported`);
+        continue;
+      }
+      if (parent) row.data.parent = taskIds.get(parent);
+      runnable.push(row);
+    }
+
+    const creates = runnable.filter(row => !row.taskId);
+    const updates = runnable.filter(row => row.taskId);
+
+    if (creates.length > 0) {
+      const batch = await bulkService.createTasks(listId, creates.map(row => row.data), {
+        ...options,
+        itemCallback: (index, task, error) => error ? fail(creates[index], error.message) : succeed(creates[index], task)
+      });
+      recordUnreported(creates, batch, finished, fail);
+    }
+    if (updates.length > 0) {
+      const batch = await bulkService.updateTasks(updates.map(row => {
+        // ClickUp only sets tags when a task is created
+        const { tags, ...data } = row.data;
+        return { taskId: row.taskId, ...(data as UpdateTaskData) };
+      }), {
+        ...options,
+        itemCallback: (index, task, error) => error ? fail(updates[index], error.message) : succeed(updates[index], task)
+      });
+      recordUnreported(updates, batch, finished, fail);
+    }
+  }
+
+  // Rows not reached because the call was cancelled
+  result.skipped = valid.filter(row => !finished.has(row)).map(row => row.row);
+}
+
+/**
+ * Record failures of rows that never ran, e.g. after a failure with continueOnError=false
+ */
+function recordUnreported(
+  rows: ImportRow[],
+  batch: BatchResult<any>,
+  finished: Set<ImportRow>,
+  fail: (row: ImportRow, error: string) => void
+): void {
+  for (const { index, error } of batch.failed) {
+    if (!finished.has(rows[index])) fail(rows[index], error.message);
+  }
+}
+
+/**
+ * Format the row outcomes of an import
+ */
+function formatImportResult(result: {
+  list_id: string;
+  count: number;
+  created: any[];
+  updated: any[];
+  failed: any[];
+  invalid: any[];
+  skipped: number[];
+}) {
+  const byRow = (a: { row: number }, b: { row: number }) => a.row - b.row;
+
+  return {
+    list_id: result.list_id,
+    count: result.count,
+    created_count: result.created.length,
+    updated_count: result.updated.length,
+    failure_count: result.failed.length,
+    invalid_count: result.invalid.length,
+    created: result.created.sort(byRow),
+    updated: result.updated.sort(byRow),
+    failed: result.failed.sort(byRow),
+    invalid: result.invalid,
+    ...(result.skipped.length > 0 ? {
+      cancelled: true,
+      skipped_count: result.skipped.length,
+      skipped: result.skipped.sort((a, b) => a - b)
+    } : {})
+  };
+}
+
+/**
+ * Handle the import_tasks tool
+ */
+export async function handleImportTasks(params: any) {
+  try {
+    return sponsorService.createResponse(await importTasks(params || {}), true);
+  } catch (error) {
+    logger.error("Error importing tasks", error);
+    return sponsorService.createErrorResponse(`Failed to import tasks: ${(error as Error).message}`);
+  }
+}
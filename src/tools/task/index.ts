@@ -20,7 +20,15 @@ export {
   duplicateTaskTool,
   deleteTaskTool,
   getTaskCommentsTool,
-  createTaskCommentTool
+  createTaskCommentTool,
+  getCommentRepliesTool,
+  createCommentReplyTool,
+  updateCommentTool,
+  deleteCommentTool,
+  getListCommentsTool,
+  createListCommentTool,
+  getViewCommentsTool,
+  createViewCommentTool
 } from './single-operations.js';
 
 // Re-export bulk task operation tools
@@ -33,7 +41,8 @@ export {
 
 // Re-export workspace task operation tools
 export {
-  getWorkspaceTasksTool
+  getWorkspaceTasksTool,
+  searchTasksTool
 } from './workspace-operations.js';
 
 // Re-export time tracking tools and handlers
@@ -54,12 +63,64 @@ export {
   timeTrackingHandlers
 } from './time-tracking.js';
 
+// Re-export checklist tools and handlers
+export {
+  createChecklistTool,
+  updateChecklistTool,
+  deleteChecklistTool,
+  createChecklistItemTool,
+  updateChecklistItemTool,
+  deleteChecklistItemTool,
+  handleCreateChecklist,
+  handleUpdateChecklist,
+  handleDeleteChecklist,
+  handleCreateChecklistItem,
+  handleUpdateChecklistItem,
+  handleDeleteChecklistItem,
+  checklistTools,
+  checklistHandlers
+} from './checklists.js';
+
+// Re-export task relationship tools and handlers
+export {
+  addTaskDependencyTool,
+  removeTaskDependencyTool,
+  addTaskLinkTool,
+  removeTaskLinkTool,
+  handleAddTaskDependency,
+  handleRemoveTaskDependency,
+  handleAddTaskLink,
+  handleRemoveTaskLink,
+  taskRelationshipTools,
+  taskRelationshipHandlers
+} from './relationships.js';
+
+// Re-export custom field tools and helpers
+export {
+  getListCustomFieldsTool,
+  handleGetListCustomFields,
+  coerceCustomFieldValue,
+  resolveCustomFieldValues
+} from './custom-fields.js';
+
 // Re-export attachment tool
 export {
   attachTaskFileTool,
   handleAttachTaskFile
 } from './attachments.js';
 
+// Re-export import tool
+export {
+  importTasksTool,
+  handleImportTasks
+} from './import.js';
+
+// Re-export export tool
+export {
+  exportTasksTool,
+  handleExportTasks
+} from './export.js';
+
 // Re-export handlers
 export {
   // Single task operation handlers
@@ -72,6 +133,16 @@ export {
   deleteTaskHandler,
   getTaskCommentsHandler,
   createTaskCommentHandler,
+
+  // Comment thread and list/view comment handlers
+  getCommentRepliesHandler,
+  createCommentReplyHandler,
+  updateCommentHandler,
+  deleteCommentHandler,
+  getListCommentsHandler,
+  createListCommentHandler,
+  getViewCommentsHandler,
+  createViewCommentHandler,
   
   // Bulk task operation handlers
   createBulkTasksHandler,
@@ -80,12 +151,16 @@ export {
   deleteBulkTasksHandler,
   
   // Team task operation handlers
-  getWorkspaceTasksHandler
+  getWorkspaceTasksHandler,
+  searchTasksHandler
 } from './handlers.js';
 
 // Re-export utilities
 export {
   formatTaskData,
+  formatChecklists,
+  formatDependencies,
+  formatLinkedTasks,
   validateTaskIdentification,
   validateListIdentification,
   validateTaskUpdateData,
@@ -20,7 +20,15 @@ import {
   duplicateTaskTool,
   deleteTaskTool,
   getTaskCommentsTool,
-  createTaskCommentTool
+  createTaskCommentTool,
+  getCommentRepliesTool,
+  createCommentReplyTool,
+  updateCommentTool,
+  deleteCommentTool,
+  getListCommentsTool,
+  createListCommentTool,
+  getViewCommentsTool,
+  createViewCommentTool
 } from './single-operations.js';
 
 import {
@@ -31,7 +39,8 @@ import {
 } from './bulk-operations.js';
 
 import {
-  getWorkspaceTasksTool
+  getWorkspaceTasksTool,
+  searchTasksTool
 } from './workspace-operations.js';
 
 // Add this to your import statements at the top of the file
@@ -55,11 +64,20 @@ import {
   deleteTaskHandler,
   getTaskCommentsHandler,
   createTaskCommentHandler,
+  getCommentRepliesHandler,
+  createCommentReplyHandler,
+  updateCommentHandler,
+  deleteCommentHandler,
+  getListCommentsHandler,
+  createListCommentHandler,
+  getViewCommentsHandler,
+  createViewCommentHandler,
   createBulkTasksHandler,
   updateBulkTasksHandler,
   moveBulkTasksHandler,
   deleteBulkTasksHandler,
   getWorkspaceTasksHandler,
+  searchTasksHandler,
   formatTaskData
 } from './index.js';
 
@@ -69,6 +87,11 @@ const { task: taskService } = clickUpServices;
 
 import { BatchResult } from '../../utils/concurrency-utils.js';
 import { ClickUpTask } from '../../services/clickup/types.js';
+import { Page } from '../../utils/pagination.js';
+import { JobSummary } from '../../jobs/index.js';
+import { Logger } from '../../logger.js';
+
+const logger = new Logger('TaskTools');
 
 //=============================================================================
 // HANDLER WRAPPER UTILITY
@@ -97,9 +120,10 @@ function createHandlerWrapper<T>(
 
 export const handleCreateTask = createHandlerWrapper(createTaskHandler);
 export const handleGetTask = createHandlerWrapper(getTaskHandler);
-export const handleGetTasks = createHandlerWrapper(getTasksHandler, (tasks) => ({
-  tasks,
-  count: tasks.length
+export const handleGetTasks = createHandlerWrapper(getTasksHandler, ({ items, ...paging }) => ({
+  tasks: items,
+  count: items.length,
+  ...paging
 }));
 
 /**
@@ -120,58 +144,104 @@ export const handleDeleteTask = createHandlerWrapper(deleteTaskHandler, () => ({
   success: true,
   message: "Task deleted successfully"
 }));
-export const handleGetTaskComments = createHandlerWrapper(getTaskCommentsHandler, (comments) => ({
-  comments,
-  count: comments.length
-}));
+/**
+ * Formats a page of comments
+ */
+function formatCommentsPage({ items, ...paging }: Page) {
+  return {
+    comments: items,
+    count: items.length,
+    ...paging
+  };
+}
+
+export const handleGetTaskComments = createHandlerWrapper(getTaskCommentsHandler, formatCommentsPage);
 export const handleCreateTaskComment = createHandlerWrapper(createTaskCommentHandler, (comment) => ({
   success: true,
   message: "Comment added successfully",
-  comment: comment && typeof comment === 'object' ? comment : {
-    id: `generated-${Date.now()}`,
-    comment_text: typeof comment === 'string' ? comment : "Comment text unavailable"
-  }
+  comment
+}));
+
+export const handleGetCommentReplies = createHandlerWrapper(getCommentRepliesHandler, ({ items, ...paging }) => ({
+  replies: items,
+  count: items.length,
+  ...paging
+}));
+export const handleCreateCommentReply = createHandlerWrapper(createCommentReplyHandler, (comment) => ({
+  success: true,
+  message: "Reply added successfully",
+  comment
+}));
+export const handleUpdateComment = createHandlerWrapper(updateCommentHandler, (result) => ({
+  success: true,
+  message: result.resolved === true
+    ? "Comment resolved successfully"
+    : result.resolved === false
+      ? "Comment reopened successfully"
+      : "Comment updated successfully",
+  commentId: result.commentId
+}));
+export const handleDeleteComment = createHandlerWrapper(deleteCommentHandler, () => ({
+  success: true,
+  message: "Comment deleted successfully"
+}));
+export const handleGetListComments = createHandlerWrapper(getListCommentsHandler, formatCommentsPage);
+export const handleCreateListComment = createHandlerWrapper(createListCommentHandler, (comment) => ({
+  success: true,
+  message: "Comment added to list successfully",
+  comment
+}));
+export const handleGetViewComments = createHandlerWrapper(getViewCommentsHandler, formatCommentsPage);
+export const handleCreateViewComment = createHandlerWrapper(createViewCommentHandler, (comment) => ({
+  success: true,
+  message: "Comment added to view successfully",
+  comment
 }));
 
 //=============================================================================
 // BULK TASK OPERATIONS - HANDLER IMPLEMENTATIONS
 //=============================================================================
 
-export const handleCreateBulkTasks = createHandlerWrapper(createBulkTasksHandler, (result: BatchResult<ClickUpTask>) => ({
-  successful: result.successful,
-  failed: result.failed,
-  count: result.totals.total,
-  success_count: result.totals.success,
-  failure_count: result.totals.failure,
-  errors: result.failed.map(f => f.error)
-}));
+/**
+ * Format the result of a bulk operation. A cancelled operation reports the
+ * tasks processed before it stopped and the skipped ones; a background
+ * operation reports its job.
+ */
+function formatBulkResult(result: BatchResult<any> | JobSummary) {
+  if ('job_id' in result) {
+    return result;
+  }
 
-export const handleUpdateBulkTasks = createHandlerWrapper(updateBulkTasksHandler, (result: BatchResult<ClickUpTask>) => ({
-  successful: result.successful,
-  failed: result.failed,
-  count: result.totals.total,
-  success_count: result.totals.success,
-  failure_count: result.totals.failure,
-  errors: result.failed.map(f => f.error)
-}));
+  if (result.cancelled) {
+    logger.info('Bulk operation cancelled', {
+      success: result.totals.success,
+      failure: result.totals.failure,
+      skipped: result.totals.skipped
+    });
+  }
 
-export const handleMoveBulkTasks = createHandlerWrapper(moveBulkTasksHandler, (result: BatchResult<ClickUpTask>) => ({
-  successful: result.successful,
-  failed: result.failed,
-  count: result.totals.total,
-  success_count: result.totals.success,
-  failure_count: result.totals.failure,
-  errors: result.failed.map(f => f.error)
-}));
+  return {
+    successful: result.successful,
+    failed: result.failed,
+    count: result.totals.total,
+    success_count: result.totals.success,
+    failure_count: result.totals.failure,
+    errors: result.failed.map(f => f.error),
+    ...(result.cancelled ? {
+      cancelled: true,
+      skipped_count: result.totals.skipped,
+      skipped: result.skipped.map(({ index }) => index)
+    } : {})
+  };
+}
 
-export const handleDeleteBulkTasks = createHandlerWrapper(deleteBulkTasksHandler, (result: BatchResult<void>) => ({
-  successful: result.successful,
-  failed: result.failed,
-  count: result.totals.total,
-  success_count: result.totals.success,
-  failure_count: result.totals.failure,
-  errors: result.failed.map(f => f.error)
-}));
+export const handleCreateBulkTasks = createHandlerWrapper(createBulkTasksHandler, formatBulkResult);
+
+export const handleUpdateBulkTasks = createHandlerWrapper(updateBulkTasksHandler, formatBulkResult);
+
+export const handleMoveBulkTasks = createHandlerWrapper(moveBulkTasksHandler, formatBulkResult);
+
+export const handleDeleteBulkTasks = createHandlerWrapper(deleteBulkTasksHandler, formatBulkResult);
 
 //=============================================================================
 // WORKSPACE TASK OPERATIONS - HANDLER IMPLEMENTATIONS
@@ -183,6 +253,10 @@ export const handleGetWorkspaceTasks = createHandlerWrapper(
   (response) => response // Pass through the response as is
 );
 
+export const handleSearchTasks = createHandlerWrapper(
+  (params) => searchTasksHandler(taskService, params)
+);
+
 //=============================================================================
 // TOOL DEFINITIONS AND HANDLERS EXPORT
 //=============================================================================
@@ -221,6 +295,38 @@ export const tools = [
     definition: createTaskCommentTool, 
     handler: createTaskCommentHandler
   },
+  {
+    definition: getCommentRepliesTool,
+    handler: getCommentRepliesHandler
+  },
+  {
+    definition: createCommentReplyTool,
+    handler: createCommentReplyHandler
+  },
+  {
+    definition: updateCommentTool,
+    handler: updateCommentHandler
+  },
+  {
+    definition: deleteCommentTool,
+    handler: deleteCommentHandler
+  },
+  {
+    definition: getListCommentsTool,
+    handler: getListCommentsHandler
+  },
+  {
+    definition: createListCommentTool,
+    handler: createListCommentHandler
+  },
+  {
+    definition: getViewCommentsTool,
+    handler: getViewCommentsHandler
+  },
+  {
+    definition: createViewCommentTool,
+    handler: createViewCommentHandler
+  },
   { 
     definition: deleteTaskTool, 
     handler: deleteTaskHandler
@@ -229,60 +335,36 @@ export const tools = [
     definition: getWorkspaceTasksTool, 
     handler: getWorkspaceTasksHandler
   },
+  {
+    definition: searchTasksTool,
+    handler: searchTasksHandler
+  },
   { 
     definition: createBulkTasksTool, 
     handler: async (params: any) => {
-      const result = await createBulkTasksHandler(params) as BatchResult<ClickUpTask>;
-      return {
-        successful: result.successful,
-        failed: result.failed,
-        count: result.totals.total,
-        success_count: result.totals.success,
-        failure_count: result.totals.failure,
-        errors: result.failed.map(f => f.error)
-      };
+      const result = await createBulkTasksHandler(params);
+      return formatBulkResult(result);
     }
   },
   { 
     definition: updateBulkTasksTool, 
     handler: async (params: any) => {
-      const result = await updateBulkTasksHandler(params) as BatchResult<ClickUpTask>;
-      return {
-        successful: result.successful,
-        failed: result.failed,
-        count: result.totals.total,
-        success_count: result.totals.success,
-        failure_count: result.totals.failure,
-        errors: result.failed.map(f => f.error)
-      };
+      const result = await updateBulkTasksHandler(params);
+      return formatBulkResult(result);
     }
   },
   { 
     definition: moveBulkTasksTool, 
     handler: async (params: any) => {
-      const result = await moveBulkTasksHandler(params) as BatchResult<ClickUpTask>;
-      return {
-        successful: result.successful,
-        failed: result.failed,
-        count: result.totals.total,
-        success_count: result.totals.success,
-        failure_count: result.totals.failure,
-        errors: result.failed.map(f => f.error)
-      };
+      const result = await moveBulkTasksHandler(params);
+      return formatBulkResult(result);
     }
   },
   { 
     definition: deleteBulkTasksTool, 
     handler: async (params: any) => {
-      const result = await deleteBulkTasksHandler(params) as BatchResult<void>;
-      return {
-        successful: result.successful,
-        failed: result.failed,
-        count: result.totals.total,
-        success_count: result.totals.success,
-        failure_count: result.totals.failure,
-        errors: result.failed.map(f => f.error)
-      };
+      const result = await deleteBulkTasksHandler(params);
+      return formatBulkResult(result);
     }
   },
    {
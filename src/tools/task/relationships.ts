@@ -0,0 +1,330 @@
+/**
+ * SPDX-FileCopyrightText: © 2025 Talib Kareem <taazkareem@icloud.com>
+ * SPDX-License-Identifier: MIT
+ *
+ * Task relationship tools
+ *
+ * This module provides tools for managing relationships between ClickUp tasks:
+ * - Add or remove dependencies (waiting on / blocking)
+ * - Add or remove task links
+ */
+
+import { taskService } from "../../services/shared.js";
+import { TaskDependencyType } from "../../services/clickup/types.js";
+import { getTaskId, validateTaskIdentification } from "./utilities.js";
+import { Logger } from "../../logger.js";
+import { sponsorService } from "../../utils/sponsor-service.js";
+
+// Logger instance
+const logger = new Logger('TaskRelationshipTools');
+
+// Identification properties for the task the operation is applied to
+const taskIdentificationProperties = {
+  taskId: {
+    type: "string",
+    description: "ID of the task (preferred). Works with both regular task IDs and custom IDs."
+  },
+  taskName: {
+    type: "string",
+    description: "Name of the task. When using this parameter, it's recommended to also provide listName."
+  },
+  listName: {
+    type: "string",
+    description: "Name of the list containing the task. Helps find the right task when using taskName."
+  },
+  customTaskId: {
+    type: "string",
+    description: "Custom task ID (e.g., 'DEV-1234'). Only use this for explicit custom ID lookup."
+  }
+};
+
+/**
+ * Build identification properties for the other task in a relationship
+ */
+function relatedTaskProperties(prefix: string, label: string) {
+  return {
+    [`${prefix}TaskId`]: {
+      type: "string",
+      description: `ID of the ${label} (preferred). Works with both regular task IDs and custom IDs.`
+    },
+    [`${prefix}TaskName`]: {
+      type: "string",
+      description: `Name of the ${label}. When using this parameter, it's recommended to also provide ${prefix}ListName.`
+    },
+    [`${prefix}ListName`]: {
+      type: "string",
+      description: `Name of the list containing the ${label}.`
+    },
+    [`${prefix}CustomTaskId`]: {
+      type: "string",
+      description: `Custom task ID of the ${label} (e.g., 'DEV-1234').`
+    }
+  };
+}
+
+const dependencyTypeProperty = {
+  type: {
+    type: "string",
+    enum: ["waiting_on", "blocking"],
+    description: "Direction of the dependency. 'waiting_on' (default): the task waits on the related task. 'blocking': the task blocks the related task."
+  }
+};
+
+// Output schema shared by dependency and link tools
+const relationshipOutputSchema = {
+  type: "object",
+  properties: {
+    success: { type: "boolean" },
+    message: { type: "string" },
+    task_id: { type: "string" },
+    related_task_id: { type: "string" },
+    linked_task_id: { type: "string" },
+    type: { type: "string", enum: ["waiting_on", "blocking"] }
+  },
+  required: ["success"]
+};
+
+/**
+ * Tool definition for adding a task dependency
+ */
+export const addTaskDependencyTool = {
+  name: "add_task_dependency",
+  description: "Adds a dependency between two tasks. Identify the task with taskId (preferred), taskName + optional listName, or customTaskId, and the other task with the matching relatedTask* parameters. type 'waiting_on' (default) makes the task wait on the related task; 'blocking' makes it block the related task.",
+  inputSchema: {
+    type: "object",
+    properties: {
+      ...taskIdentificationProperties,
+      ...relatedTaskProperties('related', 'related task'),
+      ...dependencyTypeProperty
+    }
+  },
+  annotations: {
+    title: "Add Task Dependency",
+    readOnlyHint: false,
+    destructiveHint: false,
+    idempotentHint: true,
+    openWorldHint: false
+  },
+  outputSchema: relationshipOutputSchema
+};
+
+/**
+ * Tool definition for removing a task dependency
+ */
+export const removeTaskDependencyTool = {
+  name: "remove_task_dependency",
+  description: "Removes a dependency between two tasks. Identify both tasks the same way as add_task_dependency and pass the same type used when the dependency was added.",
+  inputSchema: {
+    type: "object",
+    properties: {
+      ...taskIdentificationProperties,
+      ...relatedTaskProperties('related', 'related task'),
+      ...dependencyTypeProperty
+    }
+  },
+  annotations: {
+    title: "Remove Task Dependency",
+    readOnlyHint: false,
+    destructiveHint: true,
+    idempotentHint: true,
+    openWorldHint: false
+  },
+  outputSchema: relationshipOutputSchema
+};
+
+/**
+ * Tool definition for linking two tasks
+ */
+export const addTaskLinkTool = {
+  name: "add_task_link",
+  description: "Links two tasks together. Identify the task with taskId (preferred), taskName + optional listName, or customTaskId, and the other task with the matching linkedTask* parameters.",
+  inputSchema: {
+    type: "object",
+    properties: {
+      ...taskIdentificationProperties,
+      ...relatedTaskProperties('linked', 'task to link')
+    }
+  },
+  annotations: {
+    title: "Link Tasks",
+    readOnlyHint: false,
+    destructiveHint: false,
+    idempotentHint: true,
+    openWorldHint: false
+  },
+  outputSchema: relationshipOutputSchema
+};
+
+/**
+ * Tool definition for unlinking two tasks
+ */
+export const removeTaskLinkTool = {
+  name: "remove_task_link",
+  description: "Removes the link between two tasks. Identify both tasks the same way as add_task_link.",
+  inputSchema: {
+    type: "object",
+    properties: {
+      ...taskIdentificationProperties,
+      ...relatedTaskProperties('linked', 'linked task')
+    }
+  },
+  annotations: {
+    title: "Unlink Tasks",
+    readOnlyHint: false,
+    destructiveHint: true,
+    idempotentHint: true,
+    openWorldHint: false
+  },
+  outputSchema: relationshipOutputSchema
+};
+
+/**
+ * Resolve both task IDs of a relationship from tool parameters
+ */
+async function resolveTaskPair(params: any, prefix: string): Promise<{ taskId: string; otherTaskId: string }> {
+  const other = {
+    taskId: params[`${prefix}TaskId`],
+    taskName: params[`${prefix}TaskName`],
+    listName: params[`${prefix}ListName`],
+    customTaskId: params[`${prefix}CustomTaskId`]
+  };
+
+  const validation = validateTaskIdentification(other, { useGlobalLookup: true });
+  if (!validation.isValid) {
+    throw new Error(`Related task: Either ${prefix}TaskId, ${prefix}TaskName, or ${prefix}CustomTaskId must be provided`);
+  }
+
+  const taskId = await getTaskId(params.taskId, params.taskName, params.listName, params.customTaskId);
+  const otherTaskId = await getTaskId(other.taskId, other.taskName, other.listName, other.customTaskId);
+
+  if (taskId === otherTaskId) {
+    throw new Error("A task cannot be related to itself");
+  }
+
+  return { taskId, otherTaskId };
+}
+
+/**
+ * Validate the dependency type parameter
+ */
+function parseDependencyType(type?: string): TaskDependencyType {
+  if (type === undefined) return 'waiting_on';
+  if (type !== 'waiting_on' && type !== 'blocking') {
+    throw new Error(`Invalid dependency type "${type}". Use "waiting_on" or "blocking".`);
+  }
+  return type;
+}
+
+/**
+ * Handle add task dependency tool
+ */
+export async function handleAddTaskDependency(params: any) {
+  logger.info("Handling request to add task dependency", params);
+
+  try {
+    const type = parseDependencyType(params.type);
+    const { taskId, otherTaskId } = await resolveTaskPair(params, 'related');
+
+    await taskService.addTaskDependency(taskId, otherTaskId, type);
+
+    return sponsorService.createResponse({
+      success: true,
+      message: type === 'waiting_on'
+        ? `Task ${taskId} is now waiting on task ${otherTaskId}`
+        : `Task ${taskId} is now blocking task ${otherTaskId}`,
+      task_id: taskId,
+      related_task_id: otherTaskId,
+      type
+    }, true);
+  } catch (error) {
+    logger.error("Error adding task dependency", error);
+    return sponsorService.createErrorResponse((error as Error).message || "An unknown error occurred");
+  }
+}
+
+/**
+ * Handle remove task dependency tool
+ */
+export async function handleRemoveTaskDependency(params: any) {
+  logger.info("Handling request to remove task dependency", params);
+
+  try {
+    const type = parseDependencyType(params.type);
+    const { taskId, otherTaskId } = await resolveTaskPair(params, 'related');
+
+    await taskService.removeTaskDependency(taskId, otherTaskId, type);
+
+    return sponsorService.createResponse({
+      success: true,
+      message: "Task dependency removed successfully",
+      task_id: taskId,
+      related_task_id: otherTaskId,
+      type
+    }, true);
+  } catch (error) {
+    logger.error("Error removing task dependency", error);
+    return sponsorService.createErrorResponse((error as Error).message || "An unknown error occurred");
+  }
+}
+
+/**
+ * Handle add task link tool
+ */
+export async function handleAddTaskLink(params: any) {
+  logger.info("Handling request to add task link", params);
+
+  try {
+    const { taskId, otherTaskId } = await resolveTaskPair(params, 'linked');
+
+    await taskService.addTaskLink(taskId, otherTaskId);
+
+    return sponsorService.createResponse({
+      success: true,
+      message: `Task ${taskId} is now linked to task ${otherTaskId}`,
+      task_id: taskId,
+      linked_task_id: otherTaskId
+    }, true);
+  } catch (error) {
+    logger.error("Error adding task link", error);
+    return sponsorService.createErrorResponse((error as Error).message || "An unknown error occurred");
+  }
+}
+
+/**
+ * Handle remove task link tool
+ */
+export async function handleRemoveTaskLink(params: any) {
+  logger.info("Handling request to remove task link", params);
+
+  try {
+    const { taskId, otherTaskId } = await resolveTaskPair(params, 'linked');
+
+    await taskService.removeTaskLink(taskId, otherTaskId);
+
+    return sponsorService.createResponse({
+      success: true,
+      message: "Task link removed successfully",
+      task_id: taskId,
+      linked_task_id: otherTaskId
+    }, true);
+  } catch (error) {
+    logger.error("Error removing task link", error);
+    return sponsorService.createErrorResponse((error as Error).message || "An unknown error occurred");
+  }
+}
+
+// Export all relationship tools
+export const taskRelationshipTools = [
+  addTaskDependencyTool,
+  removeTaskDependencyTool,
+  addTaskLinkTool,
+  removeTaskLinkTool
+];
+
+// Export all relationship handlers
+export const taskRelationshipHandlers = {
+  add_task_dependency: handleAddTaskDependency,
+  remove_task_dependency: handleRemoveTaskDependency,
+  add_task_link: handleAddTaskLink,
+  remove_task_link: handleRemoveTaskLink
+};
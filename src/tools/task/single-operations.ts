@@ -17,6 +17,7 @@ import {
   UpdateTaskData
 } from '../../services/clickup/types.js';
 import { parseDueDate } from '../utils.js';
+import { paginationInputProperties, paginationOutputProperties } from '../../utils/pagination.js';
 import { clickUpServices } from '../../services/shared.js';
 import { 
   formatTaskData,
@@ -25,6 +26,7 @@ import {
   validateTaskIdentification,
   validateListIdentification
 } from './utilities.js';
+import { taskOutputSchema, successOutputSchema } from '../output-schemas.js';
 
 // Use shared services instance
 const { task: taskService } = clickUpServices;
@@ -64,6 +66,40 @@ const handleOperationError = (operation: string, error: any) => {
   throw error;
 };
 
+// Output schema for a page of comments
+const commentsPageOutputSchema = {
+  type: "object",
+  properties: {
+    comments: { type: "array", items: { type: "object" } },
+    count: { type: "integer" },
+    ...paginationOutputProperties
+  },
+  required: ["comments", "count"]
+};
+
+// Output schema for threaded replies of a comment
+const commentRepliesOutputSchema = {
+  type: "object",
+  properties: {
+    replies: { type: "array", items: { type: "object" } },
+    count: { type: "integer" },
+    ...paginationOutputProperties
+  },
+  required: ["replies", "count"]
+};
+
+// Output schema for comment create/update operations
+const commentResultOutputSchema = {
+  type: "object",
+  properties: {
+    success: { type: "boolean" },
+    message: { type: "string" },
+    comment: { type: "object" },
+    commentId: { type: "string" }
+  },
+  required: ["success"]
+};
+
 //=============================================================================
 // SINGLE TASK OPERATION TOOLS
 //=============================================================================
@@ -73,7 +109,7 @@ const handleOperationError = (operation: string, error: any) => {
  */
 export const createTaskTool = {
   name: "create_task",
-  description: `Creates a single task in a ClickUp list. Use listId (preferred) or listName. Required: name + list info. For multiple tasks use create_bulk_tasks. Can create subtasks via parent param. Supports custom fields as array of {id, value}. Supports assignees as array of user IDs, emails, or usernames.`,
+  description: `Creates a single task in a ClickUp list. Use listId (preferred) or listName. Required: name + list info. For multiple tasks use create_bulk_tasks. Can create subtasks via parent param. Supports custom fields as array of {id or name, value} with human values (see get_list_custom_fields). Supports assignees as array of user IDs, emails, or usernames. Can add checklists with items.`,
   inputSchema: {
     type: "object",
     properties: {
@@ -133,13 +169,17 @@ export const createTaskTool = {
               type: "string",
               description: "ID of the custom field"
             },
+            name: {
+              type: "string",
+              description: "Name of the custom field (case-insensitive). Used when id is not provided."
+            },
             value: {
-              description: "Value for the custom field. Type depends on the field type."
+              description: "Value for the custom field. Human values are converted for the field type: dropdown/label option names, natural language dates, amounts like '$1,200', member names or emails for people fields, task names or IDs for relationship fields."
             }
           },
-          required: ["id", "value"]
+          required: ["value"]
         },
-        description: "Optional array of custom field values to set on the task. Each object must have an 'id' and 'value' property."
+        description: "Optional array of custom field values to set on the task. Each object must have a 'value' and either an 'id' or a 'name'. Use get_list_custom_fields to see available fields and options."
       },
       check_required_custom_fields: {
         type: "boolean",
@@ -154,9 +194,38 @@ export const createTaskTool = {
           ]
         },
         description: "Optional array of assignee user IDs (numbers), emails, or usernames to assign to the task."
+      },
+      checklists: {
+        type: "array",
+        items: {
+          type: "object",
+          properties: {
+            name: {
+              type: "string",
+              description: "Name of the checklist"
+            },
+            items: {
+              type: "array",
+              items: {
+                type: "string"
+              },
+              description: "Optional names of items to add to the checklist, in order"
+            }
+          },
+          required: ["name"]
+        },
+        description: "Optional array of checklists to create on the task. Use the checklist tools to assign, resolve or nest items afterwards."
       }
     }
-  }
+  },
+  annotations: {
+    title: "Create Task",
+    readOnlyHint: false,
+    destructiveHint: false,
+    idempotentHint: false,
+    openWorldHint: false
+  },
+  outputSchema: taskOutputSchema
 };
 
 /**
@@ -164,7 +233,7 @@ export const createTaskTool = {
  */
 export const updateTaskTool = {
   name: "update_task",
-  description: `Updates task properties. Use taskId (preferred) or taskName + optional listName. At least one update field required. Custom fields supported as array of {id, value}. Supports assignees as array of user IDs, emails, or usernames. WARNING: Using taskName without listName may match multiple tasks.`,
+  description: `Updates task properties. Use taskId (preferred) or taskName + optional listName. At least one update field required. Custom fields supported as array of {id or name, value} with human values (see get_list_custom_fields). Supports assignees as array of user IDs, emails, or usernames. Checklists and their items can be edited with checklists. WARNING: Using taskName without listName may match multiple tasks.`,
   inputSchema: {
     type: "object",
     properties: {
@@ -223,13 +292,17 @@ export const updateTaskTool = {
               type: "string",
               description: "ID of the custom field"
             },
+            name: {
+              type: "string",
+              description: "Name of the custom field (case-insensitive). Used when id is not provided."
+            },
             value: {
-              description: "Value for the custom field. Type depends on the field type."
+              description: "Value for the custom field. Human values are converted for the field type: dropdown/label option names, natural language dates, amounts like '$1,200', member names or emails for people fields, task names or IDs for relationship fields."
             }
           },
-          required: ["id", "value"]
+          required: ["value"]
         },
-        description: "Optional array of custom field values to set on the task. Each object must have an 'id' and 'value' property."
+        description: "Optional array of custom field values to set on the task. Each object must have a 'value' and either an 'id' or a 'name'. Use get_list_custom_fields to see available fields and options."
       },
       assignees: {
         type: "array",
@@ -240,9 +313,83 @@ export const updateTaskTool = {
           ]
         },
         description: "Optional array of assignee user IDs (numbers), emails, or usernames to assign to the task."
+      },
+      checklists: {
+        type: "array",
+        items: {
+          type: "object",
+          properties: {
+            checklistId: {
+              type: "string",
+              description: "ID of the checklist to change"
+            },
+            name: {
+              type: "string",
+              description: "Name of the checklist to change (case-insensitive). A checklist with this name is created when the task has none."
+            },
+            rename: {
+              type: "string",
+              description: "New name for the checklist"
+            },
+            position: {
+              type: "number",
+              description: "New zero-based position of the checklist among the task's checklists"
+            },
+            delete: {
+              type: "boolean",
+              description: "Set to true to delete the checklist and its items"
+            },
+            items: {
+              type: "array",
+              items: {
+                type: "object",
+                properties: {
+                  itemId: {
+                    type: "string",
+                    description: "ID of the item to change"
+                  },
+                  name: {
+                    type: "string",
+                    description: "Name of the item to change (case-insensitive). An item with this name is added when the checklist has none."
+                  },
+                  rename: {
+                    type: "string",
+                    description: "New name for the item"
+                  },
+                  assignee: {
+                    oneOf: [
+                      { type: "number" },
+                      { type: "string" },
+                      { type: "null" }
+                    ],
+                    description: "User ID, email or username to assign the item to. Use null to unassign."
+                  },
+                  resolved: {
+                    type: "boolean",
+                    description: "Set to true to resolve the item or false to reopen it"
+                  },
+                  delete: {
+                    type: "boolean",
+                    description: "Set to true to delete the item and any nested items"
+                  }
+                }
+              },
+              description: "Optional item changes, applied in order"
+            }
+          }
+        },
+        description: "Optional array of checklist changes, applied in order. Each change targets a checklist by checklistId or name and can rename, reorder or delete it, or add, update, resolve and delete its items (matched by itemId or name)."
       }
     }
-  }
+  },
+  annotations: {
+    title: "Update Task",
+    readOnlyHint: false,
+    destructiveHint: true,
+    idempotentHint: true,
+    openWorldHint: false
+  },
+  outputSchema: taskOutputSchema
 };
 
 /**
@@ -276,7 +423,15 @@ export const moveTaskTool = {
       }
     },
     required: []
-  }
+  },
+  annotations: {
+    title: "Move Task",
+    readOnlyHint: false,
+    destructiveHint: false,
+    idempotentHint: true,
+    openWorldHint: false
+  },
+  outputSchema: taskOutputSchema
 };
 
 /**
@@ -310,7 +465,15 @@ export const duplicateTaskTool = {
       }
     },
     required: []
-  }
+  },
+  annotations: {
+    title: "Duplicate Task",
+    readOnlyHint: false,
+    destructiveHint: false,
+    idempotentHint: false,
+    openWorldHint: false
+  },
+  outputSchema: taskOutputSchema
 };
 
 /**
@@ -318,7 +481,7 @@ export const duplicateTaskTool = {
  */
 export const getTaskTool = {
   name: "get_task",
-  description: `Gets task details by taskId (automatically handles both regular and custom IDs) or taskName. For taskName search, provide listName for faster lookup. Set subtasks=true to include all subtask details.`,
+  description: `Gets task details by taskId (automatically handles both regular and custom IDs) or taskName. For taskName search, provide listName for faster lookup. Set subtasks=true to include all subtask details. Checklists are returned in compact nested form with item IDs. Dependencies are returned as waiting_on/blocking lists and linked_tasks as related task IDs and names.`,
   inputSchema: {
     type: "object",
     properties: {
@@ -343,7 +506,13 @@ export const getTaskTool = {
         description: "Whether to include subtasks in the response. Set to true to retrieve full details of all subtasks."
       }
     }
-  }
+  },
+  annotations: {
+    title: "Get Task",
+    readOnlyHint: true,
+    openWorldHint: false
+  },
+  outputSchema: taskOutputSchema
 };
 
 /**
@@ -362,7 +531,8 @@ Requirements:
 
 Notes:
 - Use filters (archived, statuses, etc.) to narrow down results
-- Pagination available through page parameter
+- Results are returned up to max_tokens; pass next_cursor as cursor to continue
+- Use fields to return only the task fields you need
 - Sorting available through order_by and reverse parameters`,
   inputSchema: {
     type: "object",
@@ -390,7 +560,7 @@ Notes:
       },
       page: {
         type: "number",
-        description: "Page number for pagination (starts at 0)"
+        description: "ClickUp page to start at (starts at 0), instead of a cursor"
       },
       order_by: {
         type: "string",
@@ -399,18 +569,32 @@ Notes:
       reverse: {
         type: "boolean",
         description: "Reverse sort order (descending)"
-      }
+      },
+      ...paginationInputProperties
     },
     required: []
   }
 };
 
+// Shared pagination properties for comment listing tools
+const commentPaginationProperties = {
+  start: {
+    type: "number",
+    description: "Timestamp (in milliseconds) to start retrieving comments from, instead of a cursor."
+  },
+  startId: {
+    type: "string",
+    description: "Comment ID to start from, together with start."
+  },
+  ...paginationInputProperties
+};
+
 /**
  * Tool definition for retrieving task comments
  */
 export const getTaskCommentsTool = {
   name: "get_task_comments",
-  description: `Gets task comments. Use taskId (preferred) or taskName + optional listName. Use start/startId params for pagination. Task names may not be unique across lists.`,
+  description: `Gets task comments (newest first, 25 per page). Use taskId (preferred) or taskName + optional listName. When next_cursor is returned, pass it as cursor to get older comments. Task names may not be unique across lists.`,
   inputSchema: {
     type: "object",
     properties: {
@@ -426,16 +610,15 @@ export const getTaskCommentsTool = {
         type: "string",
         description: "Name of list containing the task. Helps find the right task when using taskName."
       },
-      start: {
-        type: "number",
-        description: "Timestamp (in milliseconds) to start retrieving comments from. Used for pagination."
-      },
-      startId: {
-        type: "string",
-        description: "Comment ID to start from. Used together with start for pagination."
-      }
+      ...commentPaginationProperties
     }
-  }
+  },
+  annotations: {
+    title: "Get Task Comments",
+    readOnlyHint: true,
+    openWorldHint: false
+  },
+  outputSchema: commentsPageOutputSchema
 };
 
 /**
@@ -473,7 +656,281 @@ export const createTaskCommentTool = {
       }
     },
     required: ["commentText"]
-  }
+  },
+  annotations: {
+    title: "Create Task Comment",
+    readOnlyHint: false,
+    destructiveHint: false,
+    idempotentHint: false,
+    openWorldHint: false
+  },
+  outputSchema: commentResultOutputSchema
+};
+
+/**
+ * Tool definition for getting replies to a comment
+ */
+export const getCommentRepliesTool = {
+  name: "get_comment_replies",
+  description: `Gets the threaded replies to a comment. Requires commentId (from get_task_comments, get_list_comments or get_view_comments).`,
+  inputSchema: {
+    type: "object",
+    properties: {
+      commentId: {
+        type: "string",
+        description: "REQUIRED: ID of the comment whose replies to retrieve."
+      },
+      ...paginationInputProperties
+    },
+    required: ["commentId"]
+  },
+  annotations: {
+    title: "Get Comment Replies",
+    readOnlyHint: true,
+    openWorldHint: false
+  },
+  outputSchema: commentRepliesOutputSchema
+};
+
+/**
+ * Tool definition for replying to a comment
+ */
+export const createCommentReplyTool = {
+  name: "create_comment_reply",
+  description: `Replies to a comment in its thread. Required: commentId and commentText. Optional: notifyAll, assignee (user ID, email or username) to assign the reply.`,
+  inputSchema: {
+    type: "object",
+    properties: {
+      commentId: {
+        type: "string",
+        description: "REQUIRED: ID of the comment to reply to."
+      },
+      commentText: {
+        type: "string",
+        description: "REQUIRED: Text content of the reply."
+      },
+      notifyAll: {
+        type: "boolean",
+        description: "Whether to notify all assignees. Default is false."
+      },
+      assignee: {
+        oneOf: [
+          { type: "number" },
+          { type: "string" }
+        ],
+        description: "Optional user ID, email or username to assign the reply to."
+      }
+    },
+    required: ["commentId", "commentText"]
+  },
+  annotations: {
+    title: "Reply to Comment",
+    readOnlyHint: false,
+    destructiveHint: false,
+    idempotentHint: false,
+    openWorldHint: false
+  },
+  outputSchema: commentResultOutputSchema
+};
+
+/**
+ * Tool definition for updating a comment
+ */
+export const updateCommentTool = {
+  name: "update_comment",
+  description: `Updates a comment: edit its text, assign/unassign it, or resolve/unresolve it. Required: commentId plus at least one of commentText, assignee, resolved.`,
+  inputSchema: {
+    type: "object",
+    properties: {
+      commentId: {
+        type: "string",
+        description: "REQUIRED: ID of the comment to update."
+      },
+      commentText: {
+        type: "string",
+        description: "New text content for the comment."
+      },
+      assignee: {
+        oneOf: [
+          { type: "number" },
+          { type: "string" },
+          { type: "null" }
+        ],
+        description: "User ID, email or username to assign the comment to. Use null to unassign."
+      },
+      resolved: {
+        type: "boolean",
+        description: "Set to true to resolve an assigned comment or false to unresolve it."
+      }
+    },
+    required: ["commentId"]
+  },
+  annotations: {
+    title: "Update Comment",
+    readOnlyHint: false,
+    destructiveHint: true,
+    idempotentHint: true,
+    openWorldHint: false
+  },
+  outputSchema: commentResultOutputSchema
+};
+
+/**
+ * Tool definition for deleting a comment
+ */
+export const deleteCommentTool = {
+  name: "delete_comment",
+  description: `PERMANENTLY deletes a comment. Requires commentId. WARNING: Cannot be undone.`,
+  inputSchema: {
+    type: "object",
+    properties: {
+      commentId: {
+        type: "string",
+        description: "REQUIRED: ID of the comment to delete."
+      }
+    },
+    required: ["commentId"]
+  },
+  annotations: {
+    title: "Delete Comment",
+    readOnlyHint: false,
+    destructiveHint: true,
+    idempotentHint: true,
+    openWorldHint: false
+  },
+  outputSchema: successOutputSchema
+};
+
+/**
+ * Tool definition for getting comments on a list
+ */
+export const getListCommentsTool = {
+  name: "get_list_comments",
+  description: `Gets comments posted on a list (newest first, 25 per page). Use listId (preferred) or listName. When next_cursor is returned, pass it as cursor to get older comments.`,
+  inputSchema: {
+    type: "object",
+    properties: {
+      listId: {
+        type: "string",
+        description: "ID of the list to retrieve comments for (preferred)."
+      },
+      listName: {
+        type: "string",
+        description: "Name of the list to retrieve comments for. Only use if you don't have listId."
+      },
+      ...commentPaginationProperties
+    }
+  },
+  annotations: {
+    title: "Get List Comments",
+    readOnlyHint: true,
+    openWorldHint: false
+  },
+  outputSchema: commentsPageOutputSchema
+};
+
+/**
+ * Tool definition for creating a comment on a list
+ */
+export const createListCommentTool = {
+  name: "create_list_comment",
+  description: `Creates a comment on a list. Use listId (preferred) or listName. Required: commentText. Optional: notifyAll, assignee (user ID, email or username).`,
+  inputSchema: {
+    type: "object",
+    properties: {
+      listId: {
+        type: "string",
+        description: "ID of the list to comment on (preferred)."
+      },
+      listName: {
+        type: "string",
+        description: "Name of the list to comment on. Only use if you don't have listId."
+      },
+      commentText: {
+        type: "string",
+        description: "REQUIRED: Text content of the comment."
+      },
+      notifyAll: {
+        type: "boolean",
+        description: "Whether to notify all list members. Default is false."
+      },
+      assignee: {
+        oneOf: [
+          { type: "number" },
+          { type: "string" }
+        ],
+        description: "Optional user ID, email or username to assign the comment to."
+      }
+    },
+    required: ["commentText"]
+  },
+  annotations: {
+    title: "Create List Comment",
+    readOnlyHint: false,
+    destructiveHint: false,
+    idempotentHint: false,
+    openWorldHint: false
+  },
+  outputSchema: commentResultOutputSchema
+};
+
+/**
+ * Tool definition for getting comments on a view
+ */
+export const getViewCommentsTool = {
+  name: "get_view_comments",
+  description: `Gets comments posted on a view, such as a Chat view (newest first, 25 per page). Requires viewId. When next_cursor is returned, pass it as cursor to get older comments.`,
+  inputSchema: {
+    type: "object",
+    properties: {
+      viewId: {
+        type: "string",
+        description: "REQUIRED: ID of the view to retrieve comments for."
+      },
+      ...commentPaginationProperties
+    },
+    required: ["viewId"]
+  },
+  annotations: {
+    title: "Get View Comments",
+    readOnlyHint: true,
+    openWorldHint: false
+  },
+  outputSchema: commentsPageOutputSchema
+};
+
+/**
+ * Tool definition for creating a comment on a view
+ */
+export const createViewCommentTool = {
+  name: "create_view_comment",
+  description: `Creates a comment on a view, such as a Chat view. Required: viewId and commentText. Optional: notifyAll.`,
+  inputSchema: {
+    type: "object",
+    properties: {
+      viewId: {
+        type: "string",
+        description: "REQUIRED: ID of the view to comment on."
+      },
+      commentText: {
+        type: "string",
+        description: "REQUIRED: Text content of the comment."
+      },
+      notifyAll: {
+        type: "boolean",
+        description: "Whether to notify all view members. Default is false."
+      }
+    },
+    required: ["viewId", "commentText"]
+  },
+  annotations: {
+    title: "Create View Comment",
+    readOnlyHint: false,
+    destructiveHint: false,
+    idempotentHint: false,
+    openWorldHint: false
+  },
+  outputSchema: commentResultOutputSchema
 };
 
 /**
@@ -498,5 +955,13 @@ export const deleteTaskTool = {
         description: "Optional: Name of list containing the task. Providing this narrows the search to a specific list, improving performance and reducing ambiguity."
       }
     }
-  }
+  },
+  annotations: {
+    title: "Delete Task",
+    readOnlyHint: false,
+    destructiveHint: true,
+    idempotentHint: true,
+    openWorldHint: false
+  },
+  outputSchema: successOutputSchema
 }; 
\ No newline at end of file
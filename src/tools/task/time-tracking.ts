@@ -18,10 +18,66 @@ import { Logger } from "../../logger.js";
 import { ErrorCode } from "../../services/clickup/base.js";
 import { formatDueDate, parseDueDate } from "../../utils/date-utils.js";
 import { sponsorService } from "../../utils/sponsor-service.js";
+import { successOutputSchema } from "../output-schemas.js";
+import { arraySource, collectPage, paginationInputProperties, paginationOutputProperties } from "../../utils/pagination.js";
 
 // Logger instance
 const logger = new Logger('TimeTrackingTools');
 
+// Output schema for a task's time entries
+const timeEntriesOutputSchema = {
+  type: "object",
+  properties: {
+    success: { type: "boolean" },
+    count: { type: "integer" },
+    time_entries: {
+      type: "array",
+      items: {
+        type: "object",
+        properties: {
+          id: { type: "string" },
+          description: { type: "string" },
+          duration: { type: "string" },
+          duration_ms: { type: "number" },
+          billable: { type: "boolean" }
+        }
+      }
+    },
+    ...paginationOutputProperties
+  },
+  required: ["success", "count", "time_entries"]
+};
+
+// Output schema for tools returning a single time entry
+const timeEntryResultOutputSchema = {
+  type: "object",
+  properties: {
+    success: { type: "boolean" },
+    message: { type: "string" },
+    timer_running: { type: "boolean" },
+    time_entry: {
+      type: "object",
+      properties: {
+        id: { type: "string" },
+        description: { description: "Entry description, if set" },
+        start: { description: "Start time (ms timestamp)" },
+        end: { description: "End time (ms timestamp), unless the timer is running" },
+        duration: { type: "string" },
+        elapsed: { type: "string" },
+        task: {
+          type: "object",
+          properties: {
+            id: { type: "string" },
+            name: { type: "string" }
+          }
+        },
+        billable: { type: "boolean" }
+      }
+    }
+  },
+  required: ["success"]
+};
+
 /**
  * Tool definition for getting time entries
  */
@@ -50,9 +106,16 @@ export const getTaskTimeEntriesTool = {
       endDate: {
         type: "string",
         description: "Optional end date filter. Supports Unix timestamps (in milliseconds) and natural language expressions."
-      }
+      },
+      ...paginationInputProperties
     }
-  }
+  },
+  annotations: {
+    title: "Get Task Time Entries",
+    readOnlyHint: true,
+    openWorldHint: false
+  },
+  outputSchema: timeEntriesOutputSchema
 };
 
 /**
@@ -92,7 +155,15 @@ export const startTimeTrackingTool = {
         description: "Optional array of tag names to assign to the time entry."
       }
     }
-  }
+  },
+  annotations: {
+    title: "Start Time Tracking",
+    readOnlyHint: false,
+    destructiveHint: false,
+    idempotentHint: false,
+    openWorldHint: false
+  },
+  outputSchema: timeEntryResultOutputSchema
 };
 
 /**
@@ -116,7 +187,15 @@ export const stopTimeTrackingTool = {
         description: "Optional array of tag names to assign to the time entry."
       }
     }
-  }
+  },
+  annotations: {
+    title: "Stop Time Tracking",
+    readOnlyHint: false,
+    destructiveHint: false,
+    idempotentHint: true,
+    openWorldHint: false
+  },
+  outputSchema: timeEntryResultOutputSchema
 };
 
 /**
@@ -165,7 +244,15 @@ export const addTimeEntryTool = {
       }
     },
     required: ["start", "duration"]
-  }
+  },
+  annotations: {
+    title: "Add Time Entry",
+    readOnlyHint: false,
+    destructiveHint: false,
+    idempotentHint: false,
+    openWorldHint: false
+  },
+  outputSchema: timeEntryResultOutputSchema
 };
 
 /**
@@ -183,7 +270,15 @@ export const deleteTimeEntryTool = {
       }
     },
     required: ["timeEntryId"]
-  }
+  },
+  annotations: {
+    title: "Delete Time Entry",
+    readOnlyHint: false,
+    destructiveHint: true,
+    idempotentHint: true,
+    openWorldHint: false
+  },
+  outputSchema: successOutputSchema
 };
 
 /**
@@ -195,7 +290,13 @@ export const getCurrentTimeEntryTool = {
   inputSchema: {
     type: "object",
     properties: {}
-  }
+  },
+  annotations: {
+    title: "Get Current Time Entry",
+    readOnlyHint: true,
+    openWorldHint: false
+  },
+  outputSchema: timeEntryResultOutputSchema
 };
 
 /**
@@ -231,30 +332,32 @@ export async function handleGetTaskTimeEntries(params: any) {
     }
 
     const timeEntries = result.data || [];
+    const { items, ...paging } = await collectPage('get_task_time_entries', params, arraySource(timeEntries), entry => ({
+      id: entry.id,
+      description: entry.description || "",
+      start: entry.start,
+      end: entry.end,
+      duration: formatDuration(entry.duration || 0),
+      duration_ms: entry.duration || 0,
+      billable: entry.billable || false,
+      tags: entry.tags || [],
+      user: entry.user ? {
+        id: entry.user.id,
+        username: entry.user.username
+      } : null,
+      task: entry.task ? {
+        id: entry.task.id,
+        name: entry.task.name,
+        status: entry.task.status?.status || "Unknown"
+      } : null
+    }));
 
     // Format the response
     return sponsorService.createResponse({
       success: true,
-      count: timeEntries.length,
-      time_entries: timeEntries.map(entry => ({
-        id: entry.id,
-        description: entry.description || "",
-        start: entry.start,
-        end: entry.end,
-        duration: formatDuration(entry.duration || 0),
-        duration_ms: entry.duration || 0,
-        billable: entry.billable || false,
-        tags: entry.tags || [],
-        user: entry.user ? {
-          id: entry.user.id,
-          username: entry.user.username
-        } : null,
-        task: entry.task ? {
-          id: entry.task.id,
-          name: entry.task.name,
-          status: entry.task.status?.status || "Unknown"
-        } : null
-      }))
+      count: items.length,
+      time_entries: items,
+      ...paging
     }, true);
   } catch (error) {
     logger.error("Error getting task time entries", error);
@@ -556,7 +659,7 @@ function calculateElapsedTime(startTimeString: string): number {
 /**
  * Format duration in milliseconds to a human-readable string
  */
-function formatDuration(durationMs: number): string {
+export function formatDuration(durationMs: number): string {
   if (!durationMs) return "0m";
   
   const seconds = Math.floor(durationMs / 1000);
@@ -9,9 +9,12 @@
  */
 
 import {
-  ClickUpTask
+  ClickUpTask,
+  ClickUpChecklist,
+  ClickUpChecklistItem
 } from '../../services/clickup/types.js';
 import { BatchProcessingOptions } from '../../utils/concurrency-utils.js';
+import { getToolContext } from '../../utils/tool-context.js';
 import { formatDueDate } from '../utils.js';
 import { clickUpServices } from '../../services/shared.js';
 import { findListIDByName } from '../../tools/list.js';
@@ -45,7 +48,7 @@ export function formatTaskData(task: ClickUpTask, additional: any = {}) {
     creator: task.creator,
     assignees: task.assignees,
     watchers: task.watchers,
-    checklists: task.checklists,
+    checklists: formatChecklists(task.checklists),
     tags: task.tags,
     parent: task.parent,
     priority: task.priority,
@@ -54,8 +57,8 @@ export function formatTaskData(task: ClickUpTask, additional: any = {}) {
     time_estimate: task.time_estimate,
     time_spent: task.time_spent,
     custom_fields: task.custom_fields,
-    dependencies: task.dependencies,
-    linked_tasks: task.linked_tasks,
+    dependencies: formatDependencies(task),
+    linked_tasks: formatLinkedTasks(task),
     team_id: task.team_id,
     list: {
       id: task.list.id,
@@ -76,6 +79,94 @@ export function formatTaskData(task: ClickUpTask, additional: any = {}) {
   };
 }
 
+/**
+ * Formats task checklists into a compact, nested representation.
+ * Items are nested under their parent item and only carry the fields
+ * needed to act on them (id, name, resolved, assignee).
+ */
+export function formatChecklists(checklists?: ClickUpChecklist[]) {
+  if (!checklists || !Array.isArray(checklists)) {
+    return [];
+  }
+
+  const formatItem = (item: ClickUpChecklistItem, items: ClickUpChecklistItem[]) => {
+    const children = items
+      .filter(child => child.parent === item.id)
+      .sort((a, b) => a.orderindex - b.orderindex)
+      .map(child => formatItem(child, items));
+
+    return {
+      id: item.id,
+      name: item.name,
+      resolved: item.resolved,
+      assignee: item.assignee ? item.assignee.username || item.assignee.email || item.assignee.id : null,
+      ...(children.length > 0 ? { children } : {})
+    };
+  };
+
+  return [...checklists]
+    .sort((a, b) => a.orderindex - b.orderindex)
+    .map(checklist => {
+      const items = checklist.items || [];
+      const topLevel = items
+        .filter(item => !item.parent)
+        .sort((a, b) => a.orderindex - b.orderindex);
+
+      return {
+        id: checklist.id,
+        name: checklist.name,
+        progress: `${items.filter(item => item.resolved).length}/${items.length}`,
+        items: topLevel.map(item => formatItem(item, items))
+      };
+    });
+}
+
+/**
+ * Formats task dependencies into waiting_on / blocking lists.
+ * ClickUp returns both directions in one array: entries where task_id is this
+ * task are tasks it waits on, entries where depends_on is this task are tasks it blocks.
+ *
+ * @param task The task whose dependencies to format
+ * @param taskNames Optional map of task ID to name used to label related tasks
+ */
+export function formatDependencies(task: ClickUpTask, taskNames: Record<string, string> = {}) {
+  const label = (id: string) => (taskNames[id] ? { id, name: taskNames[id] } : { id });
+  const dependencies = Array.isArray(task.dependencies) ? task.dependencies : [];
+
+  return {
+    waiting_on: dependencies
+      .filter(dep => dep.task_id === task.id)
+      .map(dep => label(dep.depends_on)),
+    blocking: dependencies
+      .filter(dep => dep.depends_on === task.id)
+      .map(dep => label(dep.task_id))
+  };
+}
+
+/**
+ * Formats linked tasks into a list of the other task in each link
+ *
+ * @param task The task whose links to format
+ * @param taskNames Optional map of task ID to name used to label related tasks
+ */
+export function formatLinkedTasks(task: ClickUpTask, taskNames: Record<string, string> = {}) {
+  const links = Array.isArray(task.linked_tasks) ? task.linked_tasks : [];
+
+  return links.map(link => {
+    const id = link.task_id === task.id ? link.link_id : link.task_id;
+    return taskNames[id] ? { id, name: taskNames[id] } : { id };
+  });
+}
+
+/**
+ * Collects the IDs of all tasks related to a task through dependencies or links
+ */
+export function getRelatedTaskIds(task: ClickUpTask): string[] {
+  const { waiting_on, blocking } = formatDependencies(task);
+  const ids = [...waiting_on, ...blocking, ...formatLinkedTasks(task)].map(related => related.id);
+  return [...new Set(ids)];
+}
+
 //=============================================================================
 // TASK ID DETECTION UTILITIES
 //=============================================================================
@@ -290,17 +381,32 @@ export function validateBulkTasks(tasks: any[], operation: 'create' | 'update' |
 }
 
 /**
- * Parse options for bulk operations
+ * Parse options for bulk operations. Processing stops when the tool call is
+ * cancelled, and reports progress when the client asked for it.
  */
-export function parseBulkOptions(rawOptions: any): BatchProcessingOptions | undefined {
+export function parseBulkOptions(rawOptions: any): BatchProcessingOptions {
+  let options: BatchProcessingOptions = rawOptions;
   if (typeof rawOptions === 'string') {
     try {
-      return JSON.parse(rawOptions);
+      options = JSON.parse(rawOptions);
     } catch (error) {
-      return undefined;
+      options = undefined;
     }
   }
-  return rawOptions;
+
+  const context = getToolContext();
+  const reportProgress = context?.reportProgress;
+  return {
+    ...options,
+    signal: context?.signal,
+    progressCallback: reportProgress
+      ? (completed, total, successes, failures) => reportProgress(
+          completed,
+          total,
+          `Processed ${completed} of ${total} tasks${failures > 0 ? ` (${failures} failed)` : ''}`
+        )
+      : undefined
+  };
 }
 
 
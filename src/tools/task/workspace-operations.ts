@@ -9,6 +9,40 @@
  */
 
 import { TaskFilters } from '../../services/clickup/types.js';
+import { idNameSchema } from '../output-schemas.js';
+import { paginationInputProperties, paginationOutputProperties } from '../../utils/pagination.js';
+
+// Output schema for workspace task results. Summaries are returned for detail_level summary.
+const workspaceTasksOutputSchema = {
+  type: "object",
+  properties: {
+    tasks: {
+      type: "array",
+      description: "Full task objects (detailed format)",
+      items: { type: "object" }
+    },
+    summaries: {
+      type: "array",
+      description: "Lightweight task summaries (summary format)",
+      items: {
+        type: "object",
+        properties: {
+          id: { type: "string" },
+          name: { type: "string" },
+          status: { type: "string" },
+          list: idNameSchema,
+          due_date: { description: "Due date timestamp, or null" },
+          url: { type: "string" },
+          priority: { description: "Priority, or null" },
+          tags: { type: "array", items: { type: "object" } }
+        }
+      }
+    },
+    total_count: { type: "integer", description: "Number of tasks on this page" },
+    has_more: { type: "boolean" },
+    ...paginationOutputProperties
+  }
+};
 
 /**
  * Tool definition for getting workspace tasks
@@ -37,7 +71,8 @@ Notes:
 - Use the detail_level parameter to control the amount of data returned:
   - "summary": Returns lightweight task data (name, status, list, tags)
   - "detailed": Returns complete task data with all fields (DEFAULT if not specified)
-- Responses exceeding 50,000 tokens automatically switch to summary format to avoid hitting LLM token limits
+- Pages are filled with tasks up to max_tokens (default 50,000); when next_cursor is returned, pass it as cursor with the same filters to continue
+- Use fields to return only the task fields you need, e.g. ['name', 'status.status', 'due_date']
 - **Enhanced List Filtering**: When list_ids are provided, the tool leverages ClickUp's Views API to include tasks that are *associated with* the specified lists, including tasks that have been added to multiple lists. This provides comprehensive coverage of all tasks related to your specified lists, not just tasks that were originally created in those lists.
 `,
   parameters: {
@@ -124,7 +159,7 @@ Notes:
       },
       page: {
         type: 'number',
-        description: 'Page number for pagination (0-based).'
+        description: 'ClickUp page to start at (0-based), instead of a cursor.'
       },
       detail_level: {
         type: 'string',
@@ -146,7 +181,8 @@ Notes:
       custom_fields: {
         type: 'object',
         description: 'Filter by custom field values. Provide as key-value pairs where keys are custom field IDs.'
-      }
+      },
+      ...paginationInputProperties
     }
   },
   inputSchema: {
@@ -233,7 +269,7 @@ Notes:
       },
       page: {
         type: 'number',
-        description: 'Page number for pagination (0-based).'
+        description: 'ClickUp page to start at (0-based), instead of a cursor.'
       },
       detail_level: {
         type: 'string',
@@ -255,7 +291,86 @@ Notes:
       custom_fields: {
         type: 'object',
         description: 'Filter by custom field values. Provide as key-value pairs where keys are custom field IDs.'
+      },
+      ...paginationInputProperties
+    }
+  },
+  annotations: {
+    title: "Get Workspace Tasks",
+    readOnlyHint: true,
+    openWorldHint: false
+  },
+  outputSchema: workspaceTasksOutputSchema
+};
+
+/**
+ * Tool definition for searching workspace tasks with a query string
+ */
+export const searchTasksTool = {
+  name: "search_tasks",
+  description: `Purpose: Search tasks across the workspace with a compact query string instead of separate filter parameters.
+
+Query syntax:
+- Terms separated by spaces must all match: status:"in progress" assignee:me tag:bug
+- Fields: status, assignee (name, email, ID or "me"), tag, list, folder, space (names or IDs), priority (urgent/high/normal/low/none), is (open/closed)
+- Dates: due, created, updated with :, <, <=, >, >= and natural language values (due<friday, created>="last week", updated:today)
+- Comma-separated values match any of them: status:open,"in review"
+- OR between two terms matches either: tag:bug OR priority:urgent
+- A leading - excludes matches: -tag:wontfix
+- Words without a field match task names: login -draft
+- sort:<field> or sort:-<field> (descending) with id, created, updated or due
+
+Notes:
+- Conditions ClickUp cannot filter on (negation, OR, priority, name text) are applied to the fetched tasks; pages are filled up to max_tokens from as many ClickUp pages as needed
+- When next_cursor is returned, pass it as cursor with the same query to continue
+- The response lists which conditions were sent to ClickUp and which were applied locally
+- Use get_workspace_tasks for custom field filters or the Views API list filtering
+`,
+  inputSchema: {
+    type: 'object',
+    properties: {
+      query: {
+        type: 'string',
+        description: 'Search query, e.g. status:"in progress" assignee:me tag:bug due<friday list:"Sprint 12" -tag:wontfix sort:-updated'
+      },
+      page: {
+        type: 'number',
+        description: 'ClickUp page to start at (0-based), instead of a cursor.'
+      },
+      detail_level: {
+        type: 'string',
+        enum: ['summary', 'detailed'],
+        description: 'Level of detail to return. Use summary for lightweight responses or detailed for full task data. If not specified, defaults to "detailed".'
+      },
+      subtasks: {
+        type: 'boolean',
+        description: 'Include subtasks that match the query.'
+      },
+      ...paginationInputProperties
+    },
+    required: ['query']
+  },
+  annotations: {
+    title: "Search Tasks",
+    readOnlyHint: true,
+    openWorldHint: false
+  },
+  outputSchema: {
+    ...workspaceTasksOutputSchema,
+    properties: {
+      ...workspaceTasksOutputSchema.properties,
+      query: {
+        type: "object",
+        description: "How the query was applied",
+        properties: {
+          server_filters: { type: "object", description: "Filters sent to ClickUp" },
+          client_filters: {
+            type: "array",
+            description: "Conditions applied to the fetched tasks",
+            items: { type: "string" }
+          }
+        }
       }
     }
   }
-};
\ No newline at end of file
+};
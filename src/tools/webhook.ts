@@ -0,0 +1,376 @@
+/**
+ * SPDX-FileCopyrightText: © 2025 Talib Kareem <taazkareem@icloud.com>
+ * SPDX-License-Identifier: MIT
+ *
+ * ClickUp MCP Webhook Tools
+ *
+ * This module defines webhook-related tools for creating, listing,
+ * updating, and deleting ClickUp webhooks scoped to the workspace or
+ * to a space, folder, list or task.
+ */
+
+import {
+  ClickUpWebhook,
+  CreateWebhookData,
+  UpdateWebhookData
+} from '../services/clickup/types.js';
+import { clickUpServices } from '../services/shared.js';
+import { WEBHOOK_EVENT_TYPES } from '../webhooks/types.js';
+import { sponsorService } from '../utils/sponsor-service.js';
+import { arraySource, collectPage, paginationInputProperties, paginationOutputProperties } from '../utils/pagination.js';
+import { successOutputSchema } from './output-schemas.js';
+
+// Use shared services instance
+const { webhook: webhookService } = clickUpServices;
+
+// Shared schema for event subscriptions
+const eventsSchema = {
+  type: "array",
+  items: {
+    type: "string",
+    enum: ['*', ...WEBHOOK_EVENT_TYPES]
+  },
+  description: "Events to subscribe to, e.g. ['taskCreated', 'taskStatusUpdated']. Use ['*'] for all events."
+};
+
+// Output schema for webhook details
+const webhookOutputSchema = {
+  type: "object",
+  properties: {
+    id: { type: "string" },
+    endpoint: { type: "string" },
+    events: { type: "array", items: { type: "string" } },
+    scope: {
+      type: "object",
+      properties: {
+        type: { type: "string", enum: ["workspace", "space", "folder", "list", "task"] },
+        id: { description: "ID of the workspace, space, folder, list or task" }
+      }
+    },
+    status: { type: "string" },
+    fail_count: { type: "integer" },
+    secret: { type: "string", description: "Signing secret (only returned on create)" },
+    message: { type: "string" }
+  },
+  required: ["id", "endpoint", "events"]
+};
+
+// Output schema for webhook listings
+const webhooksOutputSchema = {
+  type: "object",
+  properties: {
+    count: { type: "integer" },
+    webhooks: { type: "array", items: webhookOutputSchema },
+    ...paginationOutputProperties
+  },
+  required: ["count", "webhooks"]
+};
+
+/**
+ * Tool definition for creating a webhook
+ */
+export const createWebhookTool = {
+  name: "create_webhook",
+  description: `Creates a webhook that sends ClickUp events to an endpoint. Scope with one of spaceId, folderId, listId or taskId (defaults to the whole workspace). Returns the signing secret used to verify deliveries.`,
+  inputSchema: {
+    type: "object",
+    properties: {
+      endpoint: {
+        type: "string",
+        description: "HTTPS URL that receives the events (e.g. https://example.com/webhook)"
+      },
+      events: eventsSchema,
+      spaceId: {
+        type: "string",
+        description: "Only send events for this space"
+      },
+      folderId: {
+        type: "string",
+        description: "Only send events for this folder"
+      },
+      listId: {
+        type: "string",
+        description: "Only send events for this list"
+      },
+      taskId: {
+        type: "string",
+        description: "Only send events for this task"
+      }
+    },
+    required: ["endpoint", "events"]
+  },
+  annotations: {
+    title: "Create Webhook",
+    readOnlyHint: false,
+    destructiveHint: false,
+    idempotentHint: false,
+    openWorldHint: true
+  },
+  outputSchema: webhookOutputSchema
+};
+
+/**
+ * Tool definition for listing webhooks
+ */
+export const getWebhooksTool = {
+  name: "get_webhooks",
+  description: `Lists webhooks created with this API token in the workspace, including their scope, events and health.`,
+  inputSchema: {
+    type: "object",
+    properties: {
+      ...paginationInputProperties
+    },
+    required: []
+  },
+  annotations: {
+    title: "Get Webhooks",
+    readOnlyHint: true,
+    openWorldHint: false
+  },
+  outputSchema: webhooksOutputSchema
+};
+
+/**
+ * Tool definition for updating a webhook
+ */
+export const updateWebhookTool = {
+  name: "update_webhook",
+  description: `Updates a webhook's endpoint or events, or pauses/resumes it with status. Omitted fields keep their current values. The scope of a webhook cannot be changed.`,
+  inputSchema: {
+    type: "object",
+    properties: {
+      webhookId: {
+        type: "string",
+        description: "ID of the webhook to update"
+      },
+      endpoint: {
+        type: "string",
+        description: "New endpoint URL"
+      },
+      events: eventsSchema,
+      status: {
+        type: "string",
+        enum: ["active", "inactive"],
+        description: "Set to 'inactive' to pause deliveries or 'active' to resume them"
+      }
+    },
+    required: ["webhookId"]
+  },
+  annotations: {
+    title: "Update Webhook",
+    readOnlyHint: false,
+    destructiveHint: true,
+    idempotentHint: true,
+    openWorldHint: true
+  },
+  outputSchema: webhookOutputSchema
+};
+
+/**
+ * Tool definition for deleting a webhook
+ */
+export const deleteWebhookTool = {
+  name: "delete_webhook",
+  description: `PERMANENTLY deletes a webhook. Events stop being delivered immediately. Use update_webhook with status 'inactive' to pause instead.`,
+  inputSchema: {
+    type: "object",
+    properties: {
+      webhookId: {
+        type: "string",
+        description: "ID of the webhook to delete"
+      }
+    },
+    required: ["webhookId"]
+  },
+  annotations: {
+    title: "Delete Webhook",
+    readOnlyHint: false,
+    destructiveHint: true,
+    idempotentHint: true,
+    openWorldHint: false
+  },
+  outputSchema: successOutputSchema
+};
+
+/**
+ * Validate a list of event names
+ */
+function validateEvents(events: any): string[] {
+  if (!Array.isArray(events) || events.length === 0) {
+    throw new Error("events must be a non-empty array of event names");
+  }
+
+  const invalid = events.filter(event => event !== '*' && !WEBHOOK_EVENT_TYPES.includes(event));
+  if (invalid.length > 0) {
+    throw new Error(`Invalid webhook events: ${invalid.join(', ')}. Valid events: *, ${WEBHOOK_EVENT_TYPES.join(', ')}`);
+  }
+
+  return events;
+}
+
+/**
+ * Validate a webhook endpoint URL
+ */
+function validateEndpoint(endpoint: any): string {
+  try {
+    const url = new URL(endpoint);
+    if (url.protocol !== 'https:' && url.protocol !== 'http:') {
+      throw new Error('unsupported protocol');
+    }
+    return endpoint;
+  } catch (error) {
+    throw new Error(`Invalid endpoint URL "${endpoint}"`);
+  }
+}
+
+/**
+ * Format a webhook for tool responses
+ */
+function formatWebhook(webhook: ClickUpWebhook) {
+  const scope = webhook.task_id ? { type: 'task', id: webhook.task_id }
+    : webhook.list_id ? { type: 'list', id: webhook.list_id }
+    : webhook.folder_id ? { type: 'folder', id: webhook.folder_id }
+    : webhook.space_id ? { type: 'space', id: webhook.space_id }
+    : { type: 'workspace', id: String(webhook.team_id) };
+
+  return {
+    id: webhook.id,
+    endpoint: webhook.endpoint,
+    events: webhook.events,
+    scope,
+    status: webhook.health?.status,
+    fail_count: webhook.health?.fail_count
+  };
+}
+
+/**
+ * Handler for the create_webhook tool
+ * Creates a new webhook for the workspace or a narrower scope
+ */
+export async function handleCreateWebhook(parameters: any) {
+  const { endpoint, events, spaceId, folderId, listId, taskId } = parameters;
+
+  // Validate required fields
+  if (!endpoint) {
+    throw new Error("Webhook endpoint is required");
+  }
+
+  const scopes = [spaceId, folderId, listId, taskId].filter(Boolean);
+  if (scopes.length > 1) {
+    throw new Error("Provide at most one of spaceId, folderId, listId or taskId");
+  }
+
+  // Prepare webhook data
+  const webhookData: CreateWebhookData = {
+    endpoint: validateEndpoint(endpoint),
+    events: validateEvents(events)
+  };
+
+  // Add scope if provided
+  if (spaceId) webhookData.space_id = spaceId;
+  if (folderId) webhookData.folder_id = folderId;
+  if (listId) webhookData.list_id = listId;
+  if (taskId) webhookData.task_id = taskId;
+
+  try {
+    // Create the webhook
+    const webhook = await webhookService.createWebhook(webhookData);
+
+    return sponsorService.createResponse({
+      ...formatWebhook(webhook),
+      secret: webhook.secret,
+      message: `Webhook created successfully. Deliveries are signed with the returned secret (X-Signature header).`
+    }, true);
+  } catch (error: any) {
+    return sponsorService.createErrorResponse(`Failed to create webhook: ${error.message}`);
+  }
+}
+
+/**
+ * Handler for the get_webhooks tool
+ * Lists the webhooks in the workspace
+ */
+export async function handleGetWebhooks(parameters: any) {
+  try {
+    const webhooks = await webhookService.getWebhooks();
+    const { items, ...paging } = await collectPage('get_webhooks', parameters || {}, arraySource(webhooks), formatWebhook);
+
+    return sponsorService.createResponse({
+      count: items.length,
+      webhooks: items,
+      ...paging
+    }, true);
+  } catch (error: any) {
+    return sponsorService.createErrorResponse(`Failed to retrieve webhooks: ${error.message}`);
+  }
+}
+
+/**
+ * Handler for the update_webhook tool
+ * Updates a webhook's endpoint, events or status
+ */
+export async function handleUpdateWebhook(parameters: any) {
+  const { webhookId, endpoint, events, status } = parameters;
+
+  // Validate required fields
+  if (!webhookId) {
+    throw new Error("Webhook ID is required");
+  }
+
+  // Ensure at least one update field is provided
+  if (endpoint === undefined && events === undefined && status === undefined) {
+    throw new Error("At least one of endpoint, events or status must be provided for update");
+  }
+  if (status !== undefined && status !== 'active' && status !== 'inactive') {
+    throw new Error(`Invalid status "${status}". Use "active" or "inactive".`);
+  }
+
+  try {
+    // ClickUp expects the full webhook definition on update, so fill in current values
+    const current = await webhookService.getWebhook(webhookId);
+    if (!current) {
+      throw new Error(`Webhook ${webhookId} not found`);
+    }
+
+    const updateData: UpdateWebhookData = {
+      endpoint: endpoint !== undefined ? validateEndpoint(endpoint) : current.endpoint,
+      events: events !== undefined ? validateEvents(events) : current.events,
+      status: status || (current.health?.status === 'inactive' ? 'inactive' : 'active')
+    };
+
+    // Update the webhook
+    const webhook = await webhookService.updateWebhook(webhookId, updateData);
+
+    return sponsorService.createResponse({
+      ...formatWebhook({ ...current, ...webhook }),
+      message: `Webhook updated successfully`
+    }, true);
+  } catch (error: any) {
+    return sponsorService.createErrorResponse(`Failed to update webhook: ${error.message}`);
+  }
+}
+
+/**
+ * Handler for the delete_webhook tool
+ * Permanently removes a webhook
+ */
+export async function handleDeleteWebhook(parameters: any) {
+  const { webhookId } = parameters;
+
+  // Validate required fields
+  if (!webhookId) {
+    throw new Error("Webhook ID is required");
+  }
+
+  try {
+    // Delete the webhook
+    await webhookService.deleteWebhook(webhookId);
+
+    return sponsorService.createResponse({
+      success: true,
+      message: `Webhook ${webhookId} deleted successfully`
+    }, true);
+  } catch (error: any) {
+    return sponsorService.createErrorResponse(`Failed to delete webhook: ${error.message}`);
+  }
+}
@@ -20,6 +20,18 @@ const logger = new Logger('WorkspaceTool');
 // Use the workspace service from the shared services
 const { workspace: workspaceService } = clickUpServices;
 
+// Output schema for the workspace hierarchy tree
+const workspaceHierarchyOutputSchema: Tool['outputSchema'] = {
+  type: 'object',
+  properties: {
+    hierarchy: {
+      type: 'string',
+      description: 'Tree of spaces, folders and lists with their IDs'
+    }
+  },
+  required: ['hierarchy']
+};
+
 /**
  * Tool definition for retrieving the complete workspace hierarchy
  */
@@ -29,7 +41,13 @@ export const workspaceHierarchyTool: Tool = {
   inputSchema: {
     type: 'object',
     properties: {}
-  }
+  },
+  annotations: {
+    title: 'Get Workspace Hierarchy',
+    readOnlyHint: true,
+    openWorldHint: false
+  },
+  outputSchema: workspaceHierarchyOutputSchema
 };
 
 /**
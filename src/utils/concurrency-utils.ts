@@ -29,8 +29,14 @@ export interface BatchProcessingOptions {
   retryDelay?: number;
   /** Whether to use exponential backoff for retries (default: true) */
   exponentialBackoff?: boolean;
-  /** Callback for tracking progress */
+  /** Callback for tracking progress, called as items complete */
   progressCallback?: (completed: number, total: number, successes: number, failures: number) => void;
+  /** Callback for each completed item with its index and its result or error */
+  itemCallback?: (index: number, result?: any, error?: Error) => void;
+  /** Callback for each item with its index, just before it is first processed */
+  itemStartCallback?: (index: number) => void;
+  /** Stops processing when aborted; items not yet started are reported as skipped */
+  signal?: AbortSignal;
 }
 
 /**
@@ -41,12 +47,18 @@ export interface BatchResult<T> {
   successful: T[];
   /** Array of failed operations with context */
   failed: Array<{ item: any, error: Error, index: number }>;
+  /** Items not processed because processing was cancelled */
+  skipped: Array<{ item: any, index: number }>;
+  /** Whether processing was cancelled through the signal */
+  cancelled: boolean;
   /** Summary totals */
   totals: {
     /** Total number of successful operations */
     success: number;
     /** Total number of failed operations */
     failure: number;
+    /** Total number of skipped operations */
+    skipped: number;
     /** Total operations attempted */
     total: number;
   };
@@ -60,6 +72,7 @@ export interface BatchResult<T> {
  * - Processing multiple items concurrently
  * - Retrying failed operations with backoff
  * - Tracking progress and aggregating results
+ * - Stopping when cancelled, reporting the items processed so far
  * - Graceful error handling
  * 
  * @param items Array of items to process
@@ -80,19 +93,14 @@ export async function processBatch<T, R>(
     retryCount: options?.retryCount ?? 3,
     retryDelay: options?.retryDelay ?? 1000,
     exponentialBackoff: options?.exponentialBackoff ?? true,
-    progressCallback: options?.progressCallback ?? (() => {})
+    progressCallback: options?.progressCallback ?? (() => {}),
+    itemCallback: options?.itemCallback ?? (() => {}),
+    itemStartCallback: options?.itemStartCallback ?? (() => {}),
+    signal: options?.signal
   };
 
   // Initialize results
-  const result: BatchResult<R> = {
-    successful: [],
-    failed: [],
-    totals: {
-      success: 0,
-      failure: 0,
-      total: items.length
-    }
-  };
+  const result = createBatchResult<R>(items.length);
 
   // Handle empty input array
   if (items.length === 0) {
@@ -102,7 +110,6 @@ export async function processBatch<T, R>(
 
   try {
     const totalBatches = Math.ceil(items.length / opts.batchSize);
-    let processedItems = 0;
 
     logger.info(`Starting batch processing of ${items.length} items`, {
       totalBatches,
@@ -122,19 +129,37 @@ export async function processBatch<T, R>(
         endIdx
       });
 
-      // Process the current batch
+      // Process the current batch, reporting progress as its items complete
       const batchResults = await processSingleBatch(
         batch, 
         processor,
         startIdx, 
-        opts
+        opts,
+        (successes, failures) => opts.progressCallback(
+          startIdx + successes + failures,
+          items.length,
+          result.totals.success + successes,
+          result.totals.failure + failures
+        )
       );
 
       // Aggregate results
       result.successful.push(...batchResults.successful);
       result.failed.push(...batchResults.failed);
+      result.skipped.push(...batchResults.skipped);
       result.totals.success += batchResults.totals.success;
       result.totals.failure += batchResults.totals.failure;
+      result.totals.skipped += batchResults.totals.skipped;
+
+      if (batchResults.cancelled) {
+        markSkipped(result, items, endIdx);
+        logger.info(`Batch processing cancelled`, {
+          successful: result.totals.success,
+          failed: result.totals.failure,
+          skipped: result.totals.skipped
+        });
+        return result;
+      }
 
       // Stop processing if an error occurred and continueOnError is false
       if (batchResults.totals.failure > 0 && !opts.continueOnError) {
@@ -143,15 +168,6 @@ export async function processBatch<T, R>(
         });
         break;
       }
-
-      // Update progress
-      processedItems += batch.length;
-      opts.progressCallback(
-        processedItems, 
-        items.length, 
-        result.totals.success, 
-        result.totals.failure
-      );
     }
 
     logger.info(`Batch processing completed`, {
@@ -167,7 +183,7 @@ export async function processBatch<T, R>(
     });
 
     // Add any unprocessed items as failures
-    const processedCount = result.totals.success + result.totals.failure;
+    const processedCount = result.totals.success + result.totals.failure + result.totals.skipped;
     if (processedCount < items.length) {
       const remainingItems = items.slice(processedCount);
       for (let i = 0; i < remainingItems.length; i++) {
@@ -185,6 +201,35 @@ export async function processBatch<T, R>(
   }
 }
 
+/**
+ * Create an empty result for a number of items
+ */
+function createBatchResult<R>(total: number): BatchResult<R> {
+  return {
+    successful: [],
+    failed: [],
+    skipped: [],
+    cancelled: false,
+    totals: {
+      success: 0,
+      failure: 0,
+      skipped: 0,
+      total
+    }
+  };
+}
+
+/**
+ * Record the items from an index on as skipped and mark the result as cancelled
+ */
+function markSkipped<R>(result: BatchResult<R>, items: any[], fromIndex: number, indexOffset: number = 0): void {
+  for (let i = fromIndex; i < items.length; i++) {
+    result.skipped.push({ item: items[i], index: indexOffset + i });
+    result.totals.skipped++;
+  }
+  result.cancelled = true;
+}
+
 /**
  * Process a single batch of items with concurrency
  * 
@@ -192,32 +237,33 @@ export async function processBatch<T, R>(
  * @param processor The function to process each item
  * @param startIndex The starting index of the batch in the original array
  * @param opts Processing options
+ * @param onProgress Called with the batch's successes and failures so far as items complete
  * @returns Results for this batch
  */
 async function processSingleBatch<T, R>(
   batch: T[],
   processor: (item: T, index: number) => Promise<R>,
   startIndex: number,
-  opts: Required<BatchProcessingOptions>
+  opts: Required<BatchProcessingOptions>,
+  onProgress: (successes: number, failures: number) => void
 ): Promise<BatchResult<R>> {
-  const result: BatchResult<R> = {
-    successful: [],
-    failed: [],
-    totals: {
-      success: 0,
-      failure: 0,
-      total: batch.length
-    }
-  };
+  const result = createBatchResult<R>(batch.length);
 
   try {
     // Process items in concurrent chunks
     for (let i = 0; i < batch.length; i += opts.concurrency) {
+      // Items that have not started are skipped once cancelled
+      if (opts.signal?.aborted) {
+        markSkipped(result, batch, i, startIndex);
+        return result;
+      }
+
       const concurrentBatch = batch.slice(i, Math.min(i + opts.concurrency, batch.length));
       
       // Create a promise for each item in the concurrent batch
       const promises = concurrentBatch.map((item, idx) => {
         const index = startIndex + i + idx;
+        opts.itemStartCallback(index);
         return processWithRetry(
           () => processor(item, index),
           item,
@@ -237,6 +283,7 @@ async function processSingleBatch<T, R>(
           // Operation succeeded
           result.successful.push(promiseResult.value);
           result.totals.success++;
+          opts.itemCallback(index, promiseResult.value);
         } else {
           // Operation failed
           const error = promiseResult.reason as Error;
@@ -246,6 +293,7 @@ async function processSingleBatch<T, R>(
             index 
           });
           result.totals.failure++;
+          opts.itemCallback(index, undefined, error);
           
           // If continueOnError is false, stop processing
           if (!opts.continueOnError) {
@@ -253,6 +301,8 @@ async function processSingleBatch<T, R>(
           }
         }
       });
+
+      onProgress(result.totals.success, result.totals.failure);
     }
     
     return result;
@@ -319,8 +369,8 @@ async function processWithRetry<R>(
         error: err.message
       });
       
-      // If this was our last attempt, don't delay, just throw
-      if (attempts > options.retryCount) {
+      // If this was our last attempt or processing was cancelled, don't delay, just throw
+      if (attempts > options.retryCount || options.signal?.aborted) {
         break;
       }
       
@@ -337,8 +387,18 @@ async function processWithRetry<R>(
         delayMs: delay
       });
       
-      // Wait before next attempt
-      await new Promise(resolve => setTimeout(resolve, delay));
+      // Wait before next attempt; cancelling ends the wait
+      await new Promise<void>(resolve => {
+        const onAbort = () => {
+          clearTimeout(timer);
+          resolve();
+        };
+        const timer = setTimeout(() => {
+          options.signal?.removeEventListener('abort', onAbort);
+          resolve();
+        }, delay);
+        options.signal?.addEventListener('abort', onAbort, { once: true });
+      });
     }
   }
   
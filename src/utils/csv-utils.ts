@@ -0,0 +1,119 @@
+/**
+ * SPDX-FileCopyrightText: © 2025 Talib Kareem <taazkareem@icloud.com>
+ * SPDX-License-Identifier: MIT
+ *
+ * Delimited Text Utilities
+ *
+ * Reads and writes CSV and TSV text as spreadsheet applications do: quoted
+ * fields may contain delimiters, line breaks and doubled quotes.
+ */
+
+/**
+ * A data row of a delimited file
+ */
+export interface DelimitedRecord {
+  // Spreadsheet row number; the header is row 1
+  row: number;
+  // Cell values by column header
+  values: Record<string, string>;
+}
+
+/**
+ * Split delimited text into rows of cells
+ * @param text CSV or TSV text
+ * @param delimiter Cell delimiter, e.g. ',' or '\t'
+ * @returns Rows of cells, without blank lines
+ */
+export function splitDelimited(text: string, delimiter: string): string[][] {
+  const rows: string[][] = [];
+  let row: string[] = [];
+  let cell = '';
+  let quoted = false;
+  let index = text.charCodeAt(0) === 0xfeff ? 1 : 0;
+
+  const endRow = () => {
+    row.push(cell);
+    if (row.length > 1 || row[0].trim() !== '') {
+      rows.push(row);
+    }
+    row = [];
+    cell = '';
+  };
+
+  for (; index < text.length; index++) {
+    const char = text[index];
+
+    if (quoted) {
+      if (char !== '"') {
+        cell += char;
+      } else if (text[index + 1] === '"') {
+        cell += '"';
+        index++;
+      } else {
+        quoted = false;
+      }
+    } else if (char === '"' && cell === '') {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[index + 1] === '\n') index++;
+      endRow();
+    } else {
+      cell += char;
+    }
+  }
+
+  if (quoted) {
+    throw new Error('Unterminated quoted field at end of input');
+  }
+  if (cell !== '' || row.length > 0) {
+    endRow();
+  }
+  return rows;
+}
+
+/**
+ * Parse delimited text with a header row into records
+ * @param text CSV or TSV text
+ * @param delimiter Cell delimiter, e.g. ',' or '\t'
+ * @returns Column headers and data rows
+ */
+export function parseDelimited(text: string, delimiter: string): { columns: string[]; records: DelimitedRecord[] } {
+  const [header, ...rows] = splitDelimited(text, delimiter);
+  if (!header) {
+    return { columns: [], records: [] };
+  }
+
+  const columns = header.map(column => column.trim());
+  const duplicate = columns.find((column, index) => column && columns.indexOf(column) !== index);
+  if (duplicate) {
+    throw new Error(`Column "${duplicate}" appears more than once in the header`);
+  }
+
+  const records = rows.map((cells, index) => {
+    const values: Record<string, string> = {};
+    columns.forEach((column, position) => {
+      if (column) values[column] = cells[position] ?? '';
+    });
+    return { row: index + 2, values };
+  });
+
+  return { columns: columns.filter(Boolean), records };
+}
+
+/**
+ * Format rows of cells as delimited text, quoting cells where needed
+ * @param rows Rows of cells, the header first
+ * @param delimiter Cell delimiter, e.g. ',' or '\t'
+ * @returns Delimited text with CRLF line endings
+ */
+export function formatDelimited(rows: string[][], delimiter: string): string {
+  const quote = (cell: string) =>
+    cell.includes(delimiter) || /["\r\n]/.test(cell) || cell !== cell.trim()
+      ? `"${cell.replace(/"/g, '""')}"`
+      : cell;
+
+  return rows.map(row => row.map(cell => quote(cell ?? '')).join(delimiter)).join('\r\n') + '\r\n';
+}
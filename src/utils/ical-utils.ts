@@ -0,0 +1,107 @@
+/**
+ * SPDX-FileCopyrightText: © 2025 Talib Kareem <taazkareem@icloud.com>
+ * SPDX-License-Identifier: MIT
+ *
+ * iCalendar Utilities
+ *
+ * Writes events as an iCalendar (RFC 5545) document that calendar
+ * applications can import or subscribe to.
+ */
+
+// Longest content line in octets, excluding the line break
+const MAX_LINE_OCTETS = 75;
+
+/**
+ * A calendar event
+ */
+export interface CalendarEvent {
+  // Globally unique and stable across exports, so re-imports update the event
+  uid: string;
+  // Start and end as timestamps in milliseconds
+  start: number;
+  end?: number;
+  summary: string;
+  description?: string;
+  url?: string;
+  categories?: string[];
+  // Last change, in milliseconds
+  lastModified?: number;
+}
+
+/**
+ * Escape a text value
+ */
+function escapeText(value: string): string {
+  return value
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Format a timestamp as a UTC date-time, e.g. 20250310T225600Z
+ */
+function formatDateTime(timestamp: number): string {
+  return new Date(timestamp).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+/**
+ * Split a content line into lines of at most 75 octets; continuation lines start with a space
+ */
+function foldLine(line: string): string {
+  const lines: string[] = [];
+  let current = '';
+  let octets = 0;
+
+  for (const char of line) {
+    const size = Buffer.byteLength(char, 'utf8');
+    if (octets + size > MAX_LINE_OCTETS) {
+      lines.push(current);
+      current = ' ';
+      octets = 1;
+    }
+    current += char;
+    octets += size;
+  }
+  lines.push(current);
+  return lines.join('\r\n');
+}
+
+/**
+ * Format events as an iCalendar document
+ * @param name Calendar name shown by calendar applications
+ * @param events Events of the calendar
+ * @returns iCalendar text with CRLF line endings
+ */
+export function formatCalendar(name: string, events: CalendarEvent[]): string {
+  const stamp = formatDateTime(Date.now());
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//ClickUp MCP Server//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`
+  ];
+
+  for (const event of events) {
+    const end = event.end !== undefined && event.end > event.start ? event.end : event.start;
+    lines.push(
+      'BEGIN:VEVENT',
+      `UID:${escapeText(event.uid)}`,
+      `DTSTAMP:${stamp}`,
+      `DTSTART:${formatDateTime(event.start)}`,
+      `DTEND:${formatDateTime(end)}`,
+      `SUMMARY:${escapeText(event.summary)}`
+    );
+    if (event.description) lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+    if (event.url) lines.push(`URL:${event.url}`);
+    if (event.categories?.length) lines.push(`CATEGORIES:${event.categories.map(escapeText).join(',')}`);
+    if (event.lastModified) lines.push(`LAST-MODIFIED:${formatDateTime(event.lastModified)}`);
+    lines.push('END:VEVENT');
+  }
+
+  lines.push('END:VCALENDAR');
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+}
@@ -0,0 +1,245 @@
+/**
+ * SPDX-FileCopyrightText: © 2025 Talib Kareem <taazkareem@icloud.com>
+ * SPDX-License-Identifier: MIT
+ *
+ * Cursor Pagination Utilities
+ *
+ * List tools return pages filled up to a token budget instead of all-or-nothing
+ * results. A page can span several ClickUp pages or end in the middle of one;
+ * the opaque next_cursor records where the next call continues.
+ */
+
+import { createHash } from 'crypto';
+import { estimateTokensFromObject } from './token-utils.js';
+
+// Token budget of a page when the caller does not pass max_tokens
+export const DEFAULT_MAX_TOKENS = 50000;
+
+// Smallest accepted max_tokens
+const MIN_MAX_TOKENS = 100;
+
+// ClickUp requests made to fill one page; the cursor continues where they stop
+const MAX_SOURCE_FETCHES = 10;
+
+// Parameters that move through the results rather than select them
+const POSITION_PARAMS = ['cursor', 'max_tokens', 'fields', 'page', 'start', 'startId', 'next_cursor'];
+
+/**
+ * Pagination parameters accepted by list tools
+ */
+export interface PaginationParams {
+  cursor?: string;
+  max_tokens?: number;
+  fields?: string[];
+}
+
+/**
+ * A page of results
+ */
+export interface Page {
+  items: any[];
+  // Present when more results follow
+  next_cursor?: string;
+  estimated_tokens: number;
+}
+
+/**
+ * Items in upstream pages, e.g. ClickUp task pages
+ * @template T Item type
+ * @template P Position of an upstream page, such as a page number
+ */
+export interface PageSource<T, P> {
+  start: P;
+  // Fetch the page at a position; next is undefined on the last page
+  fetch: (position: P) => Promise<{ items: T[]; next?: P }>;
+}
+
+/**
+ * Input schema properties shared by list tools
+ */
+export const paginationInputProperties = {
+  cursor: {
+    type: "string",
+    description: "next_cursor from the previous response, to continue where it ended. Pass the same filters as in that call."
+  },
+  max_tokens: {
+    type: "number",
+    description: `Token budget of the response; results are added until it is reached (default: ${DEFAULT_MAX_TOKENS})`
+  },
+  fields: {
+    type: "array",
+    items: { type: "string" },
+    description: "Only return these fields of each result, e.g. ['name', 'status.status', 'assignees.username']. id is always included."
+  }
+};
+
+/**
+ * Output schema properties shared by list tools
+ */
+export const paginationOutputProperties = {
+  next_cursor: { type: "string", description: "Pass as cursor to get the next page; absent on the last page" },
+  estimated_tokens: { type: "integer", description: "Estimated token count of the returned results" }
+};
+
+/**
+ * Source for results that are fetched as a whole
+ */
+export function arraySource<T>(items: T[]): PageSource<T, number> {
+  return { start: 0, fetch: async () => ({ items }) };
+}
+
+/**
+ * Copy the value at a dotted path into a projection. Arrays are projected element by element.
+ */
+function copyPath(target: Record<string, any>, source: any, path: string[]): void {
+  if (source === null || typeof source !== 'object') return;
+
+  const [key, ...rest] = path;
+  if (!(key in source)) return;
+
+  const value = source[key];
+  if (rest.length === 0 || value === null || typeof value !== 'object') {
+    target[key] = value;
+    return;
+  }
+
+  if (Array.isArray(value)) {
+    const projected = Array.isArray(target[key]) ? target[key] : value.map(element =>
+      element !== null && typeof element === 'object' ? {} : element
+    );
+    value.forEach((element, index) => copyPath(projected[index], element, rest));
+    target[key] = projected;
+    return;
+  }
+
+  if (!target[key] || typeof target[key] !== 'object') {
+    target[key] = {};
+  }
+  copyPath(target[key], value, rest);
+}
+
+/**
+ * Keep only the given fields of a result
+ * @param item Result object
+ * @param fields Dotted paths such as 'status.status'
+ */
+export function projectFields(item: any, fields: string[]): any {
+  if (item === null || typeof item !== 'object') return item;
+
+  const projected: Record<string, any> = {};
+  for (const field of ['id', ...fields]) {
+    copyPath(projected, item, field.split('.'));
+  }
+  return projected;
+}
+
+/**
+ * Fingerprint of the parameters that select results, so a cursor is not reused with other filters
+ */
+function hashQuery(params: Record<string, any>): string {
+  const selection = Object.keys(params)
+    .filter(key => !POSITION_PARAMS.includes(key) && params[key] !== undefined)
+    .sort()
+    .map(key => [key, params[key]]);
+  return createHash('sha256').update(JSON.stringify(selection)).digest('base64url').slice(0, 12);
+}
+
+function encodeCursor(tool: string, query: string, position: unknown, offset: number): string {
+  return Buffer.from(JSON.stringify({ v: 1, t: tool, q: query, p: position, o: offset })).toString('base64url');
+}
+
+function decodeCursor(cursor: string, tool: string, query: string): { p: any; o: number } {
+  let decoded: any;
+  try {
+    decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+  } catch {
+    decoded = undefined;
+  }
+
+  if (!decoded || decoded.v !== 1 || typeof decoded.o !== 'number') {
+    throw new Error('Invalid cursor. Pass next_cursor from a previous response unchanged');
+  }
+  if (decoded.t !== tool) {
+    throw new Error(`Cursor belongs to ${decoded.t}, not ${tool}`);
+  }
+  if (decoded.q !== query) {
+    throw new Error('Cursor belongs to a call with different filters. Repeat the filters of the call that returned it');
+  }
+  return decoded;
+}
+
+/**
+ * Validate the pagination parameters of a tool call
+ */
+function validatePaginationParams(params: PaginationParams): void {
+  if (params.max_tokens !== undefined && (typeof params.max_tokens !== 'number' || params.max_tokens < MIN_MAX_TOKENS)) {
+    throw new Error(`max_tokens must be a number of at least ${MIN_MAX_TOKENS}`);
+  }
+  if (params.fields !== undefined && (!Array.isArray(params.fields) || params.fields.some(field => typeof field !== 'string' || !field))) {
+    throw new Error('fields must be an array of field names');
+  }
+  if (params.cursor !== undefined && typeof params.cursor !== 'string') {
+    throw new Error('cursor must be a string');
+  }
+}
+
+/**
+ * Fill a page with results up to the token budget of a tool call
+ *
+ * Results are taken from upstream pages in order, starting at the cursor
+ * position, until the next result would exceed max_tokens. A single result
+ * larger than the budget is returned on a page of its own.
+ *
+ * @param tool Tool name, recorded in the cursor
+ * @param params Tool call parameters, including cursor, max_tokens and fields
+ * @param source Upstream pages
+ * @param format Converts an item to the returned result, before fields are applied
+ * @returns The page
+ */
+export async function collectPage<T, P>(
+  tool: string,
+  params: PaginationParams & Record<string, any>,
+  source: PageSource<T, P>,
+  format: (item: T) => any = item => item
+): Promise<Page> {
+  validatePaginationParams(params);
+
+  const maxTokens = params.max_tokens ?? DEFAULT_MAX_TOKENS;
+  const fields = params.fields?.length ? params.fields : undefined;
+  const query = hashQuery(params);
+
+  let position = source.start;
+  let offset = 0;
+  if (params.cursor) {
+    const cursor = decodeCursor(params.cursor, tool, query);
+    position = cursor.p;
+    offset = cursor.o;
+  }
+
+  const items: any[] = [];
+  let tokens = 0;
+
+  for (let fetches = 0; fetches < MAX_SOURCE_FETCHES; fetches++) {
+    const { items: batch, next } = await source.fetch(position);
+
+    for (let index = offset; index < batch.length; index++) {
+      const formatted = format(batch[index]);
+      const item = fields ? projectFields(formatted, fields) : formatted;
+      const size = estimateTokensFromObject(item);
+
+      if (items.length > 0 && tokens + size > maxTokens) {
+        return { items, next_cursor: encodeCursor(tool, query, position, index), estimated_tokens: tokens };
+      }
+      items.push(item);
+      tokens += size;
+    }
+
+    if (next === undefined) {
+      return { items, estimated_tokens: tokens };
+    }
+    position = next;
+    offset = 0;
+  }
+
+  return { items, next_cursor: encodeCursor(tool, query, position, 0), estimated_tokens: tokens };
+}
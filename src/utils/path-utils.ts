@@ -0,0 +1,18 @@
+/**
+ * SPDX-FileCopyrightText: © 2025 Talib Kareem <taazkareem@icloud.com>
+ * SPDX-License-Identifier: MIT
+ *
+ * Path Utilities
+ *
+ * Keeps the files that tools read and write inside their configured directories.
+ */
+
+import path from 'path';
+
+/**
+ * Whether a path lies inside a directory (the directory itself does not count)
+ */
+export function isInsideDirectory(directory: string, filePath: string): boolean {
+  const relative = path.relative(directory, filePath);
+  return relative !== '' && relative.split(path.sep)[0] !== '..' && !path.isAbsolute(relative);
+}
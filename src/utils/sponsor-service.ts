@@ -13,6 +13,15 @@ import config from '../config.js';
 // Create logger instance for this module
 const logger = new Logger('SponsorService');
 
+/**
+ * Tool call result with text content and, for object data, structured content
+ */
+export type ToolResponse = {
+  content: { type: string; text: string }[];
+  structuredContent?: Record<string, any>;
+  isError?: boolean;
+};
+
 /**
  * SponsorService - Provides sponsorship configuration and message handling
  */
@@ -36,9 +45,10 @@ export class SponsorService {
   }
 
   /**
-   * Creates a response with optional sponsorship message
+   * Creates a response with optional sponsorship message.
+   * Object data is also returned as structuredContent for tools with an outputSchema.
    */
-  public createResponse(data: any, includeSponsorMessage: boolean = false): { content: { type: string; text: string }[] } {
+  public createResponse(data: any, includeSponsorMessage: boolean = false): ToolResponse {
     const content: { type: string; text: string }[] = [];
     
     // Special handling for workspace hierarchy which contains a preformatted tree
@@ -69,25 +79,31 @@ export class SponsorService {
         text: `\n♥ Support this project by sponsoring the developer at ${this.sponsorUrl}`
       });
     }
-    
-    
+
+    // Structured results must be objects; strings and arrays are returned as text only
+    if (data && typeof data === 'object' && !Array.isArray(data)) {
+      return { content, structuredContent: data };
+    }
+
     return { content };
   }
 
   /**
-   * Creates an error response
+   * Creates an error response. Errors are flagged with isError and carry no
+   * structuredContent, so they are not validated against the tool's outputSchema.
    */
-  public createErrorResponse(error: Error | string, context?: any): { content: { type: string; text: string }[] } {
-    return this.createResponse({
+  public createErrorResponse(error: Error | string, context?: any): ToolResponse {
+    const { content } = this.createResponse({
       error: typeof error === 'string' ? error : error.message,
       ...context
     });
+    return { content, isError: true };
   }
 
   /**
    * Creates a bulk operation response with sponsorship message
    */
-  public createBulkResponse(result: any): { content: { type: string; text: string }[] } {
+  public createBulkResponse(result: any): ToolResponse {
     return this.createResponse({
       success: true,
       total: result.totals.total,
@@ -0,0 +1,350 @@
+/**
+ * SPDX-FileCopyrightText: © 2025 Talib Kareem <taazkareem@icloud.com>
+ * SPDX-License-Identifier: MIT
+ *
+ * Task Query Language
+ *
+ * This module parses compact task search queries such as
+ * `status:"in progress" assignee:me tag:bug due<friday -tag:wontfix sort:-updated`
+ * and matches tasks against the parsed terms. Resolving names to IDs is left to the caller.
+ */
+
+import { ClickUpTask } from '../services/clickup/types.js';
+import { parseDueDate } from './date-utils.js';
+
+/**
+ * Fields that can be used in a query
+ */
+export type TaskQueryField =
+  | 'status'
+  | 'assignee'
+  | 'tag'
+  | 'list'
+  | 'folder'
+  | 'space'
+  | 'priority'
+  | 'due'
+  | 'created'
+  | 'updated'
+  | 'is'
+  | 'text';
+
+export type TaskQueryOperator = ':' | '<' | '<=' | '>' | '>=';
+
+/**
+ * A single condition, e.g. `-tag:wontfix` or `due<friday`
+ */
+export interface TaskQueryTerm {
+  field: TaskQueryField;
+  operator: TaskQueryOperator;
+  // Alternatives, e.g. `status:open,"in progress"`; a task matches if any of them matches
+  values: string[];
+  negated: boolean;
+}
+
+/**
+ * A term with its values resolved for matching
+ */
+export interface ResolvedTaskQueryTerm extends TaskQueryTerm {
+  // Lowercased names, or IDs for assignee, list, folder and space terms
+  keys: string[];
+  // Exclusive time bounds in milliseconds for due, created and updated terms
+  after?: number;
+  before?: number;
+}
+
+/**
+ * Parsed query: a task must match every group, and at least one term of each group
+ */
+export interface ParsedTaskQuery<T extends TaskQueryTerm = TaskQueryTerm> {
+  groups: T[][];
+  sort?: {
+    field: 'id' | 'created' | 'updated' | 'due_date';
+    descending: boolean;
+  };
+}
+
+// Field names accepted in queries, including plural forms
+const FIELD_ALIASES: Record<string, TaskQueryField | 'sort'> = {
+  status: 'status',
+  statuses: 'status',
+  assignee: 'assignee',
+  assignees: 'assignee',
+  tag: 'tag',
+  tags: 'tag',
+  list: 'list',
+  folder: 'folder',
+  space: 'space',
+  priority: 'priority',
+  due: 'due',
+  created: 'created',
+  updated: 'updated',
+  is: 'is',
+  sort: 'sort'
+};
+
+const SUPPORTED_FIELDS = 'status, assignee, tag, list, folder, space, priority, due, created, updated, is, sort';
+
+const DATE_FIELDS: TaskQueryField[] = ['due', 'created', 'updated'];
+
+const SORT_FIELDS: Record<string, 'id' | 'created' | 'updated' | 'due_date'> = {
+  id: 'id',
+  created: 'created',
+  updated: 'updated',
+  due: 'due_date',
+  due_date: 'due_date'
+};
+
+const PRIORITY_NAMES: Record<string, string> = {
+  '1': 'urgent',
+  '2': 'high',
+  '3': 'normal',
+  '4': 'low'
+};
+
+const TERM_PATTERN = /^(-?)([a-z_]+)(<=|>=|:|<|>)(.*)$/i;
+
+/**
+ * Split a query into tokens at whitespace outside double quotes
+ */
+function tokenize(query: string): string[] {
+  const tokens: string[] = [];
+  let current = '';
+  let quoted = false;
+
+  for (const char of query) {
+    if (char === '"') {
+      quoted = !quoted;
+      current += char;
+    } else if (/\s/.test(char) && !quoted) {
+      if (current) tokens.push(current);
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+
+  if (quoted) {
+    throw new Error('Unterminated quote in query');
+  }
+  if (current) tokens.push(current);
+  return tokens;
+}
+
+/**
+ * Split a value at commas outside double quotes and remove the quotes
+ */
+function splitValues(value: string): string[] {
+  const values: string[] = [];
+  let current = '';
+  let quoted = false;
+
+  for (const char of value) {
+    if (char === '"') {
+      quoted = !quoted;
+    } else if (char === ',' && !quoted) {
+      values.push(current.trim());
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  values.push(current.trim());
+
+  return values.filter(part => part.length > 0);
+}
+
+/**
+ * Parse one token into a term, or a sort instruction
+ */
+function parseToken(token: string): TaskQueryTerm | ParsedTaskQuery['sort'] {
+  const match = token.match(TERM_PATTERN);
+
+  if (!match) {
+    // Free text, matched against task names
+    const negated = token.startsWith('-') && token.length > 1;
+    const text = (negated ? token.slice(1) : token).replace(/"/g, '').trim();
+    return { field: 'text', operator: ':', values: text ? [text] : [], negated };
+  }
+
+  const [, minus, name, operator, rawValue] = match;
+  const field = FIELD_ALIASES[name.toLowerCase()];
+  if (!field) {
+    throw new Error(`Unknown field "${name}" in "${token}". Supported fields: ${SUPPORTED_FIELDS}`);
+  }
+
+  const values = splitValues(rawValue);
+  if (values.length === 0) {
+    throw new Error(`Missing value in "${token}"`);
+  }
+
+  if (field === 'sort') {
+    const descending = values[0].startsWith('-');
+    const sortField = SORT_FIELDS[values[0].replace(/^[-+]/, '').toLowerCase()];
+    if (!sortField || operator !== ':' || minus) {
+      throw new Error(`Invalid sort "${token}". Use sort:<field> or sort:-<field> with one of: id, created, updated, due`);
+    }
+    return { field: sortField, descending };
+  }
+
+  if (operator !== ':' && !DATE_FIELDS.includes(field)) {
+    throw new Error(`Operator "${operator}" in "${token}" is only supported for due, created and updated`);
+  }
+  if (DATE_FIELDS.includes(field) && values.length > 1) {
+    throw new Error(`Date terms take a single value: "${token}". Use OR between terms instead`);
+  }
+  if (field === 'is' && values.some(value => !['open', 'closed'].includes(value.toLowerCase()))) {
+    throw new Error(`Invalid value in "${token}". Use is:open or is:closed`);
+  }
+
+  return { field, operator: operator as TaskQueryOperator, values, negated: minus === '-' };
+}
+
+/**
+ * Parse a task search query
+ *
+ * Terms are separated by spaces and combined with AND. `OR` between two terms
+ * matches either of them, a leading `-` negates a term, and comma-separated
+ * values match any of the values. Values with spaces are wrapped in double quotes.
+ *
+ * @param query Query string
+ * @returns Parsed query
+ */
+export function parseTaskQuery(query: string): ParsedTaskQuery {
+  const parsed: ParsedTaskQuery = { groups: [] };
+  let joinNext = false;
+
+  for (const token of tokenize(query || '')) {
+    if (token === 'OR') {
+      if (parsed.groups.length === 0 || joinNext) {
+        throw new Error('OR must be placed between two terms');
+      }
+      joinNext = true;
+      continue;
+    }
+
+    const result = parseToken(token);
+    if (!('values' in result)) {
+      if (joinNext) {
+        throw new Error('sort cannot be combined with OR');
+      }
+      parsed.sort = result;
+      continue;
+    }
+    if (result.values.length === 0) continue;
+
+    if (joinNext) {
+      parsed.groups[parsed.groups.length - 1].push(result);
+      joinNext = false;
+    } else {
+      parsed.groups.push([result]);
+    }
+  }
+
+  if (joinNext) {
+    throw new Error('OR must be placed between two terms');
+  }
+  if (parsed.groups.length === 0) {
+    throw new Error('Query must contain at least one filter');
+  }
+  return parsed;
+}
+
+/**
+ * Get the time range of a date term value
+ *
+ * Values without a time of day cover the whole day, so `due<friday` ends before
+ * Friday starts and `due:friday` covers all of Friday.
+ *
+ * @returns Exclusive bounds in milliseconds
+ */
+export function resolveQueryDateRange(operator: TaskQueryOperator, value: string): { after?: number; before?: number } {
+  const timestamp = parseDueDate(value);
+  if (timestamp === undefined) {
+    throw new Error(`Could not parse date "${value}"`);
+  }
+
+  let start = timestamp;
+  let end = timestamp + 60000 - 1;
+  if (!/^\d+$/.test(value) && !/\d:\d{2}|\d\s*(am|pm)\b/i.test(value)) {
+    const day = new Date(timestamp);
+    start = new Date(day.getFullYear(), day.getMonth(), day.getDate()).getTime();
+    end = new Date(day.getFullYear(), day.getMonth(), day.getDate() + 1).getTime() - 1;
+  }
+
+  switch (operator) {
+    case '<': return { before: start };
+    case '<=': return { before: end + 1 };
+    case '>': return { after: end };
+    case '>=': return { after: start - 1 };
+    default: return { after: start - 1, before: end + 1 };
+  }
+}
+
+/**
+ * Normalize a priority name or number to its name
+ */
+export function normalizeQueryPriority(value: string): string {
+  const priority = PRIORITY_NAMES[value] || value.toLowerCase();
+  if (!['urgent', 'high', 'normal', 'low', 'none'].includes(priority)) {
+    throw new Error(`Invalid priority "${value}". Use urgent, high, normal, low or none`);
+  }
+  return priority;
+}
+
+/**
+ * Check whether a task matches a term, including negation
+ */
+export function matchesQueryTerm(task: ClickUpTask, term: ResolvedTaskQueryTerm): boolean {
+  let matches: boolean;
+
+  switch (term.field) {
+    case 'status':
+      matches = term.keys.includes(task.status?.status?.toLowerCase());
+      break;
+    case 'assignee':
+      matches = (task.assignees || []).some(assignee => term.keys.includes(String(assignee.id)));
+      break;
+    case 'tag':
+      matches = (task.tags || []).some(tag => term.keys.includes(tag.name.toLowerCase()));
+      break;
+    case 'list':
+      matches = term.keys.includes(task.list?.id);
+      break;
+    case 'folder':
+      matches = term.keys.includes(task.folder?.id);
+      break;
+    case 'space':
+      matches = term.keys.includes(task.space?.id);
+      break;
+    case 'priority':
+      matches = term.keys.includes(task.priority?.priority?.toLowerCase() || 'none');
+      break;
+    case 'is':
+      matches = term.keys.includes(task.status?.type === 'closed' ? 'closed' : 'open');
+      break;
+    case 'text': {
+      const name = (task.name || '').toLowerCase();
+      matches = term.keys.some(text => name.includes(text));
+      break;
+    }
+    default: {
+      const value = task[term.field === 'due' ? 'due_date' : term.field === 'created' ? 'date_created' : 'date_updated'];
+      const timestamp = value ? Number(value) : NaN;
+      matches = !isNaN(timestamp)
+        && (term.after === undefined || timestamp > term.after)
+        && (term.before === undefined || timestamp < term.before);
+    }
+  }
+
+  return term.negated ? !matches : matches;
+}
+
+/**
+ * Format a term back into query syntax, for describing how a query was applied
+ */
+export function formatQueryTerm(term: TaskQueryTerm): string {
+  const values = term.values.map(value => /[\s,]/.test(value) ? `"${value}"` : value).join(',');
+  const prefix = term.negated ? '-' : '';
+  return term.field === 'text' ? `${prefix}${values}` : `${prefix}${term.field}${term.operator}${values}`;
+}
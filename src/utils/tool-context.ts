@@ -0,0 +1,78 @@
+/**
+ * SPDX-FileCopyrightText: © 2025 Talib Kareem <taazkareem@icloud.com>
+ * SPDX-License-Identifier: MIT
+ *
+ * Tool Call Context
+ *
+ * Tracks which tool call and MCP session a ClickUp request is made for, so the
+ * ClickUp services can check access policies and write audit log entries for
+ * concurrent tool calls independently. The context also carries the call's
+ * cancellation signal and progress reporting.
+ */
+
+import { AsyncLocalStorage } from 'async_hooks';
+import { randomUUID } from 'crypto';
+import { PolicyTarget } from '../policies/types.js';
+
+/**
+ * State of a single tool call
+ */
+export interface ToolCallContext {
+  tool: string;
+  // MCP session ID, or 'stdio'
+  sessionId: string;
+  // Groups the audit log entries of this call
+  operationId: string;
+  // Operation reverted by this call (set by undo_operation)
+  undoOf?: string;
+  // Resolved policy targets by API path, so each object is looked up once per call
+  targets: Map<string, PolicyTarget>;
+  // Task, list or view of the checklists and comments this call has read or created
+  // (e.g. 'comment/90' -> 'task/86b1abc2'), as ClickUp cannot look them up by ID
+  parents: Map<string, string>;
+  // Aborted when the client cancels the call
+  signal?: AbortSignal;
+  // Sends a progress notification; only set when the client asked for progress
+  reportProgress?: ProgressReporter;
+}
+
+/**
+ * Reports the progress of a tool call
+ * @param progress Work done so far, e.g. processed items
+ * @param total Total work, if known
+ * @param message Human-readable progress description
+ */
+export type ProgressReporter = (progress: number, total?: number, message?: string) => void;
+
+const contextStorage = new AsyncLocalStorage<ToolCallContext>();
+
+/**
+ * Run a tool handler with its tool call context
+ * @param tool Tool name
+ * @param sessionId MCP session the call belongs to
+ * @param fn Calls the tool handler
+ * @param options Cancellation signal and progress reporter of the call
+ */
+export function runWithToolContext<T>(
+  tool: string,
+  sessionId: string,
+  fn: () => T,
+  options: Pick<ToolCallContext, 'signal' | 'reportProgress'> = {}
+): T {
+  return contextStorage.run({ tool, sessionId, operationId: randomUUID(), targets: new Map(), parents: new Map(), ...options }, fn);
+}
+
+/**
+ * Get the context of the tool call the current request belongs to, if any
+ */
+export function getToolContext(): ToolCallContext | undefined {
+  return contextStorage.getStore();
+}
+
+/**
+ * Run a function outside of any tool call context, e.g. for lookups made by
+ * the policy check itself
+ */
+export function runOutsideToolContext<T>(fn: () => T): T {
+  return contextStorage.exit(fn);
+}
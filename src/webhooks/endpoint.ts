@@ -0,0 +1,137 @@
+/**
+ * SPDX-FileCopyrightText: © 2025 Talib Kareem <taazkareem@icloud.com>
+ * SPDX-License-Identifier: MIT
+ *
+ * ClickUp Webhook Endpoint
+ *
+ * Mounts the webhook receiver for the HTTP server (Express) and the Netlify
+ * function, resolving secrets through the WebhookService and publishing
+ * accepted events to in-process listeners.
+ */
+
+import { EventEmitter } from 'events';
+import { Request, Response } from 'express';
+import configuration from '../config.js';
+import { clickUpServices } from '../services/shared.js';
+import { Logger } from '../logger.js';
+import { clickUpCache } from '../cache/index.js';
+import { WebhookReceiver, WebhookReceiveResult } from './receiver.js';
+import { ClickUpWebhookEvent } from './types.js';
+
+const logger = new Logger('WebhookEndpoint');
+
+// Accepted events are published here
+const webhookEvents = new EventEmitter();
+
+// Shared receiver instance (keeps the duplicate delivery window across requests)
+let receiver: WebhookReceiver | null = null;
+
+/**
+ * Subscribe to accepted webhook events
+ * @param listener Called with each normalized event
+ * @returns Function that removes the listener
+ */
+export function onWebhookEvent(listener: (event: ClickUpWebhookEvent) => void): () => void {
+  webhookEvents.on('event', listener);
+  return () => webhookEvents.off('event', listener);
+}
+
+/**
+ * Get the shared webhook receiver
+ */
+export function getWebhookReceiver(): WebhookReceiver {
+  if (!receiver) {
+    receiver = new WebhookReceiver({
+      replayWindowMs: configuration.webhookReplayWindowMs,
+      resolveSecret: async (webhookId: string) => {
+        try {
+          const secret = await clickUpServices.webhook.getWebhookSecret(webhookId);
+          if (secret) {
+            return secret;
+          }
+        } catch (error) {
+          logger.warn('Failed to look up webhook secret, falling back to CLICKUP_WEBHOOK_SECRET', {
+            webhookId,
+            error: error.message
+          });
+        }
+        return configuration.webhookSecret;
+      }
+    });
+  }
+  return receiver;
+}
+
+/**
+ * Run a delivery through the receiver and publish accepted events
+ */
+async function receiveWebhook(
+  rawBody: string | Buffer,
+  headers: Record<string, string | string[] | undefined>
+): Promise<WebhookReceiveResult> {
+  const result = await getWebhookReceiver().receive(rawBody, headers);
+
+  if (result.event) {
+    logger.info('Webhook event received', {
+      id: result.event.id,
+      type: result.event.type,
+      webhookId: result.event.webhookId
+    });
+
+    // Drop cached data the change affects before listeners look it up again
+    clickUpCache.invalidateForEvent(result.event);
+
+    try {
+      webhookEvents.emit('event', result.event);
+    } catch (error) {
+      logger.error('Webhook event listener failed', { type: result.event.type, error: error.message });
+    }
+  } else {
+    logger.warn('Webhook delivery rejected', { status: result.status, error: result.body.error });
+  }
+
+  return result;
+}
+
+/**
+ * Express handler for webhook deliveries.
+ * Must be mounted with a raw body parser so the signature can be verified, e.g.
+ * app.post('/webhook', express.raw({ type: '*\/*' }), createWebhookHandler())
+ */
+export function createWebhookHandler() {
+  return async (req: Request, res: Response): Promise<void> => {
+    try {
+      const rawBody = Buffer.isBuffer(req.body) ? req.body : Buffer.from(
+        typeof req.body === 'string' ? req.body : ''
+      );
+      const result = await receiveWebhook(rawBody, req.headers);
+      res.status(result.status).json(result.body);
+    } catch (error) {
+      logger.error('Error handling webhook delivery', { error: error.message });
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  };
+}
+
+/**
+ * Netlify function handler for webhook deliveries
+ * @param event The Netlify function event
+ * @returns Netlify function response
+ */
+export async function handleNetlifyWebhook(event: {
+  body: string | null;
+  headers: Record<string, string>;
+  isBase64Encoded?: boolean;
+}): Promise<{ statusCode: number; headers: Record<string, string>; body: string }> {
+  const rawBody = event.isBase64Encoded
+    ? Buffer.from(event.body || '', 'base64')
+    : Buffer.from(event.body || '', 'utf8');
+
+  const result = await receiveWebhook(rawBody, event.headers || {});
+
+  return {
+    statusCode: result.status,
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(result.body)
+  };
+}
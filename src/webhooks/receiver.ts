@@ -0,0 +1,274 @@
+/**
+ * SPDX-FileCopyrightText: © 2025 Talib Kareem <taazkareem@icloud.com>
+ * SPDX-License-Identifier: MIT
+ *
+ * ClickUp Webhook Receiver
+ *
+ * Verifies and normalizes incoming ClickUp webhook deliveries:
+ * - Checks the X-Signature header (HMAC-SHA256 of the raw body with the webhook secret)
+ * - Rejects duplicate deliveries and events older than the replay window
+ * - Converts the raw payload into a typed ClickUpWebhookEvent
+ *
+ * This module has no dependency on configuration or the ClickUp services, so it
+ * can be exercised offline with signed fixture payloads.
+ */
+
+import crypto from 'crypto';
+import {
+  WEBHOOK_EVENT_TYPES,
+  ClickUpWebhookEvent,
+  ClickUpWebhookEventType,
+  ClickUpWebhookPayload,
+  WebhookEventAction
+} from './types.js';
+
+/**
+ * Options for creating a webhook receiver
+ */
+export interface WebhookReceiverOptions {
+  /** Look up the signing secret of a webhook by ID */
+  resolveSecret: (webhookId: string) => Promise<string | undefined> | string | undefined;
+  /** Maximum event age and duplicate detection window in milliseconds (default: 5 minutes) */
+  replayWindowMs?: number;
+  /** Maximum number of remembered deliveries; the oldest are forgotten first (default: 10000) */
+  maxSeenDeliveries?: number;
+  /** Clock override, mainly for replaying fixtures */
+  now?: () => number;
+}
+
+/**
+ * Outcome of handling a webhook delivery
+ */
+export interface WebhookReceiveResult {
+  status: number;
+  body: Record<string, any>;
+  event?: ClickUpWebhookEvent;
+}
+
+const DEFAULT_REPLAY_WINDOW_MS = 5 * 60 * 1000;
+const DEFAULT_MAX_SEEN_DELIVERIES = 10000;
+
+/**
+ * Compute the ClickUp signature for a raw webhook body
+ * @param rawBody The raw request body
+ * @param secret The webhook signing secret
+ * @returns Hex encoded HMAC-SHA256 signature
+ */
+export function signWebhookPayload(rawBody: string | Buffer, secret: string): string {
+  return crypto.createHmac('sha256', secret).update(rawBody).digest('hex');
+}
+
+/**
+ * Verify a ClickUp signature in constant time
+ * @param rawBody The raw request body
+ * @param signature Value of the X-Signature header
+ * @param secret The webhook signing secret
+ * @returns Whether the signature matches
+ */
+export function verifyWebhookSignature(rawBody: string | Buffer, signature: string, secret: string): boolean {
+  const expected = Buffer.from(signWebhookPayload(rawBody, secret), 'hex');
+  const received = Buffer.from(signature.trim().toLowerCase(), 'hex');
+
+  return received.length === expected.length && crypto.timingSafeEqual(received, expected);
+}
+
+/**
+ * Derive the action from an event name (e.g. taskStatusUpdated -> updated)
+ */
+function getEventAction(type: ClickUpWebhookEventType): WebhookEventAction {
+  if (type === 'taskMoved') return 'moved';
+  if (type === 'taskCommentPosted') return 'comment_posted';
+  if (type === 'taskCommentUpdated') return 'comment_updated';
+  if (type.endsWith('Created')) return 'created';
+  if (type.endsWith('Deleted')) return 'deleted';
+  return 'updated';
+}
+
+/**
+ * Convert a verified raw payload into a typed event
+ *
+ * @param payload The parsed webhook payload
+ * @param deliveryId Identifier of the delivery
+ * @param receivedAt Fallback timestamp when the payload carries no history
+ * @returns The normalized event
+ * @throws Error if the event type is unknown or the resource ID is missing
+ */
+export function normalizeWebhookEvent(
+  payload: ClickUpWebhookPayload,
+  deliveryId: string,
+  receivedAt: number = Date.now()
+): ClickUpWebhookEvent {
+  if (!WEBHOOK_EVENT_TYPES.includes(payload.event as ClickUpWebhookEventType)) {
+    throw new Error(`Unknown webhook event "${payload.event}"`);
+  }
+
+  const type = payload.event as ClickUpWebhookEventType;
+  const historyItems = payload.history_items || [];
+  const dates = historyItems.map(item => Number(item.date)).filter(date => !isNaN(date));
+  const latestUser = historyItems.find(item => item.user)?.user;
+
+  const base = {
+    id: deliveryId,
+    webhookId: payload.webhook_id,
+    type,
+    action: getEventAction(type),
+    occurredAt: dates.length > 0 ? Math.max(...dates) : receivedAt,
+    ...(latestUser ? {
+      user: { id: latestUser.id, username: latestUser.username, email: latestUser.email }
+    } : {}),
+    changes: historyItems
+      .filter(item => item.field)
+      .map(item => ({ field: item.field, before: item.before ?? null, after: item.after ?? null })),
+    raw: payload
+  };
+
+  const requireId = (id: string | undefined, name: string): string => {
+    if (!id) {
+      throw new Error(`Webhook event "${type}" is missing ${name}`);
+    }
+    return String(id);
+  };
+
+  if (type.startsWith('task')) {
+    const commentItem = historyItems.find(item => item.comment);
+    return {
+      ...base,
+      resourceType: 'task',
+      taskId: requireId(payload.task_id, 'task_id'),
+      ...(commentItem ? {
+        comment: { id: commentItem.comment.id, text: commentItem.comment.text_content || '' }
+      } : {})
+    };
+  }
+  if (type.startsWith('list')) {
+    return { ...base, resourceType: 'list', listId: requireId(payload.list_id, 'list_id') };
+  }
+  if (type.startsWith('folder')) {
+    return { ...base, resourceType: 'folder', folderId: requireId(payload.folder_id, 'folder_id') };
+  }
+  if (type.startsWith('space')) {
+    return { ...base, resourceType: 'space', spaceId: requireId(payload.space_id, 'space_id') };
+  }
+  if (type.startsWith('goal')) {
+    return { ...base, resourceType: 'goal', goalId: requireId(payload.goal_id, 'goal_id') };
+  }
+  return { ...base, resourceType: 'key_result', keyResultId: requireId(payload.key_result_id, 'key_result_id') };
+}
+
+/**
+ * Verifies, de-duplicates and normalizes ClickUp webhook deliveries
+ */
+export class WebhookReceiver {
+  private readonly replayWindowMs: number;
+  private readonly maxSeenDeliveries: number;
+  private readonly now: () => number;
+  // Signatures of accepted deliveries in the order they arrived, with the time
+  // until which duplicates are rejected
+  private seenDeliveries: Map<string, number> = new Map();
+
+  constructor(private options: WebhookReceiverOptions) {
+    this.replayWindowMs = options.replayWindowMs ?? DEFAULT_REPLAY_WINDOW_MS;
+    this.maxSeenDeliveries = options.maxSeenDeliveries ?? DEFAULT_MAX_SEEN_DELIVERIES;
+    this.now = options.now ?? Date.now;
+  }
+
+  /**
+   * Handle a webhook delivery
+   *
+   * @param rawBody The raw request body exactly as received
+   * @param headers Request headers (names are matched case-insensitively)
+   * @returns HTTP status, response body and, when accepted, the normalized event
+   */
+  async receive(
+    rawBody: string | Buffer,
+    headers: Record<string, string | string[] | undefined>
+  ): Promise<WebhookReceiveResult> {
+    const now = this.now();
+    this.pruneSeenDeliveries(now);
+
+    const signature = this.getHeader(headers, 'x-signature');
+    if (!signature) {
+      return { status: 401, body: { error: 'Missing X-Signature header' } };
+    }
+
+    let payload: ClickUpWebhookPayload;
+    try {
+      payload = JSON.parse(Buffer.isBuffer(rawBody) ? rawBody.toString('utf8') : rawBody);
+    } catch (error) {
+      return { status: 400, body: { error: 'Invalid JSON body' } };
+    }
+
+    if (!payload || typeof payload !== 'object' || !payload.webhook_id || !payload.event) {
+      return { status: 400, body: { error: 'Payload must include webhook_id and event' } };
+    }
+
+    const secret = await this.options.resolveSecret(payload.webhook_id);
+    if (!secret) {
+      return { status: 401, body: { error: `Unknown webhook ${payload.webhook_id}` } };
+    }
+
+    if (!verifyWebhookSignature(rawBody, signature, secret)) {
+      return { status: 401, body: { error: 'Invalid signature' } };
+    }
+
+    const deliveryId = signature.trim().toLowerCase();
+    if (this.seenDeliveries.has(deliveryId)) {
+      return { status: 409, body: { error: 'Duplicate delivery rejected' } };
+    }
+
+    let event: ClickUpWebhookEvent;
+    try {
+      event = normalizeWebhookEvent(payload, deliveryId, now);
+    } catch (error) {
+      return { status: 400, body: { error: error.message } };
+    }
+
+    if (now - event.occurredAt > this.replayWindowMs) {
+      return { status: 409, body: { error: 'Event is older than the replay window' } };
+    }
+
+    // A delivery without an event time cannot be rejected as too old, so its
+    // signature never expires and is only forgotten once the map is full
+    const dated = (payload.history_items || []).some(item => !isNaN(Number(item.date)));
+    this.seenDeliveries.set(deliveryId, dated ? now + this.replayWindowMs : Infinity);
+    this.limitSeenDeliveries();
+
+    return {
+      status: 200,
+      body: { received: true, event: event.type, id: deliveryId },
+      event
+    };
+  }
+
+  /**
+   * Read a header value case-insensitively
+   */
+  private getHeader(headers: Record<string, string | string[] | undefined>, name: string): string | undefined {
+    const key = Object.keys(headers || {}).find(header => header.toLowerCase() === name);
+    const value = key ? headers[key] : undefined;
+    return Array.isArray(value) ? value[0] : value;
+  }
+
+  /**
+   * Forget deliveries that fall outside the replay window
+   */
+  private pruneSeenDeliveries(now: number): void {
+    for (const [deliveryId, rejectUntil] of this.seenDeliveries) {
+      if (now > rejectUntil) {
+        this.seenDeliveries.delete(deliveryId);
+      }
+    }
+  }
+
+  /**
+   * Forget the oldest deliveries once more than the maximum are remembered
+   */
+  private limitSeenDeliveries(): void {
+    for (const deliveryId of this.seenDeliveries.keys()) {
+      if (this.seenDeliveries.size <= this.maxSeenDeliveries) {
+        break;
+      }
+      this.seenDeliveries.delete(deliveryId);
+    }
+  }
+}
@@ -0,0 +1,174 @@
+/**
+ * SPDX-FileCopyrightText: © 2025 Talib Kareem <taazkareem@icloud.com>
+ * SPDX-License-Identifier: MIT
+ *
+ * ClickUp Webhook Event Types
+ *
+ * Raw payload shapes sent by ClickUp and the normalized event objects
+ * produced by the webhook receiver.
+ */
+
+/**
+ * Event names supported by ClickUp webhooks
+ */
+export const WEBHOOK_EVENT_TYPES = [
+  'taskCreated',
+  'taskUpdated',
+  'taskDeleted',
+  'taskPriorityUpdated',
+  'taskStatusUpdated',
+  'taskAssigneeUpdated',
+  'taskDueDateUpdated',
+  'taskTagUpdated',
+  'taskMoved',
+  'taskCommentPosted',
+  'taskCommentUpdated',
+  'taskTimeEstimateUpdated',
+  'taskTimeTrackedUpdated',
+  'listCreated',
+  'listUpdated',
+  'listDeleted',
+  'folderCreated',
+  'folderUpdated',
+  'folderDeleted',
+  'spaceCreated',
+  'spaceUpdated',
+  'spaceDeleted',
+  'goalCreated',
+  'goalUpdated',
+  'goalDeleted',
+  'keyResultCreated',
+  'keyResultUpdated',
+  'keyResultDeleted'
+] as const;
+
+export type ClickUpWebhookEventType = typeof WEBHOOK_EVENT_TYPES[number];
+
+/**
+ * History item included in webhook payloads
+ */
+export interface ClickUpWebhookHistoryItem {
+  id: string;
+  type: number;
+  date: string;
+  field: string;
+  parent_id: string;
+  data?: Record<string, any>;
+  source?: string | null;
+  user?: {
+    id: number;
+    username: string;
+    email: string;
+    color?: string;
+    initials?: string;
+    profilePicture?: string | null;
+  };
+  before?: any;
+  after?: any;
+  comment?: {
+    id: string;
+    text_content?: string;
+    [key: string]: any;
+  };
+}
+
+/**
+ * Raw webhook payload as delivered by ClickUp
+ */
+export interface ClickUpWebhookPayload {
+  webhook_id: string;
+  event: string;
+  history_items?: ClickUpWebhookHistoryItem[];
+  task_id?: string;
+  list_id?: string;
+  folder_id?: string;
+  space_id?: string;
+  goal_id?: string;
+  key_result_id?: string;
+}
+
+/**
+ * A single field change carried by an event
+ */
+export interface WebhookFieldChange {
+  field: string;
+  before: any;
+  after: any;
+}
+
+/**
+ * What happened to the resource
+ */
+export type WebhookEventAction =
+  | 'created'
+  | 'updated'
+  | 'deleted'
+  | 'moved'
+  | 'comment_posted'
+  | 'comment_updated';
+
+/**
+ * Fields shared by all normalized webhook events
+ */
+interface WebhookEventBase {
+  /** Stable identifier of the delivery (derived from the payload signature) */
+  id: string;
+  webhookId: string;
+  type: ClickUpWebhookEventType;
+  action: WebhookEventAction;
+  /** Unix timestamp in milliseconds of the most recent change, or receipt time if unknown */
+  occurredAt: number;
+  user?: {
+    id: number;
+    username: string;
+    email: string;
+  };
+  changes: WebhookFieldChange[];
+  /** The payload exactly as received */
+  raw: ClickUpWebhookPayload;
+}
+
+export interface TaskWebhookEvent extends WebhookEventBase {
+  resourceType: 'task';
+  taskId: string;
+  comment?: {
+    id: string;
+    text: string;
+  };
+}
+
+export interface ListWebhookEvent extends WebhookEventBase {
+  resourceType: 'list';
+  listId: string;
+}
+
+export interface FolderWebhookEvent extends WebhookEventBase {
+  resourceType: 'folder';
+  folderId: string;
+}
+
+export interface SpaceWebhookEvent extends WebhookEventBase {
+  resourceType: 'space';
+  spaceId: string;
+}
+
+export interface GoalWebhookEvent extends WebhookEventBase {
+  resourceType: 'goal';
+  goalId: string;
+}
+
+export interface KeyResultWebhookEvent extends WebhookEventBase {
+  resourceType: 'key_result';
+  keyResultId: string;
+}
+
+/**
+ * Normalized webhook event, discriminated by resourceType
+ */
+export type ClickUpWebhookEvent =
+  | TaskWebhookEvent
+  | ListWebhookEvent
+  | FolderWebhookEvent
+  | SpaceWebhookEvent
+  | GoalWebhookEvent
+  | KeyResultWebhookEvent;
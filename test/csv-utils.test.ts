@@ -0,0 +1,54 @@
+/**
+ * SPDX-FileCopyrightText: © 2025 Talib Kareem <taazkareem@icloud.com>
+ * SPDX-License-Identifier: MIT
+ *
+ * Delimited Text Utility Tests
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { splitDelimited, parseDelimited, formatDelimited } from '../src/utils/csv-utils.js';
+
+test('splitDelimited handles quoted delimiters, line breaks and doubled quotes', () => {
+  const text = 'name,notes\r\n"Fix, then ship","line one\nline two"\r\n"Say ""hi""",plain\n';
+
+  assert.deepEqual(splitDelimited(text, ','), [
+    ['name', 'notes'],
+    ['Fix, then ship', 'line one\nline two'],
+    ['Say "hi"', 'plain']
+  ]);
+});
+
+test('splitDelimited skips blank lines and a byte order mark', () => {
+  assert.deepEqual(splitDelimited('\ufeffa\tb\n\n  \n1\t2', '\t'), [['a', 'b'], ['1', '2']]);
+});
+
+test('splitDelimited keeps empty cells', () => {
+  assert.deepEqual(splitDelimited('a,,c\n,,', ','), [['a', '', 'c'], ['', '', '']]);
+});
+
+test('splitDelimited rejects an unterminated quoted field', () => {
+  assert.throws(() => splitDelimited('a,"b\n', ','), /Unterminated quoted field/);
+});
+
+test('parseDelimited maps cells to trimmed headers with spreadsheet row numbers', () => {
+  const { columns, records } = parseDelimited(' Name ,Status,\nTask 1,open,ignored\nTask 2\n', ',');
+
+  assert.deepEqual(columns, ['Name', 'Status']);
+  assert.deepEqual(records, [
+    { row: 2, values: { Name: 'Task 1', Status: 'open' } },
+    { row: 3, values: { Name: 'Task 2', Status: '' } }
+  ]);
+});
+
+test('parseDelimited rejects duplicate headers', () => {
+  assert.throws(() => parseDelimited('Name,name,Name\n', ','), /Column "Name" appears more than once/);
+});
+
+test('formatDelimited output splits back into the same rows', () => {
+  const rows = [['name', 'notes'], ['a,b', 'say "hi"'], [' padded ', 'two\nlines']];
+  const text = formatDelimited(rows, ',');
+
+  assert.equal(text, 'name,notes\r\n"a,b","say ""hi"""\r\n" padded ","two\nlines"\r\n');
+  assert.deepEqual(splitDelimited(text, ','), rows);
+});
@@ -0,0 +1,89 @@
+/**
+ * SPDX-FileCopyrightText: © 2025 Talib Kareem <taazkareem@icloud.com>
+ * SPDX-License-Identifier: MIT
+ *
+ * Cursor Pagination Tests
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { arraySource, collectPage, projectFields, PageSource } from '../src/utils/pagination.js';
+
+const items = Array.from({ length: 10 }, (_, index) => ({ id: `task-${index}`, name: `Task ${index}`, notes: 'x'.repeat(400) }));
+
+/**
+ * Source that returns the items three at a time, with the page number as position
+ */
+function pagedSource(): PageSource<typeof items[number], number> {
+  return {
+    start: 0,
+    fetch: async page => ({
+      items: items.slice(page * 3, page * 3 + 3),
+      next: page * 3 + 3 < items.length ? page + 1 : undefined
+    })
+  };
+}
+
+/**
+ * Read every page of a tool call by following next_cursor
+ */
+async function collectAll(params: Record<string, any>) {
+  const pages = [];
+  let cursor: string | undefined;
+  do {
+    const page = await collectPage('get_tasks', { ...params, cursor }, pagedSource());
+    pages.push(page);
+    cursor = page.next_cursor;
+  } while (cursor);
+  return pages;
+}
+
+test('a page without a budget limit holds every item and no cursor', async () => {
+  const page = await collectPage('get_tasks', {}, arraySource(items));
+
+  assert.equal(page.items.length, items.length);
+  assert.equal(page.next_cursor, undefined);
+});
+
+test('following next_cursor returns every item once and in order', async () => {
+  const pages = await collectAll({ list_id: 'list-1', max_tokens: 300 });
+
+  assert.ok(pages.length > 1);
+  assert.deepEqual(pages.flatMap(page => page.items.map(item => item.id)), items.map(item => item.id));
+  for (const page of pages) {
+    assert.ok(page.items.length === 1 || page.estimated_tokens <= 300);
+  }
+});
+
+test('a cursor is rejected with other filters or by another tool', async () => {
+  const first = await collectPage('get_tasks', { list_id: 'list-1', max_tokens: 300 }, pagedSource());
+  assert.ok(first.next_cursor);
+
+  await assert.rejects(
+    collectPage('get_tasks', { list_id: 'list-2', max_tokens: 300, cursor: first.next_cursor }, pagedSource()),
+    /different filters/
+  );
+  await assert.rejects(
+    collectPage('get_task_comments', { list_id: 'list-1', max_tokens: 300, cursor: first.next_cursor }, pagedSource()),
+    /Cursor belongs to get_tasks/
+  );
+  // Changing the page size does not change the selection
+  const next = await collectPage('get_tasks', { list_id: 'list-1', max_tokens: 1000, cursor: first.next_cursor }, pagedSource());
+  assert.equal(next.items[0].id, items[first.items.length].id);
+});
+
+test('invalid cursors and pagination parameters are rejected', async () => {
+  await assert.rejects(collectPage('get_tasks', { cursor: 'not-a-cursor' }, pagedSource()), /Invalid cursor/);
+  await assert.rejects(collectPage('get_tasks', { max_tokens: 10 }, pagedSource()), /max_tokens must be a number/);
+  await assert.rejects(collectPage('get_tasks', { fields: 'name' as any }, pagedSource()), /fields must be an array/);
+});
+
+test('fields keep the id and the given dotted paths', () => {
+  const task = { id: '1', name: 'Task', status: { status: 'open', color: '#fff' }, tags: [{ name: 'a', tag_fg: '#000' }] };
+
+  assert.deepEqual(projectFields(task, ['status.status', 'tags.name']), {
+    id: '1',
+    status: { status: 'open' },
+    tags: [{ name: 'a' }]
+  });
+});
@@ -0,0 +1,89 @@
+/**
+ * SPDX-FileCopyrightText: © 2025 Talib Kareem <taazkareem@icloud.com>
+ * SPDX-License-Identifier: MIT
+ *
+ * Policy Engine Tests
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { PolicyEngine, parsePolicy } from '../src/policies/engine.js';
+
+const target = {
+  label: 'task 86b1abc2',
+  space: { id: '100', name: 'Engineering' },
+  folder: { id: '200', name: 'Platform' },
+  list: { id: '300', name: 'Sprint 12' }
+};
+
+test('without a policy every call is allowed', () => {
+  const engine = new PolicyEngine();
+
+  assert.equal(engine.enabled, false);
+  assert.deepEqual(engine.checkTool('delete_task'), { allowed: true });
+  assert.deepEqual(engine.evaluate({ tool: 'delete_task', action: 'delete', target }), { allowed: true });
+});
+
+test('tool patterns deny matching tools outright', () => {
+  const engine = new PolicyEngine(parsePolicy({ rules: [{ name: 'no-deletes', effect: 'deny', tools: ['delete_*'] }] }));
+
+  const decision = engine.checkTool('delete_task');
+  assert.equal(decision.allowed, false);
+  assert.equal(decision.rule, 'no-deletes');
+  assert.equal(engine.checkTool('update_task').allowed, true);
+});
+
+test('write covers create, update and delete', () => {
+  const engine = new PolicyEngine(parsePolicy({
+    rules: [{ name: 'read-only', effect: 'deny', actions: ['write'] }]
+  }));
+
+  assert.equal(engine.checkTool('create_task').allowed, true);
+  assert.equal(engine.evaluate({ tool: 'create_task', action: 'create', target }).allowed, false);
+  assert.equal(engine.evaluate({ tool: 'update_task', action: 'update', target }).allowed, false);
+  assert.equal(engine.evaluate({ tool: 'get_task', action: 'read', target }).allowed, true);
+});
+
+test('scoped rules match containers by ID or case-insensitive name', () => {
+  const engine = new PolicyEngine(parsePolicy({
+    default: 'deny',
+    rules: [
+      { name: 'reads', effect: 'allow', actions: ['read'] },
+      { name: 'sprint-writes', effect: 'allow', actions: ['write'], within: { lists: ['sprint 12'] } },
+      { name: 'protect-platform', effect: 'deny', actions: ['delete'], within: { folders: ['200'] } }
+    ]
+  }));
+
+  assert.equal(engine.needsTarget('update_task', 'update'), true);
+  assert.equal(engine.needsTarget('get_task', 'read'), false);
+
+  assert.equal(engine.evaluate({ tool: 'update_task', action: 'update', target }).rule, 'sprint-writes');
+  assert.equal(engine.evaluate({ tool: 'delete_task', action: 'delete', target }).rule, 'protect-platform');
+
+  const elsewhere = { label: 'task 1', list: { id: '301', name: 'Backlog' } };
+  const decision = engine.evaluate({ tool: 'update_task', action: 'update', target: elsewhere });
+  assert.equal(decision.allowed, false);
+  assert.match(decision.message, /no rule allows update of task 1 \(list Backlog\)/);
+
+  // A scoped rule does not match a request whose location is unknown
+  assert.equal(engine.evaluate({ tool: 'update_task', action: 'update' }).allowed, false);
+});
+
+test('outside scopes match targets not in the containers', () => {
+  const engine = new PolicyEngine(parsePolicy({
+    rules: [{ name: 'engineering-only', effect: 'deny', actions: ['write'], outside: { spaces: ['Engineering'] } }]
+  }));
+
+  assert.equal(engine.evaluate({ tool: 'update_task', action: 'update', target }).allowed, true);
+  assert.equal(engine.evaluate({ tool: 'update_task', action: 'update', target: { label: 'task 2', space: { id: '101' } } }).allowed, false);
+});
+
+test('parsePolicy rejects invalid policies', () => {
+  assert.throws(() => parsePolicy({}), /"rules" array/);
+  assert.throws(() => parsePolicy({ default: 'maybe', rules: [] }), /"default" must be/);
+  assert.throws(() => parsePolicy({ rules: [{ effect: 'deny' }] }), /rules\[0\] needs a name/);
+  assert.throws(() => parsePolicy({ rules: [{ name: 'a', effect: 'deny' }, { name: 'a', effect: 'allow' }] }), /duplicate rule name "a"/);
+  assert.throws(() => parsePolicy({ rules: [{ name: 'a', effect: 'block' }] }), /effect must be/);
+  assert.throws(() => parsePolicy({ rules: [{ name: 'a', effect: 'deny', actions: ['remove'] }] }), /unknown action "remove"/);
+  assert.throws(() => parsePolicy({ rules: [{ name: 'a', effect: 'deny', tools: 'delete_task' }] }), /tools must be an array/);
+});
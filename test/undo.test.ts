@@ -0,0 +1,96 @@
+/**
+ * SPDX-FileCopyrightText: © 2025 Talib Kareem <taazkareem@icloud.com>
+ * SPDX-License-Identifier: MIT
+ *
+ * Audit Log Undo Planning Tests
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { planUndo } from '../src/audit/undo.js';
+import { AuditEntry, AuditRequest } from '../src/audit/types.js';
+
+/**
+ * Audit entry for a request, with optional snapshot and response
+ */
+function entry(request: AuditRequest, extra: Partial<AuditEntry> = {}): AuditEntry {
+  return {
+    id: 'entry-1',
+    operation_id: 'operation-1',
+    timestamp: '2025-07-01T12:00:00.000Z',
+    session: 'stdio',
+    service: 'task',
+    request,
+    ...extra
+  };
+}
+
+const task = {
+  id: 'task-1',
+  name: 'Write docs',
+  description: 'Old description',
+  status: { status: 'to do' },
+  priority: { id: '2', priority: 'high' },
+  due_date: '1751371200000',
+  assignees: [{ id: 1 }, { id: 2 }],
+  tags: [{ name: 'docs' }],
+  list: { id: 'list-1', name: 'Sprint 12' }
+};
+
+test('a task update restores the previous values of the fields that were sent', () => {
+  const plan = planUndo(entry(
+    { method: 'PUT', path: '/task/task-1', body: { name: 'New name', status: 'done', due_date: 1, assignees: { add: [3], rem: [2] }, custom: {} } },
+    { before: task }
+  ));
+
+  assert.equal(plan.unsupported, undefined);
+  assert.match(plan.description, /Restore previous values of task "Write docs" \(task-1\) \(cannot restore: custom\)/);
+  assert.deepEqual(plan.requests, [{
+    method: 'PUT',
+    path: '/task/task-1',
+    params: undefined,
+    body: { name: 'Write docs', status: 'to do', due_date: 1751371200000, assignees: { add: [2], rem: [3] } }
+  }]);
+});
+
+test('a deleted task is re-created in its list from the snapshot', () => {
+  const plan = planUndo(entry({ method: 'DELETE', path: '/task/task-1' }, { before: task }));
+
+  assert.equal(plan.requests[0].method, 'POST');
+  assert.equal(plan.requests[0].path, '/list/list-1/task');
+  assert.deepEqual(plan.requests[0].body, {
+    name: 'Write docs',
+    markdown_description: 'Old description',
+    status: 'to do',
+    priority: 2,
+    due_date: 1751371200000,
+    assignees: [1, 2],
+    tags: ['docs']
+  });
+});
+
+test('a created task is deleted', () => {
+  const plan = planUndo(entry({ method: 'POST', path: '/list/list-1/task', body: { name: 'New' } }, { response: { id: 'task-9', name: 'New' } }));
+
+  assert.deepEqual(plan.requests, [{ method: 'DELETE', path: '/task/task-9' }]);
+});
+
+test('tags and dependencies are reverted by the opposite request', () => {
+  assert.deepEqual(planUndo(entry({ method: 'POST', path: '/task/task-1/tag/docs' })).requests, [
+    { method: 'DELETE', path: '/task/task-1/tag/docs', params: undefined, body: undefined }
+  ]);
+  assert.deepEqual(planUndo(entry({ method: 'POST', path: '/task/task-1/dependency', body: { depends_on: 'task-2' } })).requests, [
+    { method: 'DELETE', path: '/task/task-1/dependency', params: { depends_on: 'task-2' } }
+  ]);
+  assert.deepEqual(planUndo(entry({ method: 'DELETE', path: '/task/task-1/dependency', params: { depends_on: 'task-2' } })).requests, [
+    { method: 'POST', path: '/task/task-1/dependency', body: { depends_on: 'task-2' } }
+  ]);
+});
+
+test('requests that cannot be reverted say why', () => {
+  assert.match(planUndo(entry({ method: 'PUT', path: '/task/task-1', body: { name: 'x' } }, { error: 'Request failed' })).unsupported, /request failed/);
+  assert.match(planUndo(entry({ method: 'PUT', path: '/task/task-1', body: { name: 'x' } })).unsupported, /No snapshot of task task-1/);
+  assert.match(planUndo(entry({ method: 'DELETE', path: '/list/list-1' })).unsupported, /ClickUp trash/);
+  assert.match(planUndo(entry({ method: 'POST', path: '/team/1/time_entries/start' })).unsupported, /timer cannot be reverted/);
+  assert.match(planUndo(entry({ method: 'POST', path: '/webhook/1' })).unsupported, /Reverting POST \/webhook\/1 is not supported/);
+});
@@ -0,0 +1,138 @@
+/**
+ * SPDX-FileCopyrightText: © 2025 Talib Kareem <taazkareem@icloud.com>
+ * SPDX-License-Identifier: MIT
+ *
+ * Webhook Receiver Tests
+ *
+ * Replays the signed fixture payloads in examples/webhooks through the receiver,
+ * and checks signature verification and the duplicate delivery map.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { WebhookReceiver, signWebhookPayload, verifyWebhookSignature } from '../src/webhooks/receiver.js';
+
+const fixturesDir = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'examples', 'webhooks');
+const fixtures = fs.readdirSync(fixturesDir).filter(name => name.endsWith('.json'));
+const secret = 'fixture-secret';
+
+/**
+ * Raw body of a payload without an event time, such as taskDeleted
+ */
+function undatedBody(taskId: string): string {
+  return JSON.stringify({ event: 'taskDeleted', task_id: taskId, webhook_id: 'webhook-1' });
+}
+
+/**
+ * Deliver a raw body signed with the test secret
+ */
+function deliver(receiver: WebhookReceiver, rawBody: string) {
+  return receiver.receive(rawBody, { 'X-Signature': signWebhookPayload(rawBody, secret) });
+}
+
+test('verifyWebhookSignature accepts the signature of the body only', () => {
+  const signature = signWebhookPayload('{"a":1}', secret);
+
+  assert.equal(verifyWebhookSignature('{"a":1}', signature, secret), true);
+  assert.equal(verifyWebhookSignature('{"a":1}', ` ${signature.toUpperCase()} `, secret), true);
+  assert.equal(verifyWebhookSignature('{"a":2}', signature, secret), false);
+  assert.equal(verifyWebhookSignature('{"a":1}', signature, 'other-secret'), false);
+  assert.equal(verifyWebhookSignature('{"a":1}', signature.slice(2), secret), false);
+  assert.equal(verifyWebhookSignature('{"a":1}', 'not hex', secret), false);
+});
+
+for (const file of fixtures) {
+  test(`fixture ${file} is accepted once and rejected when replayed or tampered with`, async () => {
+    const rawBody = fs.readFileSync(path.join(fixturesDir, file), 'utf8');
+    const payload = JSON.parse(rawBody);
+    const occurredAt = Math.max(...payload.history_items.map(item => Number(item.date)));
+
+    // Pin the clock to the fixture's event time so the replay window check passes
+    const receiver = new WebhookReceiver({ resolveSecret: () => secret, now: () => occurredAt + 1000 });
+    const signature = signWebhookPayload(rawBody, secret);
+
+    const accepted = await receiver.receive(rawBody, { 'x-signature': signature });
+    assert.equal(accepted.status, 200);
+    assert.equal(accepted.event.type, payload.event);
+    assert.equal(accepted.event.webhookId, payload.webhook_id);
+    assert.equal(accepted.event.occurredAt, occurredAt);
+
+    const duplicate = await receiver.receive(rawBody, { 'x-signature': signature });
+    assert.equal(duplicate.status, 409);
+
+    const tampered = await receiver.receive(rawBody, { 'x-signature': signature.replace(/^./, c => c === '0' ? '1' : '0') });
+    assert.equal(tampered.status, 401);
+  });
+}
+
+test('receiver rejects unsigned, unknown and malformed deliveries', async () => {
+  const receiver = new WebhookReceiver({ resolveSecret: id => id === 'webhook-1' ? secret : undefined });
+  const rawBody = undatedBody('task-1');
+
+  assert.equal((await receiver.receive(rawBody, {})).status, 401);
+  assert.equal((await deliver(receiver, 'not json')).status, 400);
+  assert.equal((await deliver(receiver, '{"event":"taskDeleted"}')).status, 400);
+
+  const unknown = JSON.stringify({ event: 'taskDeleted', task_id: 'task-1', webhook_id: 'webhook-2' });
+  assert.equal((await deliver(receiver, unknown)).status, 401);
+
+  const unknownEvent = JSON.stringify({ event: 'taskExploded', task_id: 'task-1', webhook_id: 'webhook-1' });
+  assert.equal((await deliver(receiver, unknownEvent)).status, 400);
+});
+
+test('receiver rejects events older than the replay window', async () => {
+  const rawBody = fs.readFileSync(path.join(fixturesDir, fixtures[0]), 'utf8');
+  const occurredAt = Math.max(...JSON.parse(rawBody).history_items.map(item => Number(item.date)));
+  const receiver = new WebhookReceiver({
+    resolveSecret: () => secret,
+    replayWindowMs: 60 * 1000,
+    now: () => occurredAt + 61 * 1000
+  });
+
+  const result = await deliver(receiver, rawBody);
+  assert.equal(result.status, 409);
+  assert.match(result.body.error, /older than the replay window/);
+});
+
+test('dated deliveries are forgotten after the replay window', async () => {
+  const rawBody = fs.readFileSync(path.join(fixturesDir, fixtures[0]), 'utf8');
+  const occurredAt = Math.max(...JSON.parse(rawBody).history_items.map(item => Number(item.date)));
+  let now = occurredAt;
+  const receiver = new WebhookReceiver({ resolveSecret: () => secret, replayWindowMs: 60 * 1000, now: () => now });
+
+  assert.equal((await deliver(receiver, rawBody)).status, 200);
+
+  // Once the remembered signature expires, the event itself is too old
+  now = occurredAt + 61 * 1000;
+  const replay = await deliver(receiver, rawBody);
+  assert.equal(replay.status, 409);
+  assert.match(replay.body.error, /older than the replay window/);
+});
+
+test('undated deliveries are rejected as duplicates after the replay window', async () => {
+  let now = 0;
+  const receiver = new WebhookReceiver({ resolveSecret: () => secret, replayWindowMs: 1000, now: () => now });
+
+  assert.equal((await deliver(receiver, undatedBody('task-1'))).status, 200);
+
+  now = 24 * 60 * 60 * 1000;
+  const replay = await deliver(receiver, undatedBody('task-1'));
+  assert.equal(replay.status, 409);
+  assert.match(replay.body.error, /Duplicate delivery/);
+});
+
+test('remembered deliveries are capped, forgetting the oldest first', async () => {
+  const receiver = new WebhookReceiver({ resolveSecret: () => secret, maxSeenDeliveries: 3 });
+
+  for (const taskId of ['task-1', 'task-2', 'task-3', 'task-4']) {
+    assert.equal((await deliver(receiver, undatedBody(taskId))).status, 200);
+  }
+
+  assert.equal((await deliver(receiver, undatedBody('task-4'))).status, 409);
+  assert.equal((await deliver(receiver, undatedBody('task-2'))).status, 409);
+  // The oldest delivery was forgotten when the fourth arrived
+  assert.equal((await deliver(receiver, undatedBody('task-1'))).status, 200);
+});